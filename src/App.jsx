@@ -1,22 +1,87 @@
 import { ReactFlowProvider } from 'reactflow';
-import { useEffect } from 'react';
+import { useEffect, useState } from 'react';
 import { useFlowStore } from './store/useFlowStore';
+import { useWorkspaceStore } from './store/useWorkspaceStore';
 import { FlowCanvas } from './components/FlowCanvas';
+import { RestoreSessionModal } from './components/RestoreSessionModal';
+import { loadSession, loadRecoveryPoint, addRecoveryPoint } from './utils/persistence';
 import sampleData from './data/sampleData.json';
 import './App.css';
 
 function App() {
-  const { importFromJSON } = useFlowStore();
+  const loadDocument = useFlowStore((state) => state.loadDocument);
+  const loadWorkspaces = useWorkspaceStore((state) => state.loadWorkspaces);
+  const activeWorkspaceId = useWorkspaceStore((state) => state.activeWorkspaceId);
+  // 'loading' -> 'prompt' (a saved session exists) -> 'ready'
+  const [status, setStatus] = useState('loading');
+  const [savedSession, setSavedSession] = useState(null);
 
   useEffect(() => {
-    // Load sample data on mount
-    importFromJSON(sampleData);
-  }, []);
+    loadWorkspaces()
+      .then(loadSession)
+      .then((session) => {
+        if (session && session.nodes.length > 0) {
+          setSavedSession(session);
+          setStatus('prompt');
+        } else {
+          // A workspace that was saved empty stays empty
+          loadDocument(session || sampleData);
+          setStatus('ready');
+        }
+      })
+      .catch(() => {
+        // Persistence unavailable (e.g. private mode): fall back to sample data
+        loadDocument(sampleData);
+        setStatus('ready');
+      });
+  }, [loadWorkspaces, loadDocument]);
+
+  const handleRestore = () => {
+    loadDocument(savedSession);
+    setStatus('ready');
+  };
+
+  const handleStartFresh = async () => {
+    // Keep the discarded session reachable as a recovery point
+    await addRecoveryPoint(activeWorkspaceId, savedSession).catch(() => {});
+    loadDocument({
+      ...savedSession,
+      nodes: sampleData.nodes,
+      edges: sampleData.edges,
+      credentials: [],
+      findings: [],
+    });
+    setStatus('ready');
+  };
+
+  const handleRestorePoint = async (id) => {
+    try {
+      const point = await loadRecoveryPoint(id);
+      if (!point) throw new Error('the recovery point no longer exists');
+      loadDocument(point);
+      setStatus('ready');
+    } catch (error) {
+      alert(
+        `Failed to restore recovery point: ${error.message}\n\n` +
+          'Starting fresh; the last session is kept as a recovery point.'
+      );
+      await handleStartFresh();
+    }
+  };
 
   return (
     <ReactFlowProvider>
       <div className="app">
-        <FlowCanvas />
+        {status === 'ready' && <FlowCanvas />}
+        {status === 'prompt' && (
+          <RestoreSessionModal
+            workspaceId={activeWorkspaceId}
+            session={savedSession}
+            onRestore={handleRestore}
+            onRestorePoint={handleRestorePoint}
+            onStartFresh={handleStartFresh}
+          />
+        )}
       </div>
     </ReactFlowProvider>
   );
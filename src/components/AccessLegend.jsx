@@ -0,0 +1,33 @@
+import React from 'react';
+import { AccessLevelLabels, AccessLevels } from '../types/index';
+import { ACCESS_ORDER, getAccessLevel } from '../utils/accessUtils';
+import { AccessIcon } from './nodes/AccessIndicator';
+import './AccessLegend.css';
+
+/**
+ * Access level legend with node counts; clicking a level searches for it
+ */
+export const AccessLegend = ({ nodes, onSelectLevel }) => {
+  const counts = {};
+  nodes.forEach((node) => {
+    const level = getAccessLevel(node);
+    counts[level] = (counts[level] || 0) + 1;
+  });
+
+  return (
+    <div className="access-legend">
+      {ACCESS_ORDER.filter((level) => level !== AccessLevels.NONE).map((level) => (
+        <button
+          key={level}
+          className={`access-legend-item access-${level} ${counts[level] ? '' : 'empty'}`}
+          onClick={() => onSelectLevel(level)}
+          title={`Find nodes with ${AccessLevelLabels[level]} access`}
+        >
+          <AccessIcon level={level} />
+          <span>{AccessLevelLabels[level]}</span>
+          <span className="access-legend-count">{counts[level] || 0}</span>
+        </button>
+      ))}
+    </div>
+  );
+};
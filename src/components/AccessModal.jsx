@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faXmark, faSave, faUserSecret } from '@fortawesome/free-solid-svg-icons';
+import { AccessLevelLabels, AccessLevels } from '../types/index';
+import { ACCESS_ORDER, getAccessLevel } from '../utils/accessUtils';
+import { AccessIcon } from './nodes/AccessIndicator';
+import './Modal.css';
+import './AccessModal.css';
+
+/**
+ * Pick the access level obtained on a node and record how it was obtained
+ * @param {object} node
+ * @param {string} defaultOperator - Workspace operator, used when the node has none recorded
+ */
+export const AccessModal = ({ node, defaultOperator, onSave, onClose }) => {
+  const access = node.data.access;
+  const [formData, setFormData] = useState(() => ({
+    level: getAccessLevel(node),
+    operator: access?.operator || defaultOperator || '',
+    method: access?.method || '',
+  }));
+
+  const update = (field, value) => setFormData((prev) => ({ ...prev, [field]: value }));
+  const unchanged = access && formData.level === access.level;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      level: formData.level,
+      operator: formData.operator.trim(),
+      method: formData.method.trim(),
+      // Editing the details of the same level keeps when it was obtained
+      ...(unchanged && access.at ? { at: access.at } : {}),
+    });
+    onClose();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-container access-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">
+            <FontAwesomeIcon icon={faUserSecret} className="title-icon" />
+            <span>Access on {node.data.label || node.id}</span>
+          </div>
+          <button className="modal-close" onClick={onClose}>
+            <FontAwesomeIcon icon={faXmark} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="modal-body">
+            <div className="form-group">
+              <label>Access Level</label>
+              <div className="access-level-list">
+                {ACCESS_ORDER.map((level) => (
+                  <label
+                    key={level}
+                    className={`access-level-option access-${level} ${formData.level === level ? 'active' : ''}`}
+                  >
+                    <input
+                      type="radio"
+                      name="accessLevel"
+                      value={level}
+                      checked={formData.level === level}
+                      onChange={() => update('level', level)}
+                    />
+                    <AccessIcon level={level} className="access-level-icon" />
+                    <span>{AccessLevelLabels[level]}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            {formData.level !== AccessLevels.NONE && (
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="accessMethod">Method</label>
+                  <input
+                    id="accessMethod"
+                    type="text"
+                    value={formData.method}
+                    onChange={(e) => update('method', e.target.value)}
+                    placeholder="psexec, kerberoast, CVE-2021-44228..."
+                    autoFocus
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="accessOperator">Operator</label>
+                  <input
+                    id="accessOperator"
+                    type="text"
+                    value={formData.operator}
+                    onChange={(e) => update('operator', e.target.value)}
+                    placeholder="Who obtained it"
+                  />
+                </div>
+              </div>
+            )}
+
+            {access?.at && (
+              <div className="access-obtained">
+                {AccessLevelLabels[access.level]} since {new Date(access.at).toLocaleString()}
+              </div>
+            )}
+          </div>
+
+          <div className="modal-footer">
+            <button type="button" className="btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn-primary">
+              <FontAwesomeIcon icon={faSave} />
+              <span>Save</span>
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
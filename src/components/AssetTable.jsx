@@ -0,0 +1,286 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faTable,
+  faXmark,
+  faFileCsv,
+  faSort,
+  faSortUp,
+  faSortDown,
+  faCrosshairs,
+} from '@fortawesome/free-solid-svg-icons';
+import { useFlowStore } from '../store/useFlowStore';
+import { AccessLevelLabels, DeviceSubTypes, NodeTypes, ServerSubTypes } from '../types/index';
+import { ACCESS_ORDER, getAccessLevel } from '../utils/accessUtils';
+import {
+  AssetColumns,
+  assetRowsToCSV,
+  filterAssetRows,
+  sortAssetRows,
+} from '../utils/assetTable';
+import './AssetTable.css';
+
+const subTypeOptions = {
+  [NodeTypes.SERVER]: Object.values(ServerSubTypes),
+  [NodeTypes.NETWORK_DEVICE]: Object.values(DeviceSubTypes),
+};
+
+// Columns that can be edited in place
+const isEditable = (node, key) =>
+  ['label', 'ips', 'description', 'access'].includes(key) ||
+  (key === 'subType' && node.type in subTypeOptions);
+
+const editValue = (node, key) => {
+  if (key === 'ips') return node.data.ip || '';
+  if (key === 'access') return getAccessLevel(node);
+  return node.data[key] || '';
+};
+
+/**
+ * Spreadsheet view of every node, sharing the store (and selection) with the canvas
+ * @param {object[]} nodes - Store nodes
+ */
+export const AssetTable = ({ nodes, onFocusNode, onClose }) => {
+  const updateNode = useFlowStore((state) => state.updateNode);
+  const setAccessLevel = useFlowStore((state) => state.setAccessLevel);
+  const setNodeSelection = useFlowStore((state) => state.setNodeSelection);
+
+  const [sort, setSort] = useState({ key: 'label', direction: 'asc' });
+  const [filters, setFilters] = useState({});
+  // { nodeId, key, value } while a cell is being edited; the ref lets a blur
+  // that follows Enter or Escape see that the edit is already over
+  const [editing, setEditing] = useState(null);
+  const editingRef = useRef(null);
+  const [anchorId, setAnchorId] = useState(null);
+
+  const rows = useMemo(
+    () => sortAssetRows(filterAssetRows(nodes, filters), sort),
+    [nodes, filters, sort]
+  );
+  const selectedIds = nodes.filter((node) => node.selected).map((node) => node.id);
+  const allRowsSelected = rows.length > 0 && rows.every((node) => node.selected);
+
+  const toggleSort = (key) => {
+    setSort((prev) =>
+      prev?.key === key
+        ? { key, direction: prev.direction === 'asc' ? 'desc' : 'asc' }
+        : { key, direction: 'asc' }
+    );
+  };
+
+  const handleRowClick = (event, node) => {
+    if (event.shiftKey && anchorId) {
+      const from = rows.findIndex((row) => row.id === anchorId);
+      const to = rows.findIndex((row) => row.id === node.id);
+      if (from !== -1) {
+        const range = rows.slice(Math.min(from, to), Math.max(from, to) + 1).map((row) => row.id);
+        setNodeSelection(event.ctrlKey || event.metaKey ? [...selectedIds, ...range] : range);
+        return;
+      }
+    }
+    if (event.ctrlKey || event.metaKey) {
+      setNodeSelection(
+        node.selected ? selectedIds.filter((id) => id !== node.id) : [...selectedIds, node.id]
+      );
+    } else {
+      setNodeSelection([node.id]);
+    }
+    setAnchorId(node.id);
+  };
+
+  const toggleAllRows = () => {
+    const rowIds = new Set(rows.map((node) => node.id));
+    setNodeSelection(
+      allRowsSelected
+        ? selectedIds.filter((id) => !rowIds.has(id))
+        : [...new Set([...selectedIds, ...rowIds])]
+    );
+  };
+
+  const startEdit = (node, key) => {
+    editingRef.current = { nodeId: node.id, key, value: editValue(node, key) };
+    setEditing(editingRef.current);
+  };
+
+  const changeEdit = (value) => {
+    editingRef.current = { ...editingRef.current, value };
+    setEditing(editingRef.current);
+  };
+
+  const cancelEdit = () => {
+    editingRef.current = null;
+    setEditing(null);
+  };
+
+  const commitEdit = () => {
+    if (!editingRef.current) return;
+    const { nodeId, key, value } = editingRef.current;
+    const node = nodes.find((n) => n.id === nodeId);
+    cancelEdit();
+    if (!node || value === editValue(node, key)) return;
+
+    if (key === 'access') setAccessLevel([nodeId], value);
+    else if (key === 'ips') updateNode(nodeId, { ip: value.trim() });
+    else if (key === 'label') updateNode(nodeId, { label: value.trim() || node.data.label });
+    else updateNode(nodeId, { [key]: key === 'description' ? value.trim() : value });
+  };
+
+  const handleExportCSV = () => {
+    const blob = new Blob([assetRowsToCSV(rows)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `assets-${new Date().toISOString().split('T')[0]}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  const renderEditor = (node, key) => {
+    if (key === 'access' || key === 'subType') {
+      const options = key === 'access' ? ACCESS_ORDER : subTypeOptions[node.type];
+      return (
+        <select
+          autoFocus
+          value={editing.value}
+          onClick={(e) => e.stopPropagation()}
+          onChange={(e) => {
+            changeEdit(e.target.value);
+            commitEdit();
+          }}
+          onBlur={cancelEdit}
+          onKeyDown={(e) => e.key === 'Escape' && cancelEdit()}
+        >
+          {options.map((option) => (
+            <option key={option} value={option}>
+              {key === 'access' ? AccessLevelLabels[option] : option.replace(/_/g, ' ')}
+            </option>
+          ))}
+        </select>
+      );
+    }
+    return (
+      <input
+        autoFocus
+        type="text"
+        value={editing.value}
+        onClick={(e) => e.stopPropagation()}
+        onChange={(e) => changeEdit(e.target.value)}
+        onBlur={commitEdit}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') commitEdit();
+          if (e.key === 'Escape') cancelEdit();
+        }}
+      />
+    );
+  };
+
+  const sortIcon = (key) => {
+    if (sort?.key !== key) return faSort;
+    return sort.direction === 'asc' ? faSortUp : faSortDown;
+  };
+
+  return (
+    <div className="asset-table-panel">
+      <div className="asset-table-header">
+        <div className="asset-table-title">
+          <FontAwesomeIcon icon={faTable} />
+          <span>Assets</span>
+          <span className="asset-table-count">
+            {rows.length} of {nodes.length}
+            {selectedIds.length > 0 && ` · ${selectedIds.length} selected`}
+          </span>
+        </div>
+        <div className="asset-table-actions">
+          <button
+            onClick={handleExportCSV}
+            disabled={rows.length === 0}
+            title="Export the rows shown as CSV"
+          >
+            <FontAwesomeIcon icon={faFileCsv} />
+            <span>Export CSV</span>
+          </button>
+          <button className="asset-table-close" onClick={onClose}>
+            <FontAwesomeIcon icon={faXmark} />
+          </button>
+        </div>
+      </div>
+
+      <div className="asset-table-scroll">
+        <table className="asset-table">
+          <thead>
+            <tr>
+              <th className="asset-table-select">
+                <input type="checkbox" checked={allRowsSelected} onChange={toggleAllRows} />
+              </th>
+              {AssetColumns.map((column) => (
+                <th key={column.key} onClick={() => toggleSort(column.key)}>
+                  <span>{column.label}</span>
+                  <FontAwesomeIcon icon={sortIcon(column.key)} className="asset-table-sort" />
+                </th>
+              ))}
+              <th />
+            </tr>
+            <tr className="asset-table-filters">
+              <th />
+              {AssetColumns.map((column) => (
+                <th key={column.key}>
+                  <input
+                    type="text"
+                    value={filters[column.key] || ''}
+                    onChange={(e) => setFilters((prev) => ({ ...prev, [column.key]: e.target.value }))}
+                    placeholder="Filter"
+                  />
+                </th>
+              ))}
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((node) => (
+              <tr
+                key={node.id}
+                className={node.selected ? 'selected' : ''}
+                onClick={(e) => handleRowClick(e, node)}
+              >
+                <td className="asset-table-select">
+                  <input type="checkbox" checked={Boolean(node.selected)} readOnly />
+                </td>
+                {AssetColumns.map((column) => (
+                  <td
+                    key={column.key}
+                    className={`asset-cell-${column.key} ${isEditable(node, column.key) ? 'editable' : ''}`}
+                    onDoubleClick={() => isEditable(node, column.key) && startEdit(node, column.key)}
+                    title={isEditable(node, column.key) ? 'Double-click to edit' : undefined}
+                  >
+                    {editing?.nodeId === node.id && editing.key === column.key ? (
+                      renderEditor(node, column.key)
+                    ) : column.key === 'access' ? (
+                      <span className={`asset-access access-${getAccessLevel(node)}`}>{column.text(node)}</span>
+                    ) : (
+                      column.text(node)
+                    )}
+                  </td>
+                ))}
+                <td>
+                  <button
+                    className="asset-table-focus"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onFocusNode(node);
+                    }}
+                    title="Focus on canvas"
+                  >
+                    <FontAwesomeIcon icon={faCrosshairs} />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {rows.length === 0 && <div className="asset-table-empty">No nodes match the filters.</div>}
+      </div>
+    </div>
+  );
+};
@@ -9,9 +9,15 @@ import {
   faServer,
   faDesktop,
   faGear,
-  faSkull,
-  faShieldHalved,
+  faUserSecret,
+  faRoute,
+  faKey,
+  faBug,
+  faLaptopCode,
+  faPaste,
 } from '@fortawesome/free-solid-svg-icons';
+import { AccessLevelLabels, NodeTypeLabels, NodeTypes } from '../types/index';
+import { getAccessLevel } from '../utils/accessUtils';
 import './ContextMenu.css';
 
 const nodeTypeIcons = {
@@ -21,13 +27,6 @@ const nodeTypeIcons = {
   device: faGear,
 };
 
-const nodeTypeLabels = {
-  cidr: 'CIDR Network',
-  server: 'Server',
-  pc: 'Personal Computer',
-  device: 'Network Device',
-};
-
 export const ContextMenu = ({
   x,
   y,
@@ -36,7 +35,14 @@ export const ContextMenu = ({
   onDuplicate,
   onDelete,
   onFocus,
-  onTogglePwned,
+  onCycleAccess,
+  onSetAccess,
+  onFindPaths,
+  onShowCredentials,
+  onShowFindings,
+  onPasteNetworking,
+  isOperatorBox,
+  onSetOperatorBox,
   onClose,
 }) => {
   const menuRef = useRef(null);
@@ -79,7 +85,7 @@ export const ContextMenu = ({
 
       if (key === 'p') {
         event.preventDefault();
-        onTogglePwned(node);
+        onCycleAccess(node);
         onClose();
         return;
       }
@@ -98,15 +104,15 @@ export const ContextMenu = ({
       document.removeEventListener('mousedown', handleClickOutside);
       document.removeEventListener('keydown', handleKeyDown);
     };
-  }, [node, onClose, onEdit, onDuplicate, onFocus, onTogglePwned, onDelete]);
+  }, [node, onClose, onEdit, onDuplicate, onFocus, onCycleAccess, onDelete]);
 
   if (!node) return null;
 
   const adjustedX = x + 200 > window.innerWidth ? x - 200 : x;
-  const adjustedY = y + 280 > window.innerHeight ? y - 280 : y;
+  const adjustedY = y + 400 > window.innerHeight ? y - 400 : y;
 
   const typeIcon = nodeTypeIcons[node.type] || faGear;
-  const typeLabel = nodeTypeLabels[node.type] || 'Node';
+  const typeLabel = NodeTypeLabels[node.type] || 'Node';
 
   return (
     <div
@@ -163,17 +169,69 @@ export const ContextMenu = ({
         <div className="menu-divider" />
 
         <button
-          className={node.data?.pwned ? 'pwned-active' : 'pwned'}
+          className={`access access-${getAccessLevel(node)}`}
           onClick={() => {
-            onTogglePwned(node);
+            onSetAccess(node);
             onClose();
           }}
         >
-          <FontAwesomeIcon icon={node.data?.pwned ? faShieldHalved : faSkull} />
-          <span>{node.data?.pwned ? 'Mark as Secured' : 'Mark as Pwned'}</span>
+          <FontAwesomeIcon icon={faUserSecret} />
+          <span>Access: {AccessLevelLabels[getAccessLevel(node)]}</span>
           <kbd>P</kbd>
         </button>
 
+        <button
+          onClick={() => {
+            onFindPaths(node);
+            onClose();
+          }}
+        >
+          <FontAwesomeIcon icon={faRoute} />
+          <span>Find Attack Paths</span>
+        </button>
+
+        <button
+          onClick={() => {
+            onSetOperatorBox(node);
+            onClose();
+          }}
+        >
+          <FontAwesomeIcon icon={faLaptopCode} />
+          <span>{isOperatorBox ? 'Unset Operator Box' : 'Set as Operator Box'}</span>
+        </button>
+
+        <button
+          onClick={() => {
+            onShowCredentials(node);
+            onClose();
+          }}
+        >
+          <FontAwesomeIcon icon={faKey} />
+          <span>Credentials</span>
+        </button>
+
+        <button
+          onClick={() => {
+            onShowFindings(node);
+            onClose();
+          }}
+        >
+          <FontAwesomeIcon icon={faBug} />
+          <span>Findings</span>
+        </button>
+
+        {node.type !== NodeTypes.CIDR && (
+          <button
+            onClick={() => {
+              onPasteNetworking(node);
+              onClose();
+            }}
+          >
+            <FontAwesomeIcon icon={faPaste} />
+            <span>Paste Network Output</span>
+          </button>
+        )}
+
         <div className="menu-divider" />
 
         <button
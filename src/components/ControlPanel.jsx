@@ -1,8 +1,12 @@
 import React, { useState } from 'react';
-import { NodeTypes, ServerSubTypes, DeviceSubTypes, createNode } from '../types/index.js';
+import { NodeTypes, ServerSubTypes, DeviceSubTypes } from '../types/index.js';
+import { useFlowStore, selectNodeCount } from '../store/useFlowStore';
 import './ControlPanel.css';
 
-export const ControlPanel = ({ onFitView, nodes = [], onAddNode, onClearAll }) => {
+export const ControlPanel = ({ onFitView }) => {
+  const nodeCount = useFlowStore(selectNodeCount);
+  const addNode = useFlowStore((state) => state.addNode);
+  const clearAll = useFlowStore((state) => state.clearAll);
   const [showAddNode, setShowAddNode] = useState(false);
   const [nodeType, setNodeType] = useState(NodeTypes.SERVER);
   const [nodeLabel, setNodeLabel] = useState('');
@@ -31,8 +35,8 @@ export const ControlPanel = ({ onFitView, nodes = [], onAddNode, onClearAll }) =
       return;
     }
 
-    const newId = `${nodeType}-${Date.now()}`;
-    const newNode = createNode(newId, nodeType, {
+    addNode({
+      type: nodeType,
       label: nodeLabel,
       ip: nodeIP,
       subType: subType || null,
@@ -42,10 +46,6 @@ export const ControlPanel = ({ onFitView, nodes = [], onAddNode, onClearAll }) =
       },
     });
 
-    if (onAddNode) {
-      onAddNode(newNode);
-    }
-
     setNodeLabel('');
     setNodeIP('');
     setSubType('');
@@ -55,12 +55,10 @@ export const ControlPanel = ({ onFitView, nodes = [], onAddNode, onClearAll }) =
   const handleClearAll = () => {
     if (
       window.confirm(
-        `This will delete all ${nodes.length} nodes and their connections. Are you sure?`
+        `This will delete all ${nodeCount} nodes and their connections. Are you sure?`
       )
     ) {
-      if (onClearAll) {
-        onClearAll();
-      }
+      clearAll();
     }
   };
 
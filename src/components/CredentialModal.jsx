@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faXmark, faSave, faKey, faUser, faLock, faLocationDot, faCheck } from '@fortawesome/free-solid-svg-icons';
+import { CredentialTypes, CredentialTypeLabels, NodeTypes } from '../types/index';
+import './Modal.css';
+import './CredentialModal.css';
+
+/**
+ * Add or edit a credential
+ * @param {object | null} credential - null to create one
+ * @param {object[]} nodes - Nodes it can be linked to
+ * @param {string | null} defaultNodeId - Pre-selected source node for new credentials
+ */
+export const CredentialModal = ({ credential, nodes, defaultNodeId, onSave, onClose }) => {
+  const [formData, setFormData] = useState(() => ({
+    type: credential?.type || CredentialTypes.PASSWORD,
+    username: credential?.username || '',
+    domain: credential?.domain || '',
+    secret: credential?.secret || '',
+    sourceNodeId: credential ? credential.sourceNodeId || '' : defaultNodeId || '',
+    validOn: credential?.validOn || [],
+    notes: credential?.notes || '',
+  }));
+  const [hostFilter, setHostFilter] = useState('');
+
+  const hosts = nodes
+    .filter((node) => node.type !== NodeTypes.CIDR)
+    .sort((a, b) => a.data.label.localeCompare(b.data.label));
+  const filteredHosts = hosts.filter(
+    (node) =>
+      formData.validOn.includes(node.id) ||
+      `${node.data.label} ${node.data.ip}`.toLowerCase().includes(hostFilter.toLowerCase())
+  );
+
+  const update = (field, value) => setFormData((prev) => ({ ...prev, [field]: value }));
+
+  const toggleValidOn = (nodeId) => {
+    update(
+      'validOn',
+      formData.validOn.includes(nodeId)
+        ? formData.validOn.filter((id) => id !== nodeId)
+        : [...formData.validOn, nodeId]
+    );
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      ...formData,
+      username: formData.username.trim(),
+      domain: formData.domain.trim(),
+      sourceNodeId: formData.sourceNodeId || null,
+      // Editing the secret of a redacted import restores it
+      ...(credential?.redacted && formData.secret ? { redacted: false } : {}),
+    });
+    onClose();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-container credential-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">
+            <FontAwesomeIcon icon={faKey} className="title-icon" />
+            <span>{credential ? 'Edit Credential' : 'Add Credential'}</span>
+          </div>
+          <button className="modal-close" onClick={onClose}>
+            <FontAwesomeIcon icon={faXmark} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="modal-body">
+            <div className="form-group">
+              <label htmlFor="credType">Type</label>
+              <select id="credType" value={formData.type} onChange={(e) => update('type', e.target.value)}>
+                {Object.values(CredentialTypes).map((type) => (
+                  <option key={type} value={type}>
+                    {CredentialTypeLabels[type]}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="credUsername">
+                  <FontAwesomeIcon icon={faUser} /> Username
+                </label>
+                <input
+                  id="credUsername"
+                  type="text"
+                  value={formData.username}
+                  onChange={(e) => update('username', e.target.value)}
+                  placeholder="administrator"
+                  autoFocus
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="credDomain">Domain</label>
+                <input
+                  id="credDomain"
+                  type="text"
+                  value={formData.domain}
+                  onChange={(e) => update('domain', e.target.value)}
+                  placeholder="CORP (empty for local)"
+                />
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="credSecret">
+                <FontAwesomeIcon icon={faLock} /> Secret
+              </label>
+              <textarea
+                id="credSecret"
+                className="credential-secret-input"
+                value={formData.secret}
+                onChange={(e) => update('secret', e.target.value)}
+                placeholder={credential?.redacted ? 'Redacted on export' : 'Password, hash, ticket or key'}
+                rows={3}
+                spellCheck={false}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="credSource">
+                <FontAwesomeIcon icon={faLocationDot} /> Captured on
+              </label>
+              <select
+                id="credSource"
+                value={formData.sourceNodeId}
+                onChange={(e) => update('sourceNodeId', e.target.value)}
+              >
+                <option value="">Unknown</option>
+                {hosts.map((node) => (
+                  <option key={node.id} value={node.id}>
+                    {node.data.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label>
+                <FontAwesomeIcon icon={faCheck} /> Valid on ({formData.validOn.length})
+              </label>
+              <input
+                type="text"
+                value={hostFilter}
+                onChange={(e) => setHostFilter(e.target.value)}
+                placeholder="Filter hosts..."
+              />
+              <div className="credential-host-list">
+                {filteredHosts.map((node) => (
+                  <label key={node.id} className="credential-host">
+                    <input
+                      type="checkbox"
+                      checked={formData.validOn.includes(node.id)}
+                      onChange={() => toggleValidOn(node.id)}
+                    />
+                    <span>{node.data.label}</span>
+                    <span className="credential-host-ip">{node.data.ip}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="credNotes">Notes</label>
+              <textarea
+                id="credNotes"
+                value={formData.notes}
+                onChange={(e) => update('notes', e.target.value)}
+                placeholder="Where and how it was obtained..."
+                rows={2}
+              />
+            </div>
+          </div>
+
+          <div className="modal-footer">
+            <button type="button" className="btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn-primary">
+              <FontAwesomeIcon icon={faSave} />
+              <span>Save</span>
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,187 @@
+import React, { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faKey,
+  faXmark,
+  faPlus,
+  faEye,
+  faEyeSlash,
+  faCopy,
+  faPencil,
+  faTrash,
+  faLocationDot,
+  faCheck,
+} from '@fortawesome/free-solid-svg-icons';
+import { useFlowStore, selectCredentials } from '../store/useFlowStore';
+import { CredentialTypeLabels } from '../types/index';
+import { CredentialModal } from './CredentialModal';
+import './CredentialsPanel.css';
+
+const MASK = '••••••••';
+
+const accountName = (credential) =>
+  credential.domain ? `${credential.domain}\\${credential.username}` : credential.username || '(no user)';
+
+/**
+ * Credential vault, optionally filtered to the credentials linked to one node
+ */
+export const CredentialsPanel = ({ nodes, nodeId, onNodeFilterChange, onFocusNode, onClose }) => {
+  const credentials = useFlowStore(selectCredentials);
+  const addCredential = useFlowStore((state) => state.addCredential);
+  const updateCredential = useFlowStore((state) => state.updateCredential);
+  const deleteCredential = useFlowStore((state) => state.deleteCredential);
+
+  // undefined: modal closed, null: adding, object: editing
+  const [editing, setEditing] = useState(undefined);
+  const [revealed, setRevealed] = useState(() => new Set());
+
+  const nodeById = new Map(nodes.map((node) => [node.id, node]));
+  const labelOf = (id) => nodeById.get(id)?.data.label || id;
+  const filterNode = nodeId ? nodeById.get(nodeId) : null;
+  const shown = filterNode
+    ? credentials.filter((c) => c.sourceNodeId === nodeId || c.validOn.includes(nodeId))
+    : credentials;
+
+  const toggleReveal = (id) => {
+    setRevealed((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const handleCopy = (credential) => {
+    if (!navigator.clipboard) {
+      alert('Clipboard is not available');
+      return;
+    }
+    navigator.clipboard.writeText(credential.secret).catch(() => {
+      alert('Could not access the clipboard');
+    });
+  };
+
+  const handleDelete = (credential) => {
+    if (window.confirm(`Delete credential ${accountName(credential)}?`)) {
+      deleteCredential(credential.id);
+    }
+  };
+
+  const handleSave = (data) => {
+    if (editing) {
+      updateCredential(editing.id, data);
+    } else {
+      addCredential(data);
+    }
+  };
+
+  const focus = (id) => {
+    const node = nodeById.get(id);
+    if (node) onFocusNode(node);
+  };
+
+  return (
+    <div className="credentials-panel">
+      <div className="credentials-panel-header">
+        <div className="credentials-panel-title">
+          <FontAwesomeIcon icon={faKey} />
+          <span>Credentials</span>
+          <span className="credentials-count">{shown.length}</span>
+        </div>
+        <div className="credentials-panel-actions">
+          <button onClick={() => setEditing(null)} title="Add credential">
+            <FontAwesomeIcon icon={faPlus} />
+          </button>
+          <button onClick={onClose} title="Close">
+            <FontAwesomeIcon icon={faXmark} />
+          </button>
+        </div>
+      </div>
+
+      {filterNode && (
+        <div className="credentials-filter">
+          <span>Linked to {filterNode.data.label}</span>
+          <button onClick={() => onNodeFilterChange(null)} title="Show all credentials">
+            <FontAwesomeIcon icon={faXmark} />
+          </button>
+        </div>
+      )}
+
+      <div className="credentials-panel-body">
+        {shown.length === 0 && (
+          <div className="credentials-empty">
+            No credentials{filterNode ? ' linked to this node' : ' yet'}.
+          </div>
+        )}
+        <ul className="credentials-list">
+          {shown.map((credential) => (
+            <li key={credential.id} className="credential-item">
+              <div className="credential-row">
+                <span className="credential-account">{accountName(credential)}</span>
+                <span className="credential-type">{CredentialTypeLabels[credential.type]}</span>
+                <span className="credential-item-actions">
+                  <button onClick={() => setEditing(credential)} title="Edit">
+                    <FontAwesomeIcon icon={faPencil} />
+                  </button>
+                  <button className="danger" onClick={() => handleDelete(credential)} title="Delete">
+                    <FontAwesomeIcon icon={faTrash} />
+                  </button>
+                </span>
+              </div>
+
+              <div className="credential-row credential-secret">
+                <code>
+                  {credential.redacted && !credential.secret
+                    ? '[redacted]'
+                    : revealed.has(credential.id)
+                      ? credential.secret
+                      : MASK}
+                </code>
+                {credential.secret && (
+                  <>
+                    <button onClick={() => toggleReveal(credential.id)} title="Show / hide">
+                      <FontAwesomeIcon icon={revealed.has(credential.id) ? faEyeSlash : faEye} />
+                    </button>
+                    <button onClick={() => handleCopy(credential)} title="Copy secret">
+                      <FontAwesomeIcon icon={faCopy} />
+                    </button>
+                  </>
+                )}
+              </div>
+
+              {credential.sourceNodeId && (
+                <div className="credential-links">
+                  <FontAwesomeIcon icon={faLocationDot} title="Captured on" />
+                  <button onClick={() => focus(credential.sourceNodeId)}>
+                    {labelOf(credential.sourceNodeId)}
+                  </button>
+                </div>
+              )}
+              {credential.validOn.length > 0 && (
+                <div className="credential-links">
+                  <FontAwesomeIcon icon={faCheck} title="Valid on" />
+                  {credential.validOn.map((id) => (
+                    <button key={id} onClick={() => focus(id)}>
+                      {labelOf(id)}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {credential.notes && <div className="credential-notes">{credential.notes}</div>}
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {editing !== undefined && (
+        <CredentialModal
+          credential={editing}
+          nodes={nodes}
+          defaultNodeId={nodeId}
+          onSave={handleSave}
+          onClose={() => setEditing(undefined)}
+        />
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,167 @@
+import React, { useMemo, useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faXmark,
+  faFileCsv,
+  faFileImport,
+  faTriangleExclamation,
+} from '@fortawesome/free-solid-svg-icons';
+import { useFlowStore, selectNodeCount, selectTagCatalogue } from '../store/useFlowStore';
+import { NodeTypeLabels, NodeTypes } from '../types/index';
+import {
+  CsvColumnTargets,
+  CsvColumnTargetLabels,
+  buildCsvHosts,
+  suggestColumnMapping,
+} from '../utils/importers/csvImporter';
+import './Modal.css';
+import './CsvImportModal.css';
+
+const PREVIEW_ROWS = 100;
+
+/**
+ * Map the columns of an asset inventory CSV and preview the rows before importing
+ * @param {string} fileName
+ * @param {{ headers: string[], rows: string[][] }} csv - Result of parseCSV
+ * @param {function} onImport - Called with the buildCsvHosts result and `{ arrange }`
+ */
+export const CsvImportModal = ({ fileName, csv, onImport, onClose }) => {
+  const tagCatalogue = useFlowStore(selectTagCatalogue);
+  const nodeCount = useFlowStore(selectNodeCount);
+  const [mapping, setMapping] = useState(() => suggestColumnMapping(csv.headers));
+  // Rearranging moves existing nodes too, so it is only the default on an empty canvas
+  const [arrange, setArrange] = useState(nodeCount === 0);
+
+  const inventory = useMemo(() => buildCsvHosts(csv, mapping), [csv, mapping]);
+  const problemRows = inventory.rows.filter((row) => row.errors.length > 0).length;
+  const skippedRows = inventory.rows.filter((row) => !row.host && row.networks.length === 0).length;
+  const empty = inventory.hosts.length === 0 && inventory.networks.length === 0;
+
+  const updateColumn = (index, changes) =>
+    setMapping((prev) => prev.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)));
+
+  const sample = (index) => csv.rows.find((row) => row[index])?.[index] || '';
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (empty) return;
+    onImport(inventory, { arrange });
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-container csv-import-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">
+            <FontAwesomeIcon icon={faFileCsv} className="title-icon" />
+            <span>Import {fileName}</span>
+          </div>
+          <button className="modal-close" onClick={onClose}>
+            <FontAwesomeIcon icon={faXmark} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="modal-body">
+            <div className="form-group">
+              <label>Columns</label>
+              <div className="csv-mapping">
+                {csv.headers.map((header, index) => (
+                  <div key={index} className="csv-mapping-row">
+                    <div className="csv-column">
+                      <span className="csv-column-name">{header}</span>
+                      <span className="csv-column-sample">{sample(index)}</span>
+                    </div>
+                    <select
+                      value={mapping[index].target}
+                      onChange={(e) => updateColumn(index, { target: e.target.value })}
+                    >
+                      {Object.values(CsvColumnTargets).map((target) => (
+                        <option key={target} value={target}>
+                          {CsvColumnTargetLabels[target]}
+                        </option>
+                      ))}
+                    </select>
+                    {mapping[index].target === CsvColumnTargets.TAGS && (
+                      <select
+                        value={mapping[index].category}
+                        onChange={(e) => updateColumn(index, { category: e.target.value })}
+                        title="Tag category"
+                      >
+                        {tagCatalogue.map((category) => (
+                          <option key={category.key} value={category.key}>
+                            {category.name}
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="csv-summary">
+              <span>{inventory.rows.length} rows</span>
+              <span className="csv-ok">{inventory.hosts.length} hosts</span>
+              {inventory.networks.length > 0 && <span>{inventory.networks.length} networks</span>}
+              {problemRows > 0 && <span className="csv-problem">{problemRows} with problems</span>}
+              {skippedRows > 0 && <span className="csv-problem">{skippedRows} skipped</span>}
+            </div>
+
+            <div className="csv-preview">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Line</th>
+                    <th>Label</th>
+                    <th>IP</th>
+                    <th>Type</th>
+                    <th>Problems</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {inventory.rows.slice(0, PREVIEW_ROWS).map((row) => (
+                    <tr key={row.line} className={row.host || row.networks.length > 0 ? '' : 'skipped'}>
+                      <td>{row.line}</td>
+                      <td>{row.host ? row.host.label || row.host.hostnames[0] || row.host.ips[0] : '—'}</td>
+                      <td className="csv-ips">{[...(row.host?.ips || []), ...row.networks].join(', ')}</td>
+                      <td>
+                        {row.host
+                          ? NodeTypeLabels[row.host.nodeType] || 'Detect'
+                          : row.networks.length > 0
+                            ? NodeTypeLabels[NodeTypes.CIDR]
+                            : ''}
+                      </td>
+                      <td className="csv-errors">
+                        {row.errors.length > 0 && <FontAwesomeIcon icon={faTriangleExclamation} />}{' '}
+                        {row.errors.join('; ')}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {inventory.rows.length > PREVIEW_ROWS && (
+                <div className="csv-more">…and {inventory.rows.length - PREVIEW_ROWS} more rows</div>
+              )}
+            </div>
+
+            <label className="csv-arrange">
+              <input type="checkbox" checked={arrange} onChange={(e) => setArrange(e.target.checked)} />
+              <span>Arrange the map as a CIDR tree after importing</span>
+            </label>
+          </div>
+
+          <div className="modal-footer">
+            <button type="button" className="btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn-primary" disabled={empty}>
+              <FontAwesomeIcon icon={faFileImport} />
+              <span>Import</span>
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
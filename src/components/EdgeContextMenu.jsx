@@ -0,0 +1,153 @@
+import React, { useEffect, useRef } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faPencil,
+  faTrash,
+  faArrowRightLong,
+  faCheck,
+  faPlug,
+  faPlugCircleXmark,
+} from '@fortawesome/free-solid-svg-icons';
+import { EdgeTypes, EdgeTypeLabels, PivotStatuses } from '../types/index';
+import { getEdgeType, formatEdgeLabel } from '../utils/edgeStyles';
+import { isPivotEdge, isLivePivot } from '../utils/pivotUtils';
+import { EdgeSwatch } from './EdgeLegend';
+import './ContextMenu.css';
+
+export const EdgeContextMenu = ({
+  x,
+  y,
+  edge,
+  nodes,
+  onEdit,
+  onSetType,
+  onSetPivotStatus,
+  onDelete,
+  onClose,
+}) => {
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        onClose();
+      }
+    };
+
+    const handleKeyDown = (event) => {
+      const key = event.key.toLowerCase();
+
+      if (key === 'escape') {
+        onClose();
+        return;
+      }
+
+      if (key === 'e') {
+        event.preventDefault();
+        onEdit(edge);
+        onClose();
+        return;
+      }
+
+      if (key === 'delete' || key === 'backspace') {
+        event.preventDefault();
+        onDelete(edge.id);
+        onClose();
+        return;
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [edge, onClose, onEdit, onDelete]);
+
+  if (!edge) return null;
+
+  const adjustedX = x + 200 > window.innerWidth ? x - 200 : x;
+  const adjustedY = y + 320 > window.innerHeight ? y - 320 : y;
+
+  const labelOf = (id) => nodes.find((node) => node.id === id)?.data.label || id;
+  const currentType = getEdgeType(edge);
+  const label = formatEdgeLabel(edge);
+
+  return (
+    <div
+      ref={menuRef}
+      className="context-menu"
+      style={{
+        left: adjustedX,
+        top: adjustedY,
+      }}
+    >
+      <div className="context-menu-header">
+        <div className="node-type-badge">
+          <FontAwesomeIcon icon={faArrowRightLong} />
+          <span>{EdgeTypeLabels[currentType]} Edge</span>
+        </div>
+        <div className="node-label">
+          {labelOf(edge.source)} → {labelOf(edge.target)}
+        </div>
+        {label && <div className="node-ip">{label}</div>}
+      </div>
+
+      <div className="context-menu-items">
+        <button
+          onClick={() => {
+            onEdit(edge);
+            onClose();
+          }}
+        >
+          <FontAwesomeIcon icon={faPencil} />
+          <span>Edit Edge</span>
+          <kbd>E</kbd>
+        </button>
+
+        {isPivotEdge(edge) && (
+          <button
+            onClick={() => {
+              onSetPivotStatus(edge, isLivePivot(edge) ? PivotStatuses.DEAD : PivotStatuses.ACTIVE);
+              onClose();
+            }}
+          >
+            <FontAwesomeIcon icon={isLivePivot(edge) ? faPlugCircleXmark : faPlug} />
+            <span>{isLivePivot(edge) ? 'Mark Tunnel Dead' : 'Mark Tunnel Active'}</span>
+          </button>
+        )}
+
+        <div className="menu-divider" />
+
+        {Object.values(EdgeTypes).map((type) => (
+          <button
+            key={type}
+            onClick={() => {
+              if (type !== currentType) onSetType(edge, type);
+              onClose();
+            }}
+          >
+            <EdgeSwatch type={type} />
+            <span>{EdgeTypeLabels[type]}</span>
+            {type === currentType && <FontAwesomeIcon icon={faCheck} className="menu-check" />}
+          </button>
+        ))}
+
+        <div className="menu-divider" />
+
+        <button
+          className="danger"
+          onClick={() => {
+            onDelete(edge.id);
+            onClose();
+          }}
+        >
+          <FontAwesomeIcon icon={faTrash} />
+          <span>Delete</span>
+          <kbd>Del</kbd>
+        </button>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,251 @@
+import React, { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faXmark, faSave, faArrowRightLong } from '@fortawesome/free-solid-svg-icons';
+import {
+  EdgeTypes,
+  EdgeTypeLabels,
+  TunnelKinds,
+  TunnelKindLabels,
+  PivotDirections,
+  PivotDirectionLabels,
+  PivotStatuses,
+  createPivot,
+} from '../types/index';
+import { getEdgeType } from '../utils/edgeStyles';
+import { getPivot } from '../utils/pivotUtils';
+import './Modal.css';
+import './EdgeEditModal.css';
+
+const PROTOCOL_SUGGESTIONS = ['tcp', 'udp', 'smb', 'rdp', 'ssh', 'winrm', 'http', 'https', 'ldap', 'kerberos', 'mssql'];
+
+/**
+ * Edit an edge's type, label, protocol/port, path weight and notes, plus the tunnel
+ * details of pivot edges
+ * @param {object} edge - Store edge
+ * @param {object[]} nodes - Used to name the endpoints
+ */
+export const EdgeEditModal = ({ edge, nodes, onSave, onClose }) => {
+  const [formData, setFormData] = useState(() => {
+    const pivot = getPivot(edge);
+    return {
+      type: getEdgeType(edge),
+      label: edge.data?.label || '',
+      protocol: edge.data?.protocol || '',
+      port: edge.data?.port ? String(edge.data.port) : '',
+      weight: edge.data?.weight ? String(edge.data.weight) : '',
+      notes: edge.data?.notes || '',
+      tunnelKind: pivot.kind,
+      listenPort: pivot.listenPort ? String(pivot.listenPort) : '',
+      direction: pivot.direction,
+      status: pivot.status,
+    };
+  });
+
+  const update = (field, value) => setFormData((prev) => ({ ...prev, [field]: value }));
+  const labelOf = (id) => nodes.find((node) => node.id === id)?.data.label || id;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      type: formData.type,
+      label: formData.label.trim(),
+      // Cleared fields are dropped rather than saved empty
+      protocol: formData.protocol.trim().toLowerCase() || undefined,
+      port: formData.port ? Number(formData.port) : undefined,
+      weight: Number(formData.weight) > 0 ? Number(formData.weight) : undefined,
+      notes: formData.notes.trim() || undefined,
+      pivot:
+        formData.type === EdgeTypes.PIVOT
+          ? createPivot({
+              kind: formData.tunnelKind,
+              listenPort: formData.listenPort ? Number(formData.listenPort) : null,
+              direction: formData.direction,
+              status: formData.status,
+            })
+          : undefined,
+    });
+    onClose();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-container edge-edit-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">
+            <FontAwesomeIcon icon={faArrowRightLong} className="title-icon" />
+            <span>Edit Edge</span>
+          </div>
+          <button className="modal-close" onClick={onClose}>
+            <FontAwesomeIcon icon={faXmark} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="modal-body">
+            <div className="edge-endpoints">
+              <span>{labelOf(edge.source)}</span>
+              <FontAwesomeIcon icon={faArrowRightLong} />
+              <span>{labelOf(edge.target)}</span>
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="edgeType">Type</label>
+                <select
+                  id="edgeType"
+                  value={formData.type}
+                  onChange={(e) => update('type', e.target.value)}
+                >
+                  {Object.values(EdgeTypes).map((type) => (
+                    <option key={type} value={type}>
+                      {EdgeTypeLabels[type]}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label htmlFor="edgeLabel">Label</label>
+                <input
+                  id="edgeLabel"
+                  type="text"
+                  value={formData.label}
+                  onChange={(e) => update('label', e.target.value)}
+                  placeholder="VLAN 20, uplink..."
+                  autoFocus
+                />
+              </div>
+            </div>
+
+            {formData.type === EdgeTypes.PIVOT && (
+              <>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="pivotKind">Tunnel</label>
+                    <select
+                      id="pivotKind"
+                      value={formData.tunnelKind}
+                      onChange={(e) => update('tunnelKind', e.target.value)}
+                    >
+                      {Object.values(TunnelKinds).map((kind) => (
+                        <option key={kind} value={kind}>
+                          {TunnelKindLabels[kind]}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="pivotListenPort">Listening Port</label>
+                    <input
+                      id="pivotListenPort"
+                      type="number"
+                      min={1}
+                      max={65535}
+                      value={formData.listenPort}
+                      onChange={(e) => update('listenPort', e.target.value)}
+                      placeholder="1080"
+                    />
+                  </div>
+                </div>
+
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor="pivotDirection">Direction</label>
+                    <select
+                      id="pivotDirection"
+                      value={formData.direction}
+                      onChange={(e) => update('direction', e.target.value)}
+                    >
+                      {Object.values(PivotDirections).map((direction) => (
+                        <option key={direction} value={direction}>
+                          {PivotDirectionLabels[direction]}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="pivotStatus">Status</label>
+                    <select
+                      id="pivotStatus"
+                      value={formData.status}
+                      onChange={(e) => update('status', e.target.value)}
+                    >
+                      <option value={PivotStatuses.ACTIVE}>Active</option>
+                      <option value={PivotStatuses.DEAD}>Dead</option>
+                    </select>
+                  </div>
+                </div>
+              </>
+            )}
+
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="edgeProtocol">Protocol</label>
+                <input
+                  id="edgeProtocol"
+                  type="text"
+                  list="edgeProtocolSuggestions"
+                  value={formData.protocol}
+                  onChange={(e) => update('protocol', e.target.value)}
+                  placeholder="smb"
+                />
+                <datalist id="edgeProtocolSuggestions">
+                  {PROTOCOL_SUGGESTIONS.map((protocol) => (
+                    <option key={protocol} value={protocol} />
+                  ))}
+                </datalist>
+              </div>
+              <div className="form-group">
+                <label htmlFor="edgePort">Port</label>
+                <input
+                  id="edgePort"
+                  type="number"
+                  min={1}
+                  max={65535}
+                  value={formData.port}
+                  onChange={(e) => update('port', e.target.value)}
+                  placeholder="445"
+                />
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="edgeWeight">
+                Path Weight <span className="label-hint">cost of this hop in attack path analysis</span>
+              </label>
+              <input
+                id="edgeWeight"
+                type="number"
+                min={0.1}
+                step="any"
+                value={formData.weight}
+                onChange={(e) => update('weight', e.target.value)}
+                placeholder="1"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="edgeNotes">Notes</label>
+              <textarea
+                id="edgeNotes"
+                value={formData.notes}
+                onChange={(e) => update('notes', e.target.value)}
+                placeholder="Firewall rules, observed traffic..."
+                rows={3}
+              />
+            </div>
+          </div>
+
+          <div className="modal-footer">
+            <button type="button" className="btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn-primary">
+              <FontAwesomeIcon icon={faSave} />
+              <span>Save</span>
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,48 @@
+import React from 'react';
+import { MarkerType } from 'reactflow';
+import { EdgeTypes, EdgeTypeLabels } from '../types/index';
+import { EdgeTypeStyles, getEdgeType } from '../utils/edgeStyles';
+import './EdgeLegend.css';
+
+/**
+ * Sample of an edge type's line and arrowhead
+ */
+export const EdgeSwatch = ({ type }) => {
+  const { color, dash, marker } = EdgeTypeStyles[type];
+  return (
+    <svg className="edge-swatch" width="28" height="10" viewBox="0 0 28 10" aria-hidden="true">
+      <line x1="1" y1="5" x2={marker ? 22 : 27} y2="5" stroke={color} strokeWidth="2" strokeDasharray={dash || undefined} />
+      {marker && (
+        <polygon
+          points="21,1 27,5 21,9"
+          fill={marker === MarkerType.ArrowClosed ? color : 'none'}
+          stroke={color}
+          strokeWidth="1.5"
+        />
+      )}
+    </svg>
+  );
+};
+
+/**
+ * Edge type legend with counts
+ */
+export const EdgeLegend = ({ edges }) => {
+  const counts = {};
+  edges.forEach((edge) => {
+    const type = getEdgeType(edge);
+    counts[type] = (counts[type] || 0) + 1;
+  });
+
+  return (
+    <div className="edge-legend">
+      {Object.values(EdgeTypes).map((type) => (
+        <span key={type} className={`edge-legend-item ${counts[type] ? '' : 'empty'}`}>
+          <EdgeSwatch type={type} />
+          <span>{EdgeTypeLabels[type]}</span>
+          <span className="edge-legend-count">{counts[type] || 0}</span>
+        </span>
+      ))}
+    </div>
+  );
+};
@@ -0,0 +1,284 @@
+import React, { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faXmark,
+  faSave,
+  faBug,
+  faGauge,
+  faCircleExclamation,
+  faServer,
+} from '@fortawesome/free-solid-svg-icons';
+import {
+  FindingStatuses,
+  FindingStatusLabels,
+  SeverityLabels,
+  NodeTypes,
+} from '../types/index';
+import { calculateCVSSScore, severityFromScore } from '../utils/cvss';
+import { parseCVEList } from '../utils/findingUtils';
+import { serviceKey, describeService } from '../utils/serviceUtils';
+import './Modal.css';
+import './FindingModal.css';
+
+const CVE_PATTERN = /^CVE-\d{4}-\d{4,}$/;
+
+/**
+ * Score of the form: computed from the vector, or the manual score without one
+ * @returns {{ score: number | null, error: string | null }}
+ */
+function resolveScore(vector, manualScore) {
+  if (vector.trim()) {
+    try {
+      return { score: calculateCVSSScore(vector), error: null };
+    } catch (error) {
+      return { score: null, error: error.message };
+    }
+  }
+  if (manualScore === '') return { score: null, error: null };
+  const score = Number(manualScore);
+  if (!Number.isFinite(score) || score < 0 || score > 10) {
+    return { score: null, error: 'Score must be between 0 and 10' };
+  }
+  return { score: Math.round(score * 10) / 10, error: null };
+}
+
+/**
+ * Add or edit a vulnerability finding
+ * @param {object | null} finding - null to create one
+ * @param {object[]} nodes - Nodes it can affect
+ * @param {string | null} defaultNodeId - Pre-selected affected node for new findings
+ */
+export const FindingModal = ({ finding, nodes, defaultNodeId, onSave, onClose }) => {
+  const [formData, setFormData] = useState(() => ({
+    title: finding?.title || '',
+    cves: finding?.cves.join(', ') || '',
+    cvssVector: finding?.cvssVector || '',
+    manualScore: !finding?.cvssVector && finding?.cvssScore != null ? String(finding.cvssScore) : '',
+    status: finding?.status || FindingStatuses.OPEN,
+    evidence: finding?.evidence || '',
+    affected: finding?.affected || (defaultNodeId ? [{ nodeId: defaultNodeId, service: null }] : []),
+  }));
+  const [hostFilter, setHostFilter] = useState('');
+
+  const update = (field, value) => setFormData((prev) => ({ ...prev, [field]: value }));
+
+  const affectedById = new Map(formData.affected.map((entry) => [entry.nodeId, entry]));
+  const hosts = nodes
+    .filter((node) => node.type !== NodeTypes.CIDR)
+    .sort((a, b) => a.data.label.localeCompare(b.data.label));
+  const filteredHosts = hosts.filter(
+    (node) =>
+      affectedById.has(node.id) ||
+      `${node.data.label} ${node.data.ip}`.toLowerCase().includes(hostFilter.toLowerCase())
+  );
+
+  const { score, error: scoreError } = resolveScore(formData.cvssVector, formData.manualScore);
+  const severity = severityFromScore(score);
+  const cves = parseCVEList(formData.cves);
+  const invalidCVEs = cves.filter((cve) => !CVE_PATTERN.test(cve));
+
+  const toggleAffected = (nodeId) => {
+    update(
+      'affected',
+      affectedById.has(nodeId)
+        ? formData.affected.filter((entry) => entry.nodeId !== nodeId)
+        : [...formData.affected, { nodeId, service: null }]
+    );
+  };
+
+  const setAffectedService = (nodeId, service) => {
+    update(
+      'affected',
+      formData.affected.map((entry) =>
+        entry.nodeId === nodeId ? { ...entry, service: service || null } : entry
+      )
+    );
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (scoreError) return;
+    onSave({
+      title: formData.title.trim(),
+      cves,
+      cvssVector: formData.cvssVector.trim(),
+      cvssScore: score,
+      status: formData.status,
+      evidence: formData.evidence,
+      affected: formData.affected,
+    });
+    onClose();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-container finding-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">
+            <FontAwesomeIcon icon={faBug} className="title-icon" />
+            <span>{finding ? 'Edit Finding' : 'Add Finding'}</span>
+          </div>
+          <button className="modal-close" onClick={onClose}>
+            <FontAwesomeIcon icon={faXmark} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="modal-body">
+            <div className="form-group">
+              <label htmlFor="findingTitle">Title</label>
+              <input
+                id="findingTitle"
+                type="text"
+                value={formData.title}
+                onChange={(e) => update('title', e.target.value)}
+                placeholder="Netlogon elevation of privilege (Zerologon)"
+                required
+                autoFocus
+              />
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="findingCVEs">CVE IDs</label>
+                <input
+                  id="findingCVEs"
+                  type="text"
+                  value={formData.cves}
+                  onChange={(e) => update('cves', e.target.value)}
+                  placeholder="CVE-2020-1472, ..."
+                  className={invalidCVEs.length > 0 ? 'finding-input-warning' : ''}
+                />
+                {invalidCVEs.length > 0 && (
+                  <span className="finding-hint">
+                    <FontAwesomeIcon icon={faCircleExclamation} />
+                    Not a CVE id: {invalidCVEs.join(', ')}
+                  </span>
+                )}
+              </div>
+              <div className="form-group">
+                <label htmlFor="findingStatus">Status</label>
+                <select
+                  id="findingStatus"
+                  value={formData.status}
+                  onChange={(e) => update('status', e.target.value)}
+                >
+                  {Object.values(FindingStatuses).map((status) => (
+                    <option key={status} value={status}>
+                      {FindingStatusLabels[status]}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="findingVector">
+                <FontAwesomeIcon icon={faGauge} /> CVSS v3 Vector
+              </label>
+              <div className="finding-score-row">
+                <input
+                  id="findingVector"
+                  type="text"
+                  value={formData.cvssVector}
+                  onChange={(e) => update('cvssVector', e.target.value)}
+                  placeholder="CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H"
+                  spellCheck={false}
+                />
+                {!formData.cvssVector.trim() && (
+                  <input
+                    type="number"
+                    min={0}
+                    max={10}
+                    step={0.1}
+                    value={formData.manualScore}
+                    onChange={(e) => update('manualScore', e.target.value)}
+                    placeholder="Score"
+                    aria-label="Score without a vector"
+                    className="finding-manual-score"
+                  />
+                )}
+                <span className={`severity-pill severity-${severity}`}>
+                  {score === null ? '-' : score.toFixed(1)} {SeverityLabels[severity]}
+                </span>
+              </div>
+              {scoreError && (
+                <span className="finding-hint finding-error">
+                  <FontAwesomeIcon icon={faCircleExclamation} />
+                  {scoreError}
+                </span>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="findingEvidence">Evidence</label>
+              <textarea
+                id="findingEvidence"
+                value={formData.evidence}
+                onChange={(e) => update('evidence', e.target.value)}
+                placeholder="Command output, request/response, screenshots reference..."
+                rows={4}
+                className="finding-evidence-input"
+              />
+            </div>
+
+            <div className="form-group">
+              <label>
+                <FontAwesomeIcon icon={faServer} /> Affected ({formData.affected.length})
+              </label>
+              <input
+                type="text"
+                value={hostFilter}
+                onChange={(e) => setHostFilter(e.target.value)}
+                placeholder="Filter hosts..."
+              />
+              <div className="finding-host-list">
+                {filteredHosts.map((node) => {
+                  const entry = affectedById.get(node.id);
+                  const services = node.data.services || [];
+                  return (
+                    <div key={node.id} className="finding-host">
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={Boolean(entry)}
+                          onChange={() => toggleAffected(node.id)}
+                        />
+                        <span>{node.data.label}</span>
+                        <span className="finding-host-ip">{node.data.ip}</span>
+                      </label>
+                      {entry && services.length > 0 && (
+                        <select
+                          value={entry.service || ''}
+                          onChange={(e) => setAffectedService(node.id, e.target.value)}
+                          aria-label={`Affected service on ${node.data.label}`}
+                        >
+                          <option value="">Whole host</option>
+                          {services.map((svc) => (
+                            <option key={serviceKey(svc)} value={serviceKey(svc)}>
+                              {serviceKey(svc)} {describeService(svc)}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          </div>
+
+          <div className="modal-footer">
+            <button type="button" className="btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn-primary" disabled={Boolean(scoreError)}>
+              <FontAwesomeIcon icon={faSave} />
+              <span>Save</span>
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,189 @@
+import React, { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faBug,
+  faXmark,
+  faPlus,
+  faPencil,
+  faTrash,
+  faServer,
+} from '@fortawesome/free-solid-svg-icons';
+import { useFlowStore, selectFindings } from '../store/useFlowStore';
+import { FindingStatusLabels, SeverityLabels } from '../types/index';
+import {
+  SEVERITY_ORDER,
+  isActiveFinding,
+  findingSeverity,
+  affectsNode,
+  sortFindings,
+} from '../utils/findingUtils';
+import { FindingModal } from './FindingModal';
+import './FindingsPanel.css';
+
+const NVD_URL = 'https://nvd.nist.gov/vuln/detail/';
+
+/**
+ * Findings list, optionally filtered to the findings affecting one node
+ * The severity counts double as the legend for node colouring.
+ */
+export const FindingsPanel = ({ nodes, nodeId, onNodeFilterChange, onFocusNode, onClose }) => {
+  const findings = useFlowStore(selectFindings);
+  const addFinding = useFlowStore((state) => state.addFinding);
+  const updateFinding = useFlowStore((state) => state.updateFinding);
+  const deleteFinding = useFlowStore((state) => state.deleteFinding);
+
+  // undefined: modal closed, null: adding, object: editing
+  const [editing, setEditing] = useState(undefined);
+  const [showResolved, setShowResolved] = useState(false);
+
+  const nodeById = new Map(nodes.map((node) => [node.id, node]));
+  const filterNode = nodeId ? nodeById.get(nodeId) : null;
+  const scoped = filterNode ? findings.filter((f) => affectsNode(f, nodeId)) : findings;
+  const active = scoped.filter(isActiveFinding);
+  const shown = sortFindings(showResolved ? scoped : active);
+
+  const severityCounts = {};
+  active.forEach((finding) => {
+    const severity = findingSeverity(finding);
+    severityCounts[severity] = (severityCounts[severity] || 0) + 1;
+  });
+
+  const handleDelete = (finding) => {
+    if (window.confirm(`Delete finding "${finding.title}"?`)) {
+      deleteFinding(finding.id);
+    }
+  };
+
+  const handleSave = (data) => {
+    if (editing) {
+      updateFinding(editing.id, data);
+    } else {
+      addFinding(data);
+    }
+  };
+
+  const focus = (id) => {
+    const node = nodeById.get(id);
+    if (node) onFocusNode(node);
+  };
+
+  return (
+    <div className="findings-panel">
+      <div className="findings-panel-header">
+        <div className="findings-panel-title">
+          <FontAwesomeIcon icon={faBug} />
+          <span>Findings</span>
+          <span className="findings-count">{active.length}</span>
+        </div>
+        <div className="findings-panel-actions">
+          <button onClick={() => setEditing(null)} title="Add finding">
+            <FontAwesomeIcon icon={faPlus} />
+          </button>
+          <button onClick={onClose} title="Close">
+            <FontAwesomeIcon icon={faXmark} />
+          </button>
+        </div>
+      </div>
+
+      <div className="findings-legend">
+        {[...SEVERITY_ORDER].reverse().map((severity) => (
+          <span key={severity} className={`severity-pill severity-${severity}`}>
+            {SeverityLabels[severity]} {severityCounts[severity] || 0}
+          </span>
+        ))}
+      </div>
+
+      <div className="findings-toolbar">
+        {filterNode ? (
+          <span className="findings-filter">
+            Affecting {filterNode.data.label}
+            <button onClick={() => onNodeFilterChange(null)} title="Show all findings">
+              <FontAwesomeIcon icon={faXmark} />
+            </button>
+          </span>
+        ) : (
+          <span />
+        )}
+        <label className="findings-resolved-toggle">
+          <input
+            type="checkbox"
+            checked={showResolved}
+            onChange={(e) => setShowResolved(e.target.checked)}
+          />
+          Show resolved
+        </label>
+      </div>
+
+      <div className="findings-panel-body">
+        {shown.length === 0 && (
+          <div className="findings-empty">
+            No {showResolved ? '' : 'open '}findings{filterNode ? ' affecting this node' : ''}.
+          </div>
+        )}
+        <ul className="findings-list">
+          {shown.map((finding) => {
+            const severity = findingSeverity(finding);
+            return (
+              <li
+                key={finding.id}
+                className={`finding-item ${isActiveFinding(finding) ? '' : 'resolved'}`}
+              >
+                <div className="finding-row">
+                  <span className={`severity-pill severity-${severity}`}>
+                    {finding.cvssScore === null ? SeverityLabels[severity] : finding.cvssScore.toFixed(1)}
+                  </span>
+                  <span className="finding-title" title={finding.title}>
+                    {finding.title}
+                  </span>
+                  <span className="finding-item-actions">
+                    <button onClick={() => setEditing(finding)} title="Edit">
+                      <FontAwesomeIcon icon={faPencil} />
+                    </button>
+                    <button className="danger" onClick={() => handleDelete(finding)} title="Delete">
+                      <FontAwesomeIcon icon={faTrash} />
+                    </button>
+                  </span>
+                </div>
+
+                <div className="finding-row finding-meta">
+                  <span className={`finding-status status-${finding.status}`}>
+                    {FindingStatusLabels[finding.status]}
+                  </span>
+                  {finding.cves.map((cve) => (
+                    <a key={cve} href={`${NVD_URL}${cve}`} target="_blank" rel="noopener noreferrer">
+                      {cve}
+                    </a>
+                  ))}
+                </div>
+
+                {finding.affected.length > 0 && (
+                  <div className="finding-links">
+                    <FontAwesomeIcon icon={faServer} title="Affected" />
+                    {finding.affected.map((entry) => (
+                      <button key={entry.nodeId} onClick={() => focus(entry.nodeId)}>
+                        {nodeById.get(entry.nodeId)?.data.label || entry.nodeId}
+                        {entry.service && <span className="finding-link-service">{entry.service}</span>}
+                      </button>
+                    ))}
+                  </div>
+                )}
+
+                {finding.evidence && <pre className="finding-evidence">{finding.evidence}</pre>}
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+
+      {editing !== undefined && (
+        <FindingModal
+          finding={editing}
+          nodes={nodes}
+          defaultNodeId={nodeId}
+          onSave={handleSave}
+          onClose={() => setEditing(undefined)}
+        />
+      )}
+    </div>
+  );
+};
@@ -1,25 +1,52 @@
-import React, { useCallback, useEffect, useState, useMemo } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import ReactFlow, {
   Background,
   Controls,
   MiniMap,
-  addEdge,
-  useNodesState,
-  useEdgesState,
   useReactFlow,
 } from 'reactflow';
+import { useShallow } from 'zustand/react/shallow';
 import 'reactflow/dist/style.css';
 
-import { useFlowStore } from '../store/useFlowStore';
+import {
+  useFlowStore,
+  selectNodes,
+  selectEdges,
+  selectTagCatalogue,
+  selectSettings,
+  selectCredentials,
+  selectFindings,
+} from '../store/useFlowStore';
+import { useWorkspaceStore, selectActiveWorkspaceId } from '../store/useWorkspaceStore';
 import { NodeTypes } from '../types/index';
 import { CIDRNode } from './nodes/CIDRNode';
+import { CIDRGroupNode } from './nodes/CIDRGroupNode';
 import { ServerNode } from './nodes/ServerNode';
 import { PCNode } from './nodes/PCNode';
 import { DeviceNode } from './nodes/DeviceNode';
 import { Toolbar } from './Toolbar';
 import { ContextMenu } from './ContextMenu';
 import { NodeEditModal } from './NodeEditModal';
-import { applyLayout, applyCIDRTreeLayout, LayoutTypes } from '../utils/layoutAlgorithms';
+import { PathAnalysisPanel } from './PathAnalysisPanel';
+import { PivotRoutePanel } from './PivotRoutePanel';
+import { CredentialsPanel } from './CredentialsPanel';
+import { FindingsPanel } from './FindingsPanel';
+import { AccessModal } from './AccessModal';
+import { HostNetworkingModal } from './HostNetworkingModal';
+import { AccessLegend } from './AccessLegend';
+import { EdgeContextMenu } from './EdgeContextMenu';
+import { EdgeEditModal } from './EdgeEditModal';
+import { EdgeLegend } from './EdgeLegend';
+import { AssetTable } from './AssetTable';
+import { useAutosave } from '../hooks/useAutosave';
+import { usePathAnalysis } from '../hooks/usePathAnalysis';
+import { usePivotRoute } from '../hooks/usePivotRoute';
+import { useCIDRGroups } from '../hooks/useCIDRGroups';
+import { useNodeSearch } from '../hooks/useNodeSearch';
+import { GROUP_NODE_TYPE } from '../utils/cidrGroups';
+import { decorateEdges } from '../utils/edgeStyles';
+import { getPivot } from '../utils/pivotUtils';
+import { formatHostNetworkingSummary } from '../utils/importers/hostNetworking';
 
 import './FlowCanvas.css';
 
@@ -28,52 +55,117 @@ const nodeTypes = {
   [NodeTypes.SERVER]: ServerNode,
   [NodeTypes.PERSONAL_COMPUTER]: PCNode,
   [NodeTypes.NETWORK_DEVICE]: DeviceNode,
+  [GROUP_NODE_TYPE]: CIDRGroupNode,
+};
+
+// Panels docked at the top left of the canvas, one at a time
+const SidePanels = {
+  CREDENTIALS: 'credentials',
+  FINDINGS: 'findings',
 };
 
 export const FlowCanvas = () => {
-  const { nodes: initialNodes, edges: initialEdges } = useFlowStore();
-  const [nodes, setNodesState, onNodesChange] = useNodesState(initialNodes);
-  const [edges, setEdgesState, onEdgesChange] = useEdgesState(initialEdges);
-  const [isInitialized, setIsInitialized] = useState(false);
-  const { fitView, setCenter } = useReactFlow();
+  const nodes = useFlowStore(selectNodes);
+  const edges = useFlowStore(selectEdges);
+  const tagCatalogue = useFlowStore(selectTagCatalogue);
+  const settings = useFlowStore(selectSettings);
+  const credentials = useFlowStore(selectCredentials);
+  const findings = useFlowStore(selectFindings);
+  const activeWorkspaceId = useWorkspaceStore(selectActiveWorkspaceId);
+  const {
+    onEdgesChange,
+    onConnect,
+    takeSnapshot,
+    undo,
+    redo,
+    addNode,
+    replaceNodeData,
+    addCatalogueTags,
+    duplicateNodes,
+    deleteNodes,
+    updateEdge,
+    deleteEdges,
+    setAccessLevel,
+    cycleAccessLevel,
+    deselectAll,
+    applyLayout,
+    importScan,
+    importHostNetworking,
+    importInventory,
+    updateSettings,
+  } = useFlowStore(
+    useShallow((state) => ({
+      onEdgesChange: state.onEdgesChange,
+      onConnect: state.onConnect,
+      takeSnapshot: state.takeSnapshot,
+      undo: state.undo,
+      redo: state.redo,
+      addNode: state.addNode,
+      replaceNodeData: state.replaceNodeData,
+      addCatalogueTags: state.addCatalogueTags,
+      duplicateNodes: state.duplicateNodes,
+      deleteNodes: state.deleteNodes,
+      updateEdge: state.updateEdge,
+      deleteEdges: state.deleteEdges,
+      setAccessLevel: state.setAccessLevel,
+      cycleAccessLevel: state.cycleAccessLevel,
+      deselectAll: state.deselectAll,
+      applyLayout: state.applyLayout,
+      importScan: state.importScan,
+      importHostNetworking: state.importHostNetworking,
+      importInventory: state.importInventory,
+      updateSettings: state.updateSettings,
+    }))
+  );
+  const { fitView, setCenter, getNode } = useReactFlow();
 
   const [contextMenu, setContextMenu] = useState(null);
+  const [edgeMenu, setEdgeMenu] = useState(null);
+  const [editingEdge, setEditingEdge] = useState(null);
   const [editingNode, setEditingNode] = useState(null);
+  const [accessNode, setAccessNode] = useState(null);
+  const [networkingNode, setNetworkingNode] = useState(null);
+  // { kind: SidePanels value, nodeId } or null; nodeId narrows the list to one node
+  const [sidePanel, setSidePanel] = useState(null);
+  const [showTable, setShowTable] = useState(false);
 
-  useEffect(() => {
-    if (!isInitialized && initialNodes.length > 0) {
-      setNodesState(initialNodes);
-      setEdgesState(initialEdges);
-      setIsInitialized(true);
-    }
-  }, [isInitialized, initialNodes, initialEdges, setNodesState, setEdgesState]);
-
-  const stats = useMemo(() => ({
-    totalNodes: nodes.length,
-    totalEdges: edges.length,
-  }), [nodes.length, edges.length]);
-
-  const handleNodesChange = useCallback(
-    (changes) => {
-      onNodesChange(changes);
-    },
-    [onNodesChange]
-  );
-
-  const handleEdgesChange = useCallback(
-    (changes) => {
-      onEdgesChange(changes);
-    },
-    [onEdgesChange]
-  );
-
-  const handleConnect = useCallback(
-    (connection) => {
-      const newEdges = addEdge(connection, edges);
-      setEdgesState(newEdges);
-    },
-    [edges, setEdgesState]
-  );
+  const autosaveError = useAutosave(activeWorkspaceId, {
+    nodes,
+    edges,
+    tagCatalogue,
+    settings,
+    credentials,
+    findings,
+  });
+  const styledEdges = useMemo(() => decorateEdges(edges), [edges]);
+  const { viewNodes, viewEdges, onNodesChange } = useCIDRGroups(nodes, styledEdges, settings.groupByCIDR);
+  const {
+    search,
+    displayNodes: searchNodes,
+    displayEdges: searchEdges,
+  } = useNodeSearch(nodes, viewNodes, viewEdges);
+  const {
+    pathQuery,
+    paths,
+    openPathAnalysis,
+    closePathAnalysis,
+    updatePathQuery,
+    displayNodes: pathNodes,
+    displayEdges: pathEdges,
+  } = usePathAnalysis(nodes, edges, searchNodes, searchEdges);
+  const {
+    pivotRouteOpen,
+    routeTargetId,
+    route,
+    openPivotRoute,
+    closePivotRoute,
+    displayNodes,
+    displayEdges,
+  } = usePivotRoute(nodes, edges, settings.operatorNodeId, pathNodes, pathEdges);
+
+  const handleNodeDragStart = useCallback(() => {
+    takeSnapshot('drag');
+  }, [takeSnapshot]);
 
   const handleFitView = useCallback(() => {
     fitView({ duration: 400, padding: 0.2 });
@@ -81,56 +173,126 @@ export const FlowCanvas = () => {
 
   const handleAddNode = useCallback(
     (type) => {
-      const newNode = {
-        id: `${type}-${Date.now()}`,
+      addNode({
         type,
         position: {
           x: Math.random() * 400 + 100,
           y: Math.random() * 400 + 100,
         },
-        data: {
-          label: `New ${type.charAt(0).toUpperCase() + type.slice(1)}`,
-          description: '',
-          ip: '',
-          subType: type === 'server' ? 'other' : type === 'device' ? 'other' : null,
-          tags: {},
-        },
-      };
-      setNodesState((nds) => [...nds, newNode]);
+        label: `New ${type.charAt(0).toUpperCase() + type.slice(1)}`,
+        subType: type === 'server' ? 'other' : type === 'device' ? 'other' : null,
+      });
     },
-    [setNodesState]
+    [addNode]
   );
 
-  const handleClearAll = useCallback(() => {
-    setNodesState([]);
-    setEdgesState([]);
-  }, [setNodesState, setEdgesState]);
+  const handleImportScan = useCallback(
+    (importerType, texts) => {
+      const summary = importScan(importerType, texts);
+      setTimeout(() => fitView({ duration: 400, padding: 0.2 }), 50);
+      return summary;
+    },
+    [importScan, fitView]
+  );
 
-  const handleImport = useCallback(
-    (importedNodes, importedEdges) => {
-      setNodesState(importedNodes);
-      setEdgesState(importedEdges);
+  const handleImportInventory = useCallback(
+    (inventory, options) => {
+      const summary = importInventory(inventory, options);
+      setTimeout(() => fitView({ duration: 400, padding: 0.2 }), 50);
+      return summary;
     },
-    [setNodesState, setEdgesState]
+    [importInventory, fitView]
   );
 
-  const handleExport = useCallback(() => {
-    return { nodes, edges };
-  }, [nodes, edges]);
-
-  const handleNodeContextMenu = useCallback((event, node) => {
-    event.preventDefault();
-    setContextMenu({
-      x: event.clientX,
-      y: event.clientY,
-      node,
-    });
-  }, []);
+  const handleApplyNetworking = useCallback(
+    (parsed) => {
+      try {
+        const summary = importHostNetworking(networkingNode.id, parsed);
+        setNetworkingNode(null);
+        setTimeout(() => fitView({ duration: 400, padding: 0.2 }), 50);
+        alert(`Network output applied\n\n${formatHostNetworkingSummary(summary)}`);
+      } catch (err) {
+        alert(`Failed to apply network output: ${err.message}`);
+      }
+    },
+    [networkingNode, importHostNetworking, fitView]
+  );
+
+  const handleNodeContextMenu = useCallback(
+    (event, node) => {
+      event.preventDefault();
+      // Act on the stored node, not the view (group nodes carry display-only data)
+      setEdgeMenu(null);
+      setContextMenu({
+        x: event.clientX,
+        y: event.clientY,
+        node: nodes.find((n) => n.id === node.id) || node,
+      });
+    },
+    [nodes]
+  );
+
+  const handleEdgeContextMenu = useCallback(
+    (event, edge) => {
+      event.preventDefault();
+      // Edges into collapsed groups are drawn rerouted; act on the stored one
+      const stored = edges.find((e) => e.id === edge.id);
+      if (!stored) return;
+      setContextMenu(null);
+      setEdgeMenu({ x: event.clientX, y: event.clientY, edge: stored });
+    },
+    [edges]
+  );
+
+  const handleEdgeDoubleClick = useCallback(
+    (event, edge) => {
+      const stored = edges.find((e) => e.id === edge.id);
+      if (stored) setEditingEdge(stored);
+    },
+    [edges]
+  );
 
   const handlePaneClick = useCallback(() => {
     setContextMenu(null);
+    setEdgeMenu(null);
+  }, []);
+
+  const handleCloseEdgeMenu = useCallback(() => {
+    setEdgeMenu(null);
+  }, []);
+
+  const handleEditEdge = useCallback((edge) => {
+    setEditingEdge(edge);
   }, []);
 
+  const handleSaveEdge = useCallback(
+    (data) => {
+      updateEdge(editingEdge.id, data);
+    },
+    [editingEdge, updateEdge]
+  );
+
+  const handleSetEdgeType = useCallback(
+    (edge, type) => {
+      updateEdge(edge.id, { type });
+    },
+    [updateEdge]
+  );
+
+  const handleSetPivotStatus = useCallback(
+    (edge, status) => {
+      updateEdge(edge.id, { pivot: { ...getPivot(edge), status } });
+    },
+    [updateEdge]
+  );
+
+  const handleDeleteEdge = useCallback(
+    (edgeId) => {
+      deleteEdges([edgeId]);
+    },
+    [deleteEdges]
+  );
+
   const handleCloseContextMenu = useCallback(() => {
     setContextMenu(null);
   }, []);
@@ -141,89 +303,125 @@ export const FlowCanvas = () => {
 
   const handleSaveNode = useCallback(
     (updatedNode) => {
-      setNodesState((nds) =>
-        nds.map((n) => (n.id === updatedNode.id ? updatedNode : n))
-      );
+      replaceNodeData(updatedNode.id, updatedNode.data);
+      addCatalogueTags(updatedNode.data.tags);
     },
-    [setNodesState]
+    [replaceNodeData, addCatalogueTags]
   );
 
   const handleDuplicateNode = useCallback(
     (node) => {
-      const newNode = {
-        ...node,
-        id: `${node.type}-${Date.now()}`,
-        position: {
-          x: node.position.x + 50,
-          y: node.position.y + 50,
-        },
-        data: { ...node.data },
-      };
-      setNodesState((nds) => [...nds, newNode]);
+      duplicateNodes([node]);
     },
-    [setNodesState]
+    [duplicateNodes]
   );
 
   const handleDeleteNode = useCallback(
     (nodeId) => {
-      setNodesState((nds) => nds.filter((n) => n.id !== nodeId));
-      setEdgesState((eds) =>
-        eds.filter((e) => e.source !== nodeId && e.target !== nodeId)
-      );
+      deleteNodes([nodeId]);
     },
-    [setNodesState, setEdgesState]
+    [deleteNodes]
   );
 
   const handleFocusNode = useCallback(
     (node) => {
-      setCenter(node.position.x + 100, node.position.y + 50, {
+      const position = getNode(node.id)?.positionAbsolute || node.position;
+      setCenter(position.x + 100, position.y + 50, {
         zoom: 1.5,
         duration: 500,
       });
     },
-    [setCenter]
+    [getNode, setCenter]
   );
 
-  const handleTogglePwned = useCallback(
+  const handleCycleAccess = useCallback(
     (node) => {
-      setNodesState((nds) =>
-        nds.map((n) =>
-          n.id === node.id
-            ? {
-                ...n,
-                data: {
-                  ...n.data,
-                  pwned: !n.data.pwned,
-                },
-              }
-            : n
-        )
-      );
+      cycleAccessLevel([node.id]);
+    },
+    [cycleAccessLevel]
+  );
+
+  const handleSetAccess = useCallback((node) => {
+    setAccessNode(node);
+  }, []);
+
+  const handleSaveAccess = useCallback(
+    ({ level, ...details }) => {
+      setAccessLevel([accessNode.id], level, details);
+    },
+    [accessNode, setAccessLevel]
+  );
+
+  const handleSelectAccessLevel = useCallback(
+    (level) => {
+      search.setQuery(`access:${level}`);
+    },
+    [search]
+  );
+
+  // Path analysis and the pivot route share the right-hand dock
+  const handleTogglePathAnalysis = useCallback(() => {
+    if (pathQuery) {
+      closePathAnalysis();
+    } else {
+      closePivotRoute();
+      openPathAnalysis(nodes.find((n) => n.selected)?.id ?? null);
+    }
+  }, [pathQuery, nodes, openPathAnalysis, closePathAnalysis, closePivotRoute]);
+
+  const handleFindPaths = useCallback(
+    (node) => {
+      closePivotRoute();
+      openPathAnalysis(node.id);
     },
-    [setNodesState]
+    [openPathAnalysis, closePivotRoute]
   );
 
+  const handleTogglePivotRoute = useCallback(() => {
+    if (pivotRouteOpen) {
+      closePivotRoute();
+    } else {
+      closePathAnalysis();
+      openPivotRoute();
+    }
+  }, [pivotRouteOpen, openPivotRoute, closePivotRoute, closePathAnalysis]);
+
+  const handleSetOperatorBox = useCallback(
+    (node) => {
+      updateSettings({ operatorNodeId: settings.operatorNodeId === node.id ? '' : node.id });
+    },
+    [settings.operatorNodeId, updateSettings]
+  );
+
+  const handleToggleSidePanel = useCallback((kind) => {
+    setSidePanel((prev) => (prev?.kind === kind ? null : { kind, nodeId: null }));
+  }, []);
+
+  const handleShowCredentials = useCallback((node) => {
+    setSidePanel({ kind: SidePanels.CREDENTIALS, nodeId: node.id });
+  }, []);
+
+  const handleShowFindings = useCallback((node) => {
+    setSidePanel({ kind: SidePanels.FINDINGS, nodeId: node.id });
+  }, []);
+
+  const handleToggleGroups = useCallback(() => {
+    updateSettings({ groupByCIDR: !settings.groupByCIDR });
+  }, [settings.groupByCIDR, updateSettings]);
+
   const handleApplyLayout = useCallback(
     (layoutType) => {
-      if (layoutType === LayoutTypes.CIDR_TREE) {
-        // CIDR tree layout also generates auto-edges based on IP/CIDR hierarchy
-        const result = applyCIDRTreeLayout(nodes, edges);
-        setNodesState(result.nodes);
-        setEdgesState(result.edges);
-      } else {
-        const newNodes = applyLayout(nodes, edges, layoutType);
-        setNodesState(newNodes);
-      }
+      applyLayout(layoutType);
       setTimeout(() => fitView({ duration: 400, padding: 0.2 }), 50);
     },
-    [nodes, edges, setNodesState, setEdgesState, fitView]
+    [applyLayout, fitView]
   );
 
   // Global keyboard shortcuts for selected nodes
   useEffect(() => {
     const handleKeyDown = (event) => {
       // Skip if typing in input
-      if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') return;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
 
       const key = event.key.toLowerCase();
 
@@ -239,22 +437,79 @@ export const FlowCanvas = () => {
           setEditingNode(null);
           return;
         }
+        if (accessNode) {
+          event.preventDefault();
+          setAccessNode(null);
+          return;
+        }
+        if (networkingNode) {
+          event.preventDefault();
+          setNetworkingNode(null);
+          return;
+        }
+        if (editingEdge) {
+          event.preventDefault();
+          setEditingEdge(null);
+          return;
+        }
         // Deselect all nodes
-        const selectedNodes = nodes.filter((n) => n.selected);
-        if (selectedNodes.length > 0) {
+        if (nodes.some((n) => n.selected) || edges.some((e) => e.selected)) {
+          event.preventDefault();
+          deselectAll();
+          return;
+        }
+        if (pathQuery) {
           event.preventDefault();
-          setNodesState((nds) =>
-            nds.map((n) => ({ ...n, selected: false }))
-          );
+          closePathAnalysis();
           return;
         }
+        if (pivotRouteOpen) {
+          event.preventDefault();
+          closePivotRoute();
+          return;
+        }
+        if (sidePanel) {
+          event.preventDefault();
+          setSidePanel(null);
+          return;
+        }
+        if (showTable) {
+          event.preventDefault();
+          setShowTable(false);
+        }
         return;
       }
 
       // Skip other shortcuts if editing or context menu is open
-      if (editingNode || contextMenu) return;
+      if (editingNode || accessNode || networkingNode || editingEdge || contextMenu || edgeMenu) return;
+
+      // Ctrl/Cmd + Z - Undo, Ctrl/Cmd + Shift + Z or Ctrl/Cmd + Y - Redo
+      if ((event.ctrlKey || event.metaKey) && (key === 'z' || key === 'y')) {
+        event.preventDefault();
+        if (key === 'y' || event.shiftKey) {
+          redo();
+        } else {
+          undo();
+        }
+        return;
+      }
+
+      // Delete/Backspace - Delete selected edges (selected nodes are handled below)
+      const selectedEdges = edges.filter((e) => e.selected);
+      if ((key === 'delete' || key === 'backspace') && selectedEdges.length > 0) {
+        event.preventDefault();
+        deleteEdges(selectedEdges.map((e) => e.id));
+      }
 
       const selectedNodes = nodes.filter((n) => n.selected);
+
+      // E - Edit the selected edge when no node is selected
+      if (key === 'e' && selectedNodes.length === 0 && selectedEdges.length === 1) {
+        event.preventDefault();
+        setEditingEdge(selectedEdges[0]);
+        return;
+      }
+
       if (selectedNodes.length === 0) return;
 
       // E - Edit (first selected node)
@@ -267,7 +522,7 @@ export const FlowCanvas = () => {
       // Ctrl/Cmd + D - Duplicate
       if (key === 'd' && (event.ctrlKey || event.metaKey)) {
         event.preventDefault();
-        selectedNodes.forEach((node) => handleDuplicateNode(node));
+        duplicateNodes(selectedNodes);
         return;
       }
 
@@ -278,17 +533,20 @@ export const FlowCanvas = () => {
         return;
       }
 
-      // P - Toggle Pwned
+      // P - Next access level, Shift + P - Previous access level
       if (key === 'p') {
         event.preventDefault();
-        selectedNodes.forEach((node) => handleTogglePwned(node));
+        cycleAccessLevel(
+          selectedNodes.map((n) => n.id),
+          event.shiftKey ? -1 : 1
+        );
         return;
       }
 
       // Delete/Backspace - Delete selected nodes
       if (key === 'delete' || key === 'backspace') {
         event.preventDefault();
-        selectedNodes.forEach((node) => handleDeleteNode(node.id));
+        deleteNodes(selectedNodes.map((n) => n.id));
         return;
       }
     };
@@ -297,38 +555,70 @@ export const FlowCanvas = () => {
     return () => document.removeEventListener('keydown', handleKeyDown);
   }, [
     nodes,
+    edges,
     editingNode,
+    accessNode,
+    networkingNode,
+    editingEdge,
     contextMenu,
-    setNodesState,
+    edgeMenu,
+    pathQuery,
+    closePathAnalysis,
+    pivotRouteOpen,
+    closePivotRoute,
+    sidePanel,
+    showTable,
+    deselectAll,
     handleEditNode,
-    handleDuplicateNode,
+    duplicateNodes,
     handleFocusNode,
-    handleTogglePwned,
-    handleDeleteNode,
+    cycleAccessLevel,
+    deleteNodes,
+    deleteEdges,
+    undo,
+    redo,
   ]);
 
   return (
     <div className="flow-container">
       <Toolbar
-        onExport={handleExport}
-        onImport={handleImport}
+        onImportScan={handleImportScan}
+        onImportInventory={handleImportInventory}
         onAddNode={handleAddNode}
         onFitView={handleFitView}
-        onClearAll={handleClearAll}
         onApplyLayout={handleApplyLayout}
-        stats={stats}
+        onTogglePathAnalysis={handleTogglePathAnalysis}
+        pathAnalysisOpen={Boolean(pathQuery)}
+        onTogglePivotRoute={handleTogglePivotRoute}
+        pivotRouteOpen={pivotRouteOpen}
+        groupByCIDR={settings.groupByCIDR}
+        onToggleGroups={handleToggleGroups}
+        search={search}
+        onFocusNode={handleFocusNode}
+        onToggleCredentials={() => handleToggleSidePanel(SidePanels.CREDENTIALS)}
+        credentialsOpen={sidePanel?.kind === SidePanels.CREDENTIALS}
+        onToggleFindings={() => handleToggleSidePanel(SidePanels.FINDINGS)}
+        findingsOpen={sidePanel?.kind === SidePanels.FINDINGS}
+        onToggleTable={() => setShowTable((prev) => !prev)}
+        tableOpen={showTable}
+        autosaveError={autosaveError}
       />
 
       <div className="flow-canvas-wrapper">
         <ReactFlow
-          nodes={nodes}
-          edges={edges}
-          onNodesChange={handleNodesChange}
-          onEdgesChange={handleEdgesChange}
-          onConnect={handleConnect}
+          nodes={displayNodes}
+          edges={displayEdges}
+          onNodesChange={onNodesChange}
+          onEdgesChange={onEdgesChange}
+          onConnect={onConnect}
+          onNodeDragStart={handleNodeDragStart}
+          onSelectionDragStart={handleNodeDragStart}
           onNodeContextMenu={handleNodeContextMenu}
+          onEdgeContextMenu={handleEdgeContextMenu}
+          onEdgeDoubleClick={handleEdgeDoubleClick}
           onPaneClick={handlePaneClick}
           nodeTypes={nodeTypes}
+          deleteKeyCode={null}
           fitView
           panOnScroll={false}
           panOnDrag
@@ -361,6 +651,7 @@ export const FlowCanvas = () => {
             nodeColor={(node) => {
               switch (node.type) {
                 case 'cidr':
+                case GROUP_NODE_TYPE:
                   return '#58a6ff';
                 case 'server':
                   return '#ff8787';
@@ -375,6 +666,60 @@ export const FlowCanvas = () => {
             maskColor="rgba(13, 17, 23, 0.8)"
           />
         </ReactFlow>
+
+        {nodes.length > 0 && (
+          <div className="canvas-legends">
+            {edges.length > 0 && <EdgeLegend edges={edges} />}
+            <AccessLegend nodes={nodes} onSelectLevel={handleSelectAccessLevel} />
+          </div>
+        )}
+
+        {pathQuery && (
+          <PathAnalysisPanel
+            nodes={nodes}
+            query={pathQuery}
+            paths={paths}
+            onChange={updatePathQuery}
+            onFocusNode={handleFocusNode}
+            onClose={closePathAnalysis}
+          />
+        )}
+
+        {pivotRouteOpen && (
+          <PivotRoutePanel
+            nodes={nodes}
+            edges={edges}
+            originId={settings.operatorNodeId}
+            targetId={routeTargetId}
+            route={route}
+            onFocusNode={handleFocusNode}
+            onClose={closePivotRoute}
+          />
+        )}
+
+        {sidePanel?.kind === SidePanels.CREDENTIALS && (
+          <CredentialsPanel
+            nodes={nodes}
+            nodeId={sidePanel.nodeId}
+            onNodeFilterChange={(nodeId) => setSidePanel({ kind: SidePanels.CREDENTIALS, nodeId })}
+            onFocusNode={handleFocusNode}
+            onClose={() => setSidePanel(null)}
+          />
+        )}
+
+        {sidePanel?.kind === SidePanels.FINDINGS && (
+          <FindingsPanel
+            nodes={nodes}
+            nodeId={sidePanel.nodeId}
+            onNodeFilterChange={(nodeId) => setSidePanel({ kind: SidePanels.FINDINGS, nodeId })}
+            onFocusNode={handleFocusNode}
+            onClose={() => setSidePanel(null)}
+          />
+        )}
+
+        {showTable && (
+          <AssetTable nodes={nodes} onFocusNode={handleFocusNode} onClose={() => setShowTable(false)} />
+        )}
       </div>
 
       {contextMenu && (
@@ -386,11 +731,32 @@ export const FlowCanvas = () => {
           onDuplicate={handleDuplicateNode}
           onDelete={handleDeleteNode}
           onFocus={handleFocusNode}
-          onTogglePwned={handleTogglePwned}
+          onCycleAccess={handleCycleAccess}
+          onSetAccess={handleSetAccess}
+          onFindPaths={handleFindPaths}
+          onShowCredentials={handleShowCredentials}
+          onShowFindings={handleShowFindings}
+          onPasteNetworking={setNetworkingNode}
+          isOperatorBox={contextMenu.node.id === settings.operatorNodeId}
+          onSetOperatorBox={handleSetOperatorBox}
           onClose={handleCloseContextMenu}
         />
       )}
 
+      {edgeMenu && (
+        <EdgeContextMenu
+          x={edgeMenu.x}
+          y={edgeMenu.y}
+          edge={edgeMenu.edge}
+          nodes={nodes}
+          onEdit={handleEditEdge}
+          onSetType={handleSetEdgeType}
+          onSetPivotStatus={handleSetPivotStatus}
+          onDelete={handleDeleteEdge}
+          onClose={handleCloseEdgeMenu}
+        />
+      )}
+
       {editingNode && (
         <NodeEditModal
           node={editingNode}
@@ -398,6 +764,32 @@ export const FlowCanvas = () => {
           onClose={() => setEditingNode(null)}
         />
       )}
+
+      {editingEdge && (
+        <EdgeEditModal
+          edge={editingEdge}
+          nodes={nodes}
+          onSave={handleSaveEdge}
+          onClose={() => setEditingEdge(null)}
+        />
+      )}
+
+      {accessNode && (
+        <AccessModal
+          node={accessNode}
+          defaultOperator={settings.operator}
+          onSave={handleSaveAccess}
+          onClose={() => setAccessNode(null)}
+        />
+      )}
+
+      {networkingNode && (
+        <HostNetworkingModal
+          node={networkingNode}
+          onApply={handleApplyNetworking}
+          onClose={() => setNetworkingNode(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,136 @@
+import React, { useMemo, useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faXmark, faPaste, faDiagramProject, faTriangleExclamation } from '@fortawesome/free-solid-svg-icons';
+import { parseHostNetworking } from '../utils/importers/hostNetworking';
+import './Modal.css';
+import './HostNetworkingModal.css';
+
+const PLACEHOLDER = [
+  'Paste the output of any of:',
+  '  ipconfig /all    ip addr',
+  '  route print      ip route',
+  '  arp -a           ip neigh',
+].join('\n');
+
+/**
+ * Paste networking command output captured on a host and map it onto the graph
+ * The preview shows what was recognised before anything is changed.
+ * @param {object} node - Host the output was captured on
+ * @param {function} onApply - Called with the parsed output
+ */
+export const HostNetworkingModal = ({ node, onApply, onClose }) => {
+  const [text, setText] = useState('');
+  const parsed = useMemo(() => parseHostNetworking(text), [text]);
+  const empty =
+    parsed.interfaces.length === 0 &&
+    parsed.routes.length === 0 &&
+    parsed.gateways.length === 0 &&
+    parsed.neighbours.length === 0;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (empty) return;
+    onApply(parsed);
+  };
+
+  const sections = [
+    {
+      title: 'Interfaces',
+      items: parsed.interfaces.map((entry) => ({
+        value: entry.prefix === null ? entry.ip : `${entry.ip}/${entry.prefix}`,
+        detail: entry.name,
+      })),
+    },
+    {
+      title: 'Networks',
+      items: parsed.routes.map((route) => ({
+        value: route.cidr,
+        detail: route.gateway ? `via ${route.gateway}` : 'on-link',
+      })),
+    },
+    {
+      title: 'Gateways',
+      items: parsed.gateways.map((ip) => ({ value: ip, detail: '' })),
+    },
+    {
+      title: 'Neighbours',
+      items: parsed.neighbours.map((entry) => ({
+        value: entry.ip,
+        detail: [entry.hostname, entry.mac].filter(Boolean).join('  '),
+      })),
+    },
+  ].filter((section) => section.items.length > 0);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-container host-networking-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">
+            <FontAwesomeIcon icon={faPaste} className="title-icon" />
+            <span>Network Output from {node.data.label || node.id}</span>
+          </div>
+          <button className="modal-close" onClick={onClose}>
+            <FontAwesomeIcon icon={faXmark} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="modal-body">
+            <div className="form-group">
+              <textarea
+                className="host-networking-input"
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                placeholder={PLACEHOLDER}
+                rows={10}
+                spellCheck={false}
+                autoFocus
+              />
+            </div>
+
+            {text.trim() && empty && (
+              <div className="host-networking-empty">
+                <FontAwesomeIcon icon={faTriangleExclamation} />
+                <span>No interfaces, routes or neighbours recognised</span>
+              </div>
+            )}
+
+            {!empty && (
+              <div className="host-networking-preview">
+                <div className="host-networking-formats">
+                  Recognised: {parsed.formats.join(', ')}
+                  {parsed.hostname && <span> · hostname {parsed.hostname}</span>}
+                </div>
+                {sections.map((section) => (
+                  <div key={section.title} className="host-networking-section">
+                    <div className="host-networking-section-title">
+                      {section.title} ({section.items.length})
+                    </div>
+                    <ul>
+                      {section.items.map((item) => (
+                        <li key={item.value}>
+                          <span className="host-networking-value">{item.value}</span>
+                          <span className="host-networking-detail">{item.detail}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="modal-footer">
+            <button type="button" className="btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn-primary" disabled={empty}>
+              <FontAwesomeIcon icon={faDiagramProject} />
+              <span>Add to Map</span>
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
@@ -1,21 +1,24 @@
-import React, { useRef, useMemo } from 'react';
+import React, { useRef } from 'react';
+import { useShallow } from 'zustand/react/shallow';
+import {
+  useFlowStore,
+  selectNodeCount,
+  selectEdgeCount,
+  selectNodeCountsByType,
+} from '../store/useFlowStore';
+import { formatImportReport } from '../utils/documentSchema';
 import './ImportExport.css';
 
-export const ImportExport = ({ onImport, onExport }) => {
+export const ImportExport = () => {
   const fileInputRef = useRef(null);
+  const totalNodes = useFlowStore(selectNodeCount);
+  const totalEdges = useFlowStore(selectEdgeCount);
+  const nodesByType = useFlowStore(useShallow(selectNodeCountsByType));
+  const exportToJSON = useFlowStore((state) => state.exportToJSON);
+  const importFromJSON = useFlowStore((state) => state.importFromJSON);
 
   const handleExport = () => {
-    const { nodes, edges } = onExport();
-    const jsonData = JSON.stringify(
-      {
-        version: '1.0',
-        timestamp: new Date().toISOString(),
-        nodes,
-        edges,
-      },
-      null,
-      2
-    );
+    const jsonData = exportToJSON();
     const blob = new Blob([jsonData], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -35,22 +38,13 @@ export const ImportExport = ({ onImport, onExport }) => {
     const file = event.target.files?.[0];
     if (!file) return;
 
-    try {
-      const text = await file.text();
-      const parsed = JSON.parse(text);
-
-      if (!parsed.nodes || !Array.isArray(parsed.nodes)) {
-        throw new Error('Invalid JSON: missing nodes array');
-      }
-
-      if (!parsed.edges || !Array.isArray(parsed.edges)) {
-        throw new Error('Invalid JSON: missing edges array');
-      }
-
-      onImport(parsed.nodes, parsed.edges);
-      alert(`✓ Import successful!\nLoaded ${parsed.nodes.length} nodes and ${parsed.edges.length} edges`);
-    } catch (error) {
-      alert(`✗ Import failed!\n${error.message}`);
+    const text = await file.text();
+    const result = importFromJSON(text);
+    if (result.success) {
+      const report = formatImportReport(result.report);
+      alert(`✓ Import successful!\n${result.message}${report ? `\n\n${report}` : ''}`);
+    } else {
+      alert(`✗ Import failed!\n${result.message}`);
     }
 
     // Reset input
@@ -59,25 +53,6 @@ export const ImportExport = ({ onImport, onExport }) => {
     }
   };
 
-  // Calculate stats from current state
-  const { nodes, edges } = onExport();
-  const nodesByType = useMemo(() => {
-    const counts = {};
-    nodes.forEach((node) => {
-      counts[node.type] = (counts[node.type] || 0) + 1;
-    });
-    return counts;
-  }, [nodes]);
-
-  const stats = useMemo(
-    () => ({
-      totalNodes: nodes.length,
-      totalEdges: edges.length,
-      nodesByType,
-    }),
-    [nodes.length, edges.length, nodesByType]
-  );
-
   return (
     <div className="import-export-panel">
       <div className="panel-header">
@@ -88,16 +63,16 @@ export const ImportExport = ({ onImport, onExport }) => {
         <div className="stats-section">
           <div className="stat-item">
             <span className="stat-label">Total Nodes:</span>
-            <span className="stat-value">{stats.totalNodes}</span>
+            <span className="stat-value">{totalNodes}</span>
           </div>
           <div className="stat-item">
             <span className="stat-label">Total Edges:</span>
-            <span className="stat-value">{stats.totalEdges}</span>
+            <span className="stat-value">{totalEdges}</span>
           </div>
         </div>
 
         <div className="node-types-stats">
-          {Object.entries(stats.nodesByType || {}).map(([type, count]) => (
+          {Object.entries(nodesByType).map(([type, count]) => (
             <div key={type} className="type-stat">
               <span>{type}:</span>
               <span className="count">{count}</span>
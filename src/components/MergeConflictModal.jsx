@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faXmark, faCodeMerge } from '@fortawesome/free-solid-svg-icons';
+import { ConflictFieldLabels } from '../utils/mergeImport';
+import './Modal.css';
+import './MergeConflictModal.css';
+
+const formatValue = (value) => {
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return value || '—';
+};
+
+/**
+ * Pick a side for each conflicting field before merging
+ * Links the merge adds next to an existing link of another type are listed too.
+ */
+export const MergeConflictModal = ({ conflicts, parallelEdges = [], onConfirm, onCancel }) => {
+  const [resolutions, setResolutions] = useState(() =>
+    Object.fromEntries(conflicts.map((c) => [c.key, 'current']))
+  );
+
+  const chooseAll = (side) => {
+    setResolutions(Object.fromEntries(conflicts.map((c) => [c.key, side])));
+  };
+
+  const choose = (key, side) => {
+    setResolutions((prev) => ({ ...prev, [key]: side }));
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-container merge-conflict-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">
+            <FontAwesomeIcon icon={faCodeMerge} className="title-icon" />
+            <span>Resolve Merge Conflicts</span>
+          </div>
+          <button className="modal-close" onClick={onCancel}>
+            <FontAwesomeIcon icon={faXmark} />
+          </button>
+        </div>
+
+        <div className="modal-body">
+          {conflicts.length > 0 && (
+            <>
+              <p className="merge-intro">
+                {conflicts.length} field(s) differ between the current map and the imported file.
+                Pick which value to keep for each.
+              </p>
+              <div className="merge-bulk-actions">
+                <button type="button" className="btn-secondary" onClick={() => chooseAll('current')}>
+                  Keep all current
+                </button>
+                <button type="button" className="btn-secondary" onClick={() => chooseAll('incoming')}>
+                  Take all imported
+                </button>
+              </div>
+
+              <table className="merge-conflict-table">
+                <thead>
+                  <tr>
+                    <th>Node</th>
+                    <th>Field</th>
+                    <th>Current</th>
+                    <th>Imported</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {conflicts.map((conflict) => (
+                    <tr key={conflict.key}>
+                      <td className="merge-node-label">{conflict.nodeLabel}</td>
+                      <td>{ConflictFieldLabels[conflict.field]}</td>
+                      {['current', 'incoming'].map((side) => (
+                        <td key={side}>
+                          <label
+                            className={`merge-choice ${resolutions[conflict.key] === side ? 'selected' : ''}`}
+                          >
+                            <input
+                              type="radio"
+                              name={conflict.key}
+                              checked={resolutions[conflict.key] === side}
+                              onChange={() => choose(conflict.key, side)}
+                            />
+                            <span>{formatValue(conflict[side])}</span>
+                          </label>
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          {parallelEdges.length > 0 && (
+            <>
+              <p className="merge-intro">
+                {parallelEdges.length} imported link(s) join nodes that are already linked with another
+                type. They are added alongside the current link.
+              </p>
+              <table className="merge-conflict-table">
+                <thead>
+                  <tr>
+                    <th>Link</th>
+                    <th>Current</th>
+                    <th>Imported</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {parallelEdges.map((edge) => (
+                    <tr key={edge.key}>
+                      <td className="merge-node-label">
+                        {edge.sourceLabel} → {edge.targetLabel}
+                      </td>
+                      <td>{edge.current}</td>
+                      <td>{edge.incoming}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button type="button" className="btn-secondary" onClick={onCancel}>
+            Cancel
+          </button>
+          <button type="button" className="btn-primary" onClick={() => onConfirm(resolutions)}>
+            <FontAwesomeIcon icon={faCodeMerge} />
+            <span>Merge</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
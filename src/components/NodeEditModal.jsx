@@ -14,6 +14,9 @@ import {
   faCircleCheck,
 } from '@fortawesome/free-solid-svg-icons';
 import { validateNodeIPs, isCIDR, isValidIP } from '../utils/networkUtils';
+import { useFlowStore, selectTagCatalogue } from '../store/useFlowStore';
+import { ServicesEditor } from './ServicesEditor';
+import './Modal.css';
 import './NodeEditModal.css';
 
 const nodeTypeIcons = {
@@ -48,21 +51,15 @@ const deviceSubTypes = [
   { value: 'other', label: 'Other' },
 ];
 
-const tagCategories = [
-  { key: 'os', label: 'Operating System' },
-  { key: 'domain', label: 'Domain Status' },
-  { key: 'service', label: 'Services' },
-  { key: 'risk', label: 'Risk Level' },
-  { key: 'custom', label: 'Custom Tags' },
-];
-
 export const NodeEditModal = ({ node, onSave, onClose }) => {
+  const tagCatalogue = useFlowStore(selectTagCatalogue);
   const [formData, setFormData] = useState({
     label: '',
     description: '',
     ip: '',
     subType: '',
     tags: {},
+    services: [],
   });
   const [newTag, setNewTag] = useState({ category: 'custom', value: '' });
 
@@ -74,6 +71,7 @@ export const NodeEditModal = ({ node, onSave, onClose }) => {
         ip: node.data.ip || '',
         subType: node.data.subType || '',
         tags: { ...node.data.tags } || {},
+        services: node.data.services || [],
       });
     }
   }, [node]);
@@ -116,14 +114,11 @@ export const NodeEditModal = ({ node, onSave, onClose }) => {
         ([, values]) => values && values.length > 0
       )
     );
-    onSave({
-      ...node,
-      data: {
-        ...node.data,
-        ...formData,
-        tags: cleanedTags,
-      },
-    });
+    const { services, ...fields } = formData;
+    const data = { ...node.data, ...fields, tags: cleanedTags };
+    if (services.length > 0) data.services = services;
+    else delete data.services;
+    onSave({ ...node, data });
     onClose();
   };
 
@@ -131,6 +126,8 @@ export const NodeEditModal = ({ node, onSave, onClose }) => {
   const typeLabel = nodeTypeLabels[node.type] || 'Node';
   const showSubType = node.type === 'server' || node.type === 'device';
   const subTypeOptions = node.type === 'server' ? serverSubTypes : deviceSubTypes;
+  const tagSuggestions =
+    tagCatalogue.find((category) => category.key === newTag.category)?.options || [];
 
   return (
     <div className="modal-overlay" onClick={onClose}>
@@ -184,7 +181,7 @@ export const NodeEditModal = ({ node, onSave, onClose }) => {
                     type="text"
                     value={formData.ip}
                     onChange={(e) => handleInputChange('ip', e.target.value)}
-                    placeholder="192.168.1.0/24"
+                    placeholder="192.168.1.0/24 or 2001:db8::/64"
                     className={formData.ip && !isCIDR(formData.ip) ? 'input-warning' : ''}
                   />
                 ) : (
@@ -192,11 +189,19 @@ export const NodeEditModal = ({ node, onSave, onClose }) => {
                     id="ip"
                     value={formData.ip}
                     onChange={(e) => handleInputChange('ip', e.target.value)}
-                    placeholder="192.168.1.1&#10;192.168.1.2&#10;10.0.0.5"
+                    placeholder="192.168.1.1&#10;10.0.0.5&#10;2001:db8::5"
                     rows={3}
                     className="ip-textarea"
                   />
                 )}
+                {node.type === 'cidr' && formData.ip && !isCIDR(formData.ip) && (
+                  <div className="ip-validation">
+                    <span className="validation-error">
+                      <FontAwesomeIcon icon={faCircleExclamation} />
+                      Invalid CIDR: expected IPv4 (/0-32) or IPv6 (/0-128) notation
+                    </span>
+                  </div>
+                )}
                 {node.type !== 'cidr' && formData.ip && (
                   <div className="ip-validation">
                     {(() => {
@@ -213,7 +218,13 @@ export const NodeEditModal = ({ node, onSave, onClose }) => {
                         return (
                           <span className="validation-success">
                             <FontAwesomeIcon icon={faCircleCheck} />
-                            {validation.ips.length} IP(s) detected
+                            {[
+                              validation.ipv4Count && `${validation.ipv4Count} IPv4`,
+                              validation.ipv6Count && `${validation.ipv6Count} IPv6`,
+                            ]
+                              .filter(Boolean)
+                              .join(' + ')}{' '}
+                            address(es) detected
                           </span>
                         );
                       }
@@ -271,14 +282,15 @@ export const NodeEditModal = ({ node, onSave, onClose }) => {
                     setNewTag({ ...newTag, category: e.target.value })
                   }
                 >
-                  {tagCategories.map((cat) => (
+                  {tagCatalogue.map((cat) => (
                     <option key={cat.key} value={cat.key}>
-                      {cat.label}
+                      {cat.name}
                     </option>
                   ))}
                 </select>
                 <input
                   type="text"
+                  list="tag-suggestions"
                   value={newTag.value}
                   onChange={(e) =>
                     setNewTag({ ...newTag, value: e.target.value })
@@ -294,8 +306,22 @@ export const NodeEditModal = ({ node, onSave, onClose }) => {
                 <button type="button" onClick={handleAddTag} className="add-tag-btn">
                   <FontAwesomeIcon icon={faPlus} />
                 </button>
+                <datalist id="tag-suggestions">
+                  {tagSuggestions.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </datalist>
               </div>
             </div>
+
+            {node.type !== 'cidr' && (
+              <ServicesEditor
+                services={formData.services}
+                onChange={(services) => handleInputChange('services', services)}
+              />
+            )}
           </div>
 
           <div className="modal-footer">
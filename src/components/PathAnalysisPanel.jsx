@@ -0,0 +1,159 @@
+import React from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faRoute, faXmark, faSkull, faBullseye } from '@fortawesome/free-solid-svg-icons';
+import { PathModes, PathModeLabels, AvoidancePenalties } from '../utils/pathAnalysis';
+import { DeviceSubTypes } from '../types/index';
+import { isCompromised } from '../utils/accessUtils';
+import './PathAnalysisPanel.css';
+
+const avoidanceLabels = {
+  [DeviceSubTypes.IDS_IPS]: 'Avoid IDS/IPS',
+  [DeviceSubTypes.FIREWALL]: 'Avoid firewalls',
+};
+
+export const PathAnalysisPanel = ({
+  nodes,
+  query,
+  paths,
+  onChange,
+  onFocusNode,
+  onClose,
+}) => {
+  const nodeById = new Map(nodes.map((node) => [node.id, node]));
+  const labelOf = (id) => nodeById.get(id)?.data.label || id;
+  const footholdCount = nodes.filter(isCompromised).length;
+  const targetOptions = [...nodes].sort((a, b) => labelOf(a.id).localeCompare(labelOf(b.id)));
+  const selectedPath = query.selectedIndex != null ? paths[query.selectedIndex] : null;
+
+  const toggleAvoid = (subType) => {
+    const avoid = query.avoid.includes(subType)
+      ? query.avoid.filter((s) => s !== subType)
+      : [...query.avoid, subType];
+    onChange({ avoid });
+  };
+
+  const focus = (id) => {
+    const node = nodeById.get(id);
+    if (node) onFocusNode(node);
+  };
+
+  return (
+    <div className="path-panel">
+      <div className="path-panel-header">
+        <div className="path-panel-title">
+          <FontAwesomeIcon icon={faRoute} />
+          <span>Attack Paths</span>
+        </div>
+        <button className="path-panel-close" onClick={onClose}>
+          <FontAwesomeIcon icon={faXmark} />
+        </button>
+      </div>
+
+      <div className="path-panel-body">
+        <label className="path-field">
+          <span>Target</span>
+          <select
+            value={query.targetId || ''}
+            onChange={(e) => onChange({ targetId: e.target.value || null })}
+          >
+            <option value="">Select target...</option>
+            {targetOptions.map((node) => (
+              <option key={node.id} value={node.id}>
+                {labelOf(node.id)}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <div className="path-mode-toggle">
+          {Object.values(PathModes).map((mode) => (
+            <button
+              key={mode}
+              className={query.mode === mode ? 'active' : ''}
+              onClick={() => onChange({ mode })}
+            >
+              {PathModeLabels[mode]}
+            </button>
+          ))}
+        </div>
+
+        <div className="path-avoid-options">
+          {Object.keys(AvoidancePenalties).map((subType) => (
+            <label key={subType}>
+              <input
+                type="checkbox"
+                checked={query.avoid.includes(subType)}
+                onChange={() => toggleAvoid(subType)}
+              />
+              <span>
+                {avoidanceLabels[subType] || subType} (+{AvoidancePenalties[subType]})
+              </span>
+            </label>
+          ))}
+        </div>
+
+        {footholdCount === 0 && (
+          <div className="path-hint">No footholds yet. Set user access or above on compromised nodes (P).</div>
+        )}
+        {footholdCount > 0 && query.targetId && paths.length === 0 && (
+          <div className="path-hint">No path from any of the {footholdCount} footholds.</div>
+        )}
+
+        {paths.length > 0 && (
+          <>
+            <div className="path-section-title">
+              {paths.length} path(s)
+              {query.selectedIndex != null && (
+                <button onClick={() => onChange({ selectedIndex: null })}>Show all</button>
+              )}
+            </div>
+            <ul className="path-list">
+              {paths.map((path, index) => (
+                <li
+                  key={`${path.sourceId}-${index}`}
+                  className={query.selectedIndex === index ? 'selected' : ''}
+                  onClick={() => onChange({ selectedIndex: index })}
+                >
+                  <FontAwesomeIcon icon={faSkull} className="path-source-icon" />
+                  <span className="path-list-label">{labelOf(path.sourceId)}</span>
+                  <span className="path-list-meta">
+                    {path.hops.length} hops · cost {path.cost}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        {selectedPath && (
+          <>
+            <div className="path-section-title">Hops</div>
+            <ol className="path-hops">
+              <li>
+                <button onClick={() => focus(selectedPath.sourceId)}>
+                  {labelOf(selectedPath.sourceId)}
+                </button>
+              </li>
+              {selectedPath.hops.map((hop) => (
+                <li key={`${hop.from}-${hop.to}`}>
+                  <span className="path-hop-via">
+                    via {hop.via}
+                    {hop.label && hop.label !== hop.via ? ` "${hop.label}"` : ''}
+                    {' · '}+{hop.weight}
+                    {hop.penalty > 0 && <span className="path-hop-penalty"> +{hop.penalty}</span>}
+                  </span>
+                  <button onClick={() => focus(hop.to)}>
+                    {hop.to === query.targetId && (
+                      <FontAwesomeIcon icon={faBullseye} className="path-target-icon" />
+                    )}
+                    {labelOf(hop.to)}
+                  </button>
+                </li>
+              ))}
+            </ol>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,86 @@
+import React from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faShuffle, faXmark, faLaptopCode, faBullseye } from '@fortawesome/free-solid-svg-icons';
+import { EdgeTypes, PivotStatuses } from '../types/index';
+import { isPivotEdge, getPivot } from '../utils/pivotUtils';
+import './PathAnalysisPanel.css';
+import './PivotRoutePanel.css';
+
+/**
+ * Route from the operator box to the selected node through live pivots and footholds
+ */
+export const PivotRoutePanel = ({ nodes, edges, originId, targetId, route, onFocusNode, onClose }) => {
+  const nodeById = new Map(nodes.map((node) => [node.id, node]));
+  const labelOf = (id) => nodeById.get(id)?.data.label || id;
+  const pivots = edges.filter(isPivotEdge).map(getPivot);
+  const deadCount = pivots.filter((pivot) => pivot.status === PivotStatuses.DEAD).length;
+  const hasOrigin = nodeById.has(originId);
+
+  const focus = (id) => {
+    const node = nodeById.get(id);
+    if (node) onFocusNode(node);
+  };
+
+  return (
+    <div className="path-panel pivot-route-panel">
+      <div className="path-panel-header">
+        <div className="path-panel-title">
+          <FontAwesomeIcon icon={faShuffle} />
+          <span>Pivot Route</span>
+        </div>
+        <button className="path-panel-close" onClick={onClose}>
+          <FontAwesomeIcon icon={faXmark} />
+        </button>
+      </div>
+
+      <div className="path-panel-body">
+        <div className="pivot-route-summary">
+          {pivots.length - deadCount} live · {deadCount} dead pivot(s)
+        </div>
+
+        {!hasOrigin && (
+          <div className="path-hint">
+            No operator box. Right-click the node you work from and choose &quot;Set as Operator Box&quot;.
+          </div>
+        )}
+        {hasOrigin && !targetId && <div className="path-hint">Select a node to see how to reach it.</div>}
+        {hasOrigin && targetId === originId && (
+          <div className="path-hint">The selected node is the operator box.</div>
+        )}
+        {hasOrigin && targetId && targetId !== originId && !route && (
+          <div className="path-hint">No route to {labelOf(targetId)} through live pivots and footholds.</div>
+        )}
+
+        {route && (
+          <>
+            <div className="path-section-title">
+              {route.hops.length} hops · {route.hops.filter((hop) => hop.via === EdgeTypes.PIVOT).length} pivot(s)
+            </div>
+            <ol className="path-hops">
+              <li>
+                <button onClick={() => focus(route.sourceId)}>
+                  <FontAwesomeIcon icon={faLaptopCode} className="pivot-origin-icon" />
+                  {labelOf(route.sourceId)}
+                </button>
+              </li>
+              {route.hops.map((hop) => (
+                <li key={`${hop.from}-${hop.to}`}>
+                  <span className={`path-hop-via ${hop.via === EdgeTypes.PIVOT ? 'pivot-hop' : ''}`}>
+                    via {hop.via}
+                    {hop.label && hop.label !== hop.via ? ` "${hop.label}"` : ''}
+                  </span>
+                  <button onClick={() => focus(hop.to)}>
+                    {hop.to === targetId && (
+                      <FontAwesomeIcon icon={faBullseye} className="pivot-target-icon" />
+                    )}
+                    {labelOf(hop.to)}
+                  </button>
+                </li>
+              ))}
+            </ol>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,90 @@
+import React, { useEffect, useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faClockRotateLeft,
+  faFloppyDisk,
+  faFileCirclePlus,
+} from '@fortawesome/free-solid-svg-icons';
+import { listRecoveryPoints } from '../utils/persistence';
+import './Modal.css';
+import './RestoreSessionModal.css';
+
+const formatTime = (iso) => new Date(iso).toLocaleString();
+
+export const RestoreSessionModal = ({
+  workspaceId,
+  session,
+  onRestore,
+  onRestorePoint,
+  onStartFresh,
+}) => {
+  const [recoveryPoints, setRecoveryPoints] = useState([]);
+
+  useEffect(() => {
+    listRecoveryPoints(workspaceId)
+      .then(setRecoveryPoints)
+      .catch(() => setRecoveryPoints([]));
+  }, [workspaceId]);
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-container restore-session-modal">
+        <div className="modal-header">
+          <div className="modal-title">
+            <FontAwesomeIcon icon={faClockRotateLeft} className="title-icon" />
+            <span>Restore Previous Session</span>
+          </div>
+        </div>
+
+        <div className="modal-body">
+          <p className="restore-intro">
+            An autosaved map was found in this browser.
+          </p>
+
+          <div className="restore-session-card">
+            <div className="restore-session-meta">
+              <span className="restore-session-time">{formatTime(session.savedAt)}</span>
+              <span className="restore-session-counts">
+                {session.nodes.length} nodes · {session.edges.length} edges
+              </span>
+            </div>
+            <button type="button" className="btn-primary" onClick={onRestore}>
+              <FontAwesomeIcon icon={faFloppyDisk} />
+              <span>Restore</span>
+            </button>
+          </div>
+
+          {recoveryPoints.length > 0 && (
+            <>
+              <div className="restore-section-title">Recovery points</div>
+              <ul className="recovery-point-list">
+                {recoveryPoints.map((point) => (
+                  <li key={point.id}>
+                    <span className="restore-session-time">{formatTime(point.savedAt)}</span>
+                    <span className="restore-session-counts">
+                      {point.nodeCount} nodes · {point.edgeCount} edges
+                    </span>
+                    <button
+                      type="button"
+                      className="btn-secondary"
+                      onClick={() => onRestorePoint(point.id)}
+                    >
+                      Restore
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button type="button" className="btn-secondary" onClick={onStartFresh}>
+            <FontAwesomeIcon icon={faFileCirclePlus} />
+            <span>Start with Sample Data</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
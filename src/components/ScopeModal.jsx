@@ -0,0 +1,151 @@
+import React, { useMemo, useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faXmark,
+  faSave,
+  faShieldHalved,
+  faBan,
+  faFileImport,
+  faTriangleExclamation,
+} from '@fortawesome/free-solid-svg-icons';
+import { useFlowStore, selectNodes, selectSettings } from '../store/useFlowStore';
+import { OutOfScopeImportPolicies, OutOfScopeImportPolicyLabels } from '../types/index';
+import { buildScope, getOutOfScopeIPs, parseScopeText, summarizeScope } from '../utils/scopeUtils';
+import './Modal.css';
+import './ScopeModal.css';
+
+/**
+ * Edit the engagement scope of the active workspace
+ * The preview reflects the entries as typed, before saving.
+ */
+export const ScopeModal = ({ onFocusNode, onClose }) => {
+  const nodes = useFlowStore(selectNodes);
+  const settings = useFlowStore(selectSettings);
+  const updateSettings = useFlowStore((state) => state.updateSettings);
+
+  const [includeText, setIncludeText] = useState(() => (settings.scopeInclude || []).join('\n'));
+  const [excludeText, setExcludeText] = useState(() => (settings.scopeExclude || []).join('\n'));
+  const [policy, setPolicy] = useState(settings.outOfScopeImports || OutOfScopeImportPolicies.FLAG);
+
+  const include = useMemo(() => parseScopeText(includeText), [includeText]);
+  const exclude = useMemo(() => parseScopeText(excludeText), [excludeText]);
+  const scope = useMemo(() => buildScope(include.entries, exclude.entries), [include, exclude]);
+  const summary = useMemo(() => summarizeScope(nodes, scope), [nodes, scope]);
+  const outOfScopeNodes = useMemo(
+    () => nodes.filter((node) => getOutOfScopeIPs(node, scope).length > 0),
+    [nodes, scope]
+  );
+  const invalid = [...include.invalid, ...exclude.invalid];
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (invalid.length > 0) return;
+    updateSettings({
+      scopeInclude: include.entries,
+      scopeExclude: exclude.entries,
+      outOfScopeImports: policy,
+    });
+    onClose();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-container scope-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">
+            <FontAwesomeIcon icon={faShieldHalved} className="title-icon" />
+            <span>Engagement Scope</span>
+          </div>
+          <button className="modal-close" onClick={onClose}>
+            <FontAwesomeIcon icon={faXmark} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="modal-body">
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="scopeInclude">
+                  <FontAwesomeIcon icon={faShieldHalved} /> In scope
+                </label>
+                <textarea
+                  id="scopeInclude"
+                  value={includeText}
+                  onChange={(e) => setIncludeText(e.target.value)}
+                  placeholder={'10.10.0.0/16\n192.168.5.10-50\n172.16.1.20'}
+                  rows={8}
+                  autoFocus
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="scopeExclude">
+                  <FontAwesomeIcon icon={faBan} /> Exclusions
+                </label>
+                <textarea
+                  id="scopeExclude"
+                  value={excludeText}
+                  onChange={(e) => setExcludeText(e.target.value)}
+                  placeholder={'10.10.99.0/24\n10.10.0.1'}
+                  rows={8}
+                />
+              </div>
+            </div>
+
+            {invalid.length > 0 && (
+              <div className="scope-invalid">
+                <FontAwesomeIcon icon={faTriangleExclamation} />
+                <span>Not a CIDR, IP or range: {invalid.join(', ')}</span>
+              </div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="outOfScopeImports">
+                <FontAwesomeIcon icon={faFileImport} /> Out-of-scope hosts in scan imports
+              </label>
+              <select id="outOfScopeImports" value={policy} onChange={(e) => setPolicy(e.target.value)}>
+                {Object.values(OutOfScopeImportPolicies).map((value) => (
+                  <option key={value} value={value}>
+                    {OutOfScopeImportPolicyLabels[value]}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {summary.defined ? (
+              <div className="scope-summary">
+                <span className="scope-in">{summary.inScope} in scope</span>
+                <span className="scope-out">{summary.outOfScope} out of scope</span>
+                {summary.unknown > 0 && <span>{summary.unknown} without IP</span>}
+              </div>
+            ) : (
+              <div className="scope-summary">No in-scope entries yet, so nothing is flagged.</div>
+            )}
+
+            {outOfScopeNodes.length > 0 && (
+              <ul className="scope-out-list">
+                {outOfScopeNodes.map((node) => (
+                  <li key={node.id}>
+                    <button type="button" onClick={() => onFocusNode(node)}>
+                      {node.data.label || node.id}
+                    </button>
+                    <span>{getOutOfScopeIPs(node, scope).join(', ')}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="modal-footer">
+            <button type="button" className="btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn-primary" disabled={invalid.length > 0}>
+              <FontAwesomeIcon icon={faSave} />
+              <span>Save Scope</span>
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
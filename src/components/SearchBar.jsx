@@ -0,0 +1,156 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faMagnifyingGlass,
+  faXmark,
+  faEye,
+  faEyeSlash,
+  faNetworkWired,
+  faServer,
+  faDesktop,
+  faGear,
+} from '@fortawesome/free-solid-svg-icons';
+import { SearchModes } from '../hooks/useNodeSearch';
+import { AccessIcon } from './nodes/AccessIndicator';
+import './SearchBar.css';
+
+const nodeTypeIcons = {
+  cidr: faNetworkWired,
+  server: faServer,
+  pc: faDesktop,
+  device: faGear,
+};
+
+const MAX_RESULTS = 50;
+
+const QUERY_HELP = [
+  'dc01  label, IP or description',
+  'ip:10.1.0.0/16  ip:10.1.1.5',
+  'type:server  subtype:dc',
+  'tag:risk=unpatched  tag:windows',
+  'pwned  access:system  access:user+',
+  'meta:os  meta:os=windows',
+  'port:445  port:1-1024/udp  service:smb',
+  'AND  OR  NOT  -term  ( )',
+];
+
+export const SearchBar = ({ search, onFocusNode }) => {
+  const { query, mode, results, error, setQuery, setMode } = search;
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    // "/" focuses the search box from anywhere outside a text field
+    const handleKeyDown = (event) => {
+      if (event.key !== '/' || event.ctrlKey || event.metaKey) return;
+      if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') return;
+      event.preventDefault();
+      inputRef.current?.focus();
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, []);
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      setQuery('');
+      setOpen(false);
+      inputRef.current?.blur();
+    } else if (event.key === 'Enter' && results.length > 0) {
+      event.preventDefault();
+      onFocusNode(results[0]);
+    }
+  };
+
+  const toggleMode = () => {
+    setMode(mode === SearchModes.DIM ? SearchModes.HIDE : SearchModes.DIM);
+  };
+
+  return (
+    <div className="search-bar" ref={containerRef}>
+      <div className={`search-input ${error ? 'invalid' : ''}`}>
+        <FontAwesomeIcon icon={faMagnifyingGlass} className="search-icon" />
+        <input
+          ref={inputRef}
+          type="text"
+          value={query}
+          placeholder="Search nodes  ( / )"
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onKeyDown={handleKeyDown}
+          spellCheck={false}
+        />
+        {query && (
+          <>
+            <button
+              className="search-action"
+              onClick={toggleMode}
+              title={mode === SearchModes.DIM ? 'Hide non-matches' : 'Dim non-matches'}
+            >
+              <FontAwesomeIcon icon={mode === SearchModes.DIM ? faEye : faEyeSlash} />
+            </button>
+            <button className="search-action" onClick={() => setQuery('')} title="Clear search">
+              <FontAwesomeIcon icon={faXmark} />
+            </button>
+          </>
+        )}
+      </div>
+
+      {open && (
+        <div className="search-results">
+          {!query.trim() && (
+            <ul className="search-help">
+              {QUERY_HELP.map((line) => (
+                <li key={line}>{line}</li>
+              ))}
+            </ul>
+          )}
+          {error && <div className="search-message search-error">{error}</div>}
+          {query.trim() && !error && (
+            <>
+              <div className="search-message">
+                {results.length} match{results.length === 1 ? '' : 'es'}
+              </div>
+              <ul className="search-result-list">
+                {results.slice(0, MAX_RESULTS).map((node) => (
+                  <li key={node.id}>
+                    <button onClick={() => onFocusNode(node)}>
+                      <FontAwesomeIcon icon={nodeTypeIcons[node.type] || faServer} className="search-result-icon" />
+                      <span className="search-result-label">{node.data.label || node.id}</span>
+                      <span className="search-result-ip">{node.data.ip?.split(/[,;\s]+/)[0]}</span>
+                      {node.data.access && (
+                        <AccessIcon
+                          level={node.data.access.level}
+                          className={`search-result-access access-${node.data.access.level}`}
+                        />
+                      )}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              {results.length > MAX_RESULTS && (
+                <div className="search-message">+{results.length - MAX_RESULTS} more, refine the query</div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
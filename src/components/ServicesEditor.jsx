@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faPlug,
+  faPlus,
+  faPencil,
+  faTrash,
+  faCheck,
+  faXmark,
+  faCircleExclamation,
+} from '@fortawesome/free-solid-svg-icons';
+import { ServiceProtocols, ServiceStates, createService } from '../types/index';
+import { serviceKey, describeService, sortServices } from '../utils/serviceUtils';
+import './ServicesEditor.css';
+
+const emptyDraft = () => ({ ...createService(), port: '' });
+
+/**
+ * Editable port/service list of a host
+ * @param {object[]} services - Current list
+ * @param {(services: object[]) => void} onChange
+ */
+export const ServicesEditor = ({ services, onChange }) => {
+  const [draft, setDraft] = useState(emptyDraft);
+  // Key of the service being edited, null while adding
+  const [editingKey, setEditingKey] = useState(null);
+  const [error, setError] = useState(null);
+
+  const update = (field, value) => setDraft((prev) => ({ ...prev, [field]: value }));
+
+  const resetDraft = () => {
+    setDraft(emptyDraft());
+    setEditingKey(null);
+    setError(null);
+  };
+
+  const handleApply = () => {
+    const port = Number(draft.port);
+    if (draft.port === '' || !Number.isInteger(port) || port < 0 || port > 65535) {
+      setError('Port must be a number between 0 and 65535');
+      return;
+    }
+
+    const service = {
+      ...draft,
+      port,
+      service: draft.service.trim(),
+      product: draft.product.trim(),
+      version: draft.version.trim(),
+      banner: draft.banner.trim(),
+    };
+    const key = serviceKey(service);
+    // Adding an existing port/protocol replaces it
+    const others = services.filter((svc) => {
+      const k = serviceKey(svc);
+      return k !== key && k !== editingKey;
+    });
+    onChange(sortServices([...others, service]));
+    resetDraft();
+  };
+
+  const handleEdit = (svc) => {
+    setDraft({ ...createService(svc), port: String(svc.port) });
+    setEditingKey(serviceKey(svc));
+    setError(null);
+  };
+
+  const handleRemove = (svc) => {
+    const key = serviceKey(svc);
+    onChange(services.filter((s) => serviceKey(s) !== key));
+    if (key === editingKey) resetDraft();
+  };
+
+  // Keep Enter from submitting the surrounding node form
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleApply();
+    }
+  };
+
+  return (
+    <div className="form-group services-editor">
+      <label>
+        <FontAwesomeIcon icon={faPlug} /> Services ({services.length})
+      </label>
+
+      {services.length > 0 && (
+        <ul className="services-list">
+          {services.map((svc) => (
+            <li
+              key={serviceKey(svc)}
+              className={`service-row ${serviceKey(svc) === editingKey ? 'editing' : ''}`}
+            >
+              <span className="service-port">{serviceKey(svc)}</span>
+              <span className={`service-state state-${svc.state.replace('|', '-')}`}>{svc.state}</span>
+              <span className="service-desc" title={svc.banner || undefined}>
+                {describeService(svc) || '-'}
+              </span>
+              <button type="button" onClick={() => handleEdit(svc)} title="Edit">
+                <FontAwesomeIcon icon={faPencil} />
+              </button>
+              <button type="button" className="danger" onClick={() => handleRemove(svc)} title="Remove">
+                <FontAwesomeIcon icon={faTrash} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="service-form" onKeyDown={handleKeyDown}>
+        <div className="service-form-row">
+          <select
+            value={draft.protocol}
+            onChange={(e) => update('protocol', e.target.value)}
+            aria-label="Protocol"
+          >
+            {Object.values(ServiceProtocols).map((protocol) => (
+              <option key={protocol} value={protocol}>
+                {protocol}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min={0}
+            max={65535}
+            value={draft.port}
+            onChange={(e) => update('port', e.target.value)}
+            placeholder="Port"
+            aria-label="Port"
+          />
+          <select value={draft.state} onChange={(e) => update('state', e.target.value)} aria-label="State">
+            {Object.values(ServiceStates).map((state) => (
+              <option key={state} value={state}>
+                {state}
+              </option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={draft.service}
+            onChange={(e) => update('service', e.target.value)}
+            placeholder="Service (smb)"
+            aria-label="Service"
+          />
+        </div>
+        <div className="service-form-row">
+          <input
+            type="text"
+            value={draft.product}
+            onChange={(e) => update('product', e.target.value)}
+            placeholder="Product"
+            aria-label="Product"
+          />
+          <input
+            type="text"
+            value={draft.version}
+            onChange={(e) => update('version', e.target.value)}
+            placeholder="Version"
+            aria-label="Version"
+          />
+        </div>
+        <div className="service-form-row">
+          <input
+            type="text"
+            value={draft.banner}
+            onChange={(e) => update('banner', e.target.value)}
+            placeholder="Banner"
+            aria-label="Banner"
+          />
+          <button
+            type="button"
+            className="service-apply-btn"
+            onClick={handleApply}
+            title={editingKey ? 'Update service' : 'Add service'}
+          >
+            <FontAwesomeIcon icon={editingKey ? faCheck : faPlus} />
+          </button>
+          {editingKey && (
+            <button type="button" className="service-cancel-btn" onClick={resetDraft} title="Cancel edit">
+              <FontAwesomeIcon icon={faXmark} />
+            </button>
+          )}
+        </div>
+        {error && (
+          <span className="service-form-error">
+            <FontAwesomeIcon icon={faCircleExclamation} />
+            {error}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -1,4 +1,5 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { useShallow } from 'zustand/react/shallow';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import {
   faNetworkWired,
@@ -21,23 +22,91 @@ import {
   faArrowsUpDown,
   faArrowsLeftRight,
   faDiagramProject,
+  faFileCode,
+  faRotateLeft,
+  faRotateRight,
+  faCodeMerge,
+  faRoute,
+  faObjectGroup,
+  faKey,
+  faUserSecret,
+  faBug,
+  faShuffle,
+  faShieldHalved,
+  faTable,
+  faFileCsv,
+  faTriangleExclamation,
 } from '@fortawesome/free-solid-svg-icons';
 import { LayoutTypes, LayoutLabels } from '../utils/layoutAlgorithms';
+import { ImporterTypes, ImporterLabels, ImporterFileTypes } from '../utils/importers';
+import { formatImportSummary } from '../utils/importers/hostImport';
+import { parseCSV } from '../utils/importers/csvImporter';
+import { parseDocument, formatImportReport } from '../utils/documentSchema';
+import { formatMergeSummary } from '../utils/mergeImport';
+import { buildScope, summarizeScope } from '../utils/scopeUtils';
+import {
+  useFlowStore,
+  selectNodeCount,
+  selectEdgeCount,
+  selectCanUndo,
+  selectCanRedo,
+} from '../store/useFlowStore';
+import { WorkspaceSwitcher } from './WorkspaceSwitcher';
+import { MergeConflictModal } from './MergeConflictModal';
+import { SearchBar } from './SearchBar';
+import { ScopeModal } from './ScopeModal';
+import { CsvImportModal } from './CsvImportModal';
 import './Toolbar.css';
 
 export const Toolbar = ({
-  onExport,
-  onImport,
+  onImportScan,
+  onImportInventory,
   onAddNode,
   onFitView,
-  onClearAll,
   onApplyLayout,
-  stats,
+  onTogglePathAnalysis,
+  pathAnalysisOpen,
+  onTogglePivotRoute,
+  pivotRouteOpen,
+  groupByCIDR,
+  onToggleGroups,
+  search,
+  onFocusNode,
+  onToggleCredentials,
+  credentialsOpen,
+  onToggleFindings,
+  findingsOpen,
+  onToggleTable,
+  tableOpen,
+  autosaveError,
 }) => {
+  const nodeCount = useFlowStore(selectNodeCount);
+  const edgeCount = useFlowStore(selectEdgeCount);
+  const canUndo = useFlowStore(selectCanUndo);
+  const canRedo = useFlowStore(selectCanRedo);
+  const undo = useFlowStore((state) => state.undo);
+  const redo = useFlowStore((state) => state.redo);
+  const exportToJSON = useFlowStore((state) => state.exportToJSON);
+  const importFromJSON = useFlowStore((state) => state.importFromJSON);
+  const previewMerge = useFlowStore((state) => state.previewMerge);
+  const mergeDocument = useFlowStore((state) => state.mergeDocument);
+  const clearAll = useFlowStore((state) => state.clearAll);
+  const scopeInclude = useFlowStore((state) => state.settings.scopeInclude);
+  const scopeExclude = useFlowStore((state) => state.settings.scopeExclude);
+  const scope = useMemo(() => buildScope(scopeInclude, scopeExclude), [scopeInclude, scopeExclude]);
+  const scopeSummary = useFlowStore(useShallow((state) => summarizeScope(state.nodes, scope)));
+
   const [showFileMenu, setShowFileMenu] = useState(false);
   const [showAddMenu, setShowAddMenu] = useState(false);
   const [showLayoutMenu, setShowLayoutMenu] = useState(false);
+  const [scanImporter, setScanImporter] = useState(null);
+  const [pendingMerge, setPendingMerge] = useState(null);
+  const [showScope, setShowScope] = useState(false);
+  const [pendingCsv, setPendingCsv] = useState(null);
   const fileInputRef = useRef(null);
+  const mergeInputRef = useRef(null);
+  const scanInputRef = useRef(null);
+  const csvInputRef = useRef(null);
   const fileMenuRef = useRef(null);
   const addMenuRef = useRef(null);
   const layoutMenuRef = useRef(null);
@@ -79,28 +148,84 @@ export const Toolbar = ({
     const file = event.target.files?.[0];
     if (!file) return;
 
+    const text = await file.text();
+    const result = importFromJSON(text);
+    if (!result.success) {
+      alert(`Failed to import JSON file: ${result.message}`);
+    } else {
+      const report = formatImportReport(result.report);
+      if (report) {
+        alert(`${result.message}\n\n${report}`);
+      }
+    }
+    event.target.value = '';
+  };
+
+  const finishMerge = (incoming, report, resolutions) => {
+    const summary = mergeDocument(incoming, resolutions);
+    const details = formatImportReport(report);
+    alert(`${formatMergeSummary(summary)}${details ? `\n\n${details}` : ''}`);
+  };
+
+  const handleMergeFileSelect = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
     try {
-      const text = await file.text();
-      const data = JSON.parse(text);
-      if (data.nodes && data.edges) {
-        onImport(data.nodes, data.edges);
+      const { document: incoming, report } = parseDocument(await file.text());
+      const { conflicts, parallelEdges } = previewMerge(incoming);
+      if (conflicts.length > 0 || parallelEdges.length > 0) {
+        setPendingMerge({ incoming, report, conflicts, parallelEdges });
       } else {
-        alert('Invalid file format: missing nodes or edges');
+        finishMerge(incoming, report, {});
       }
     } catch (error) {
-      alert('Failed to parse JSON file');
+      alert(`Failed to merge JSON file: ${error.message}`);
+    }
+  };
+
+  const handleConfirmMerge = (resolutions) => {
+    const { incoming, report } = pendingMerge;
+    setPendingMerge(null);
+    finishMerge(incoming, report, resolutions);
+  };
+
+  const handleScanFileSelect = async (event) => {
+    const files = [...(event.target.files || [])];
+    if (files.length === 0 || !scanImporter) return;
+
+    const label = ImporterLabels[scanImporter];
+    try {
+      const texts = await Promise.all(files.map((file) => file.text()));
+      const summary = onImportScan(scanImporter, texts);
+      alert(formatImportSummary(label, summary));
+    } catch (error) {
+      alert(`Failed to import ${label}: ${error.message}`);
     }
     event.target.value = '';
   };
 
-  const handleExportClick = () => {
-    const data = onExport();
-    const exportData = {
-      version: '1.0',
-      timestamp: new Date().toISOString(),
-      ...data,
-    };
-    const blob = new Blob([JSON.stringify(exportData, null, 2)], {
+  const handleCsvFileSelect = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      setPendingCsv({ fileName: file.name, csv: parseCSV(await file.text()) });
+    } catch (error) {
+      alert(`Failed to read CSV file: ${error.message}`);
+    }
+  };
+
+  const handleConfirmCsv = (inventory, options) => {
+    setPendingCsv(null);
+    const summary = onImportInventory(inventory, options);
+    alert(formatImportSummary('CSV', summary));
+  };
+
+  const handleExportClick = (options = {}) => {
+    const blob = new Blob([exportToJSON(options)], {
       type: 'application/json',
     });
     const url = URL.createObjectURL(blob);
@@ -119,9 +244,26 @@ export const Toolbar = ({
     setShowFileMenu(false);
   };
 
+  const handleMergeClick = () => {
+    mergeInputRef.current?.click();
+    setShowFileMenu(false);
+  };
+
+  const handleImportCsvClick = () => {
+    csvInputRef.current?.click();
+    setShowFileMenu(false);
+  };
+
+  const handleImportScanClick = (importerType) => {
+    setScanImporter(importerType);
+    setShowFileMenu(false);
+    // Wait for the accept attribute to update before opening the picker
+    setTimeout(() => scanInputRef.current?.click(), 0);
+  };
+
   const handleClearClick = () => {
     if (window.confirm('Are you sure you want to clear all nodes and edges?')) {
-      onClearAll();
+      clearAll();
     }
     setShowFileMenu(false);
   };
@@ -151,6 +293,7 @@ export const Toolbar = ({
         <div className="toolbar-brand">
           <FontAwesomeIcon icon={faNetworkWired} className="brand-icon" />
           <span className="brand-text">DeepNetVisibility</span>
+          <WorkspaceSwitcher />
         </div>
       </div>
 
@@ -175,11 +318,33 @@ export const Toolbar = ({
                 <span>Import JSON</span>
                 <kbd>Ctrl+O</kbd>
               </button>
-              <button onClick={handleExportClick}>
+              <button onClick={handleMergeClick}>
+                <FontAwesomeIcon icon={faCodeMerge} />
+                <span>Merge JSON</span>
+              </button>
+              <button onClick={() => handleExportClick()}>
                 <FontAwesomeIcon icon={faFileExport} />
                 <span>Export JSON</span>
                 <kbd>Ctrl+S</kbd>
               </button>
+              <button
+                onClick={() => handleExportClick({ redactSecrets: true })}
+                title="Credentials keep their user, domain and links but not the secret"
+              >
+                <FontAwesomeIcon icon={faUserSecret} />
+                <span>Export (Redacted Secrets)</span>
+              </button>
+              <div className="menu-divider" />
+              {Object.values(ImporterTypes).map((importerType) => (
+                <button key={importerType} onClick={() => handleImportScanClick(importerType)}>
+                  <FontAwesomeIcon icon={faFileCode} />
+                  <span>Import {ImporterLabels[importerType]}</span>
+                </button>
+              ))}
+              <button onClick={handleImportCsvClick}>
+                <FontAwesomeIcon icon={faFileCsv} />
+                <span>Import CSV Inventory</span>
+              </button>
               <div className="menu-divider" />
               <button className="danger" onClick={handleClearClick}>
                 <FontAwesomeIcon icon={faTrash} />
@@ -249,6 +414,77 @@ export const Toolbar = ({
           )}
         </div>
 
+        <button
+          className="toolbar-btn"
+          onClick={undo}
+          disabled={!canUndo}
+          title="Undo (Ctrl+Z)"
+        >
+          <FontAwesomeIcon icon={faRotateLeft} />
+        </button>
+        <button
+          className="toolbar-btn"
+          onClick={redo}
+          disabled={!canRedo}
+          title="Redo (Ctrl+Shift+Z)"
+        >
+          <FontAwesomeIcon icon={faRotateRight} />
+        </button>
+
+        <button
+          className={`toolbar-btn ${pathAnalysisOpen ? 'active' : ''}`}
+          onClick={onTogglePathAnalysis}
+          title="Attack path analysis"
+        >
+          <FontAwesomeIcon icon={faRoute} />
+          <span>Paths</span>
+        </button>
+
+        <button
+          className={`toolbar-btn ${pivotRouteOpen ? 'active' : ''}`}
+          onClick={onTogglePivotRoute}
+          title="Route from the operator box through live pivots and footholds"
+        >
+          <FontAwesomeIcon icon={faShuffle} />
+          <span>Route</span>
+        </button>
+
+        <button
+          className={`toolbar-btn ${groupByCIDR ? 'active' : ''}`}
+          onClick={onToggleGroups}
+          title="Group hosts inside their CIDR networks"
+        >
+          <FontAwesomeIcon icon={faObjectGroup} />
+          <span>Groups</span>
+        </button>
+
+        <button
+          className={`toolbar-btn ${credentialsOpen ? 'active' : ''}`}
+          onClick={onToggleCredentials}
+          title="Credential vault"
+        >
+          <FontAwesomeIcon icon={faKey} />
+          <span>Creds</span>
+        </button>
+
+        <button
+          className={`toolbar-btn ${findingsOpen ? 'active' : ''}`}
+          onClick={onToggleFindings}
+          title="Vulnerability findings"
+        >
+          <FontAwesomeIcon icon={faBug} />
+          <span>Findings</span>
+        </button>
+
+        <button
+          className={`toolbar-btn ${tableOpen ? 'active' : ''}`}
+          onClick={onToggleTable}
+          title="Table view of all assets"
+        >
+          <FontAwesomeIcon icon={faTable} />
+          <span>Table</span>
+        </button>
+
         <button className="toolbar-btn" onClick={onFitView}>
           <FontAwesomeIcon icon={faCrosshairs} />
           <span>Fit View</span>
@@ -256,15 +492,46 @@ export const Toolbar = ({
       </div>
 
       <div className="toolbar-right">
+        <SearchBar search={search} onFocusNode={onFocusNode} />
         <div className="toolbar-stats">
+          {autosaveError && (
+            <span
+              className="stat stat-autosave-failed"
+              title={`Autosave failed: ${autosaveError}. Export to JSON to keep your changes.`}
+            >
+              <FontAwesomeIcon icon={faTriangleExclamation} />
+              <span>not saved</span>
+            </span>
+          )}
           <span className="stat">
             <FontAwesomeIcon icon={faCubes} />
-            <span>{stats?.totalNodes || 0}</span>
+            <span>{nodeCount}</span>
           </span>
           <span className="stat">
             <FontAwesomeIcon icon={faLink} />
-            <span>{stats?.totalEdges || 0}</span>
+            <span>{edgeCount}</span>
           </span>
+          <button
+            className={`stat stat-scope ${scopeSummary.outOfScope > 0 ? 'out-of-scope' : ''}`}
+            onClick={() => setShowScope(true)}
+            title={
+              scopeSummary.defined
+                ? `${scopeSummary.inScope} in scope, ${scopeSummary.outOfScope} out of scope, ${scopeSummary.unknown} without IP`
+                : 'Define the engagement scope'
+            }
+          >
+            <FontAwesomeIcon icon={faShieldHalved} />
+            {scopeSummary.defined ? (
+              <>
+                <span>{scopeSummary.inScope}</span>
+                {scopeSummary.outOfScope > 0 && (
+                  <span className="stat-scope-out">{scopeSummary.outOfScope} out</span>
+                )}
+              </>
+            ) : (
+              <span>scope</span>
+            )}
+          </button>
         </div>
       </div>
 
@@ -275,6 +542,48 @@ export const Toolbar = ({
         style={{ display: 'none' }}
         onChange={handleFileSelect}
       />
+      <input
+        ref={mergeInputRef}
+        type="file"
+        accept=".json"
+        style={{ display: 'none' }}
+        onChange={handleMergeFileSelect}
+      />
+      <input
+        ref={scanInputRef}
+        type="file"
+        accept={ImporterFileTypes[scanImporter] || ''}
+        multiple
+        style={{ display: 'none' }}
+        onChange={handleScanFileSelect}
+      />
+      <input
+        ref={csvInputRef}
+        type="file"
+        accept=".csv,.tsv,.txt"
+        style={{ display: 'none' }}
+        onChange={handleCsvFileSelect}
+      />
+
+      {showScope && <ScopeModal onFocusNode={onFocusNode} onClose={() => setShowScope(false)} />}
+
+      {pendingCsv && (
+        <CsvImportModal
+          fileName={pendingCsv.fileName}
+          csv={pendingCsv.csv}
+          onImport={handleConfirmCsv}
+          onClose={() => setPendingCsv(null)}
+        />
+      )}
+
+      {pendingMerge && (
+        <MergeConflictModal
+          conflicts={pendingMerge.conflicts}
+          parallelEdges={pendingMerge.parallelEdges}
+          onConfirm={handleConfirmMerge}
+          onCancel={() => setPendingMerge(null)}
+        />
+      )}
     </div>
   );
 };
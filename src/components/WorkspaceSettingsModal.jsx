@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faXmark,
+  faSave,
+  faSliders,
+  faTags,
+  faNetworkWired,
+  faUserSecret,
+} from '@fortawesome/free-solid-svg-icons';
+import { useFlowStore, selectTagCatalogue, selectSettings } from '../store/useFlowStore';
+import { useWorkspaceStore, selectActiveWorkspace } from '../store/useWorkspaceStore';
+import './Modal.css';
+import './WorkspaceSettingsModal.css';
+
+export const WorkspaceSettingsModal = ({ onClose }) => {
+  const activeWorkspace = useWorkspaceStore(selectActiveWorkspace);
+  const tagCatalogue = useFlowStore(selectTagCatalogue);
+  const settings = useFlowStore(selectSettings);
+  const setTagCatalogue = useFlowStore((state) => state.setTagCatalogue);
+  const updateSettings = useFlowStore((state) => state.updateSettings);
+
+  const [formSettings, setFormSettings] = useState(settings);
+  const [catalogue, setCatalogue] = useState(tagCatalogue);
+  const [newOptions, setNewOptions] = useState({});
+
+  const handleAddOption = (categoryKey) => {
+    const value = (newOptions[categoryKey] || '').trim();
+    if (!value) return;
+    setCatalogue((prev) =>
+      prev.map((category) =>
+        category.key === categoryKey && !category.options.some((o) => o.value === value)
+          ? { ...category, options: [...category.options, { value, label: value }] }
+          : category
+      )
+    );
+    setNewOptions((prev) => ({ ...prev, [categoryKey]: '' }));
+  };
+
+  const handleRemoveOption = (categoryKey, value) => {
+    setCatalogue((prev) =>
+      prev.map((category) =>
+        category.key === categoryKey
+          ? { ...category, options: category.options.filter((o) => o.value !== value) }
+          : category
+      )
+    );
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    updateSettings({
+      subnetPrefix: Number(formSettings.subnetPrefix),
+      subnetPrefixV6: Number(formSettings.subnetPrefixV6),
+      operator: formSettings.operator.trim(),
+    });
+    setTagCatalogue(catalogue);
+    onClose();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div
+        className="modal-container workspace-settings-modal"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="modal-header">
+          <div className="modal-title">
+            <FontAwesomeIcon icon={faSliders} className="title-icon" />
+            <span>{activeWorkspace?.name || 'Workspace'} Settings</span>
+          </div>
+          <button className="modal-close" onClick={onClose}>
+            <FontAwesomeIcon icon={faXmark} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          <div className="modal-body">
+            <div className="form-group">
+              <label>
+                <FontAwesomeIcon icon={faNetworkWired} /> Subnets for imported hosts
+              </label>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="subnetPrefix">IPv4 prefix</label>
+                  <input
+                    id="subnetPrefix"
+                    type="number"
+                    min={8}
+                    max={32}
+                    value={formSettings.subnetPrefix}
+                    onChange={(e) =>
+                      setFormSettings({ ...formSettings, subnetPrefix: e.target.value })
+                    }
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="subnetPrefixV6">IPv6 prefix</label>
+                  <input
+                    id="subnetPrefixV6"
+                    type="number"
+                    min={16}
+                    max={128}
+                    value={formSettings.subnetPrefixV6}
+                    onChange={(e) =>
+                      setFormSettings({ ...formSettings, subnetPrefixV6: e.target.value })
+                    }
+                    required
+                  />
+                </div>
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="operator">
+                <FontAwesomeIcon icon={faUserSecret} /> Operator
+              </label>
+              <input
+                id="operator"
+                type="text"
+                value={formSettings.operator}
+                onChange={(e) => setFormSettings({ ...formSettings, operator: e.target.value })}
+                placeholder="Recorded when access levels change"
+              />
+            </div>
+
+            <div className="form-group">
+              <label>
+                <FontAwesomeIcon icon={faTags} /> Tag catalogue
+              </label>
+              {catalogue.map((category) => (
+                <div key={category.key} className="catalogue-category">
+                  <div className="catalogue-category-name">{category.name}</div>
+                  <div className="catalogue-options">
+                    {category.options.map((option) => (
+                      <span key={option.value} className="catalogue-option">
+                        <span>{option.label}</span>
+                        <button
+                          type="button"
+                          onClick={() => handleRemoveOption(category.key, option.value)}
+                        >
+                          <FontAwesomeIcon icon={faXmark} />
+                        </button>
+                      </span>
+                    ))}
+                    <input
+                      type="text"
+                      className="catalogue-option-input"
+                      value={newOptions[category.key] || ''}
+                      onChange={(e) =>
+                        setNewOptions({ ...newOptions, [category.key]: e.target.value })
+                      }
+                      placeholder="+ Add"
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') {
+                          e.preventDefault();
+                          handleAddOption(category.key);
+                        }
+                      }}
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="modal-footer">
+            <button type="button" className="btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn-primary">
+              <FontAwesomeIcon icon={faSave} />
+              <span>Save Settings</span>
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
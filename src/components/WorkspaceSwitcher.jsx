@@ -0,0 +1,207 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faBriefcase,
+  faChevronDown,
+  faCheck,
+  faPen,
+  faCopy,
+  faBoxArchive,
+  faBoxOpen,
+  faTrash,
+  faPlus,
+  faSliders,
+} from '@fortawesome/free-solid-svg-icons';
+import {
+  useWorkspaceStore,
+  selectWorkspaces,
+  selectActiveWorkspace,
+} from '../store/useWorkspaceStore';
+import { WorkspaceSettingsModal } from './WorkspaceSettingsModal';
+import './WorkspaceSwitcher.css';
+
+export const WorkspaceSwitcher = () => {
+  const workspaces = useWorkspaceStore(selectWorkspaces);
+  const activeWorkspace = useWorkspaceStore(selectActiveWorkspace);
+  const switchWorkspace = useWorkspaceStore((state) => state.switchWorkspace);
+  const createWorkspace = useWorkspaceStore((state) => state.createWorkspace);
+  const renameWorkspace = useWorkspaceStore((state) => state.renameWorkspace);
+  const duplicateWorkspace = useWorkspaceStore((state) => state.duplicateWorkspace);
+  const setWorkspaceArchived = useWorkspaceStore((state) => state.setWorkspaceArchived);
+  const deleteWorkspace = useWorkspaceStore((state) => state.deleteWorkspace);
+
+  const [showMenu, setShowMenu] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!showMenu) return undefined;
+
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setShowMenu(false);
+      }
+    };
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        event.stopPropagation();
+        setShowMenu(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [showMenu]);
+
+  const run = async (action) => {
+    try {
+      await action();
+    } catch (error) {
+      alert(`Workspace operation failed: ${error.message}`);
+    }
+  };
+
+  const handleSwitch = (workspaceId) => {
+    setShowMenu(false);
+    run(() => switchWorkspace(workspaceId));
+  };
+
+  const handleCreate = () => {
+    const name = window.prompt('Name of the new workspace:', 'New Engagement');
+    if (!name?.trim()) return;
+    setShowMenu(false);
+    run(() => createWorkspace(name.trim()));
+  };
+
+  const handleRename = (workspace) => {
+    const name = window.prompt('Rename workspace:', workspace.name);
+    if (!name?.trim() || name.trim() === workspace.name) return;
+    run(() => renameWorkspace(workspace.id, name.trim()));
+  };
+
+  const handleDuplicate = (workspace) => {
+    run(() => duplicateWorkspace(workspace.id));
+  };
+
+  const handleArchive = (workspace, archived) => {
+    run(() => setWorkspaceArchived(workspace.id, archived));
+  };
+
+  const handleDelete = (workspace) => {
+    if (
+      window.confirm(
+        `Permanently delete workspace "${workspace.name}" and all of its saved data?`
+      )
+    ) {
+      run(() => deleteWorkspace(workspace.id));
+    }
+  };
+
+  const handleOpenSettings = () => {
+    setShowMenu(false);
+    setShowSettings(true);
+  };
+
+  const openWorkspaces = workspaces.filter((w) => !w.archived);
+  const archivedWorkspaces = workspaces.filter((w) => w.archived);
+
+  return (
+    <div className="toolbar-menu workspace-switcher" ref={menuRef}>
+      <button
+        className={`toolbar-btn workspace-switcher-btn ${showMenu ? 'active' : ''}`}
+        onClick={() => setShowMenu(!showMenu)}
+        title="Switch workspace"
+      >
+        <FontAwesomeIcon icon={faBriefcase} />
+        <span className="workspace-name">{activeWorkspace?.name || 'Workspace'}</span>
+        <FontAwesomeIcon icon={faChevronDown} className="chevron" />
+      </button>
+
+      {showMenu && (
+        <div className="dropdown-menu workspace-menu">
+          <div className="workspace-menu-title">Workspaces</div>
+          {openWorkspaces.map((workspace) => (
+            <div
+              key={workspace.id}
+              className={`workspace-row ${workspace.id === activeWorkspace?.id ? 'current' : ''}`}
+            >
+              <button className="workspace-row-main" onClick={() => handleSwitch(workspace.id)}>
+                <FontAwesomeIcon
+                  icon={faCheck}
+                  className="workspace-check"
+                  style={{ visibility: workspace.id === activeWorkspace?.id ? 'visible' : 'hidden' }}
+                />
+                <span>{workspace.name}</span>
+              </button>
+              <div className="workspace-row-actions">
+                <button title="Rename" onClick={() => handleRename(workspace)}>
+                  <FontAwesomeIcon icon={faPen} />
+                </button>
+                <button title="Duplicate" onClick={() => handleDuplicate(workspace)}>
+                  <FontAwesomeIcon icon={faCopy} />
+                </button>
+                <button title="Archive" onClick={() => handleArchive(workspace, true)}>
+                  <FontAwesomeIcon icon={faBoxArchive} />
+                </button>
+                <button title="Delete" className="danger" onClick={() => handleDelete(workspace)}>
+                  <FontAwesomeIcon icon={faTrash} />
+                </button>
+              </div>
+            </div>
+          ))}
+
+          {archivedWorkspaces.length > 0 && (
+            <>
+              <div className="menu-divider" />
+              <button onClick={() => setShowArchived(!showArchived)}>
+                <FontAwesomeIcon icon={faBoxArchive} />
+                <span>Archived ({archivedWorkspaces.length})</span>
+                <FontAwesomeIcon
+                  icon={faChevronDown}
+                  className={`chevron ${showArchived ? 'open' : ''}`}
+                />
+              </button>
+              {showArchived &&
+                archivedWorkspaces.map((workspace) => (
+                  <div key={workspace.id} className="workspace-row archived">
+                    <span className="workspace-row-label">{workspace.name}</span>
+                    <div className="workspace-row-actions">
+                      <button title="Unarchive" onClick={() => handleArchive(workspace, false)}>
+                        <FontAwesomeIcon icon={faBoxOpen} />
+                      </button>
+                      <button
+                        title="Delete"
+                        className="danger"
+                        onClick={() => handleDelete(workspace)}
+                      >
+                        <FontAwesomeIcon icon={faTrash} />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+            </>
+          )}
+
+          <div className="menu-divider" />
+          <button onClick={handleCreate}>
+            <FontAwesomeIcon icon={faPlus} />
+            <span>New Workspace</span>
+          </button>
+          <button onClick={handleOpenSettings}>
+            <FontAwesomeIcon icon={faSliders} />
+            <span>Workspace Settings</span>
+          </button>
+        </div>
+      )}
+
+      {showSettings && <WorkspaceSettingsModal onClose={() => setShowSettings(false)} />}
+    </div>
+  );
+};
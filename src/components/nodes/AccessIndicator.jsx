@@ -0,0 +1,40 @@
+import React from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faCircle,
+  faEye,
+  faUser,
+  faUserShield,
+  faSkull,
+  faCrown,
+} from '@fortawesome/free-solid-svg-icons';
+import { AccessLevels } from '../../types/index';
+import { describeAccess } from '../../utils/accessUtils';
+import './NodeStyles.css';
+
+const accessIcons = {
+  [AccessLevels.NONE]: faCircle,
+  [AccessLevels.DISCOVERED]: faEye,
+  [AccessLevels.USER]: faUser,
+  [AccessLevels.LOCAL_ADMIN]: faUserShield,
+  [AccessLevels.SYSTEM]: faSkull,
+  [AccessLevels.DOMAIN_ADMIN]: faCrown,
+};
+
+export const AccessIcon = ({ level, ...props }) => (
+  <FontAwesomeIcon icon={accessIcons[level] || faCircle} {...props} />
+);
+
+/**
+ * Corner marker for the access level obtained on a node
+ * @param {object} [access] - The node's data.access
+ */
+export const AccessIndicator = ({ access }) => {
+  if (!access) return null;
+
+  return (
+    <div className={`access-indicator access-${access.level}`} title={describeAccess(access)}>
+      <AccessIcon level={access.level} />
+    </div>
+  );
+};
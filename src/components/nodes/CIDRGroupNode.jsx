@@ -0,0 +1,64 @@
+import React from 'react';
+import { Handle, Position, NodeResizeControl } from 'reactflow';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faNetworkWired,
+  faDesktop,
+  faChevronDown,
+  faChevronRight,
+} from '@fortawesome/free-solid-svg-icons';
+import { useFlowStore } from '../../store/useFlowStore';
+import { AccessLevelLabels } from '../../types/index';
+import { AccessIcon } from './AccessIndicator';
+import './NodeStyles.css';
+
+export const CIDRGroupNode = ({ id, data, selected }) => {
+  const toggleGroupCollapsed = useFlowStore((state) => state.toggleGroupCollapsed);
+  const { hosts, compromised, topAccess, collapsed, minSize } = data.group;
+
+  return (
+    <div
+      className={`node cidr-group-node ${collapsed ? 'collapsed' : ''} ${selected ? 'selected' : ''} ${data.access ? `access-${data.access.level}` : ''}`}
+    >
+      <div className="node-header">
+        <button
+          className="group-toggle nodrag"
+          onClick={() => toggleGroupCollapsed(id)}
+          title={collapsed ? 'Expand' : 'Collapse'}
+        >
+          <FontAwesomeIcon icon={collapsed ? faChevronRight : faChevronDown} />
+        </button>
+        <span className="node-icon">
+          <FontAwesomeIcon icon={faNetworkWired} />
+        </span>
+        <span className="group-title">
+          <span className="node-title">{data.label}</span>
+          {data.ip && <span className="group-cidr">{data.ip}</span>}
+        </span>
+        <span className="group-stats">
+          <span title="Hosts">
+            <FontAwesomeIcon icon={faDesktop} /> {hosts}
+          </span>
+          {compromised > 0 && (
+            <span
+              className={`group-stats-access access-${topAccess}`}
+              title={`Compromised hosts, highest access ${AccessLevelLabels[topAccess]}`}
+            >
+              <AccessIcon level={topAccess} /> {compromised}
+            </span>
+          )}
+        </span>
+      </div>
+      {!collapsed && (
+        <NodeResizeControl
+          position="bottom-right"
+          minWidth={minSize.width}
+          minHeight={minSize.height}
+          className="group-resize-control"
+        />
+      )}
+      <Handle type="target" position={Position.Top} />
+      <Handle type="source" position={Position.Bottom} />
+    </div>
+  );
+};
@@ -1,12 +1,13 @@
 import React from 'react';
 import { Handle, Position } from 'reactflow';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
-import { faNetworkWired, faLocationDot, faSkull } from '@fortawesome/free-solid-svg-icons';
+import { faNetworkWired, faLocationDot } from '@fortawesome/free-solid-svg-icons';
+import { AccessIndicator } from './AccessIndicator';
 import './NodeStyles.css';
 
 export const CIDRNode = ({ data, selected }) => {
   return (
-    <div className={`node cidr-node ${selected ? 'selected' : ''} ${data.pwned ? 'pwned' : ''}`}>
+    <div className={`node cidr-node ${selected ? 'selected' : ''} ${data.access ? `access-${data.access.level}` : ''}`}>
       <div className="node-header">
         <span className="node-icon">
           <FontAwesomeIcon icon={faNetworkWired} />
@@ -35,11 +36,7 @@ export const CIDRNode = ({ data, selected }) => {
           )}
         </div>
       )}
-      {data.pwned && (
-        <div className="pwned-indicator" title="Pwned">
-          <FontAwesomeIcon icon={faSkull} />
-        </div>
-      )}
+      <AccessIndicator access={data.access} />
       <Handle type="target" position={Position.Top} />
       <Handle type="source" position={Position.Bottom} />
     </div>
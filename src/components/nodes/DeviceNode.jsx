@@ -8,8 +8,10 @@ import {
   faShield,
   faGear,
   faLocationDot,
-  faSkull,
 } from '@fortawesome/free-solid-svg-icons';
+import { NodeBadges } from './NodeBadges';
+import { AccessIndicator } from './AccessIndicator';
+import { useNodeSeverity } from '../../hooks/useNodeSeverity';
 import './NodeStyles.css';
 
 const deviceIcons = {
@@ -21,11 +23,14 @@ const deviceIcons = {
   other: faGear,
 };
 
-export const DeviceNode = ({ data, selected }) => {
+export const DeviceNode = ({ id, data, selected }) => {
+  const severity = useNodeSeverity(id);
   const icon = deviceIcons[data.subType] || deviceIcons.other;
 
   return (
-    <div className={`node device-node ${selected ? 'selected' : ''} ${data.pwned ? 'pwned' : ''}`}>
+    <div
+      className={`node device-node ${selected ? 'selected' : ''} ${data.access ? `access-${data.access.level}` : ''} ${severity ? `severity-${severity}` : ''}`}
+    >
       <div className="node-header">
         <span className="node-icon">
           <FontAwesomeIcon icon={icon} />
@@ -54,11 +59,8 @@ export const DeviceNode = ({ data, selected }) => {
           )}
         </div>
       )}
-      {data.pwned && (
-        <div className="pwned-indicator" title="Pwned">
-          <FontAwesomeIcon icon={faSkull} />
-        </div>
-      )}
+      <NodeBadges id={id} data={data} />
+      <AccessIndicator access={data.access} />
       <Handle type="target" position={Position.Top} />
       <Handle type="source" position={Position.Bottom} />
     </div>
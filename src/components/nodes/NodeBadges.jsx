@@ -0,0 +1,101 @@
+import React, { useMemo } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import {
+  faCodeBranch,
+  faKey,
+  faBug,
+  faLaptopCode,
+  faTriangleExclamation,
+} from '@fortawesome/free-solid-svg-icons';
+import { useFlowStore } from '../../store/useFlowStore';
+import { useNodeSeverity } from '../../hooks/useNodeSeverity';
+import { isActiveFinding, affectsNode } from '../../utils/findingUtils';
+import { buildScope, getOutOfScopeIPs } from '../../utils/scopeUtils';
+import { SeverityLabels } from '../../types/index';
+import './NodeStyles.css';
+
+/**
+ * Status badges shared by the host node types
+ */
+export const NodeBadges = ({ id, data }) => {
+  // Credentials captured on or valid on this node
+  const credentialCount = useFlowStore(
+    (state) =>
+      state.credentials.filter((c) => c.sourceNodeId === id || c.validOn.includes(id)).length
+  );
+  const findingCount = useFlowStore(
+    (state) => state.findings.filter((f) => isActiveFinding(f) && affectsNode(f, id)).length
+  );
+  const isOperatorBox = useFlowStore((state) => state.settings.operatorNodeId === id);
+  const scopeInclude = useFlowStore((state) => state.settings.scopeInclude);
+  const scopeExclude = useFlowStore((state) => state.settings.scopeExclude);
+  const scope = useMemo(() => buildScope(scopeInclude, scopeExclude), [scopeInclude, scopeExclude]);
+  const outOfScopeIPs = getOutOfScopeIPs({ data }, scope);
+  const severity = useNodeSeverity(id);
+  const badges = [];
+
+  if (outOfScopeIPs.length > 0) {
+    badges.push(
+      <span
+        key="out-of-scope"
+        className="node-badge badge-out-of-scope"
+        title={`Out of scope: ${outOfScopeIPs.join(', ')}`}
+      >
+        <FontAwesomeIcon icon={faTriangleExclamation} />
+        <span>out of scope</span>
+      </span>
+    );
+  }
+
+  if (isOperatorBox) {
+    badges.push(
+      <span key="operator" className="node-badge badge-operator" title="Operator box, where pivot routes start">
+        <FontAwesomeIcon icon={faLaptopCode} />
+        <span>operator</span>
+      </span>
+    );
+  }
+
+  if (data.homedNetworks > 1) {
+    badges.push(
+      <span
+        key="multi-homed"
+        className="node-badge badge-multihomed"
+        title={`Bridges ${data.homedNetworks} networks`}
+      >
+        <FontAwesomeIcon icon={faCodeBranch} />
+        <span>{data.homedNetworks === 2 ? 'dual-homed' : `${data.homedNetworks}-homed`}</span>
+      </span>
+    );
+  }
+
+  if (credentialCount > 0) {
+    badges.push(
+      <span
+        key="credentials"
+        className="node-badge badge-credentials"
+        title={`${credentialCount} linked credential(s)`}
+      >
+        <FontAwesomeIcon icon={faKey} />
+        <span>{credentialCount}</span>
+      </span>
+    );
+  }
+
+  if (findingCount > 0) {
+    badges.push(
+      <span
+        key="findings"
+        className={`node-badge badge-findings severity-${severity}`}
+        title={`${findingCount} open finding(s), highest ${SeverityLabels[severity]}`}
+      >
+        <FontAwesomeIcon icon={faBug} />
+        <span>{findingCount}</span>
+      </span>
+    );
+  }
+
+  if (badges.length === 0) return null;
+
+  return <div className="node-badges">{badges}</div>;
+};
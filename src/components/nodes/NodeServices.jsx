@@ -0,0 +1,39 @@
+import React from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faPlug } from '@fortawesome/free-solid-svg-icons';
+import { isOpenService, describeService, serviceKey } from '../../utils/serviceUtils';
+import './NodeStyles.css';
+
+const MAX_SHOWN = 6;
+
+/**
+ * Open-port summary for host cards
+ */
+export const NodeServices = ({ services }) => {
+  const open = (services || []).filter(isOpenService);
+  if (open.length === 0) return null;
+
+  const hidden = open.slice(MAX_SHOWN);
+
+  return (
+    <div className="node-services">
+      <FontAwesomeIcon icon={faPlug} className="node-services-icon" />
+      {open.slice(0, MAX_SHOWN).map((svc) => (
+        <span
+          key={serviceKey(svc)}
+          className="service-chip"
+          title={[serviceKey(svc), describeService(svc), svc.banner].filter(Boolean).join('\n')}
+        >
+          {svc.port}
+          {svc.protocol !== 'tcp' && `/${svc.protocol}`}
+          {svc.service && <span className="service-chip-name">{svc.service}</span>}
+        </span>
+      ))}
+      {hidden.length > 0 && (
+        <span className="service-chip service-chip-more" title={hidden.map(serviceKey).join(', ')}>
+          +{hidden.length}
+        </span>
+      )}
+    </div>
+  );
+};
@@ -1,8 +1,12 @@
 import React from 'react';
 import { Handle, Position } from 'reactflow';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
-import { faDesktop, faLocationDot, faSkull } from '@fortawesome/free-solid-svg-icons';
+import { faDesktop, faLocationDot } from '@fortawesome/free-solid-svg-icons';
 import { faWindows, faLinux, faApple } from '@fortawesome/free-brands-svg-icons';
+import { NodeBadges } from './NodeBadges';
+import { AccessIndicator } from './AccessIndicator';
+import { NodeServices } from './NodeServices';
+import { useNodeSeverity } from '../../hooks/useNodeSeverity';
 import './NodeStyles.css';
 
 const osIcons = {
@@ -12,12 +16,15 @@ const osIcons = {
   other: faDesktop,
 };
 
-export const PCNode = ({ data, selected }) => {
+export const PCNode = ({ id, data, selected }) => {
+  const severity = useNodeSeverity(id);
   const osTag = data.tags?.os?.[0]?.toLowerCase() || 'other';
   const icon = osIcons[osTag] || osIcons.other;
 
   return (
-    <div className={`node pc-node ${selected ? 'selected' : ''} ${data.pwned ? 'pwned' : ''}`}>
+    <div
+      className={`node pc-node ${selected ? 'selected' : ''} ${data.access ? `access-${data.access.level}` : ''} ${severity ? `severity-${severity}` : ''}`}
+    >
       <div className="node-header">
         <span className="node-icon">
           <FontAwesomeIcon icon={icon} />
@@ -35,6 +42,7 @@ export const PCNode = ({ data, selected }) => {
           </div>
         )}
       </div>
+      <NodeServices services={data.services} />
       {data.tags && Object.keys(data.tags).length > 0 && (
         <div className="node-tags">
           {Object.entries(data.tags).map(([category, values]) =>
@@ -46,11 +54,8 @@ export const PCNode = ({ data, selected }) => {
           )}
         </div>
       )}
-      {data.pwned && (
-        <div className="pwned-indicator" title="Pwned">
-          <FontAwesomeIcon icon={faSkull} />
-        </div>
-      )}
+      <NodeBadges id={id} data={data} />
+      <AccessIndicator access={data.access} />
       <Handle type="target" position={Position.Top} />
       <Handle type="source" position={Position.Bottom} />
     </div>
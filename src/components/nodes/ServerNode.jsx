@@ -9,8 +9,11 @@ import {
   faEnvelope,
   faServer,
   faLocationDot,
-  faSkull,
 } from '@fortawesome/free-solid-svg-icons';
+import { NodeBadges } from './NodeBadges';
+import { AccessIndicator } from './AccessIndicator';
+import { NodeServices } from './NodeServices';
+import { useNodeSeverity } from '../../hooks/useNodeSeverity';
 import './NodeStyles.css';
 
 const serverIcons = {
@@ -22,11 +25,14 @@ const serverIcons = {
   other: faServer,
 };
 
-export const ServerNode = ({ data, selected }) => {
+export const ServerNode = ({ id, data, selected }) => {
+  const severity = useNodeSeverity(id);
   const icon = serverIcons[data.subType] || serverIcons.other;
 
   return (
-    <div className={`node server-node ${selected ? 'selected' : ''} ${data.pwned ? 'pwned' : ''}`}>
+    <div
+      className={`node server-node ${selected ? 'selected' : ''} ${data.access ? `access-${data.access.level}` : ''} ${severity ? `severity-${severity}` : ''}`}
+    >
       <div className="node-header">
         <span className="node-icon">
           <FontAwesomeIcon icon={icon} />
@@ -44,6 +50,7 @@ export const ServerNode = ({ data, selected }) => {
           </div>
         )}
       </div>
+      <NodeServices services={data.services} />
       {data.tags && Object.keys(data.tags).length > 0 && (
         <div className="node-tags">
           {Object.entries(data.tags).map(([category, values]) =>
@@ -55,11 +62,8 @@ export const ServerNode = ({ data, selected }) => {
           )}
         </div>
       )}
-      {data.pwned && (
-        <div className="pwned-indicator" title="Pwned">
-          <FontAwesomeIcon icon={faSkull} />
-        </div>
-      )}
+      <NodeBadges id={id} data={data} />
+      <AccessIndicator access={data.access} />
       <Handle type="target" position={Position.Top} />
       <Handle type="source" position={Position.Bottom} />
     </div>
@@ -0,0 +1,36 @@
+import { useEffect, useState } from 'react';
+import { saveSession } from '../utils/persistence';
+
+const DEFAULT_DELAY_MS = 1000;
+
+/**
+ * Debounced autosave of the active workspace to IndexedDB
+ * @param {string} workspaceId - Workspace the document belongs to
+ * @param {{ nodes: Array, edges: Array, tagCatalogue: Array, settings: object, credentials: Array, findings: Array }} document
+ * @param {object} options
+ * @param {boolean} options.enabled - Skip saving while false
+ * @param {number} options.delay - Debounce delay in ms
+ * @returns {string | null} - Why the last save failed, null once a save succeeds
+ */
+export const useAutosave = (
+  workspaceId,
+  { nodes, edges, tagCatalogue, settings, credentials, findings },
+  { enabled = true, delay = DEFAULT_DELAY_MS } = {}
+) => {
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const timer = setTimeout(() => {
+      const document = { nodes, edges, tagCatalogue, settings, credentials, findings };
+      saveSession(workspaceId, document)
+        .then(() => setError(null))
+        .catch((err) => setError(err?.message || String(err)));
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [workspaceId, nodes, edges, tagCatalogue, settings, credentials, findings, enabled, delay]);
+
+  return error;
+};
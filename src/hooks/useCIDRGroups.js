@@ -0,0 +1,47 @@
+import { useCallback, useMemo } from 'react';
+import { useFlowStore } from '../store/useFlowStore';
+import {
+  buildGroupParents,
+  buildGroupView,
+  translateGroupChanges,
+} from '../utils/cidrGroups';
+
+/**
+ * Nodes/edges as drawn on the canvas, with CIDR nodes optionally rendered as
+ * group containers around their members
+ *
+ * @param {object[]} nodes - Store nodes
+ * @param {object[]} edges - Store edges
+ * @param {boolean} enabled - Workspace `groupByCIDR` setting
+ * @returns {{ viewNodes: object[], viewEdges: object[], onNodesChange: Function }}
+ */
+export const useCIDRGroups = (nodes, edges, enabled) => {
+  const storeNodesChange = useFlowStore((state) => state.onNodesChange);
+  const setGroupSize = useFlowStore((state) => state.setGroupSize);
+
+  const parents = useMemo(() => (enabled ? buildGroupParents(nodes) : null), [enabled, nodes]);
+
+  const view = useMemo(
+    () => (parents ? buildGroupView(nodes, edges, parents) : null),
+    [nodes, edges, parents]
+  );
+
+  const onNodesChange = useCallback(
+    (changes) => {
+      if (!view) {
+        storeNodesChange(changes);
+        return;
+      }
+      const translated = translateGroupChanges(changes, view, nodes);
+      if (translated.changes.length > 0) storeNodesChange(translated.changes);
+      translated.resizes.forEach(({ id, width, height }) => setGroupSize(id, { width, height }));
+    },
+    [view, nodes, storeNodesChange, setGroupSize]
+  );
+
+  return {
+    viewNodes: view ? view.nodes : nodes,
+    viewEdges: view ? view.edges : edges,
+    onNodesChange,
+  };
+};
@@ -0,0 +1,72 @@
+import { useMemo, useState } from 'react';
+import { searchNodes } from '../utils/searchQuery';
+
+export const SearchModes = {
+  DIM: 'dim',
+  HIDE: 'hide',
+};
+
+const DIMMED_EDGE_STYLE = { opacity: 0.15 };
+
+/**
+ * Search state plus nodes/edges with matches highlighted and the rest
+ * dimmed or hidden
+ *
+ * @param {object[]} nodes - Store nodes (searched)
+ * @param {object[]} viewNodes - Nodes as drawn, decorated by id
+ * @param {object[]} viewEdges - Edges as drawn
+ */
+export const useNodeSearch = (nodes, viewNodes, viewEdges) => {
+  const [query, setQuery] = useState('');
+  const [mode, setMode] = useState(SearchModes.DIM);
+
+  const { matches, error } = useMemo(() => searchNodes(nodes, query), [nodes, query]);
+
+  const { displayNodes, displayEdges } = useMemo(() => {
+    if (!query.trim() || error) return { displayNodes: viewNodes, displayEdges: viewEdges };
+
+    const matchIds = new Set(matches.map((node) => node.id));
+    const parentOf = new Map(viewNodes.map((node) => [node.id, node.parentNode]));
+
+    // Containers of a match stay visible so hidden mode doesn't hide it with them
+    const keep = new Set(matchIds);
+    matchIds.forEach((id) => {
+      for (let parent = parentOf.get(id); parent && !keep.has(parent); parent = parentOf.get(parent)) {
+        keep.add(parent);
+      }
+    });
+
+    return {
+      displayNodes: viewNodes.map((node) => {
+        if (matchIds.has(node.id)) {
+          return { ...node, className: [node.className, 'search-match'].filter(Boolean).join(' ') };
+        }
+        if (mode === SearchModes.HIDE) {
+          return keep.has(node.id) ? node : { ...node, hidden: true };
+        }
+        return { ...node, className: [node.className, 'search-dimmed'].filter(Boolean).join(' ') };
+      }),
+      displayEdges:
+        mode === SearchModes.HIDE
+          ? viewEdges
+          : viewEdges.map((edge) =>
+              matchIds.has(edge.source) && matchIds.has(edge.target)
+                ? edge
+                : { ...edge, style: { ...edge.style, ...DIMMED_EDGE_STYLE } }
+            ),
+    };
+  }, [viewNodes, viewEdges, matches, error, query, mode]);
+
+  return {
+    search: {
+      query,
+      mode,
+      results: query.trim() ? matches : [],
+      error,
+      setQuery,
+      setMode,
+    },
+    displayNodes,
+    displayEdges,
+  };
+};
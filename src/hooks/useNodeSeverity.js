@@ -0,0 +1,10 @@
+import { useFlowStore } from '../store/useFlowStore';
+import { getNodeSeverity } from '../utils/findingUtils';
+
+/**
+ * Highest severity among the active findings affecting a node
+ * @param {string} nodeId
+ * @returns {string | null} - One of Severities, null without active findings
+ */
+export const useNodeSeverity = (nodeId) =>
+  useFlowStore((state) => getNodeSeverity(state.findings, nodeId));
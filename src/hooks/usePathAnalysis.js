@@ -0,0 +1,110 @@
+import { useCallback, useMemo, useState } from 'react';
+import { findAttackPaths, pathGraphKey, PathModes } from '../utils/pathAnalysis';
+
+const PATH_EDGE_STYLE = { stroke: '#ff7b72', strokeWidth: 3 };
+const IMPLICIT_EDGE_STYLE = { ...PATH_EDGE_STYLE, strokeDasharray: '6 4' };
+const DIMMED_EDGE_STYLE = { opacity: 0.15 };
+
+/**
+ * Attack path analysis state plus nodes/edges decorated for display
+ *
+ * The decoration is derived, never written to the store, so highlighting
+ * doesn't leak into history, autosave or exports.
+ *
+ * @param {object[]} nodes - Store nodes
+ * @param {object[]} edges - Store edges
+ * @param {object[]} viewNodes - Nodes as drawn (e.g. with CIDR groups), defaults to `nodes`
+ * @param {object[]} viewEdges - Edges as drawn, defaults to `edges`
+ */
+export const usePathAnalysis = (nodes, edges, viewNodes = nodes, viewEdges = edges) => {
+  // null while the analysis panel is closed
+  const [query, setQuery] = useState(null);
+
+  const openPathAnalysis = useCallback((targetId = null) => {
+    setQuery((prev) => ({
+      mode: PathModes.SHORTEST,
+      avoid: [],
+      ...prev,
+      targetId,
+      selectedIndex: null,
+    }));
+  }, []);
+
+  const closePathAnalysis = useCallback(() => setQuery(null), []);
+
+  const updatePathQuery = useCallback((updates) => {
+    setQuery((prev) => (prev ? { ...prev, selectedIndex: null, ...updates } : prev));
+  }, []);
+
+  const targetId = query?.targetId;
+  const mode = query?.mode;
+  const avoid = query?.avoid;
+  const selectedIndex = query?.selectedIndex;
+
+  // Keep the analysed graph while only positions or selection change, so
+  // dragging doesn't rerun the search
+  const graphKey = targetId ? pathGraphKey(nodes, edges) : '';
+  const [graph, setGraph] = useState({ key: graphKey, nodes, edges });
+  if (graph.key !== graphKey) setGraph({ key: graphKey, nodes, edges });
+
+  const paths = useMemo(() => {
+    if (!targetId) return [];
+    return findAttackPaths(graph.nodes, graph.edges, targetId, { mode, avoid });
+  }, [graph, targetId, mode, avoid]);
+
+  const { displayNodes, displayEdges } = useMemo(() => {
+    const shown = selectedIndex != null ? [paths[selectedIndex]].filter(Boolean) : paths;
+    if (shown.length === 0) return { displayNodes: viewNodes, displayEdges: viewEdges };
+
+    const pathNodeIds = new Set(shown.flatMap((path) => path.nodeIds));
+    const sourceIds = new Set(shown.map((path) => path.sourceId));
+    const hops = shown.flatMap((path) => path.hops);
+    const pathEdgeIds = new Set(hops.map((hop) => hop.edgeId));
+
+    const nodeClass = (node) => {
+      if (node.id === targetId) return 'path-target';
+      if (sourceIds.has(node.id)) return 'path-source';
+      return pathNodeIds.has(node.id) ? 'path-node' : 'path-dimmed';
+    };
+
+    const implicitEdges = new Map();
+    hops
+      .filter((hop) => hop.implicit)
+      .forEach((hop) => {
+        implicitEdges.set(hop.edgeId, {
+          id: `path-${hop.edgeId}`,
+          source: hop.from,
+          target: hop.to,
+          selectable: false,
+          style: IMPLICIT_EDGE_STYLE,
+          animated: true,
+          data: { label: '', type: 'contains' },
+        });
+      });
+
+    return {
+      displayNodes: viewNodes.map((node) => ({
+        ...node,
+        className: [node.className, nodeClass(node)].filter(Boolean).join(' '),
+      })),
+      displayEdges: [
+        ...viewEdges.map((edge) =>
+          pathEdgeIds.has(edge.id)
+            ? { ...edge, animated: true, style: { ...edge.style, ...PATH_EDGE_STYLE } }
+            : { ...edge, style: { ...edge.style, ...DIMMED_EDGE_STYLE } }
+        ),
+        ...implicitEdges.values(),
+      ],
+    };
+  }, [viewNodes, viewEdges, paths, targetId, selectedIndex]);
+
+  return {
+    pathQuery: query,
+    paths,
+    openPathAnalysis,
+    closePathAnalysis,
+    updatePathQuery,
+    displayNodes,
+    displayEdges,
+  };
+};
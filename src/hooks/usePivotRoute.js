@@ -0,0 +1,81 @@
+import { useCallback, useMemo, useState } from 'react';
+import { findPivotRoute } from '../utils/pathAnalysis';
+
+const ROUTE_EDGE_STYLE = { stroke: '#f778ba', strokeWidth: 3 };
+const IMPLICIT_EDGE_STYLE = { ...ROUTE_EDGE_STYLE, strokeDasharray: '6 4' };
+const DIMMED_EDGE_STYLE = { opacity: 0.15 };
+
+/**
+ * Pivot route view state plus nodes/edges decorated for display
+ *
+ * Shows the route from the operator box to the selected node through live
+ * pivots and footholds. Like path analysis, the decoration never reaches the store.
+ *
+ * @param {object[]} nodes - Store nodes
+ * @param {object[]} edges - Store edges
+ * @param {string} originId - Operator box node id ('' when unset)
+ * @param {object[]} viewNodes - Nodes as drawn, defaults to `nodes`
+ * @param {object[]} viewEdges - Edges as drawn, defaults to `edges`
+ */
+export const usePivotRoute = (nodes, edges, originId, viewNodes = nodes, viewEdges = edges) => {
+  const [open, setOpen] = useState(false);
+
+  const openPivotRoute = useCallback(() => setOpen(true), []);
+  const closePivotRoute = useCallback(() => setOpen(false), []);
+
+  const targetId = open ? nodes.find((node) => node.selected)?.id ?? null : null;
+
+  const route = useMemo(() => {
+    if (!targetId || !originId) return null;
+    return findPivotRoute(nodes, edges, originId, targetId);
+  }, [nodes, edges, originId, targetId]);
+
+  const { displayNodes, displayEdges } = useMemo(() => {
+    if (!route) return { displayNodes: viewNodes, displayEdges: viewEdges };
+
+    const routeNodeIds = new Set(route.nodeIds);
+    const routeEdgeIds = new Set(route.hops.map((hop) => hop.edgeId));
+
+    const nodeClass = (node) => {
+      if (node.id === route.sourceId) return 'route-origin';
+      return routeNodeIds.has(node.id) ? 'route-node' : 'route-dimmed';
+    };
+
+    const implicitEdges = route.hops
+      .filter((hop) => hop.implicit)
+      .map((hop) => ({
+        id: `route-${hop.edgeId}`,
+        source: hop.from,
+        target: hop.to,
+        selectable: false,
+        style: IMPLICIT_EDGE_STYLE,
+        animated: true,
+        data: { label: '', type: 'contains' },
+      }));
+
+    return {
+      displayNodes: viewNodes.map((node) => ({
+        ...node,
+        className: [node.className, nodeClass(node)].filter(Boolean).join(' '),
+      })),
+      displayEdges: [
+        ...viewEdges.map((edge) =>
+          routeEdgeIds.has(edge.id)
+            ? { ...edge, animated: true, style: { ...edge.style, ...ROUTE_EDGE_STYLE } }
+            : { ...edge, style: { ...edge.style, ...DIMMED_EDGE_STYLE } }
+        ),
+        ...implicitEdges,
+      ],
+    };
+  }, [viewNodes, viewEdges, route]);
+
+  return {
+    pivotRouteOpen: open,
+    routeTargetId: targetId,
+    route,
+    openPivotRoute,
+    closePivotRoute,
+    displayNodes,
+    displayEdges,
+  };
+};
@@ -1,111 +1,685 @@
 import { create } from 'zustand';
-import { createNode, createEdge } from '../types/index';
-
-export const useFlowStore = create((set, get) => ({
-  // State
-  nodes: [],
-  edges: [],
-  selectedNodeId: null,
-
-  // Actions
-  setNodes: (nodes) => set({ nodes }),
-  setEdges: (edges) => set({ edges }),
-  setSelectedNodeId: (id) => set({ selectedNodeId: id }),
-
-  addNode: (nodeData) => {
-    const newNode = createNode(nodeData.id, nodeData.type, nodeData);
-    set((state) => ({
-      nodes: [...state.nodes, newNode],
-    }));
-  },
-
-  updateNode: (nodeId, updates) => {
-    set((state) => ({
-      nodes: state.nodes.map((node) =>
-        node.id === nodeId ? { ...node, data: { ...node.data, ...updates } } : node
-      ),
-    }));
-  },
-
-  deleteNode: (nodeId) => {
-    set((state) => ({
-      nodes: state.nodes.filter((node) => node.id !== nodeId),
-      edges: state.edges.filter((edge) => edge.source !== nodeId && edge.target !== nodeId),
-    }));
-  },
-
-  addEdge: (edgeData) => {
-    const newEdge = createEdge(edgeData.source, edgeData.target, edgeData);
-    set((state) => ({
-      edges: [...state.edges, newEdge],
-    }));
-  },
-
-  deleteEdge: (edgeId) => {
-    set((state) => ({
-      edges: state.edges.filter((edge) => edge.id !== edgeId),
-    }));
-  },
-
-  // Import/Export operations
-  exportToJSON: () => {
-    const state = get();
-    return JSON.stringify(
-      {
-        version: '1.0',
-        timestamp: new Date().toISOString(),
-        nodes: state.nodes,
-        edges: state.edges,
-      },
-      null,
-      2
-    );
-  },
-
-  importFromJSON: (jsonData) => {
-    try {
-      const parsed = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
-
-      if (!parsed.nodes || !Array.isArray(parsed.nodes)) {
-        throw new Error('Invalid JSON: missing nodes array');
+import { applyNodeChanges, applyEdgeChanges, addEdge } from 'reactflow';
+import {
+  createNode,
+  createEdge,
+  createTagCatalogue,
+  createCredential,
+  createFinding,
+  createAccess,
+  AccessLevels,
+  EdgeTypes,
+  DefaultWorkspaceSettings,
+} from '../types/index';
+import { getAccessLevel, shiftAccessLevel } from '../utils/accessUtils';
+import { applyLayout, applyCIDRTreeLayout, LayoutTypes } from '../utils/layoutAlgorithms';
+import { importScan } from '../utils/importers';
+import { mergeHostNetworking } from '../utils/importers/hostNetworking';
+import { mergeHosts } from '../utils/importers/hostImport';
+import { buildScope } from '../utils/scopeUtils';
+import { parseDocument, convertPwnedFlag, SCHEMA_VERSION } from '../utils/documentSchema';
+import { planMerge, applyMerge, mergeTagCatalogues } from '../utils/mergeImport';
+
+const MAX_HISTORY = 100;
+const GROUP_WINDOW_MS = 1500;
+
+/**
+ * Selectors
+ *
+ * Components should subscribe to the narrowest slice they need. Selectors
+ * that build new objects or arrays must be used with `useShallow` from
+ * 'zustand/react/shallow' so unrelated updates don't re-render.
+ */
+export const selectNodes = (state) => state.nodes;
+export const selectEdges = (state) => state.edges;
+export const selectNodeCount = (state) => state.nodes.length;
+export const selectEdgeCount = (state) => state.edges.length;
+export const selectTagCatalogue = (state) => state.tagCatalogue;
+export const selectSettings = (state) => state.settings;
+export const selectCredentials = (state) => state.credentials;
+export const selectFindings = (state) => state.findings;
+export const selectCanUndo = (state) => state.past.length > 0;
+export const selectCanRedo = (state) => state.future.length > 0;
+export const selectSelectedNodes = (state) => state.nodes.filter((n) => n.selected);
+export const selectNodeById = (nodeId) => (state) => state.nodes.find((n) => n.id === nodeId);
+export const selectNodeCountsByType = (state) => {
+  const counts = {};
+  state.nodes.forEach((node) => {
+    counts[node.type] = (counts[node.type] || 0) + 1;
+  });
+  return counts;
+};
+
+const resolve = (valueOrUpdater, current) =>
+  typeof valueOrUpdater === 'function' ? valueOrUpdater(current) : valueOrUpdater;
+
+/**
+ * Add tag values that aren't in the catalogue yet to their category
+ * @param {Array} catalogue - Tag catalogue
+ * @param {object} tags - { categoryKey: ['tagValue1', 'tagValue2'] }
+ * @returns {Array} - The same catalogue if nothing was added
+ */
+const addTagsToCatalogue = (catalogue, tags) => {
+  let changed = false;
+  const next = catalogue.map((category) => {
+    const known = new Set(category.options.map((option) => option.value));
+    const added = (tags[category.key] || [])
+      .filter((value) => !known.has(value))
+      .map((value) => ({ value, label: value }));
+    if (added.length === 0) return category;
+    changed = true;
+    return { ...category, options: [...category.options, ...added] };
+  });
+  return changed ? next : catalogue;
+};
+
+/**
+ * Drop links from credentials to deleted nodes (the credentials stay)
+ */
+const unlinkCredentials = (credentials, nodeIds) => {
+  if (!credentials.some((c) => nodeIds.has(c.sourceNodeId) || c.validOn.some((id) => nodeIds.has(id)))) {
+    return credentials;
+  }
+  return credentials.map((credential) => ({
+    ...credential,
+    sourceNodeId: nodeIds.has(credential.sourceNodeId) ? null : credential.sourceNodeId,
+    validOn: credential.validOn.filter((id) => !nodeIds.has(id)),
+  }));
+};
+
+/**
+ * Drop deleted nodes from the findings' affected lists (the findings stay)
+ */
+const unlinkFindings = (findings, nodeIds) => {
+  if (!findings.some((f) => f.affected.some((entry) => nodeIds.has(entry.nodeId)))) {
+    return findings;
+  }
+  return findings.map((finding) => ({
+    ...finding,
+    affected: finding.affected.filter((entry) => !nodeIds.has(entry.nodeId)),
+  }));
+};
+
+/**
+ * Node data with a new access level; no access drops the record
+ */
+const withAccess = (data, level, details) => {
+  const next = { ...data };
+  if (level === AccessLevels.NONE) delete next.access;
+  else next.access = createAccess(level, details);
+  return next;
+};
+
+export const useFlowStore = create((set, get) => {
+  // History bookkeeping that doesn't need to trigger renders
+  let lastGroup = { key: null, time: 0 };
+  let snapshotPending = false;
+
+  return {
+    // State
+    nodes: [],
+    edges: [],
+    tagCatalogue: createTagCatalogue(),
+    settings: { ...DefaultWorkspaceSettings },
+    credentials: [],
+    findings: [],
+    selectedNodeId: null,
+    past: [],
+    future: [],
+
+    // Actions
+    setNodes: (nodes) => set((state) => ({ nodes: resolve(nodes, state.nodes) })),
+    setEdges: (edges) => set((state) => ({ edges: resolve(edges, state.edges) })),
+    setSelectedNodeId: (id) => set({ selectedNodeId: id }),
+
+    // React Flow change handlers
+    onNodesChange: (changes) => {
+      set((state) => ({ nodes: applyNodeChanges(changes, state.nodes) }));
+    },
+
+    onEdgesChange: (changes) => {
+      set((state) => ({ edges: applyEdgeChanges(changes, state.edges) }));
+    },
+
+    // Edges drawn by hand are network links until retyped in the edge editor
+    onConnect: (connection) => {
+      const edge = createEdge(connection.source, connection.target, { type: EdgeTypes.CONNECTS });
+      if (get().edges.some((e) => e.id === edge.id)) return;
+      get().takeSnapshot();
+      set((state) => ({ edges: addEdge({ ...connection, ...edge }, state.edges) }));
+    },
+
+    // History
+    /**
+     * Record the current graph before a mutation
+     * Snapshots taken during the same event are coalesced into one step, and
+     * snapshots sharing a group key (e.g. 'drag') within GROUP_WINDOW_MS are
+     * merged so consecutive drags undo in one go.
+     * @param {string | null} groupKey
+     */
+    takeSnapshot: (groupKey = null) => {
+      if (snapshotPending) return;
+
+      const now = Date.now();
+      const sameGroup =
+        groupKey && lastGroup.key === groupKey && now - lastGroup.time < GROUP_WINDOW_MS;
+      lastGroup = { key: groupKey, time: now };
+      if (sameGroup) return;
+
+      snapshotPending = true;
+      queueMicrotask(() => {
+        snapshotPending = false;
+      });
+
+      set((state) => ({
+        past: [
+          ...state.past.slice(-(MAX_HISTORY - 1)),
+          {
+            nodes: state.nodes,
+            edges: state.edges,
+            credentials: state.credentials,
+            findings: state.findings,
+          },
+        ],
+        future: [],
+      }));
+    },
+
+    undo: () => {
+      const { past, future, nodes, edges, credentials, findings } = get();
+      const previous = past[past.length - 1];
+      if (!previous) return;
+
+      lastGroup = { key: null, time: 0 };
+      set({
+        past: past.slice(0, -1),
+        future: [...future, { nodes, edges, credentials, findings }],
+        nodes: previous.nodes,
+        edges: previous.edges,
+        credentials: previous.credentials,
+        findings: previous.findings,
+      });
+    },
+
+    redo: () => {
+      const { past, future, nodes, edges, credentials, findings } = get();
+      const next = future[future.length - 1];
+      if (!next) return;
+
+      lastGroup = { key: null, time: 0 };
+      set({
+        past: [...past.slice(-(MAX_HISTORY - 1)), { nodes, edges, credentials, findings }],
+        future: future.slice(0, -1),
+        nodes: next.nodes,
+        edges: next.edges,
+        credentials: next.credentials,
+        findings: next.findings,
+      });
+    },
+
+    clearHistory: () => set({ past: [], future: [] }),
+
+    // Workspace document
+    /**
+     * Replace the whole workspace document and start a fresh history
+     * @param {{ nodes: Array, edges: Array, tagCatalogue?: Array, settings?: object, credentials?: Array, findings?: Array }} document
+     */
+    loadDocument: (document) => {
+      lastGroup = { key: null, time: 0 };
+      set({
+        // Sessions saved before access levels still carry the pwned flag
+        nodes: (document.nodes || []).map(convertPwnedFlag),
+        edges: document.edges || [],
+        tagCatalogue: document.tagCatalogue || createTagCatalogue(),
+        settings: { ...DefaultWorkspaceSettings, ...document.settings },
+        credentials: document.credentials || [],
+        findings: document.findings || [],
+        selectedNodeId: null,
+        past: [],
+        future: [],
+      });
+    },
+
+    getDocument: () => {
+      const { nodes, edges, tagCatalogue, settings, credentials, findings } = get();
+      return { nodes, edges, tagCatalogue, settings, credentials, findings };
+    },
+
+    setTagCatalogue: (tagCatalogue) =>
+      set((state) => ({ tagCatalogue: resolve(tagCatalogue, state.tagCatalogue) })),
+
+    /**
+     * Remember tag values used on a node so they're offered next time
+     * @param {object} tags - { categoryKey: ['tagValue1', 'tagValue2'] }
+     */
+    addCatalogueTags: (tags) =>
+      set((state) => ({ tagCatalogue: addTagsToCatalogue(state.tagCatalogue, tags) })),
+
+    updateSettings: (updates) => set((state) => ({ settings: { ...state.settings, ...updates } })),
+
+    // Node operations
+    addNode: (nodeData) => {
+      const id = nodeData.id || `${nodeData.type}-${Date.now()}`;
+      const newNode = createNode(id, nodeData.type, nodeData);
+      get().takeSnapshot();
+      set((state) => ({
+        nodes: [...state.nodes, newNode],
+      }));
+      return newNode;
+    },
+
+    updateNode: (nodeId, updates) => {
+      get().takeSnapshot();
+      set((state) => ({
+        nodes: state.nodes.map((node) =>
+          node.id === nodeId ? { ...node, data: { ...node.data, ...updates } } : node
+        ),
+      }));
+    },
+
+    // Replace the whole data object, so fields the caller dropped (e.g. services) stay removed
+    replaceNodeData: (nodeId, data) => {
+      get().takeSnapshot();
+      set((state) => ({
+        nodes: state.nodes.map((node) => (node.id === nodeId ? { ...node, data } : node)),
+      }));
+    },
+
+    duplicateNodes: (nodesToCopy) => {
+      const idBase = Date.now();
+      const copies = nodesToCopy.map((node, index) => ({
+        ...node,
+        id: `${node.type}-${idBase}-${index}`,
+        selected: false,
+        position: {
+          x: node.position.x + 50,
+          y: node.position.y + 50,
+        },
+        data: { ...node.data },
+      }));
+      get().takeSnapshot();
+      set((state) => ({ nodes: [...state.nodes, ...copies] }));
+    },
+
+    deleteNodes: (nodeIds) => {
+      const ids = new Set(nodeIds);
+      get().takeSnapshot();
+      set((state) => ({
+        nodes: state.nodes.filter((node) => !ids.has(node.id)),
+        edges: state.edges.filter((edge) => !ids.has(edge.source) && !ids.has(edge.target)),
+        credentials: unlinkCredentials(state.credentials, ids),
+        findings: unlinkFindings(state.findings, ids),
+      }));
+    },
+
+    deleteNode: (nodeId) => get().deleteNodes([nodeId]),
+
+    /**
+     * Record the access level obtained on nodes
+     * @param {string[]} nodeIds
+     * @param {string} level - One of AccessLevels
+     * @param {{ operator?: string, method?: string, at?: string }} [details] - The
+     *   operator defaults to the workspace's
+     */
+    setAccessLevel: (nodeIds, level, details = {}) => {
+      const ids = new Set(nodeIds);
+      const operator = details.operator ?? get().settings.operator;
+      get().takeSnapshot();
+      set((state) => ({
+        nodes: state.nodes.map((node) =>
+          ids.has(node.id)
+            ? { ...node, data: withAccess(node.data, level, { ...details, operator }) }
+            : node
+        ),
+      }));
+    },
+
+    /**
+     * Move each node to its next (or previous) access level, wrapping around
+     * @param {string[]} nodeIds
+     * @param {number} [step] - 1 or -1
+     */
+    cycleAccessLevel: (nodeIds, step = 1) => {
+      const ids = new Set(nodeIds);
+      const { operator } = get().settings;
+      get().takeSnapshot();
+      set((state) => ({
+        nodes: state.nodes.map((node) =>
+          ids.has(node.id)
+            ? {
+                ...node,
+                data: withAccess(node.data, shiftAccessLevel(getAccessLevel(node), step), { operator }),
+              }
+            : node
+        ),
+      }));
+    },
+
+    toggleGroupCollapsed: (nodeId) => {
+      get().takeSnapshot();
+      set((state) => ({
+        nodes: state.nodes.map((node) =>
+          node.id === nodeId ? { ...node, data: { ...node.data, collapsed: !node.data.collapsed } } : node
+        ),
+      }));
+    },
+
+    /**
+     * Remember the size a CIDR group container was resized to
+     * Consecutive resize events undo as one step.
+     * @param {string} nodeId
+     * @param {{ width: number, height: number }} size
+     */
+    setGroupSize: (nodeId, size) => {
+      get().takeSnapshot('resize');
+      const groupSize = { width: Math.round(size.width), height: Math.round(size.height) };
+      set((state) => ({
+        nodes: state.nodes.map((node) =>
+          node.id === nodeId ? { ...node, data: { ...node.data, groupSize } } : node
+        ),
+      }));
+    },
+
+    /**
+     * Select exactly the given nodes (and no edges), e.g. from the table view
+     * @param {string[]} nodeIds
+     */
+    setNodeSelection: (nodeIds) => {
+      const ids = new Set(nodeIds);
+      set((state) => ({
+        nodes: state.nodes.map((node) =>
+          Boolean(node.selected) === ids.has(node.id) ? node : { ...node, selected: ids.has(node.id) }
+        ),
+        edges: state.edges.map((edge) => (edge.selected ? { ...edge, selected: false } : edge)),
+      }));
+    },
+
+    deselectAll: () => {
+      set((state) => ({
+        nodes: state.nodes.map((node) => (node.selected ? { ...node, selected: false } : node)),
+        edges: state.edges.map((edge) => (edge.selected ? { ...edge, selected: false } : edge)),
+      }));
+    },
+
+    // Credential operations
+    addCredential: (credentialData) => {
+      const credential = createCredential(credentialData.id || `cred-${Date.now()}`, credentialData);
+      get().takeSnapshot();
+      set((state) => ({ credentials: [...state.credentials, credential] }));
+      return credential;
+    },
+
+    updateCredential: (credentialId, updates) => {
+      get().takeSnapshot();
+      set((state) => ({
+        credentials: state.credentials.map((credential) =>
+          credential.id === credentialId ? { ...credential, ...updates } : credential
+        ),
+      }));
+    },
+
+    deleteCredential: (credentialId) => {
+      get().takeSnapshot();
+      set((state) => ({
+        credentials: state.credentials.filter((credential) => credential.id !== credentialId),
+      }));
+    },
+
+    // Finding operations
+    addFinding: (findingData) => {
+      const finding = createFinding(findingData.id || `finding-${Date.now()}`, findingData);
+      get().takeSnapshot();
+      set((state) => ({ findings: [...state.findings, finding] }));
+      return finding;
+    },
+
+    updateFinding: (findingId, updates) => {
+      get().takeSnapshot();
+      set((state) => ({
+        findings: state.findings.map((finding) =>
+          finding.id === findingId ? { ...finding, ...updates } : finding
+        ),
+      }));
+    },
+
+    deleteFinding: (findingId) => {
+      get().takeSnapshot();
+      set((state) => ({
+        findings: state.findings.filter((finding) => finding.id !== findingId),
+      }));
+    },
+
+    // Edge operations
+    addEdge: (edgeData) => {
+      const newEdge = createEdge(edgeData.source, edgeData.target, edgeData);
+      get().takeSnapshot();
+      set((state) => ({
+        edges: [...state.edges, newEdge],
+      }));
+    },
+
+    updateEdge: (edgeId, updates) => {
+      get().takeSnapshot();
+      set((state) => ({
+        edges: state.edges.map((edge) =>
+          edge.id === edgeId ? { ...edge, data: { ...edge.data, ...updates } } : edge
+        ),
+      }));
+    },
+
+    deleteEdges: (edgeIds) => {
+      const ids = new Set(edgeIds);
+      get().takeSnapshot();
+      set((state) => ({
+        edges: state.edges.filter((edge) => !ids.has(edge.id)),
+      }));
+    },
+
+    deleteEdge: (edgeId) => get().deleteEdges([edgeId]),
+
+    // Layout
+    applyLayout: (layoutType) => {
+      const { nodes, edges } = get();
+      get().takeSnapshot();
+      if (layoutType === LayoutTypes.CIDR_TREE) {
+        // CIDR tree layout also generates auto-edges based on IP/CIDR hierarchy
+        const result = applyCIDRTreeLayout(nodes, edges);
+        set({ nodes: result.nodes, edges: result.edges });
+      } else {
+        set({ nodes: applyLayout(nodes, edges, layoutType) });
       }
+    },
+
+    // Import/Export operations
+    /**
+     * Serialize the workspace document
+     * @param {object} options
+     * @param {boolean} options.redactSecrets - Blank credential secrets, keeping who/where
+     * @returns {string}
+     */
+    exportToJSON: (options = {}) => {
+      const state = get();
+      const credentials = options.redactSecrets
+        ? state.credentials.map((credential) => ({ ...credential, secret: '', redacted: true }))
+        : state.credentials;
+      return JSON.stringify(
+        {
+          version: SCHEMA_VERSION,
+          timestamp: new Date().toISOString(),
+          nodes: state.nodes,
+          edges: state.edges,
+          tagCatalogue: state.tagCatalogue,
+          settings: state.settings,
+          credentials,
+          findings: state.findings,
+        },
+        null,
+        2
+      );
+    },
+
+    /**
+     * Replace the graph with imported JSON
+     * The file is migrated to the current schema version and validated;
+     * invalid elements are repaired or dropped and listed in the report.
+     * @param {string | object} jsonData
+     * @param {object} options
+     * @param {boolean} options.resetHistory - Start a fresh history (initial load)
+     * @returns {{ success: boolean, message: string, report?: object }}
+     */
+    importFromJSON: (jsonData, options = {}) => {
+      try {
+        const { document, report } = parseDocument(jsonData);
+
+        if (options.resetHistory) {
+          get().clearHistory();
+        } else {
+          get().takeSnapshot();
+        }
 
-      if (!parsed.edges || !Array.isArray(parsed.edges)) {
-        throw new Error('Invalid JSON: missing edges array');
+        set((state) => ({
+          nodes: document.nodes,
+          edges: document.edges,
+          tagCatalogue: document.tagCatalogue || state.tagCatalogue,
+          settings: document.settings ? { ...state.settings, ...document.settings } : state.settings,
+          credentials: document.credentials || [],
+          findings: document.findings || [],
+        }));
+
+        return {
+          success: true,
+          message: `Imported ${document.nodes.length} nodes and ${document.edges.length} edges`,
+          report,
+        };
+      } catch (error) {
+        return { success: false, message: error.message };
       }
+    },
+
+    /**
+     * Preview merging a validated document: matched nodes, conflicts and links gaining a type
+     * @param {object} document - Document returned by parseDocument
+     */
+    previewMerge: (document) => planMerge(get().nodes, document, get().edges),
+
+    /**
+     * Merge a validated document into the graph instead of replacing it
+     * @param {object} document - Document returned by parseDocument
+     * @param {Object<string, 'current' | 'incoming'>} resolutions - Conflict choices
+     * @returns {object} - Merge summary
+     */
+    mergeDocument: (document, resolutions = {}) => {
+      const { nodes, edges, tagCatalogue, credentials, findings } = get();
+      const result = applyMerge(nodes, edges, document, resolutions, { credentials, findings });
+      get().takeSnapshot();
+      set({
+        nodes: result.nodes,
+        edges: result.edges,
+        credentials: result.credentials,
+        findings: result.findings,
+        tagCatalogue: document.tagCatalogue
+          ? mergeTagCatalogues(tagCatalogue, document.tagCatalogue)
+          : tagCatalogue,
+      });
+      return result.summary;
+    },
+
+    /**
+     * Merge scanner output into the graph
+     * @param {string} importerType - One of ImporterTypes
+     * @param {string[]} texts - Raw contents of each file
+     * @returns {object} - Import summary
+     */
+    importScan: (importerType, texts) => {
+      const { nodes, edges, settings, findings } = get();
+      const result = importScan(nodes, edges, importerType, texts, {
+        findings,
+        subnetPrefix: settings.subnetPrefix,
+        subnetPrefixV6: settings.subnetPrefixV6,
+        scope: buildScope(settings.scopeInclude, settings.scopeExclude),
+        outOfScope: settings.outOfScopeImports,
+        operator: settings.operator,
+      });
+      get().takeSnapshot();
+      set({ nodes: result.nodes, edges: result.edges, findings: result.findings });
+      return result.summary;
+    },
+
+    /**
+     * Map networking command output captured on a host into the graph
+     * @param {string} nodeId - Host the output came from
+     * @param {object} parsed - Result of parseHostNetworking
+     * @returns {object} - Import summary
+     */
+    importHostNetworking: (nodeId, parsed) => {
+      const { nodes, edges, settings } = get();
+      const result = mergeHostNetworking(nodes, edges, nodeId, parsed, {
+        subnetPrefix: settings.subnetPrefix,
+        subnetPrefixV6: settings.subnetPrefixV6,
+        scope: buildScope(settings.scopeInclude, settings.scopeExclude),
+        outOfScope: settings.outOfScopeImports,
+        operator: settings.operator,
+      });
+      get().takeSnapshot();
+      set({ nodes: result.nodes, edges: result.edges });
+      return result.summary;
+    },
 
+    /**
+     * Merge asset inventory rows into the graph
+     * @param {{ hosts: object[], networks: string[] }} inventory - Result of buildCsvHosts
+     * @param {object} options
+     * @param {boolean} options.arrange - Lay the whole graph out as a CIDR tree afterwards
+     * @returns {object} - Import summary
+     */
+    importInventory: ({ hosts, networks }, { arrange = false } = {}) => {
+      const { nodes, edges, settings, findings, tagCatalogue } = get();
+      const result = mergeHosts(nodes, edges, hosts, {
+        networks,
+        source: 'csv',
+        findings,
+        subnetPrefix: settings.subnetPrefix,
+        subnetPrefixV6: settings.subnetPrefixV6,
+        scope: buildScope(settings.scopeInclude, settings.scopeExclude),
+        outOfScope: settings.outOfScopeImports,
+        operator: settings.operator,
+      });
+      const graph = arrange ? applyCIDRTreeLayout(result.nodes, result.edges) : result;
+      get().takeSnapshot();
       set({
-        nodes: parsed.nodes,
-        edges: parsed.edges,
+        nodes: graph.nodes,
+        edges: graph.edges,
+        tagCatalogue: hosts.reduce(
+          (catalogue, host) => addTagsToCatalogue(catalogue, host.tags || {}),
+          tagCatalogue
+        ),
+      });
+      return result.summary;
+    },
+
+    clearAll: () => {
+      get().takeSnapshot();
+      set((state) => {
+        const ids = new Set(state.nodes.map((n) => n.id));
+        return {
+          nodes: [],
+          edges: [],
+          credentials: unlinkCredentials(state.credentials, ids),
+          findings: unlinkFindings(state.findings, ids),
+          selectedNodeId: null,
+        };
       });
+    },
+
+    // Get statistics
+    getStats: () => {
+      const state = get();
 
-      return { success: true, message: `Imported ${parsed.nodes.length} nodes and ${parsed.edges.length} edges` };
-    } catch (error) {
-      return { success: false, message: error.message };
-    }
-  },
-
-  clearAll: () => {
-    set({
-      nodes: [],
-      edges: [],
-      selectedNodeId: null,
-    });
-  },
-
-  // Get statistics
-  getStats: () => {
-    const state = get();
-    const nodesByType = {};
-
-    state.nodes.forEach((node) => {
-      nodesByType[node.type] = (nodesByType[node.type] || 0) + 1;
-    });
-
-    return {
-      totalNodes: state.nodes.length,
-      totalEdges: state.edges.length,
-      nodesByType,
-    };
-  },
-}));
+      return {
+        totalNodes: state.nodes.length,
+        totalEdges: state.edges.length,
+        nodesByType: selectNodeCountsByType(state),
+      };
+    },
+  };
+});
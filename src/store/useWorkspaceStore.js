@@ -0,0 +1,205 @@
+import { create } from 'zustand';
+import { useFlowStore } from './useFlowStore';
+import { createTagCatalogue, DefaultWorkspaceSettings } from '../types/index';
+import {
+  DEFAULT_WORKSPACE_ID,
+  listWorkspaces,
+  saveWorkspace,
+  deleteWorkspace,
+  saveSession,
+  loadSession,
+} from '../utils/persistence';
+
+const ACTIVE_WORKSPACE_KEY = 'deepnetvisibility.activeWorkspace';
+
+/**
+ * Selectors
+ */
+export const selectWorkspaces = (state) => state.workspaces;
+export const selectActiveWorkspaceId = (state) => state.activeWorkspaceId;
+export const selectActiveWorkspace = (state) =>
+  state.workspaces.find((w) => w.id === state.activeWorkspaceId);
+
+const createEmptyDocument = () => ({
+  nodes: [],
+  edges: [],
+  tagCatalogue: createTagCatalogue(),
+  settings: { ...DefaultWorkspaceSettings },
+  credentials: [],
+  findings: [],
+});
+
+// Workspaces can be created (or imported) within the same millisecond
+let workspaceCounter = 0;
+
+const createWorkspaceRecord = (name) => ({
+  id: `ws-${Date.now()}-${workspaceCounter++}-${Math.random().toString(36).slice(2, 6)}`,
+  name,
+  createdAt: new Date().toISOString(),
+  archived: false,
+});
+
+const readActiveId = () => {
+  try {
+    return localStorage.getItem(ACTIVE_WORKSPACE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+const writeActiveId = (id) => {
+  try {
+    localStorage.setItem(ACTIVE_WORKSPACE_KEY, id);
+  } catch {
+    // Storage unavailable: the first workspace is opened next time
+  }
+};
+
+/**
+ * Workspaces (engagements)
+ *
+ * Each workspace owns a separate document (nodes, edges, tag catalogue,
+ * settings, credentials, findings) persisted under its id. Only the active
+ * workspace's document is loaded into useFlowStore; switching saves it and
+ * loads the other one.
+ */
+export const useWorkspaceStore = create((set, get) => {
+  /**
+   * Save the active document, then load another workspace's document
+   */
+  const activate = async (workspaceId, document = null) => {
+    const flow = useFlowStore.getState();
+    await saveSession(get().activeWorkspaceId, flow.getDocument());
+    const next = document || (await loadSession(workspaceId)) || createEmptyDocument();
+
+    // Update both stores in the same tick so autosave never pairs a
+    // document with the wrong workspace id
+    set({ activeWorkspaceId: workspaceId });
+    flow.loadDocument(next);
+    writeActiveId(workspaceId);
+  };
+
+  /**
+   * Move off a workspace that is about to be archived or deleted
+   */
+  const leave = async (workspaceId) => {
+    if (get().activeWorkspaceId !== workspaceId) return;
+    const fallback = get().workspaces.find((w) => w.id !== workspaceId && !w.archived);
+    if (fallback) {
+      await activate(fallback.id);
+    } else {
+      await get().createWorkspace('Untitled');
+    }
+  };
+
+  return {
+    // State
+    workspaces: [],
+    activeWorkspaceId: DEFAULT_WORKSPACE_ID,
+
+    // Actions
+    /**
+     * Load the workspace list and pick the active workspace, creating a
+     * default one on first run
+     * @returns {Promise<string>} - Active workspace id
+     */
+    loadWorkspaces: async () => {
+      let workspaces = await listWorkspaces();
+      if (workspaces.length === 0) {
+        const workspace = {
+          ...createWorkspaceRecord('Default'),
+          id: DEFAULT_WORKSPACE_ID,
+        };
+        await saveWorkspace(workspace);
+        workspaces = [workspace];
+      }
+
+      const storedId = readActiveId();
+      const active =
+        workspaces.find((w) => w.id === storedId && !w.archived) ||
+        workspaces.find((w) => !w.archived) ||
+        workspaces[0];
+
+      set({ workspaces, activeWorkspaceId: active.id });
+      return active.id;
+    },
+
+    switchWorkspace: async (workspaceId) => {
+      if (workspaceId === get().activeWorkspaceId) return;
+      await activate(workspaceId);
+    },
+
+    /**
+     * Create an empty workspace and switch to it
+     * @param {string} name
+     */
+    createWorkspace: async (name) => {
+      const workspace = createWorkspaceRecord(name);
+      const document = createEmptyDocument();
+      await saveWorkspace(workspace);
+      await saveSession(workspace.id, document);
+      set((state) => ({ workspaces: [...state.workspaces, workspace] }));
+      await activate(workspace.id, document);
+      return workspace;
+    },
+
+    renameWorkspace: async (workspaceId, name) => {
+      const workspace = get().workspaces.find((w) => w.id === workspaceId);
+      if (!workspace) return;
+      const renamed = { ...workspace, name };
+      await saveWorkspace(renamed);
+      set((state) => ({
+        workspaces: state.workspaces.map((w) => (w.id === workspaceId ? renamed : w)),
+      }));
+    },
+
+    /**
+     * Copy a workspace's document into a new workspace (without switching)
+     * @param {string} workspaceId
+     */
+    duplicateWorkspace: async (workspaceId) => {
+      const source = get().workspaces.find((w) => w.id === workspaceId);
+      if (!source) return null;
+
+      const document =
+        workspaceId === get().activeWorkspaceId
+          ? useFlowStore.getState().getDocument()
+          : (await loadSession(workspaceId)) || createEmptyDocument();
+      const copy = createWorkspaceRecord(`${source.name} (copy)`);
+      await saveWorkspace(copy);
+      await saveSession(copy.id, document);
+      set((state) => ({ workspaces: [...state.workspaces, copy] }));
+      return copy;
+    },
+
+    /**
+     * Archive or unarchive a workspace; archiving the active one switches away
+     * @param {string} workspaceId
+     * @param {boolean} archived
+     */
+    setWorkspaceArchived: async (workspaceId, archived) => {
+      const workspace = get().workspaces.find((w) => w.id === workspaceId);
+      if (!workspace) return;
+      if (archived) {
+        await leave(workspaceId);
+      }
+      const updated = { ...workspace, archived };
+      await saveWorkspace(updated);
+      set((state) => ({
+        workspaces: state.workspaces.map((w) => (w.id === workspaceId ? updated : w)),
+      }));
+    },
+
+    /**
+     * Permanently delete a workspace and its saved data
+     * @param {string} workspaceId
+     */
+    deleteWorkspace: async (workspaceId) => {
+      await leave(workspaceId);
+      await deleteWorkspace(workspaceId);
+      set((state) => ({
+        workspaces: state.workspaces.filter((w) => w.id !== workspaceId),
+      }));
+    },
+  };
+});
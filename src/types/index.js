@@ -8,6 +8,13 @@ export const NodeTypes = {
   NETWORK_DEVICE: 'device',
 };
 
+export const NodeTypeLabels = {
+  [NodeTypes.CIDR]: 'CIDR Network',
+  [NodeTypes.SERVER]: 'Server',
+  [NodeTypes.PERSONAL_COMPUTER]: 'Personal Computer',
+  [NodeTypes.NETWORK_DEVICE]: 'Network Device',
+};
+
 /**
  * Server subtypes
  */
@@ -107,11 +114,155 @@ export const createNode = (id, type, data = {}) => ({
     subType: data.subType || null,
     tags: data.tags || {}, // { categoryKey: ['tagValue1', 'tagValue2'] }
     metadata: data.metadata || {},
+    ...(data.services?.length ? { services: data.services } : {}),
   },
 });
 
+/**
+ * Access levels gained on a node, lowest first
+ */
+export const AccessLevels = {
+  NONE: 'none',
+  DISCOVERED: 'discovered',
+  USER: 'user',
+  LOCAL_ADMIN: 'local_admin',
+  SYSTEM: 'system',
+  DOMAIN_ADMIN: 'domain_admin',
+};
+
+export const AccessLevelLabels = {
+  [AccessLevels.NONE]: 'No Access',
+  [AccessLevels.DISCOVERED]: 'Discovered',
+  [AccessLevels.USER]: 'User',
+  [AccessLevels.LOCAL_ADMIN]: 'Local Admin',
+  [AccessLevels.SYSTEM]: 'SYSTEM / root',
+  [AccessLevels.DOMAIN_ADMIN]: 'Domain Admin',
+};
+
+/**
+ * Access record, stored as a node's `data.access` (absent means no access)
+ * `operator` is who obtained it, `method` how (e.g. "psexec", "kerberoast").
+ */
+export const createAccess = (level, data = {}) => ({
+  level,
+  at: data.at || new Date().toISOString(),
+  operator: data.operator || '',
+  method: data.method || '',
+});
+
+/**
+ * Service protocols and port states (as reported by Nmap)
+ */
+export const ServiceProtocols = {
+  TCP: 'tcp',
+  UDP: 'udp',
+  SCTP: 'sctp',
+};
+
+export const ServiceStates = {
+  OPEN: 'open',
+  OPEN_FILTERED: 'open|filtered',
+  FILTERED: 'filtered',
+  CLOSED: 'closed',
+};
+
+/**
+ * Service structure, stored in a host's `data.services` list
+ * `service` is the protocol name (e.g. "microsoft-ds"), `product` and
+ * `version` the detected software.
+ */
+export const createService = (data = {}) => ({
+  protocol: data.protocol || ServiceProtocols.TCP,
+  port: data.port ?? 0,
+  state: data.state || ServiceStates.OPEN,
+  service: data.service || '',
+  product: data.product || '',
+  version: data.version || '',
+  banner: data.banner || '',
+});
+
+/**
+ * Edge (relationship) types
+ */
+export const EdgeTypes = {
+  DEFAULT: 'default',
+  CONNECTS: 'connects',
+  CONTAINS: 'contains',
+  DEPENDS_ON: 'depends_on',
+  PIVOT: 'pivot',
+  ADMIN_TO: 'admin_to',
+  HAS_SESSION: 'has_session',
+};
+
+export const EdgeTypeLabels = {
+  [EdgeTypes.DEFAULT]: 'Untyped',
+  [EdgeTypes.CONNECTS]: 'Connects',
+  [EdgeTypes.CONTAINS]: 'Contains',
+  [EdgeTypes.DEPENDS_ON]: 'Depends On',
+  [EdgeTypes.PIVOT]: 'Pivot',
+  [EdgeTypes.ADMIN_TO]: 'Admin To',
+  [EdgeTypes.HAS_SESSION]: 'Has Session',
+};
+
+/**
+ * Pivot (tunnel) kinds
+ */
+export const TunnelKinds = {
+  SOCKS: 'socks',
+  SSH_LOCAL: 'ssh_local',
+  SSH_REMOTE: 'ssh_remote',
+  SSH_DYNAMIC: 'ssh_dynamic',
+  CHISEL: 'chisel',
+  LIGOLO: 'ligolo',
+  C2: 'c2',
+  OTHER: 'other',
+};
+
+export const TunnelKindLabels = {
+  [TunnelKinds.SOCKS]: 'SOCKS Proxy',
+  [TunnelKinds.SSH_LOCAL]: 'SSH -L',
+  [TunnelKinds.SSH_REMOTE]: 'SSH -R',
+  [TunnelKinds.SSH_DYNAMIC]: 'SSH -D',
+  [TunnelKinds.CHISEL]: 'chisel',
+  [TunnelKinds.LIGOLO]: 'ligolo-ng',
+  [TunnelKinds.C2]: 'C2 Pivot',
+  [TunnelKinds.OTHER]: 'Other',
+};
+
+/**
+ * Which way traffic flows through a pivot edge
+ */
+export const PivotDirections = {
+  FORWARD: 'forward', // source -> target
+  REVERSE: 'reverse', // target -> source
+  BOTH: 'both',
+};
+
+export const PivotDirectionLabels = {
+  [PivotDirections.FORWARD]: 'Forward (source → target)',
+  [PivotDirections.REVERSE]: 'Reverse (target → source)',
+  [PivotDirections.BOTH]: 'Both ways',
+};
+
+export const PivotStatuses = {
+  ACTIVE: 'active',
+  DEAD: 'dead',
+};
+
+/**
+ * Pivot details, stored as `data.pivot` on pivot edges
+ * `listenPort` is the port the tunnel listens on (e.g. the SOCKS port).
+ */
+export const createPivot = (data = {}) => ({
+  kind: data.kind || TunnelKinds.SOCKS,
+  listenPort: data.listenPort ?? null,
+  direction: data.direction || PivotDirections.FORWARD,
+  status: data.status || PivotStatuses.ACTIVE,
+});
+
 /**
  * Edge (relationship) structure
+ * `protocol` and `port` describe the traffic the link carries (e.g. "smb", 445).
  */
 export const createEdge = (source, target, data = {}) => ({
   id: `edge-${source}-${target}`,
@@ -119,6 +270,140 @@ export const createEdge = (source, target, data = {}) => ({
   target,
   data: {
     label: data.label || '',
-    type: data.type || 'default', // 'connects', 'contains', 'depends_on'
+    type: data.type || EdgeTypes.DEFAULT,
+    ...(data.protocol ? { protocol: data.protocol } : {}),
+    ...(data.port ? { port: data.port } : {}),
+    ...(Number.isFinite(data.weight) && data.weight > 0 ? { weight: data.weight } : {}),
+    ...(data.notes ? { notes: data.notes } : {}),
+    ...(data.pivot ? { pivot: createPivot(data.pivot) } : {}),
   },
 });
+
+/**
+ * Credential types
+ */
+export const CredentialTypes = {
+  PASSWORD: 'password',
+  NTLM_HASH: 'ntlm',
+  HASH: 'hash',
+  TICKET: 'ticket',
+  SSH_KEY: 'ssh_key',
+  TOKEN: 'token',
+  OTHER: 'other',
+};
+
+export const CredentialTypeLabels = {
+  [CredentialTypes.PASSWORD]: 'Cleartext Password',
+  [CredentialTypes.NTLM_HASH]: 'NTLM Hash',
+  [CredentialTypes.HASH]: 'Other Hash',
+  [CredentialTypes.TICKET]: 'Kerberos Ticket',
+  [CredentialTypes.SSH_KEY]: 'SSH / Private Key',
+  [CredentialTypes.TOKEN]: 'Token / Cookie',
+  [CredentialTypes.OTHER]: 'Other',
+};
+
+/**
+ * Credential structure
+ * `sourceNodeId` is where it was captured, `validOn` the nodes it works on.
+ */
+export const createCredential = (id, data = {}) => ({
+  id,
+  type: data.type || CredentialTypes.PASSWORD,
+  username: data.username || '',
+  domain: data.domain || '',
+  secret: data.secret || '',
+  sourceNodeId: data.sourceNodeId || null,
+  validOn: data.validOn || [],
+  notes: data.notes || '',
+  createdAt: data.createdAt || new Date().toISOString(),
+});
+
+/**
+ * Finding severities (CVSS v3 qualitative ratings), lowest first
+ */
+export const Severities = {
+  NONE: 'none',
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high',
+  CRITICAL: 'critical',
+};
+
+export const SeverityLabels = {
+  [Severities.NONE]: 'Info',
+  [Severities.LOW]: 'Low',
+  [Severities.MEDIUM]: 'Medium',
+  [Severities.HIGH]: 'High',
+  [Severities.CRITICAL]: 'Critical',
+};
+
+/**
+ * Finding statuses
+ */
+export const FindingStatuses = {
+  OPEN: 'open',
+  CONFIRMED: 'confirmed',
+  REMEDIATED: 'remediated',
+  FALSE_POSITIVE: 'false_positive',
+};
+
+export const FindingStatusLabels = {
+  [FindingStatuses.OPEN]: 'Open',
+  [FindingStatuses.CONFIRMED]: 'Confirmed',
+  [FindingStatuses.REMEDIATED]: 'Remediated',
+  [FindingStatuses.FALSE_POSITIVE]: 'False Positive',
+};
+
+/**
+ * Vulnerability finding structure
+ * `affected` lists nodes, optionally narrowed to one of their services
+ * ("445/tcp"). `cvssScore` is computed from `cvssVector` when one is given.
+ */
+export const createFinding = (id, data = {}) => ({
+  id,
+  title: data.title || '',
+  cves: data.cves || [],
+  cvssVector: data.cvssVector || '',
+  cvssScore: data.cvssScore ?? null,
+  status: data.status || FindingStatuses.OPEN,
+  evidence: data.evidence || '',
+  affected: data.affected || [], // [{ nodeId, service: '445/tcp' | null }]
+  createdAt: data.createdAt || new Date().toISOString(),
+});
+
+/**
+ * Fresh copy of the default tag catalogue for a new workspace
+ */
+export const createTagCatalogue = () =>
+  Object.values(LabelCategories).map((category) => ({
+    key: category.key,
+    name: category.name,
+    options: category.options.map((option) => ({ ...option })),
+  }));
+
+/**
+ * What scan importers do with hosts that have no in-scope address
+ */
+export const OutOfScopeImportPolicies = {
+  FLAG: 'flag', // Import them; they get the out-of-scope badge
+  SKIP: 'skip', // Leave them out of the graph
+};
+
+export const OutOfScopeImportPolicyLabels = {
+  [OutOfScopeImportPolicies.FLAG]: 'Import and flag',
+  [OutOfScopeImportPolicies.SKIP]: 'Skip',
+};
+
+/**
+ * Default per-workspace settings
+ */
+export const DefaultWorkspaceSettings = {
+  subnetPrefix: 24, // Prefix of CIDR nodes created for imported IPv4 hosts
+  subnetPrefixV6: 64, // Prefix of CIDR nodes created for imported IPv6 hosts
+  groupByCIDR: false, // Draw CIDR nodes as containers around their members
+  operator: '', // Recorded on access level changes
+  operatorNodeId: '', // Node the operator works from, where pivot routes start
+  scopeInclude: [], // In-scope CIDRs, IPs and ranges
+  scopeExclude: [], // Exclusions carved out of scopeInclude
+  outOfScopeImports: 'flag', // One of OutOfScopeImportPolicies
+};
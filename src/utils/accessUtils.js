@@ -0,0 +1,77 @@
+/**
+ * Helpers for per-node access levels
+ */
+import { AccessLevels, AccessLevelLabels } from '../types/index';
+
+// Lowest first, so a larger index is more access
+export const ACCESS_ORDER = [
+  AccessLevels.NONE,
+  AccessLevels.DISCOVERED,
+  AccessLevels.USER,
+  AccessLevels.LOCAL_ADMIN,
+  AccessLevels.SYSTEM,
+  AccessLevels.DOMAIN_ADMIN,
+];
+
+export const isAccessLevel = (level) => ACCESS_ORDER.includes(level);
+
+/**
+ * Access level of a node
+ * @param {object} node
+ * @returns {string} - One of AccessLevels
+ */
+export const getAccessLevel = (node) => node.data?.access?.level || AccessLevels.NONE;
+
+export const accessRank = (level) => ACCESS_ORDER.indexOf(level);
+
+/**
+ * Whether a node is compromised, i.e. we can run code on it (user or above)
+ * Such nodes are the footholds for attack path analysis.
+ */
+export const isCompromised = (node) =>
+  accessRank(getAccessLevel(node)) >= accessRank(AccessLevels.USER);
+
+/**
+ * Level `step` places away from `level`, wrapping around
+ * @param {string} level
+ * @param {number} [step] - 1 for the next level, -1 for the previous one
+ * @returns {string}
+ */
+export function shiftAccessLevel(level, step = 1) {
+  const count = ACCESS_ORDER.length;
+  return ACCESS_ORDER[(((accessRank(level) + step) % count) + count) % count];
+}
+
+const ACCESS_ALIASES = {
+  root: AccessLevels.SYSTEM,
+  admin: AccessLevels.LOCAL_ADMIN,
+  da: AccessLevels.DOMAIN_ADMIN,
+};
+
+/**
+ * Parse a search value into a level: its key ("local_admin"), an alias
+ * ("root", "da"), its rank ("3") or a unique prefix ("local"; "d" is ambiguous)
+ * @param {string} value
+ * @returns {string | null}
+ */
+export function parseAccessLevel(value) {
+  const wanted = value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (isAccessLevel(wanted)) return wanted;
+  if (ACCESS_ALIASES[wanted]) return ACCESS_ALIASES[wanted];
+  if (/^\d$/.test(wanted)) return ACCESS_ORDER[Number(wanted)] ?? null;
+  const candidates = ACCESS_ORDER.filter((level) => level.startsWith(wanted));
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+/**
+ * One-line description of an access record, e.g. "Local Admin via psexec by alice"
+ * @param {object} access - Node's data.access
+ * @returns {string}
+ */
+export function describeAccess(access) {
+  const parts = [AccessLevelLabels[access.level]];
+  if (access.method) parts.push(`via ${access.method}`);
+  if (access.operator) parts.push(`by ${access.operator}`);
+  if (access.at) parts.push(`on ${new Date(access.at).toLocaleString()}`);
+  return parts.join(' ');
+}
@@ -0,0 +1,114 @@
+/**
+ * Column model of the asset table view
+ *
+ * Each column turns a node into display text, which is also what the column
+ * filter matches and what the CSV export writes. Columns with their own
+ * `compare` sort by value (IPs numerically, access by level) instead of text.
+ */
+import { AccessLevelLabels, NodeTypeLabels } from '../types/index';
+import { accessRank, getAccessLevel } from './accessUtils';
+import { getNodeCIDR, getNodeIPs, parseCIDR, parseIP } from './networkUtils';
+
+const nodeAddresses = (node) => {
+  const cidr = getNodeCIDR(node);
+  return cidr ? [cidr] : getNodeIPs(node);
+};
+
+// Address family first, then numeric value; nodes without an address last
+const firstAddress = (node) => {
+  const [address] = nodeAddresses(node);
+  if (!address) return null;
+  const parsed = address.includes('/') ? parseCIDR(address) : parseIP(address);
+  if (!parsed) return null;
+  return { version: parsed.version, value: parsed.network ?? parsed.value };
+};
+
+const compareAddresses = (a, b) => {
+  const left = firstAddress(a);
+  const right = firstAddress(b);
+  if (!left || !right) return (left ? 0 : 1) - (right ? 0 : 1);
+  if (left.version !== right.version) return left.version - right.version;
+  if (left.value === right.value) return 0;
+  return left.value < right.value ? -1 : 1;
+};
+
+const formatTags = (node) =>
+  Object.entries(node.data.tags || {})
+    .flatMap(([category, values]) => values.map((value) => `${category}:${value}`))
+    .join(', ');
+
+export const AssetColumns = [
+  { key: 'label', label: 'Name', text: (node) => node.data.label || '' },
+  { key: 'type', label: 'Type', text: (node) => NodeTypeLabels[node.type] || node.type },
+  { key: 'subType', label: 'Subtype', text: (node) => node.data.subType || '' },
+  {
+    key: 'ips',
+    label: 'IPs',
+    text: (node) => nodeAddresses(node).join(', '),
+    compare: compareAddresses,
+  },
+  { key: 'tags', label: 'Tags', text: formatTags },
+  {
+    key: 'access',
+    label: 'Access',
+    text: (node) => AccessLevelLabels[getAccessLevel(node)],
+    compare: (a, b) => accessRank(getAccessLevel(a)) - accessRank(getAccessLevel(b)),
+  },
+  { key: 'description', label: 'Description', text: (node) => node.data.description || '' },
+];
+
+const columnByKey = new Map(AssetColumns.map((column) => [column.key, column]));
+
+/**
+ * Keep nodes whose column text contains every filter (case-insensitive)
+ * @param {object[]} nodes
+ * @param {Object<string, string>} filters - Column key -> filter text
+ * @returns {object[]}
+ */
+export function filterAssetRows(nodes, filters) {
+  const active = Object.entries(filters)
+    .map(([key, value]) => [columnByKey.get(key), value.trim().toLowerCase()])
+    .filter(([column, value]) => column && value);
+  if (active.length === 0) return nodes;
+  return nodes.filter((node) =>
+    active.every(([column, value]) => column.text(node).toLowerCase().includes(value))
+  );
+}
+
+/**
+ * Sort nodes by a column
+ * @param {object[]} nodes
+ * @param {{ key: string, direction: 'asc' | 'desc' } | null} sort
+ * @returns {object[]} - A new array
+ */
+export function sortAssetRows(nodes, sort) {
+  const column = sort && columnByKey.get(sort.key);
+  if (!column) return [...nodes];
+  const compare =
+    column.compare ||
+    ((a, b) => column.text(a).localeCompare(column.text(b), undefined, { numeric: true }));
+  const sign = sort.direction === 'desc' ? -1 : 1;
+  return [...nodes].sort((a, b) => sign * compare(a, b));
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  const text = FORMULA_PREFIX.test(value) ? `'${value}` : value;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Export rows as CSV, one line per node
+ * @param {object[]} nodes - Rows in display order
+ * @param {object[]} columns - Defaults to every column
+ * @returns {string}
+ */
+export function assetRowsToCSV(nodes, columns = AssetColumns) {
+  const lines = [
+    columns.map((column) => csvCell(column.label)).join(','),
+    ...nodes.map((node) => columns.map((column) => csvCell(column.text(node))).join(',')),
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
@@ -0,0 +1,233 @@
+/**
+ * CIDR group containers
+ *
+ * When grouping is on, CIDR nodes are drawn as boxes around their member
+ * hosts and subnets. The view is derived from the store on every render: the
+ * store keeps absolute positions and the CIDR hierarchy decides membership,
+ * so re-addressing a host moves it to its new network without any extra
+ * bookkeeping. Only `data.collapsed` and `data.groupSize` are persisted.
+ */
+import { NodeTypes } from '../types/index';
+import { buildCIDRHierarchy } from './networkUtils';
+import { ACCESS_ORDER, accessRank, getAccessLevel, isCompromised } from './accessUtils';
+
+export const GROUP_NODE_TYPE = 'cidrGroup';
+
+const GROUP_PADDING = 24;
+const GROUP_HEADER = 72;
+const EMPTY_GROUP_SIZE = { width: 260, height: 120 };
+const CHIP_SIZE = { width: 280, height: 64 };
+const DEFAULT_NODE_SIZE = { width: 240, height: 140 };
+
+/**
+ * Primary parent of every grouped node
+ * Cycles (possible with duplicate CIDRs) are broken by dropping the link.
+ * @param {object[]} nodes
+ * @returns {Map<string, string>} - nodeId -> parent CIDR id
+ */
+export function buildGroupParents(nodes) {
+  const { hierarchy } = buildCIDRHierarchy(nodes);
+  const parents = new Map();
+
+  hierarchy.forEach((parentId, nodeId) => {
+    for (let id = parentId; id; id = parents.get(id)) {
+      if (id === nodeId) return;
+    }
+    parents.set(nodeId, parentId);
+  });
+  return parents;
+}
+
+const sizeOf = (node) => ({
+  width: node.width ?? DEFAULT_NODE_SIZE.width,
+  height: node.height ?? DEFAULT_NODE_SIZE.height,
+});
+
+/**
+ * Derive the grouped view of the graph
+ * @param {object[]} nodes - Store nodes (absolute positions)
+ * @param {object[]} edges - Store edges
+ * @param {Map<string, string>} parents - From buildGroupParents
+ * @returns {{ nodes: object[], edges: object[], absolute: Map<string, {x: number, y: number}>, descendants: Map<string, string[]> }}
+ */
+export function buildGroupView(nodes, edges, parents) {
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const children = new Map();
+  nodes.forEach((node) => {
+    const parentId = parents.get(node.id);
+    if (!parentId || !byId.has(parentId)) return;
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(node.id);
+  });
+
+  const boxes = new Map();
+  const descendants = new Map();
+  const stats = new Map();
+
+  // Bottom-up: a group's box wraps the boxes of its members
+  const measure = (id) => {
+    const node = byId.get(id);
+    if (node.type !== NodeTypes.CIDR) {
+      const box = { ...node.position, ...sizeOf(node) };
+      boxes.set(id, box);
+      return box;
+    }
+
+    const memberIds = children.get(id) || [];
+    const memberBoxes = memberIds.map(measure);
+    const all = memberIds.flatMap((childId) => [childId, ...(descendants.get(childId) || [])]);
+    const hosts = all.map((childId) => byId.get(childId)).filter((n) => n.type !== NodeTypes.CIDR);
+    descendants.set(id, all);
+    stats.set(id, {
+      hosts: hosts.length,
+      compromised: hosts.filter(isCompromised).length,
+      topAccess: ACCESS_ORDER[Math.max(0, ...hosts.map((n) => accessRank(getAccessLevel(n))))],
+    });
+
+    let box;
+    if (memberBoxes.length === 0) {
+      box = { ...node.position, ...EMPTY_GROUP_SIZE };
+    } else {
+      const minX = Math.min(...memberBoxes.map((b) => b.x));
+      const minY = Math.min(...memberBoxes.map((b) => b.y));
+      const maxX = Math.max(...memberBoxes.map((b) => b.x + b.width));
+      const maxY = Math.max(...memberBoxes.map((b) => b.y + b.height));
+      box = {
+        x: minX - GROUP_PADDING,
+        y: minY - GROUP_HEADER,
+        width: maxX - minX + GROUP_PADDING * 2,
+        height: maxY - minY + GROUP_HEADER + GROUP_PADDING,
+      };
+    }
+
+    const minSize = { width: box.width, height: box.height };
+    if (node.data.collapsed) {
+      box = { ...box, ...CHIP_SIZE };
+    } else {
+      box.width = Math.max(box.width, node.data.groupSize?.width || 0);
+      box.height = Math.max(box.height, node.data.groupSize?.height || 0);
+    }
+    boxes.set(id, { ...box, minSize });
+    return box;
+  };
+
+  const roots = nodes.filter((node) => !byId.has(parents.get(node.id)));
+  roots.forEach((node) => measure(node.id));
+
+  // Top-down: parents first (React Flow requires it), positions relative to the parent
+  const viewNodes = [];
+  const hidden = new Set();
+  const absolute = new Map();
+
+  const emit = (id, parentId, parentHidden) => {
+    const node = byId.get(id);
+    const box = boxes.get(id);
+    const parentBox = parentId ? boxes.get(parentId) : null;
+    const position = parentBox ? { x: box.x - parentBox.x, y: box.y - parentBox.y } : { x: box.x, y: box.y };
+    absolute.set(id, { x: box.x, y: box.y });
+    if (parentHidden) hidden.add(id);
+
+    const viewNode = { ...node, position, hidden: parentHidden || node.hidden };
+    if (parentId) viewNode.parentNode = parentId;
+    else delete viewNode.parentNode;
+
+    if (node.type === NodeTypes.CIDR) {
+      Object.assign(viewNode, {
+        type: GROUP_NODE_TYPE,
+        width: box.width,
+        height: box.height,
+        style: { ...node.style, width: box.width, height: box.height },
+        data: {
+          ...node.data,
+          group: { ...stats.get(id), collapsed: Boolean(node.data.collapsed), minSize: box.minSize },
+        },
+      });
+    }
+    viewNodes.push(viewNode);
+
+    const collapsed = node.type === NodeTypes.CIDR && node.data.collapsed;
+    (children.get(id) || []).forEach((childId) => emit(childId, id, parentHidden || collapsed));
+  };
+  roots.forEach((node) => emit(node.id, null, false));
+
+  // Containment is shown by nesting; edges into collapsed groups attach to the chip
+  const visibleAncestor = (id) => {
+    let current = id;
+    while (hidden.has(current)) current = parents.get(current);
+    return current;
+  };
+  const isAncestor = (ancestorId, id) => (descendants.get(ancestorId) || []).includes(id);
+
+  const viewEdges = edges.map((edge) => {
+    if (edge.data?.type === 'contains' && isAncestor(edge.source, edge.target)) {
+      return { ...edge, hidden: true };
+    }
+    const source = visibleAncestor(edge.source);
+    const target = visibleAncestor(edge.target);
+    if (source === edge.source && target === edge.target) return edge;
+    if (source === target) return { ...edge, hidden: true };
+    return { ...edge, source, target };
+  });
+
+  return { nodes: viewNodes, edges: viewEdges, absolute, descendants };
+}
+
+/**
+ * Translate React Flow node changes on the grouped view back to the store
+ * Moves are converted to absolute positions (a moved group carries its
+ * members along), resizes become `groupSize` updates and measurements of
+ * group boxes are dropped since their size is derived.
+ * @param {object[]} changes - NodeChange[] from React Flow
+ * @param {object} view - Result of buildGroupView
+ * @param {object[]} nodes - Store nodes
+ * @returns {{ changes: object[], resizes: Array<{ id: string, width: number, height: number }> }}
+ */
+export function translateGroupChanges(changes, view, nodes) {
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const isGroup = (id) => byId.get(id)?.type === NodeTypes.CIDR;
+  const translated = [];
+  const resizes = [];
+  const moved = new Set();
+
+  // Groups first so members moved by their group skip their own change
+  const ordered = [...changes].sort((a, b) => Number(isGroup(b.id)) - Number(isGroup(a.id)));
+
+  ordered.forEach((change) => {
+    if (change.type === 'dimensions' && isGroup(change.id)) {
+      if (change.updateStyle && change.dimensions) {
+        resizes.push({ id: change.id, ...change.dimensions });
+      }
+      return;
+    }
+
+    if (change.type !== 'position' || !change.positionAbsolute) {
+      translated.push(change);
+      return;
+    }
+    if (moved.has(change.id)) return;
+
+    const { positionAbsolute } = change;
+    if (!isGroup(change.id)) {
+      moved.add(change.id);
+      translated.push({ ...change, position: positionAbsolute });
+      return;
+    }
+
+    const from = view.absolute.get(change.id) || byId.get(change.id).position;
+    const dx = positionAbsolute.x - from.x;
+    const dy = positionAbsolute.y - from.y;
+    [change.id, ...(view.descendants.get(change.id) || [])].forEach((id) => {
+      if (moved.has(id)) return;
+      moved.add(id);
+      const { position } = byId.get(id);
+      translated.push({
+        id,
+        type: 'position',
+        dragging: change.dragging,
+        position: { x: position.x + dx, y: position.y + dy },
+      });
+    });
+  });
+
+  return { changes: translated, resizes };
+}
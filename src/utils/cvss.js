@@ -0,0 +1,99 @@
+/**
+ * CVSS v3.x base score calculation
+ *
+ * Follows the CVSS v3.1 specification (section 7); v3.0 vectors use the same
+ * base equations. Temporal and environmental metrics in a vector are accepted
+ * but don't affect the base score.
+ */
+import { Severities } from '../types/index';
+
+const BASE_METRICS = {
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  PR: { N: 0.85, L: 0.62, H: 0.27 },
+  UI: { N: 0.85, R: 0.62 },
+  S: { U: 'U', C: 'C' },
+  C: { H: 0.56, L: 0.22, N: 0 },
+  I: { H: 0.56, L: 0.22, N: 0 },
+  A: { H: 0.56, L: 0.22, N: 0 },
+};
+
+// Privileges Required weighs more when the scope changes
+const PR_SCOPE_CHANGED = { N: 0.85, L: 0.68, H: 0.5 };
+
+/**
+ * Round up to one decimal, avoiding floating point artefacts (spec Appendix A)
+ */
+function roundUp(value) {
+  const scaled = Math.round(value * 100000);
+  if (scaled % 10000 === 0) return scaled / 100000;
+  return (Math.floor(scaled / 10000) + 1) / 10;
+}
+
+/**
+ * Parse a CVSS v3.x vector into its base metric values
+ * @param {string} vector - e.g. "CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H"
+ * @returns {Object<string, string>} - { AV: 'N', AC: 'L', ... }
+ * @throws {Error} If the vector is malformed or a base metric is missing
+ */
+export function parseCVSSVector(vector) {
+  const parts = vector.trim().split('/');
+  if (/^CVSS:/i.test(parts[0])) {
+    const version = parts.shift().slice(5);
+    if (version !== '3.0' && version !== '3.1') {
+      throw new Error(`Unsupported CVSS version ${version}`);
+    }
+  }
+
+  const metrics = {};
+  parts.forEach((part) => {
+    const [key, value] = part.split(':');
+    if (!key || value === undefined) throw new Error(`Malformed metric "${part}"`);
+    if (key in metrics) throw new Error(`Duplicate metric ${key}`);
+    if (key in BASE_METRICS && !(value in BASE_METRICS[key])) {
+      throw new Error(`Invalid value ${key}:${value}`);
+    }
+    metrics[key] = value;
+  });
+
+  const missing = Object.keys(BASE_METRICS).filter((key) => !(key in metrics));
+  if (missing.length > 0) throw new Error(`Missing base metrics: ${missing.join(', ')}`);
+  return metrics;
+}
+
+/**
+ * Base score of a CVSS v3.x vector
+ * @param {string} vector
+ * @returns {number} - 0.0 to 10.0
+ * @throws {Error} If the vector is invalid
+ */
+export function calculateCVSSScore(vector) {
+  const m = parseCVSSVector(vector);
+  const scopeChanged = m.S === 'C';
+
+  const iss = 1 - (1 - BASE_METRICS.C[m.C]) * (1 - BASE_METRICS.I[m.I]) * (1 - BASE_METRICS.A[m.A]);
+  const impact = scopeChanged
+    ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15)
+    : 6.42 * iss;
+  const privileges = (scopeChanged ? PR_SCOPE_CHANGED : BASE_METRICS.PR)[m.PR];
+  const exploitability =
+    8.22 * BASE_METRICS.AV[m.AV] * BASE_METRICS.AC[m.AC] * privileges * BASE_METRICS.UI[m.UI];
+
+  if (impact <= 0) return 0;
+  return scopeChanged
+    ? roundUp(Math.min(1.08 * (impact + exploitability), 10))
+    : roundUp(Math.min(impact + exploitability, 10));
+}
+
+/**
+ * Qualitative severity rating of a score
+ * @param {number | null} score
+ * @returns {string} - One of Severities
+ */
+export function severityFromScore(score) {
+  if (score === null || score === undefined || score <= 0) return Severities.NONE;
+  if (score < 4) return Severities.LOW;
+  if (score < 7) return Severities.MEDIUM;
+  if (score < 9) return Severities.HIGH;
+  return Severities.CRITICAL;
+}
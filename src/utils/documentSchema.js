@@ -0,0 +1,739 @@
+import {
+  NodeTypes,
+  AccessLevels,
+  DefaultWorkspaceSettings,
+  CredentialTypes,
+  FindingStatuses,
+  ServiceProtocols,
+  ServiceStates,
+  TunnelKinds,
+  PivotDirections,
+  PivotStatuses,
+  createPivot,
+  OutOfScopeImportPolicies,
+} from '../types/index';
+import { serviceKey, sortServices } from './serviceUtils';
+import { calculateCVSSScore } from './cvss';
+import { isAccessLevel } from './accessUtils';
+
+/**
+ * Versioned schema of the JSON export format
+ *
+ * Imported files are migrated step by step to SCHEMA_VERSION, then validated.
+ * Invalid elements are either repaired (e.g. a tag value that isn't an array)
+ * or rejected (e.g. a node with an unknown type, an edge to a missing node),
+ * and every change is listed in the import report.
+ *
+ * @typedef {object} AssetNode
+ * @property {string} id - Unique node id
+ * @property {'cidr' | 'server' | 'pc' | 'device'} type - One of NodeTypes
+ * @property {{ x: number, y: number }} position
+ * @property {object} data
+ * @property {string} data.label
+ * @property {string} data.description
+ * @property {string} data.ip - CIDR for cidr nodes, comma/newline separated IPs otherwise
+ * @property {string | null} data.subType
+ * @property {Object<string, string[]>} data.tags - { categoryKey: ['tagValue'] }
+ * @property {object} data.metadata - Free-form key/value pairs
+ * @property {Access} [data.access] - Added in 1.5, replacing the boolean data.pwned
+ * @property {Service[]} [data.services] - Added in 1.3
+ *
+ * @typedef {object} Access
+ * @property {string} level - One of AccessLevels other than none
+ * @property {string | null} at - ISO time it was obtained, null when unknown
+ * @property {string} operator
+ * @property {string} method
+ *
+ * @typedef {object} Service
+ * @property {string} protocol - One of ServiceProtocols
+ * @property {number} port - 0-65535, unique per protocol on a node
+ * @property {string} state - One of ServiceStates
+ * @property {string} service - Protocol name, e.g. "microsoft-ds"
+ * @property {string} product
+ * @property {string} version
+ * @property {string} banner
+ *
+ * @typedef {object} AssetEdge
+ * @property {string} id - Unique edge id
+ * @property {string} source - Id of an existing node
+ * @property {string} target - Id of an existing node
+ * @property {object} [data]
+ * @property {string} [data.label]
+ * @property {string} [data.type] - One of EdgeTypes
+ * @property {string} [data.protocol] - e.g. "smb", "tcp"
+ * @property {number} [data.port] - 1-65535
+ * @property {number} [data.weight] - Positive cost of the hop in path analysis (default 1)
+ * @property {string} [data.notes]
+ * @property {Pivot} [data.pivot] - On pivot edges
+ *
+ * @typedef {object} Pivot
+ * @property {string} kind - One of TunnelKinds
+ * @property {number | null} listenPort - 1-65535
+ * @property {string} direction - One of PivotDirections
+ * @property {string} status - One of PivotStatuses
+ *
+ * @typedef {object} TagCategory
+ * @property {string} key
+ * @property {string} name
+ * @property {Array<{ value: string, label: string, color?: string }>} options
+ *
+ * @typedef {object} Credential
+ * @property {string} id - Unique credential id
+ * @property {string} type - One of CredentialTypes
+ * @property {string} username
+ * @property {string} domain
+ * @property {string} secret - Empty when exported redacted
+ * @property {string | null} sourceNodeId - Node it was captured on
+ * @property {string[]} validOn - Nodes it is known to work on
+ * @property {string} notes
+ * @property {boolean} [redacted]
+ *
+ * @typedef {object} Finding
+ * @property {string} id - Unique finding id
+ * @property {string} title
+ * @property {string[]} cves - e.g. ["CVE-2020-1472"]
+ * @property {string} cvssVector - CVSS v3.x vector, may be empty
+ * @property {number | null} cvssScore - 0-10, derived from cvssVector when valid
+ * @property {string} status - One of FindingStatuses
+ * @property {string} evidence
+ * @property {Array<{ nodeId: string, service: string | null }>} affected - One entry per
+ *   node; service narrows it to one of the node's services ("445/tcp")
+ *
+ * @typedef {object} AssetDocument
+ * @property {string} version - SCHEMA_VERSION
+ * @property {string} [timestamp] - ISO export time
+ * @property {AssetNode[]} nodes
+ * @property {AssetEdge[]} edges
+ * @property {TagCategory[]} [tagCatalogue] - Added in 1.1
+ * @property {object} [settings] - Added in 1.1
+ * @property {Credential[]} [credentials] - Added in 1.2
+ * @property {Finding[]} [findings] - Added in 1.4
+ */
+
+export const SCHEMA_VERSION = '1.5';
+
+// Files written before the format was versioned
+const UNVERSIONED = '1.0';
+
+/**
+ * Ordered migration steps; each upgrades a document by one version
+ */
+const migrations = [
+  {
+    from: '1.0',
+    to: '1.1',
+    // 1.1 only adds the optional workspace tagCatalogue and settings
+    migrate: (document) => document,
+  },
+  {
+    from: '1.1',
+    to: '1.2',
+    // 1.2 only adds the optional credentials list
+    migrate: (document) => document,
+  },
+  {
+    from: '1.2',
+    to: '1.3',
+    // Services move from the importers' metadata.services to data.services
+    migrate: (document) => ({ ...document, nodes: document.nodes.map(liftMetadataServices) }),
+  },
+  {
+    from: '1.3',
+    to: '1.4',
+    // 1.4 only adds the optional findings list
+    migrate: (document) => document,
+  },
+  {
+    from: '1.4',
+    to: '1.5',
+    // The pwned flag becomes a graded access level
+    migrate: (document) => ({ ...document, nodes: document.nodes.map(convertPwnedFlag) }),
+  },
+];
+
+/**
+ * Move a node's metadata.services list (and the openPorts list derived from
+ * it) into data.services
+ */
+function liftMetadataServices(node) {
+  const metadata = node?.data?.metadata;
+  if (!isPlainObject(metadata) || !Array.isArray(metadata.services)) return node;
+
+  const rest = { ...metadata };
+  delete rest.services;
+  delete rest.openPorts;
+  const existing = Array.isArray(node.data.services) ? node.data.services : [];
+  return {
+    ...node,
+    data: { ...node.data, metadata: rest, services: [...existing, ...metadata.services] },
+  };
+}
+
+/**
+ * Replace a node's pwned flag with user-level access, the lowest level that
+ * counts as compromised
+ */
+export function convertPwnedFlag(node) {
+  if (!isPlainObject(node?.data) || !('pwned' in node.data)) return node;
+
+  const data = { ...node.data };
+  delete data.pwned;
+  if (node.data.pwned) {
+    data.access = { level: AccessLevels.USER, at: null, operator: '', method: '' };
+  }
+  return { ...node, data };
+}
+
+/**
+ * Upgrade a parsed document to SCHEMA_VERSION
+ * @param {object} document
+ * @returns {{ document: object, migratedFrom: string | null }}
+ */
+export function migrateDocument(document) {
+  const originalVersion = String(document.version ?? UNVERSIONED);
+  let current = { ...document, version: originalVersion };
+
+  while (current.version !== SCHEMA_VERSION) {
+    const step = migrations.find((m) => m.from === current.version);
+    if (!step) {
+      throw new Error(`Unsupported file version: ${current.version}`);
+    }
+    current = { ...step.migrate(current), version: step.to };
+  }
+
+  return {
+    document: current,
+    migratedFrom: originalVersion === SCHEMA_VERSION ? null : originalVersion,
+  };
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Coerce tag values into { categoryKey: string[] }
+ */
+function sanitizeTags(tags, repairs) {
+  if (!isPlainObject(tags)) {
+    if (tags !== undefined) repairs.push('tags replaced with an empty set');
+    return {};
+  }
+
+  const cleaned = {};
+  Object.entries(tags).forEach(([category, values]) => {
+    const list = Array.isArray(values) ? values : [values];
+    const strings = list.filter((v) => typeof v === 'string' && v !== '');
+    if (!Array.isArray(values) || strings.length !== list.length) {
+      repairs.push(`tags.${category} normalized to a list of strings`);
+    }
+    if (strings.length > 0) cleaned[category] = strings;
+  });
+  return cleaned;
+}
+
+/**
+ * Validate an access record; no access is stored as no record
+ */
+function sanitizeAccess(access, repairs) {
+  if (access === undefined) return undefined;
+  if (!isPlainObject(access) || !isAccessLevel(access.level)) {
+    repairs.push('access dropped: unknown level');
+    return undefined;
+  }
+  if (access.level === AccessLevels.NONE) return undefined;
+
+  const cleaned = { ...access };
+  if (typeof access.at !== 'string' || Number.isNaN(Date.parse(access.at))) {
+    if (access.at !== null && access.at !== undefined) repairs.push('access.at cleared');
+    cleaned.at = null;
+  }
+  ['operator', 'method'].forEach((field) => {
+    if (access[field] === undefined || access[field] === null) cleaned[field] = '';
+    else if (typeof access[field] !== 'string') {
+      cleaned[field] = String(access[field]);
+      repairs.push(`access.${field} converted to text`);
+    }
+  });
+  return cleaned;
+}
+
+/**
+ * Coerce a service list into Service records, dropping entries without a
+ * valid port and duplicates of the same port/protocol
+ */
+function sanitizeServices(services, repairs) {
+  if (services === undefined) return undefined;
+  if (!Array.isArray(services)) {
+    repairs.push('services replaced with an empty list');
+    return [];
+  }
+
+  const keys = new Set();
+  const cleaned = [];
+  services.forEach((svc, index) => {
+    const port = typeof svc?.port === 'string' ? Number(svc.port) : svc?.port;
+    if (!isPlainObject(svc) || !Number.isInteger(port) || port < 0 || port > 65535) {
+      repairs.push(`services[${index}] dropped: invalid port`);
+      return;
+    }
+
+    const result = { ...svc, port };
+    if (typeof svc.port === 'string') repairs.push(`services[${index}].port converted to a number`);
+    result.protocol =
+      typeof svc.protocol === 'string' && svc.protocol
+        ? svc.protocol.toLowerCase()
+        : ServiceProtocols.TCP;
+    result.state = typeof svc.state === 'string' && svc.state ? svc.state : ServiceStates.OPEN;
+    ['service', 'product', 'version', 'banner'].forEach((field) => {
+      if (result[field] === undefined || result[field] === null) result[field] = '';
+      else if (typeof result[field] !== 'string') {
+        result[field] = String(result[field]);
+        repairs.push(`services[${index}].${field} converted to text`);
+      }
+    });
+
+    const key = serviceKey(result);
+    if (keys.has(key)) {
+      repairs.push(`services[${index}] dropped: duplicate ${key}`);
+      return;
+    }
+    keys.add(key);
+    cleaned.push(result);
+  });
+  return sortServices(cleaned);
+}
+
+function sanitizeNode(node, repairs) {
+  const data = isPlainObject(node.data) ? node.data : {};
+  if (!isPlainObject(node.data)) repairs.push('data replaced with an empty object');
+
+  let position = node.position;
+  if (!isPlainObject(position) || !isFiniteNumber(position.x) || !isFiniteNumber(position.y)) {
+    repairs.push('position reset to (0, 0)');
+    position = { x: 0, y: 0 };
+  }
+
+  const text = (field, fallback = '') => {
+    const value = data[field];
+    if (value === undefined || value === null) return fallback;
+    if (typeof value === 'string') return value;
+    repairs.push(`${field} converted to text`);
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  };
+
+  const cleanedData = {
+    ...data,
+    label: text('label', node.id),
+    description: text('description'),
+    ip: text('ip'),
+    subType: typeof data.subType === 'string' && data.subType ? data.subType : null,
+    tags: sanitizeTags(data.tags, repairs),
+    metadata: isPlainObject(data.metadata) ? data.metadata : {},
+  };
+  if (data.subType && typeof data.subType !== 'string') repairs.push('subType cleared');
+  if (data.metadata !== undefined && !isPlainObject(data.metadata)) {
+    repairs.push('metadata replaced with an empty object');
+  }
+  const access = sanitizeAccess(data.access, repairs);
+  if (access) cleanedData.access = access;
+  else delete cleanedData.access;
+  const services = sanitizeServices(data.services, repairs);
+  if (services) cleanedData.services = services;
+  else delete cleanedData.services;
+
+  return { ...node, position, data: cleanedData };
+}
+
+function sanitizePivot(pivot, repairs) {
+  if (!isPlainObject(pivot)) {
+    repairs.push('invalid pivot details reset');
+    return createPivot();
+  }
+  const cleaned = createPivot(pivot);
+  if (!Object.values(TunnelKinds).includes(cleaned.kind)) {
+    cleaned.kind = TunnelKinds.OTHER;
+    repairs.push('unknown tunnel kind set to other');
+  }
+  if (cleaned.listenPort !== null) {
+    const port = Number(cleaned.listenPort);
+    cleaned.listenPort = Number.isInteger(port) && port > 0 && port <= 65535 ? port : null;
+    if (cleaned.listenPort === null) repairs.push('invalid listening port dropped');
+  }
+  if (!Object.values(PivotDirections).includes(cleaned.direction)) {
+    cleaned.direction = PivotDirections.FORWARD;
+    repairs.push('unknown pivot direction set to forward');
+  }
+  if (!Object.values(PivotStatuses).includes(cleaned.status)) {
+    cleaned.status = PivotStatuses.ACTIVE;
+    repairs.push('unknown pivot status set to active');
+  }
+  return cleaned;
+}
+
+function sanitizeEdgeData(data, repairs) {
+  const cleaned = { ...data };
+  ['label', 'type', 'protocol', 'notes'].forEach((field) => {
+    if (cleaned[field] === undefined || typeof cleaned[field] === 'string') return;
+    if (cleaned[field] === null) delete cleaned[field];
+    else {
+      cleaned[field] = String(cleaned[field]);
+      repairs.push(`${field} converted to text`);
+    }
+  });
+  if ('port' in data) {
+    const port = typeof data.port === 'string' ? Number(data.port) : data.port;
+    if (Number.isInteger(port) && port > 0 && port <= 65535) {
+      cleaned.port = port;
+      if (typeof data.port === 'string') repairs.push('port converted to a number');
+    } else {
+      delete cleaned.port;
+      if (data.port !== null && data.port !== '') repairs.push('invalid port dropped');
+    }
+  }
+  if ('weight' in data) {
+    const weight = typeof data.weight === 'string' ? Number(data.weight) : data.weight;
+    if (typeof weight === 'number' && Number.isFinite(weight) && weight > 0) {
+      cleaned.weight = weight;
+      if (typeof data.weight === 'string') repairs.push('weight converted to a number');
+    } else {
+      delete cleaned.weight;
+      if (data.weight !== null && data.weight !== '') repairs.push('invalid weight dropped');
+    }
+  }
+  if ('pivot' in data) {
+    if (data.pivot == null) delete cleaned.pivot;
+    else cleaned.pivot = sanitizePivot(data.pivot, repairs);
+  }
+  return cleaned;
+}
+
+function sanitizeTagCatalogue(catalogue, report) {
+  if (catalogue === undefined) return undefined;
+
+  const valid =
+    Array.isArray(catalogue) &&
+    catalogue.every(
+      (category) =>
+        isPlainObject(category) &&
+        typeof category.key === 'string' &&
+        typeof category.name === 'string' &&
+        Array.isArray(category.options) &&
+        category.options.every((o) => isPlainObject(o) && typeof o.value === 'string')
+    );
+  if (valid) return catalogue;
+
+  report.rejected.push({ kind: 'tagCatalogue', id: null, reason: 'invalid tag catalogue ignored' });
+  return undefined;
+}
+
+function sanitizeSettings(settings, report) {
+  if (settings === undefined) return undefined;
+  if (!isPlainObject(settings)) {
+    report.rejected.push({ kind: 'settings', id: null, reason: 'invalid settings ignored' });
+    return undefined;
+  }
+
+  const cleaned = { ...settings };
+  Object.entries(DefaultWorkspaceSettings).forEach(([key, fallback]) => {
+    if (!(key in cleaned)) return;
+    if (Array.isArray(fallback)) {
+      // List settings (e.g. scope entries) hold strings only
+      if (!Array.isArray(cleaned[key])) {
+        cleaned[key] = fallback;
+        report.repaired.push({ kind: 'settings', id: key, reason: 'reset to an empty list' });
+      } else if (cleaned[key].some((value) => typeof value !== 'string')) {
+        cleaned[key] = cleaned[key].filter((value) => typeof value === 'string');
+        report.repaired.push({ kind: 'settings', id: key, reason: 'non-text entries dropped' });
+      }
+    } else if (typeof cleaned[key] !== typeof fallback) {
+      cleaned[key] = fallback;
+      report.repaired.push({ kind: 'settings', id: key, reason: `reset to ${fallback}` });
+    }
+  });
+  const policy = cleaned.outOfScopeImports;
+  if (policy !== undefined && !Object.values(OutOfScopeImportPolicies).includes(policy)) {
+    cleaned.outOfScopeImports = OutOfScopeImportPolicies.FLAG;
+    report.repaired.push({ kind: 'settings', id: 'outOfScopeImports', reason: 'reset to flag' });
+  }
+  return cleaned;
+}
+
+function sanitizeCredentials(credentials, nodeIds, report) {
+  if (credentials === undefined) return undefined;
+  if (!Array.isArray(credentials)) {
+    report.rejected.push({ kind: 'credentials', id: null, reason: 'invalid credentials ignored' });
+    return undefined;
+  }
+
+  const ids = new Set();
+  const cleaned = [];
+  credentials.forEach((credential, index) => {
+    if (!isPlainObject(credential) || typeof credential.id !== 'string' || credential.id === '') {
+      report.rejected.push({ kind: 'credential', id: `#${index}`, reason: 'missing id' });
+      return;
+    }
+    const { id } = credential;
+    if (ids.has(id)) {
+      report.rejected.push({ kind: 'credential', id, reason: 'duplicate id' });
+      return;
+    }
+
+    const repair = (reason) => report.repaired.push({ kind: 'credential', id, reason });
+    const result = { ...credential };
+    ['username', 'domain', 'secret', 'notes'].forEach((field) => {
+      if (result[field] === undefined || result[field] === null) result[field] = '';
+      else if (typeof result[field] !== 'string') {
+        result[field] = String(result[field]);
+        repair(`${field} converted to text`);
+      }
+    });
+    if (!Object.values(CredentialTypes).includes(result.type)) {
+      repair(`unknown type "${result.type}" changed to other`);
+      result.type = CredentialTypes.OTHER;
+    }
+    if (result.sourceNodeId != null && !nodeIds.has(result.sourceNodeId)) {
+      repair('source node missing, link removed');
+      result.sourceNodeId = null;
+    }
+    result.sourceNodeId = result.sourceNodeId ?? null;
+    const validOn = Array.isArray(result.validOn) ? result.validOn : [];
+    result.validOn = validOn.filter((nodeId) => nodeIds.has(nodeId));
+    if (result.validOn.length !== validOn.length || !Array.isArray(credential.validOn ?? [])) {
+      repair('links to missing nodes removed');
+    }
+
+    cleaned.push(result);
+    ids.add(id);
+  });
+  return cleaned;
+}
+
+function sanitizeFindings(findings, nodeIds, report) {
+  if (findings === undefined) return undefined;
+  if (!Array.isArray(findings)) {
+    report.rejected.push({ kind: 'findings', id: null, reason: 'invalid findings ignored' });
+    return undefined;
+  }
+
+  const ids = new Set();
+  const cleaned = [];
+  findings.forEach((finding, index) => {
+    if (!isPlainObject(finding) || typeof finding.id !== 'string' || finding.id === '') {
+      report.rejected.push({ kind: 'finding', id: `#${index}`, reason: 'missing id' });
+      return;
+    }
+    const { id } = finding;
+    if (ids.has(id)) {
+      report.rejected.push({ kind: 'finding', id, reason: 'duplicate id' });
+      return;
+    }
+
+    const repair = (reason) => report.repaired.push({ kind: 'finding', id, reason });
+    const result = { ...finding };
+    ['title', 'cvssVector', 'evidence'].forEach((field) => {
+      if (result[field] === undefined || result[field] === null) result[field] = '';
+      else if (typeof result[field] !== 'string') {
+        result[field] = String(result[field]);
+        repair(`${field} converted to text`);
+      }
+    });
+    if (!result.title) result.title = id;
+
+    const cves = Array.isArray(finding.cves) ? finding.cves : [];
+    result.cves = cves.filter((cve) => typeof cve === 'string' && cve !== '');
+    if (result.cves.length !== cves.length || !Array.isArray(finding.cves ?? [])) {
+      repair('cves normalized to a list of strings');
+    }
+
+    // A valid vector is the source of truth for the score
+    let score = finding.cvssScore ?? null;
+    if (result.cvssVector) {
+      try {
+        score = calculateCVSSScore(result.cvssVector);
+      } catch (error) {
+        repair(`CVSS vector ignored: ${error.message}`);
+      }
+    }
+    if (score !== null && !(isFiniteNumber(score) && score >= 0 && score <= 10)) {
+      repair('invalid CVSS score cleared');
+      score = null;
+    }
+    if (score !== (finding.cvssScore ?? null) && isFiniteNumber(finding.cvssScore)) {
+      repair(`CVSS score ${finding.cvssScore} recalculated from the vector`);
+    }
+    result.cvssScore = score;
+
+    if (!Object.values(FindingStatuses).includes(result.status)) {
+      if (result.status !== undefined) repair(`unknown status "${result.status}" changed to open`);
+      result.status = FindingStatuses.OPEN;
+    }
+
+    const affected = Array.isArray(finding.affected) ? finding.affected : [];
+    const affectedIds = new Set();
+    result.affected = affected
+      .filter((entry) => {
+        if (!isPlainObject(entry) || !nodeIds.has(entry.nodeId) || affectedIds.has(entry.nodeId)) {
+          return false;
+        }
+        affectedIds.add(entry.nodeId);
+        return true;
+      })
+      .map((entry) => ({
+        ...entry,
+        service: typeof entry.service === 'string' && entry.service ? entry.service : null,
+      }));
+    if (result.affected.length !== affected.length || !Array.isArray(finding.affected ?? [])) {
+      repair('links to missing or duplicate nodes removed');
+    }
+
+    cleaned.push(result);
+    ids.add(id);
+  });
+  return cleaned;
+}
+
+/**
+ * Validate a migrated document, repairing or dropping invalid elements
+ * @param {object} document - Document at SCHEMA_VERSION
+ * @returns {{ document: AssetDocument, report: object }}
+ */
+export function validateDocument(document) {
+  const report = { migratedFrom: null, rejected: [], repaired: [] };
+
+  const nodeIds = new Set();
+  const nodes = [];
+  document.nodes.forEach((node, index) => {
+    if (!isPlainObject(node) || typeof node.id !== 'string' || node.id === '') {
+      report.rejected.push({ kind: 'node', id: `#${index}`, reason: 'missing id' });
+      return;
+    }
+    if (nodeIds.has(node.id)) {
+      report.rejected.push({ kind: 'node', id: node.id, reason: 'duplicate id' });
+      return;
+    }
+    if (!Object.values(NodeTypes).includes(node.type)) {
+      report.rejected.push({ kind: 'node', id: node.id, reason: `unknown type "${node.type}"` });
+      return;
+    }
+
+    const repairs = [];
+    nodes.push(sanitizeNode(node, repairs));
+    nodeIds.add(node.id);
+    repairs.forEach((reason) => report.repaired.push({ kind: 'node', id: node.id, reason }));
+  });
+
+  const edgeIds = new Set();
+  const edges = [];
+  document.edges.forEach((edge, index) => {
+    if (!isPlainObject(edge)) {
+      report.rejected.push({ kind: 'edge', id: `#${index}`, reason: 'not an object' });
+      return;
+    }
+    if (!nodeIds.has(edge.source) || !nodeIds.has(edge.target)) {
+      report.rejected.push({
+        kind: 'edge',
+        id: edge.id ?? `#${index}`,
+        reason: 'source or target node missing',
+      });
+      return;
+    }
+
+    let { id } = edge;
+    if (typeof id !== 'string' || id === '') {
+      id = `edge-${edge.source}-${edge.target}`;
+      report.repaired.push({ kind: 'edge', id, reason: 'missing id generated' });
+    }
+    if (edgeIds.has(id)) {
+      report.rejected.push({ kind: 'edge', id, reason: 'duplicate id' });
+      return;
+    }
+
+    const cleaned = { ...edge, id };
+    if (edge.data !== undefined && !isPlainObject(edge.data)) {
+      cleaned.data = {};
+      report.repaired.push({ kind: 'edge', id, reason: 'data replaced with an empty object' });
+    } else if (edge.data) {
+      const repairs = [];
+      cleaned.data = sanitizeEdgeData(edge.data, repairs);
+      repairs.forEach((reason) => report.repaired.push({ kind: 'edge', id, reason }));
+    }
+    edges.push(cleaned);
+    edgeIds.add(id);
+  });
+
+  const result = { ...document, nodes, edges };
+  const tagCatalogue = sanitizeTagCatalogue(document.tagCatalogue, report);
+  const settings = sanitizeSettings(document.settings, report);
+  if (tagCatalogue) result.tagCatalogue = tagCatalogue;
+  else delete result.tagCatalogue;
+  if (settings) result.settings = settings;
+  else delete result.settings;
+  const credentials = sanitizeCredentials(document.credentials, nodeIds, report);
+  if (credentials) result.credentials = credentials;
+  else delete result.credentials;
+  const findings = sanitizeFindings(document.findings, nodeIds, report);
+  if (findings) result.findings = findings;
+  else delete result.findings;
+
+  return { document: result, report };
+}
+
+/**
+ * Parse, migrate and validate an exported document
+ * @param {string | object} jsonData - File contents or parsed JSON
+ * @returns {{ document: AssetDocument, report: object }}
+ * @throws {Error} If the file can't be loaded at all
+ */
+export function parseDocument(jsonData) {
+  let parsed;
+  try {
+    parsed = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  if (!isPlainObject(parsed)) {
+    throw new Error('Invalid JSON: expected an object');
+  }
+  if (!Array.isArray(parsed.nodes)) {
+    throw new Error('Invalid JSON: missing nodes array');
+  }
+  if (!Array.isArray(parsed.edges)) {
+    throw new Error('Invalid JSON: missing edges array');
+  }
+
+  const { document, migratedFrom } = migrateDocument(parsed);
+  const result = validateDocument(document);
+  result.report.migratedFrom = migratedFrom;
+  return result;
+}
+
+/**
+ * Human-readable import report for alerts
+ * @param {object} report - Report from parseDocument
+ * @param {number} limit - Maximum entries listed per section
+ * @returns {string}
+ */
+export function formatImportReport(report, limit = 10) {
+  const lines = [];
+  if (report.migratedFrom) {
+    lines.push(`Upgraded from format ${report.migratedFrom} to ${SCHEMA_VERSION}`);
+  }
+
+  const section = (title, entries) => {
+    if (entries.length === 0) return;
+    lines.push('', `${title} (${entries.length}):`);
+    entries.slice(0, limit).forEach(({ kind, id, reason }) => {
+      lines.push(`  - ${kind}${id ? ` ${id}` : ''}: ${reason}`);
+    });
+    if (entries.length > limit) {
+      lines.push(`  ... and ${entries.length - limit} more`);
+    }
+  };
+  section('Rejected', report.rejected);
+  section('Repaired', report.repaired);
+
+  return lines.join('\n');
+}
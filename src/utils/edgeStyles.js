@@ -0,0 +1,88 @@
+/**
+ * Presentation of typed edges
+ *
+ * Store edges only carry `data.type`; each type's colour, dash pattern and
+ * arrowhead are applied when drawing, so restyling never touches saved
+ * documents. Inline styles already on an edge (e.g. layout-generated CIDR
+ * links) take precedence. Live pivots are animated in their traffic
+ * direction; dead ones are drawn faded.
+ */
+import { MarkerType } from 'reactflow';
+import { EdgeTypes, PivotDirections, PivotStatuses } from '../types/index';
+import { isPivotEdge, getPivot, describePivot } from './pivotUtils';
+
+// Marker colours end up in SVG ids, so they must be literal colours, not CSS variables
+const SELECTED_COLOR = '#66b395';
+
+export const EdgeTypeStyles = {
+  [EdgeTypes.DEFAULT]: { color: '#6e7681', dash: null, marker: null },
+  [EdgeTypes.CONNECTS]: { color: '#79c0ff', dash: null, marker: MarkerType.ArrowClosed },
+  [EdgeTypes.CONTAINS]: { color: '#8b949e', dash: '2 4', marker: MarkerType.Arrow },
+  [EdgeTypes.DEPENDS_ON]: { color: '#d29922', dash: '6 4', marker: MarkerType.ArrowClosed },
+  [EdgeTypes.PIVOT]: { color: '#f778ba', dash: null, marker: MarkerType.ArrowClosed },
+  [EdgeTypes.ADMIN_TO]: { color: '#f85149', dash: null, marker: MarkerType.ArrowClosed },
+  [EdgeTypes.HAS_SESSION]: { color: '#a371f7', dash: '4 3', marker: MarkerType.ArrowClosed },
+};
+
+const DEAD_PIVOT_STYLE = { strokeDasharray: '2 6', opacity: 0.5 };
+
+/**
+ * Type of an edge, untyped for missing or unknown types
+ * @param {object} edge
+ * @returns {string} - One of EdgeTypes
+ */
+export const getEdgeType = (edge) =>
+  edge.data?.type in EdgeTypeStyles ? edge.data.type : EdgeTypes.DEFAULT;
+
+/**
+ * Text drawn on an edge: its label plus protocol/port, e.g. "DMZ zone · SMB:445",
+ * or the tunnel for pivots, e.g. "chisel :1080 · dead"
+ * A label that merely repeats the type ("contains") is left out.
+ * @param {object} edge
+ * @returns {string}
+ */
+export function formatEdgeLabel(edge) {
+  const { label, protocol, port } = edge.data || {};
+  const parts = [label !== getEdgeType(edge) && label];
+  if (isPivotEdge(edge)) {
+    const pivot = getPivot(edge);
+    parts.push(describePivot(pivot), pivot.status === PivotStatuses.DEAD && 'dead');
+  } else {
+    parts.push([protocol?.toUpperCase(), port].filter(Boolean).join(':'));
+  }
+  return parts.filter(Boolean).join(' · ');
+}
+
+/**
+ * Apply each edge's type style, arrowhead and label for React Flow
+ * Selected edges keep the stylesheet's highlight colour.
+ * @param {object[]} edges - Store edges
+ * @returns {object[]}
+ */
+export function decorateEdges(edges) {
+  return edges.map((edge) => {
+    const { color, dash, marker } = EdgeTypeStyles[getEdgeType(edge)];
+    const pivot = isPivotEdge(edge) ? getPivot(edge) : null;
+    const dead = pivot?.status === PivotStatuses.DEAD;
+    const style = {
+      ...(edge.selected ? {} : { stroke: color }),
+      ...(dash ? { strokeDasharray: dash } : {}),
+      ...(dead ? DEAD_PIVOT_STYLE : {}),
+      ...edge.style,
+    };
+    const arrow = marker
+      ? { type: marker, color: edge.selected ? SELECTED_COLOR : color, width: 16, height: 16 }
+      : undefined;
+    // Pivot arrowheads follow the traffic, which may run against the edge
+    const reverse = pivot?.direction === PivotDirections.REVERSE;
+    const both = pivot?.direction === PivotDirections.BOTH;
+    return {
+      ...edge,
+      label: formatEdgeLabel(edge) || undefined,
+      style,
+      animated: edge.animated || (pivot !== null && !dead),
+      markerEnd: reverse ? undefined : arrow,
+      markerStart: reverse || both ? arrow : undefined,
+    };
+  });
+}
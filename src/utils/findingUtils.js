@@ -0,0 +1,78 @@
+/**
+ * Helpers for vulnerability findings
+ */
+import { FindingStatuses, Severities } from '../types/index';
+import { severityFromScore } from './cvss';
+
+// Lowest first, so a larger index is more severe
+export const SEVERITY_ORDER = [
+  Severities.NONE,
+  Severities.LOW,
+  Severities.MEDIUM,
+  Severities.HIGH,
+  Severities.CRITICAL,
+];
+
+/**
+ * Whether a finding still counts against the affected nodes
+ */
+export const isActiveFinding = (finding) =>
+  finding.status === FindingStatuses.OPEN || finding.status === FindingStatuses.CONFIRMED;
+
+export const findingSeverity = (finding) => severityFromScore(finding.cvssScore);
+
+export const affectsNode = (finding, nodeId) =>
+  finding.affected.some((entry) => entry.nodeId === nodeId);
+
+/**
+ * Identity used to recognise the same finding across imports and merges
+ * Findings with the same title but different CVEs are kept apart.
+ * @param {{ title: string, cves?: string[] }} finding
+ * @returns {string}
+ */
+export const findingKey = (finding) =>
+  [
+    finding.title.trim().toLowerCase(),
+    ...(finding.cves || []).map((id) => id.toUpperCase()).sort(),
+  ].join('\u0000');
+
+/**
+ * Highest severity among a node's active findings
+ * @param {object[]} findings
+ * @param {string} nodeId
+ * @returns {string | null} - One of Severities, null without active findings
+ */
+export function getNodeSeverity(findings, nodeId) {
+  let highest = -1;
+  findings.forEach((finding) => {
+    if (isActiveFinding(finding) && affectsNode(finding, nodeId)) {
+      highest = Math.max(highest, SEVERITY_ORDER.indexOf(findingSeverity(finding)));
+    }
+  });
+  return highest === -1 ? null : SEVERITY_ORDER[highest];
+}
+
+/**
+ * Sort findings most severe first, then by title
+ * @param {object[]} findings
+ * @returns {object[]} - New array
+ */
+export const sortFindings = (findings) =>
+  [...findings].sort(
+    (a, b) =>
+      (b.cvssScore ?? -1) - (a.cvssScore ?? -1) || a.title.localeCompare(b.title)
+  );
+
+/**
+ * Split free text into normalised CVE ids
+ * @param {string} text - Comma, space or newline separated
+ * @returns {string[]}
+ */
+export const parseCVEList = (text) => [
+  ...new Set(
+    text
+      .split(/[\s,;]+/)
+      .map((id) => id.trim().toUpperCase())
+      .filter(Boolean)
+  ),
+];
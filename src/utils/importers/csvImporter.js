@@ -0,0 +1,289 @@
+/**
+ * CSV asset inventory import
+ *
+ * Inventories come in any column layout, so each column is first mapped to a
+ * node field (suggestColumnMapping guesses from the header names) and every
+ * row then becomes a host record for mergeHosts. The IP column may hold
+ * several addresses per cell; CIDRs in it become network nodes instead.
+ */
+import { DeviceSubTypes, NodeTypes, ServerSubTypes } from '../../types/index';
+import { isCIDR, parseCIDR, validateNodeIPs } from '../networkUtils';
+
+/**
+ * What a CSV column can be mapped to
+ */
+export const CsvColumnTargets = {
+  IGNORE: 'ignore',
+  LABEL: 'label',
+  IP: 'ip',
+  HOSTNAME: 'hostname',
+  TYPE: 'type',
+  SUBTYPE: 'subtype',
+  OS: 'os',
+  DESCRIPTION: 'description',
+  TAGS: 'tags',
+  METADATA: 'metadata',
+};
+
+export const CsvColumnTargetLabels = {
+  [CsvColumnTargets.IGNORE]: 'Ignore',
+  [CsvColumnTargets.LABEL]: 'Label',
+  [CsvColumnTargets.IP]: 'IP addresses',
+  [CsvColumnTargets.HOSTNAME]: 'Hostname',
+  [CsvColumnTargets.TYPE]: 'Type',
+  [CsvColumnTargets.SUBTYPE]: 'Subtype',
+  [CsvColumnTargets.OS]: 'Operating system',
+  [CsvColumnTargets.DESCRIPTION]: 'Description',
+  [CsvColumnTargets.TAGS]: 'Tags',
+  [CsvColumnTargets.METADATA]: 'Metadata',
+};
+
+// Header names (lowercase, punctuation as spaces) that suggest a target
+const HEADER_PATTERNS = [
+  [CsvColumnTargets.IP, /^(ips?|ip ?addr(ess)?(es)?|ipv[46]( addr(ess)?)?|addresses)$/],
+  [CsvColumnTargets.HOSTNAME, /^(host ?name|fqdn|dns( name)?|computer ?name|host)$/],
+  [CsvColumnTargets.LABEL, /^(name|label|asset( name)?|device name|display name)$/],
+  [CsvColumnTargets.TYPE, /^(type|asset type|device type|node type|category|class)$/],
+  [CsvColumnTargets.SUBTYPE, /^(sub ?type|role|function)$/],
+  [CsvColumnTargets.OS, /^(os|os name|os version|operating system|platform)$/],
+  [CsvColumnTargets.DESCRIPTION, /^(description|desc|notes?|comments?|remarks?)$/],
+  [CsvColumnTargets.TAGS, /^(tags?|labels?)$/],
+];
+
+// Type column values, lowercase
+const TYPE_ALIASES = {
+  server: NodeTypes.SERVER,
+  srv: NodeTypes.SERVER,
+  pc: NodeTypes.PERSONAL_COMPUTER,
+  'personal computer': NodeTypes.PERSONAL_COMPUTER,
+  workstation: NodeTypes.PERSONAL_COMPUTER,
+  desktop: NodeTypes.PERSONAL_COMPUTER,
+  laptop: NodeTypes.PERSONAL_COMPUTER,
+  client: NodeTypes.PERSONAL_COMPUTER,
+  endpoint: NodeTypes.PERSONAL_COMPUTER,
+  device: NodeTypes.NETWORK_DEVICE,
+  'network device': NodeTypes.NETWORK_DEVICE,
+};
+
+// Subtype values (also accepted in the type column), lowercase
+const SUBTYPE_ALIASES = {
+  web: [NodeTypes.SERVER, ServerSubTypes.WEB],
+  'web server': [NodeTypes.SERVER, ServerSubTypes.WEB],
+  database: [NodeTypes.SERVER, ServerSubTypes.DATABASE],
+  db: [NodeTypes.SERVER, ServerSubTypes.DATABASE],
+  'database server': [NodeTypes.SERVER, ServerSubTypes.DATABASE],
+  dc: [NodeTypes.SERVER, ServerSubTypes.DOMAIN_CONTROLLER],
+  'domain controller': [NodeTypes.SERVER, ServerSubTypes.DOMAIN_CONTROLLER],
+  file: [NodeTypes.SERVER, ServerSubTypes.FILE_SERVER],
+  'file server': [NodeTypes.SERVER, ServerSubTypes.FILE_SERVER],
+  mail: [NodeTypes.SERVER, ServerSubTypes.MAIL_SERVER],
+  'mail server': [NodeTypes.SERVER, ServerSubTypes.MAIL_SERVER],
+  router: [NodeTypes.NETWORK_DEVICE, DeviceSubTypes.ROUTER],
+  switch: [NodeTypes.NETWORK_DEVICE, DeviceSubTypes.SWITCH],
+  firewall: [NodeTypes.NETWORK_DEVICE, DeviceSubTypes.FIREWALL],
+  fw: [NodeTypes.NETWORK_DEVICE, DeviceSubTypes.FIREWALL],
+  'ids/ips': [NodeTypes.NETWORK_DEVICE, DeviceSubTypes.IDS_IPS],
+  ids_ips: [NodeTypes.NETWORK_DEVICE, DeviceSubTypes.IDS_IPS],
+  ids: [NodeTypes.NETWORK_DEVICE, DeviceSubTypes.IDS_IPS],
+  ips: [NodeTypes.NETWORK_DEVICE, DeviceSubTypes.IDS_IPS],
+  waf: [NodeTypes.NETWORK_DEVICE, DeviceSubTypes.WAF],
+};
+
+// Servers and devices without a subtype are "other", like scan imports
+const DEFAULT_SUBTYPES = {
+  [NodeTypes.SERVER]: ServerSubTypes.OTHER,
+  [NodeTypes.NETWORK_DEVICE]: DeviceSubTypes.OTHER,
+};
+
+// The delimiter that splits the header line into the most columns
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const counts = [',', ';', '\t'].map((delimiter) => [delimiter, header.split(delimiter).length]);
+  return counts.reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+}
+
+/**
+ * Parse CSV (or semicolon / tab separated) text
+ * Quoted fields may contain delimiters, line breaks and doubled quotes.
+ * @param {string} text
+ * @returns {{ headers: string[], rows: string[][] }} - Cells are trimmed; every row
+ *   has one cell per header
+ */
+export function parseCSV(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source);
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char !== '"') field += char;
+      else if (source[i + 1] === '"') field += source[++i];
+      else quoted = false;
+    } else if (char === '"' && !field.trim()) {
+      quoted = true;
+      field = '';
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      records.push([...record, field]);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length > 0) records.push([...record, field]);
+
+  const [headerRecord, ...dataRecords] = records.filter((r) => r.some((cell) => cell.trim()));
+  if (!headerRecord || dataRecords.length === 0) {
+    throw new Error('Expected a header row and at least one data row');
+  }
+  const headers = headerRecord.map((header, index) => header.trim() || `Column ${index + 1}`);
+  return {
+    headers,
+    rows: dataRecords.map((cells) => headers.map((_, index) => (cells[index] || '').trim())),
+  };
+}
+
+/**
+ * Guess a mapping for each column from its header
+ * Each field target is suggested once; other columns become metadata.
+ * @param {string[]} headers
+ * @returns {{ target: string, category: string }[]} - One entry per column; `category`
+ *   is the tag category for tag columns
+ */
+export function suggestColumnMapping(headers) {
+  const used = new Set();
+  return headers.map((header) => {
+    const name = header.toLowerCase().replace(/[^a-z0-9/]+/g, ' ').trim();
+    const match = HEADER_PATTERNS.find(([target, pattern]) => !used.has(target) && pattern.test(name));
+    // Several IP or tag columns are common (IPv4 / IPv6, owner tags / zone tags)
+    if (match && match[0] !== CsvColumnTargets.IP && match[0] !== CsvColumnTargets.TAGS) {
+      used.add(match[0]);
+    }
+    return { target: match ? match[0] : CsvColumnTargets.METADATA, category: 'custom' };
+  });
+}
+
+// "Business Owner" -> "businessOwner"
+const metadataKey = (header) =>
+  header
+    .toLowerCase()
+    .replace(/[^a-z0-9]+(.)/g, (_, char) => char.toUpperCase())
+    .replace(/[^a-zA-Z0-9]/g, '');
+
+const splitList = (value, separator) =>
+  value
+    .split(separator)
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+function resolveType(typeValue, subTypeValue, errors) {
+  const typeKey = typeValue.toLowerCase();
+  const subTypeKey = subTypeValue.toLowerCase();
+  let type = TYPE_ALIASES[typeKey] || SUBTYPE_ALIASES[typeKey]?.[0];
+  let subType = SUBTYPE_ALIASES[typeKey]?.[1];
+  if (typeValue && !type) errors.push(`Unknown type: ${typeValue}`);
+
+  if (subTypeValue && subTypeKey !== 'other') {
+    const alias = SUBTYPE_ALIASES[subTypeKey];
+    if (!alias) {
+      errors.push(`Unknown subtype: ${subTypeValue}`);
+    } else if (type && alias[0] !== type) {
+      errors.push(`Subtype ${subTypeValue} doesn't apply to type ${typeValue}`);
+    } else {
+      [type, subType] = alias;
+    }
+  }
+  if (!type) return {};
+  return { nodeType: type, subType: subType || DEFAULT_SUBTYPES[type] || null };
+}
+
+/**
+ * Turn CSV rows into host records using a column mapping
+ * Invalid addresses are reported with validateNodeIPs; rows without a valid
+ * IP or hostname are skipped unless they only list networks.
+ * @param {{ headers: string[], rows: string[][] }} csv - Result of parseCSV
+ * @param {{ target: string, category: string }[]} mapping - One entry per column
+ * @returns {{ hosts: object[], networks: string[], rows: object[] }} - `rows` has one
+ *   preview entry per data row: `{ line, host, networks, errors }`, host null when skipped
+ */
+export function buildCsvHosts(csv, mapping) {
+  const hosts = [];
+  const networks = new Set();
+
+  const rows = csv.rows.map((cells, rowIndex) => {
+    const columns = (target) =>
+      mapping.flatMap((entry, index) =>
+        entry.target === target && cells[index]
+          ? [{ value: cells[index], header: csv.headers[index], category: entry.category }]
+          : []
+      );
+    const first = (target) => columns(target)[0]?.value || '';
+    const errors = [];
+
+    // Host-length prefixes ("10.0.0.5/32") are plain addresses
+    const addresses = columns(CsvColumnTargets.IP).flatMap((column) => splitList(column.value, /[,;\s]+/));
+    const isNetwork = (value) => {
+      const cidr = parseCIDR(value);
+      return cidr !== null && cidr.prefix < (cidr.version === 4 ? 32 : 128);
+    };
+    const rowNetworks = addresses.filter(isNetwork);
+    const validation = validateNodeIPs({
+      data: {
+        ip: addresses
+          .filter((value) => !isNetwork(value))
+          .map((value) => (isCIDR(value) ? value.split('/')[0] : value))
+          .join(', '),
+      },
+    });
+    errors.push(...validation.errors);
+    rowNetworks.forEach((cidr) => networks.add(cidr));
+
+    const hostnames = columns(CsvColumnTargets.HOSTNAME).flatMap((column) =>
+      splitList(column.value, /[,;\s]+/)
+    );
+    const type = resolveType(first(CsvColumnTargets.TYPE), first(CsvColumnTargets.SUBTYPE), errors);
+
+    const line = rowIndex + 2;
+    if (validation.ips.length === 0 && hostnames.length === 0) {
+      if (rowNetworks.length === 0) errors.push('No valid IP address or hostname');
+      return { line, host: null, networks: rowNetworks, errors };
+    }
+
+    const tags = {};
+    columns(CsvColumnTargets.TAGS).forEach((column) => {
+      const values = splitList(column.value, /[,;|]/);
+      tags[column.category] = [...new Set([...(tags[column.category] || []), ...values])];
+    });
+    const metadata = {};
+    columns(CsvColumnTargets.METADATA).forEach((column) => {
+      metadata[metadataKey(column.header) || 'value'] = column.value;
+    });
+
+    const host = {
+      ips: validation.ips,
+      hostnames,
+      label: first(CsvColumnTargets.LABEL),
+      description: columns(CsvColumnTargets.DESCRIPTION)
+        .map((column) => column.value)
+        .join('\n'),
+      osName: first(CsvColumnTargets.OS),
+      ...type,
+      services: [],
+      tags,
+      metadata,
+      findings: [],
+    };
+    hosts.push(host);
+    return { line, host, networks: rowNetworks, errors };
+  });
+
+  return { hosts, networks: [...networks], rows };
+}
@@ -0,0 +1,150 @@
+/**
+ * fscan result parser
+ *
+ * Reads the text result file (result.txt):
+ *   (icmp) Target 10.0.0.5      is alive
+ *   10.0.0.5:445 open
+ *   [*] 10.0.0.5  [+]DC CORP\DC01  Windows Server 2016 Standard 14393
+ *   [+] 10.0.0.5	MS17-010	(Windows Server 2008 R2 Standard 7601 Service Pack 1)
+ *   [*] NetInfo:
+ *   [*]10.0.0.5
+ *      [->]DC01
+ *      [->]192.168.56.10
+ * and the JSON lines written with `-f json` by fscan 2:
+ *   {"type":"PORT","target":"10.0.0.5","status":"open","details":{"port":445}}
+ */
+import { Severities } from '../../types/index';
+import { isValidIP } from '../networkUtils';
+import { createHostCollector, scannerFinding } from './hostImport';
+
+const IPV4 = String.raw`\d{1,3}(?:\.\d{1,3}){3}`;
+const ALIVE_PATTERN = new RegExp(`^\\(\\w+\\)\\s*Target\\s+(${IPV4})\\s+is alive`, 'i');
+const PORT_PATTERN = new RegExp(`^(${IPV4}):(\\d{1,5})\\s+open`, 'i');
+// "[*] 10.0.0.5  [+]DC CORP\DC01  Windows ..." or "[*] NetBios 10.0.0.5  CORP\WS01  Windows ..."
+const NETBIOS_PATTERN = new RegExp(
+  `^\\[\\*\\]\\s*(?:NetBios:?\\s+)?(${IPV4})\\s+(\\[\\+\\]\\s*DC:?\\s*)?([^\\s\\\\]+)\\\\(\\S+)\\s*(.*)$`,
+  'i'
+);
+// "[*] 10.0.0.5  (Windows Server 2016 Standard 14393)"
+const OS_PATTERN = new RegExp(`^\\[\\*\\]\\s*(${IPV4})\\s+\\((.+)\\)\\s*$`);
+// "[+] 10.0.0.5	MS17-010	(Windows ...)" or "[+] MS17-010 10.0.0.5 (Windows ...)"
+const MS17_010_PATTERN = new RegExp(
+  `^\\[\\+\\]\\s*(?:(${IPV4})\\s+MS17-010|MS17-010\\s+(${IPV4}))\\s*(?:\\((.*)\\))?`,
+  'i'
+);
+const NETINFO_HOST_PATTERN = new RegExp(`^\\[\\*\\]\\s*(${IPV4})\\s*$`);
+const NETINFO_ENTRY_PATTERN = /^\[->\](.+)$/;
+const WEB_TITLE_PATTERN = /WebTitle:?\s*(https?):\/\/([^\s/:]+):?(\d+)?\S*\s.*?title:(.*)$/i;
+
+const ms17010 = (evidence) =>
+  scannerFinding({
+    title: 'MS17-010 (EternalBlue) SMB remote code execution',
+    cves: ['CVE-2017-0143', 'CVE-2017-0144', 'CVE-2017-0145', 'CVE-2017-0146', 'CVE-2017-0148'],
+    score: 8.1,
+    severity: Severities.HIGH,
+    service: '445/tcp',
+    evidence,
+  });
+
+function applyDomain(host, domain, name, isDC) {
+  const workgroup = /^workgroup$/i.test(domain);
+  if (!host.hostnames.includes(name)) host.hostnames.push(name);
+  if (!workgroup) host.metadata.domain = domain;
+  host.tags.domain = [isDC ? 'domain_controller' : workgroup ? 'workgroup' : 'domain_member'];
+}
+
+function parseTextLine(line, collector, state) {
+  let match;
+  if ((match = ALIVE_PATTERN.exec(line))) {
+    collector.host(match[1]);
+  } else if ((match = PORT_PATTERN.exec(line))) {
+    collector.host(match[1]).services.push({ port: parseInt(match[2], 10), protocol: 'tcp', state: 'open' });
+  } else if ((match = MS17_010_PATTERN.exec(line))) {
+    const host = collector.host(match[1] || match[2]);
+    if (match[3] && !host.osName) host.osName = match[3].trim();
+    host.findings.push(ms17010(line));
+  } else if ((match = NETBIOS_PATTERN.exec(line))) {
+    const host = collector.host(match[1]);
+    applyDomain(host, match[3], match[4], Boolean(match[2]));
+    if (match[5].trim() && !host.osName) host.osName = match[5].trim();
+  } else if ((match = OS_PATTERN.exec(line))) {
+    const host = collector.host(match[1]);
+    if (!host.osName) host.osName = match[2].trim();
+  } else if ((match = NETINFO_HOST_PATTERN.exec(line))) {
+    state.netInfoHost = collector.host(match[1]);
+    return;
+  } else if ((match = NETINFO_ENTRY_PATTERN.exec(line)) && state.netInfoHost) {
+    // NetInfo lists the host name followed by every interface address
+    const value = match[1].trim();
+    const host = state.netInfoHost;
+    if (isValidIP(value)) {
+      if (!host.ips.includes(value)) host.ips.push(value);
+    } else if (!host.hostnames.includes(value)) {
+      host.hostnames.push(value);
+    }
+    return;
+  } else if ((match = WEB_TITLE_PATTERN.exec(line)) && isValidIP(match[2])) {
+    const scheme = match[1].toLowerCase();
+    collector.host(match[2]).services.push({
+      port: parseInt(match[3], 10) || (scheme === 'https' ? 443 : 80),
+      protocol: 'tcp',
+      state: 'open',
+      service: scheme,
+      banner: match[4].trim(),
+    });
+  }
+  state.netInfoHost = null;
+}
+
+function parseJSONLine(record, collector) {
+  const [ip, targetPort] = String(record.target || '').split(':');
+  if (!isValidIP(ip)) return;
+  const host = collector.host(ip);
+  const details = record.details || {};
+  const port = parseInt(details.port ?? targetPort, 10);
+  const type = String(record.type || '').toUpperCase();
+
+  if ((type === 'PORT' || type === 'SERVICE') && port) {
+    host.services.push({
+      port,
+      protocol: 'tcp',
+      state: 'open',
+      service: details.service || details.name || '',
+      version: details.version || '',
+      banner: String(details.banner || details.title || '').trim(),
+    });
+  }
+  if (details.os && !host.osName) host.osName = String(details.os);
+  if (details.hostname && !host.hostnames.includes(details.hostname)) {
+    host.hostnames.push(String(details.hostname));
+  }
+  if (type === 'VULN' && /ms17-010/i.test(JSON.stringify(details))) {
+    host.findings.push(ms17010(JSON.stringify(details)));
+  }
+}
+
+/**
+ * Parse fscan results into host records
+ * @param {string} text - result.txt or `-f json` output
+ * @returns {{ hosts: object[], networks: string[] }}
+ */
+export function parseFscan(text) {
+  const collector = createHostCollector();
+  const state = { netInfoHost: null };
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+    if (line.startsWith('{')) {
+      try {
+        parseJSONLine(JSON.parse(line), collector);
+      } catch {
+        // Not a JSON result line
+      }
+      continue;
+    }
+    parseTextLine(line, collector, state);
+  }
+
+  return { hosts: collector.hosts(), networks: [] };
+}
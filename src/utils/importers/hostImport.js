@@ -0,0 +1,606 @@
+/**
+ * Shared helpers for turning scanner output into asset nodes
+ *
+ * Every importer parses its own format into plain host records and lets
+ * mergeHosts() create or enrich nodes, add subnet CIDR nodes and rebuild the
+ * CIDR hierarchy edges. Services end up in the node's `data.services` list.
+ * Importers that know how hosts relate (e.g. AD admin rights) pass relations
+ * between host records, which become typed edges. Vulnerability findings on
+ * host records are merged into the findings list, one finding per title and CVEs.
+ *
+ * Host record:
+ * {
+ *   ips: string[],
+ *   hostnames: string[],
+ *   osName: string,          // free-form OS description
+ *   deviceType: string,      // e.g. 'router', 'firewall' when known
+ *   nodeType: string,        // NodeTypes value when the source states it (with subType)
+ *   label: string,           // node label; defaults to the short hostname or first IP
+ *   description: string,     // node description; defaults to osName
+ *   services: [{ port, protocol, state, service, product, version, banner }],
+ *   tags: { categoryKey: string[] },
+ *   metadata: object,
+ *   findings: [{ title, cves, cvssVector, cvssScore, service, evidence }],
+ *   access: { level, method },  // access proven by the tool, e.g. NetExec "Pwn3d!"
+ * }
+ */
+import {
+  createAccess,
+  createNode,
+  createEdge,
+  createFinding,
+  NodeTypes,
+  OSTypes,
+  OutOfScopeImportPolicies,
+  Severities,
+} from '../../types/index';
+import {
+  getNodeIPs,
+  getNodeCIDR,
+  findBestMatchingCIDR,
+  parseCIDR,
+  toCIDR,
+  normalizeIP,
+  normalizeCIDR,
+  getIPVersion,
+  generateAutoEdges,
+  annotateMultiHomed,
+} from '../networkUtils';
+import { mergeServices } from '../serviceUtils';
+import { calculateCVSSScore, severityFromScore } from '../cvss';
+import { buildScope, isIPInScope } from '../scopeUtils';
+import { accessRank, getAccessLevel } from '../accessUtils';
+import { affectsNode, findingKey } from '../findingUtils';
+
+const NEW_NODE_COLUMNS = 6;
+const NEW_NODE_SPACING_X = 260;
+const NEW_NODE_SPACING_Y = 160;
+
+const DC_PORTS = [88, 389, 636, 3268];
+const DATABASE_PORTS = [1433, 1521, 3306, 5432, 6379, 27017];
+const MAIL_PORTS = [25, 110, 143, 465, 587, 993, 995];
+const WEB_PORTS = [80, 443, 8000, 8080, 8443];
+const FILE_PORTS = [2049];
+
+const DEVICE_TYPES = {
+  router: 'router',
+  'broadband router': 'router',
+  switch: 'switch',
+  firewall: 'firewall',
+  waf: 'waf',
+  'ids/ips': 'ids_ips',
+};
+
+/**
+ * Map a free-form OS description to one of the OSTypes values
+ * @param {string} osName - e.g. "Microsoft Windows Server 2019", "Cisco IOS 15.X"
+ * @returns {string | null}
+ */
+export function normalizeOS(osName) {
+  const value = (osName || '').toLowerCase();
+  if (!value) return null;
+  if (value.includes('windows')) return OSTypes.WINDOWS;
+  if (value.includes('cisco') || /\bios[\s-]?xe\b/.test(value)) return OSTypes.CISCO_IOS;
+  if (/mac ?os|os x|darwin/.test(value)) return OSTypes.MACOS;
+  if (/linux|ubuntu|debian|centos|red ?hat|fedora|suse/.test(value)) return OSTypes.LINUX;
+  return null;
+}
+
+/**
+ * Guess node type and subtype from what a scanner saw on the host
+ * A type stated by the source (e.g. an asset inventory) is taken as-is.
+ * @param {object} host - Host record
+ * @returns {{ type: string, subType: string | null }}
+ */
+export function inferNodeType(host) {
+  if (host.nodeType) {
+    return { type: host.nodeType, subType: host.subType || null };
+  }
+  const deviceType = (host.deviceType || '').toLowerCase();
+  if (deviceType in DEVICE_TYPES) {
+    return { type: NodeTypes.NETWORK_DEVICE, subType: DEVICE_TYPES[deviceType] };
+  }
+  if (host.tags?.domain?.includes('domain_controller')) {
+    return { type: NodeTypes.SERVER, subType: 'dc' };
+  }
+
+  const ports = new Set((host.services || []).map((s) => s.port));
+  const hasAny = (list) => list.some((port) => ports.has(port));
+
+  if (ports.has(88) && hasAny(DC_PORTS.filter((p) => p !== 88))) {
+    return { type: NodeTypes.SERVER, subType: 'dc' };
+  }
+  if (hasAny(DATABASE_PORTS)) return { type: NodeTypes.SERVER, subType: 'database' };
+  if (hasAny(MAIL_PORTS)) return { type: NodeTypes.SERVER, subType: 'mail' };
+  if (hasAny(WEB_PORTS)) return { type: NodeTypes.SERVER, subType: 'web' };
+  if (hasAny(FILE_PORTS)) return { type: NodeTypes.SERVER, subType: 'file' };
+
+  const osName = (host.osName || '').toLowerCase();
+  if (osName.includes('server') || normalizeOS(osName) === OSTypes.LINUX) {
+    return { type: NodeTypes.SERVER, subType: 'other' };
+  }
+
+  return { type: NodeTypes.PERSONAL_COMPUTER, subType: null };
+}
+
+/**
+ * Derive "service" category tags from the detected services
+ * @param {object[]} services
+ * @returns {string[]}
+ */
+export function inferServiceTags(services = []) {
+  const tags = new Set();
+  for (const svc of services) {
+    const product = `${svc.service || ''} ${svc.product || ''}`.toLowerCase();
+    if (svc.port === 1433 || product.includes('sql server')) tags.add('sqlserver');
+    if (product.includes('exchange')) tags.add('exchange');
+    if (product.includes('sharepoint')) tags.add('sharepoint');
+    if (WEB_PORTS.includes(svc.port) || /^https?\b/.test(svc.service || '')) tags.add('web_server');
+  }
+  return [...tags];
+}
+
+// Lowest score of each severity band
+const SEVERITY_FLOOR = {
+  [Severities.LOW]: 0.1,
+  [Severities.MEDIUM]: 4,
+  [Severities.HIGH]: 7,
+  [Severities.CRITICAL]: 9,
+};
+
+/**
+ * Build a host record finding from what a vulnerability scanner reports
+ * The score comes from a valid CVSS v3 vector, else the reported score,
+ * else the floor of the scanner's severity rating so it still lands in the
+ * right band.
+ * @param {object} data
+ * @param {string} data.title
+ * @param {string[]} data.cves
+ * @param {string} data.vector - CVSS v3 vector, if any
+ * @param {number} data.score - Reported CVSS score (v3 or v2), if any
+ * @param {string} data.severity - Scanner rating as one of Severities, if any
+ * @param {string | null} data.service - "445/tcp", null for host-level findings
+ * @param {string} data.evidence
+ * @returns {object}
+ */
+export function scannerFinding({ title, cves = [], vector = '', score, severity, service, evidence }) {
+  let cvssVector = '';
+  let cvssScore = Number.isFinite(score) ? score : (SEVERITY_FLOOR[severity] ?? null);
+  if (/^CVSS:3/i.test(vector)) {
+    try {
+      cvssScore = calculateCVSSScore(vector);
+      cvssVector = vector;
+    } catch {
+      // Keep the reported score
+    }
+  }
+  return {
+    title,
+    cves: [...new Set(cves.map((id) => id.trim().toUpperCase()).filter(Boolean))],
+    cvssVector,
+    cvssScore,
+    service: service || null,
+    evidence: (evidence || '').trim(),
+  };
+}
+
+/**
+ * Derive "risk" category tags from a host's findings
+ * Medium or worse findings with a CVE mean missing patches; high or worse
+ * findings on a listening port mean the host is exposed.
+ * @param {object[]} findings - Host record findings
+ * @returns {string[]}
+ */
+export function inferRiskTags(findings = []) {
+  const tags = new Set();
+  for (const finding of findings) {
+    const severity = severityFromScore(finding.cvssScore);
+    if (severity === Severities.NONE || severity === Severities.LOW) continue;
+    if (finding.cves?.length) tags.add('unpatched');
+    if (severity !== Severities.MEDIUM && finding.service) tags.add('exposed');
+  }
+  return [...tags];
+}
+
+/**
+ * Union tag maps ({ category: [values] })
+ */
+export function mergeTags(existing = {}, incoming = {}) {
+  const merged = { ...existing };
+  for (const [category, values] of Object.entries(incoming)) {
+    if (!values || values.length === 0) continue;
+    merged[category] = [...new Set([...(merged[category] || []), ...values])];
+  }
+  return merged;
+}
+
+/**
+ * Union two metadata objects; incoming scalars win, lists are unioned
+ */
+export function mergeMetadata(existing = {}, incoming = {}) {
+  const merged = { ...existing };
+  for (const [key, value] of Object.entries(incoming)) {
+    if (value === undefined || value === null || value === '') continue;
+    if (Array.isArray(value) && Array.isArray(existing[key])) {
+      merged[key] = [...new Set([...existing[key], ...value])];
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+function buildHostTags(host) {
+  const tags = { ...(host.tags || {}) };
+  const os = normalizeOS(host.osName);
+  if (os) tags.os = [...new Set([...(tags.os || []), os])];
+  const serviceTags = inferServiceTags(host.services);
+  if (serviceTags.length > 0) {
+    tags.service = [...new Set([...(tags.service || []), ...serviceTags])];
+  }
+  const riskTags = inferRiskTags(host.findings);
+  if (riskTags.length > 0) {
+    tags.risk = [...new Set([...(tags.risk || []), ...riskTags])];
+  }
+  return tags;
+}
+
+function buildHostMetadata(host) {
+  return {
+    ...(host.hostnames?.length ? { hostname: host.hostnames[0] } : {}),
+    ...(host.hostnames?.length > 1 ? { hostnames: host.hostnames } : {}),
+    ...(host.osName ? { osVersion: host.osName } : {}),
+    ...(host.metadata || {}),
+  };
+}
+
+// Names a node is known by: resolved hostnames and its label
+const nodeHostnames = (node) =>
+  [node.data.metadata?.hostname, ...(node.data.metadata?.hostnames || []), node.data.label]
+    .filter((name) => typeof name === 'string' && name)
+    .map((name) => name.toLowerCase());
+
+/**
+ * Accumulate host records by IP, for formats that mention a host on many lines
+ * Services may repeat; mergeHosts folds them together by port/protocol.
+ * @returns {{ host: (ip: string) => object, hosts: () => object[] }}
+ */
+export function createHostCollector() {
+  const records = new Map();
+  return {
+    host: (ip) => {
+      if (!records.has(ip)) {
+        records.set(ip, {
+          ips: [ip],
+          hostnames: [],
+          osName: '',
+          deviceType: '',
+          services: [],
+          tags: {},
+          metadata: {},
+          findings: [],
+        });
+      }
+      return records.get(ip);
+    },
+    hosts: () => [...records.values()],
+  };
+}
+
+// Keep whichever access is higher: the node's current one or what the tool proved
+const raiseAccess = (current, proven, operator) =>
+  proven && accessRank(proven.level) > accessRank(current)
+    ? createAccess(proven.level, { method: proven.method, operator })
+    : null;
+
+/**
+ * Place new nodes on a grid below the existing graph so nothing overlaps
+ */
+function placeNewNodes(existingNodes, newNodes) {
+  const maxY = existingNodes.length
+    ? Math.max(...existingNodes.map((n) => n.position?.y ?? 0))
+    : -NEW_NODE_SPACING_Y;
+  const minX = existingNodes.length
+    ? Math.min(...existingNodes.map((n) => n.position?.x ?? 0))
+    : 100;
+  const startY = maxY + NEW_NODE_SPACING_Y * 1.5;
+
+  return newNodes.map((node, index) => ({
+    ...node,
+    position: {
+      x: minX + (index % NEW_NODE_COLUMNS) * NEW_NODE_SPACING_X,
+      y: startY + Math.floor(index / NEW_NODE_COLUMNS) * NEW_NODE_SPACING_Y,
+    },
+  }));
+}
+
+/**
+ * Merge parsed host records into the graph
+ *
+ * Hosts are matched to existing nodes by IP, then by hostname (an FQDN
+ * matches the same FQDN, or a bare name equal to its first label); matches
+ * are enriched (IPs, tags, metadata and services unioned) instead of
+ * duplicated. Hosts without IPs are only imported when they have a hostname.
+ * Networks listed in
+ * `networks` become CIDR nodes, and hosts not covered by a CIDR at least as
+ * specific as `subnetPrefix` (`subnetPrefixV6` for IPv6) get one for their
+ * subnet.
+ * Hosts with addresses outside `scope` are counted as out of scope; with the
+ * `skip` policy, hosts that have no in-scope address are left out entirely.
+ * Access proven by the tool raises a node's access level, never lowers it.
+ * Host findings are merged into `findings`: a finding with the same title and
+ * CVEs (findingKey) gains the host's node as affected, once per node, otherwise
+ * a new finding is created.
+ * Relations become typed edges between the hosts' nodes; a pair that is
+ * already linked by an edge of the same type keeps it with the labels joined.
+ * Finally the CIDR hierarchy edges are rebuilt with buildCIDRHierarchy.
+ *
+ * @param {object[]} nodes - Current nodes
+ * @param {object[]} edges - Current edges
+ * @param {object[]} hosts - Parsed host records
+ * @param {object} options
+ * @param {string[]} options.networks - CIDRs to ensure as CIDR nodes
+ * @param {number} options.subnetPrefix - Prefix for auto-created IPv4 host subnets
+ * @param {number} options.subnetPrefixV6 - Prefix for auto-created IPv6 host subnets
+ * @param {string} options.source - Importer name recorded in node metadata
+ * @param {object} options.scope - Engagement scope from buildScope (default: undefined scope)
+ * @param {string} options.outOfScope - One of OutOfScopeImportPolicies
+ * @param {object[]} options.relations - `{ source, target, type, label }`, source/target
+ *   being indexes into `hosts`
+ * @param {object[]} options.findings - Current findings
+ * @param {string} options.operator - Recorded on access the import raises
+ * @returns {{ nodes: object[], edges: object[], findings: object[], summary: object }}
+ */
+export function mergeHosts(nodes, edges, hosts, options = {}) {
+  const {
+    networks = [],
+    subnetPrefix = 24,
+    subnetPrefixV6 = 64,
+    source = 'import',
+    scope = buildScope(),
+    outOfScope = OutOfScopeImportPolicies.FLAG,
+    relations = [],
+    findings = [],
+    operator = '',
+  } = options;
+  const idBase = Date.now();
+  let idCounter = 0;
+  const nextId = (type) => `${type}-${idBase}-${idCounter++}`;
+
+  const summary = {
+    hostsAdded: 0,
+    hostsUpdated: 0,
+    networksAdded: 0,
+    skipped: 0,
+    outOfScope: 0,
+    outOfScopeSkipped: 0,
+    edgesAdded: 0,
+    findingsAdded: 0,
+    findingsUpdated: 0,
+    riskTagged: 0,
+    accessRaised: 0,
+  };
+  const resultNodes = [...nodes];
+  const newNodes = [];
+  const importedHosts = [];
+  // Host record index -> id of the node it was merged into
+  const hostNodeIds = new Map();
+
+  // Canonical IP / lowercase hostname / short name -> index(es) in resultNodes,
+  // for host matching
+  const ipIndex = new Map();
+  const nameIndex = new Map();
+  const shortNameIndex = new Map();
+  const indexNames = (node, index) =>
+    nodeHostnames(node).forEach((name) => {
+      if (!nameIndex.has(name)) nameIndex.set(name, index);
+      const short = name.split('.')[0];
+      shortNameIndex.set(short, new Set([...(shortNameIndex.get(short) || []), index]));
+    });
+  resultNodes.forEach((node, index) => {
+    if (node.type === NodeTypes.CIDR) return;
+    getNodeIPs(node).forEach((ip) => ipIndex.set(normalizeIP(ip), index));
+    indexNames(node, index);
+  });
+  // Full names first; a bare name (no domain anywhere in the record) only
+  // matches when exactly one node carries it, so web01.corp-a.local and
+  // web01.corp-b.local stay apart
+  const findByName = (hostnames = []) => {
+    const names = hostnames.map((name) => name.toLowerCase());
+    const exact = names.map((name) => nameIndex.get(name)).find((i) => i !== undefined);
+    if (exact !== undefined || names.some((name) => name.includes('.'))) return exact;
+    const candidates = new Set(names.flatMap((name) => [...(shortNameIndex.get(name) || [])]));
+    return candidates.size === 1 ? [...candidates][0] : undefined;
+  };
+
+  for (const [hostIndex, host] of hosts.entries()) {
+    const ips = [...new Set(host.ips || [])];
+    if (ips.length === 0 && !host.hostnames?.length) {
+      summary.skipped++;
+      continue;
+    }
+
+    const outOfScopeCount = ips.filter((ip) => !isIPInScope(ip, scope)).length;
+    if (
+      ips.length > 0 &&
+      outOfScopeCount === ips.length &&
+      outOfScope === OutOfScopeImportPolicies.SKIP
+    ) {
+      summary.outOfScopeSkipped++;
+      continue;
+    }
+    if (outOfScopeCount > 0) summary.outOfScope++;
+    importedHosts.push(host);
+
+    const tags = buildHostTags(host);
+    const metadata = { ...buildHostMetadata(host), source };
+    const matchIndex =
+      ips.map((ip) => ipIndex.get(normalizeIP(ip))).find((i) => i !== undefined) ??
+      findByName(host.hostnames);
+
+    if (matchIndex !== undefined) {
+      const existing = resultNodes[matchIndex];
+      const mergedIPs = getNodeIPs({ data: { ips: [...getNodeIPs(existing), ...ips] } });
+      const existingRisk = existing.data.tags?.risk || [];
+      if (tags.risk?.some((tag) => !existingRisk.includes(tag))) summary.riskTagged++;
+      const access = raiseAccess(getAccessLevel(existing), host.access, operator);
+      if (access) summary.accessRaised++;
+      resultNodes[matchIndex] = {
+        ...existing,
+        data: {
+          ...existing.data,
+          ip: mergedIPs.join(', '),
+          tags: mergeTags(existing.data.tags, tags),
+          metadata: mergeMetadata(existing.data.metadata, metadata),
+          ...(host.services?.length
+            ? { services: mergeServices(existing.data.services, host.services) }
+            : {}),
+          ...(access ? { access } : {}),
+        },
+      };
+      mergedIPs.forEach((ip) => ipIndex.set(normalizeIP(ip), matchIndex));
+      indexNames(resultNodes[matchIndex], matchIndex);
+      hostNodeIds.set(hostIndex, existing.id);
+      summary.hostsUpdated++;
+      continue;
+    }
+
+    const { type, subType } = inferNodeType(host);
+    const node = createNode(nextId(type), type, {
+      label: host.label || host.hostnames?.[0]?.split('.')[0] || ips[0],
+      description: host.description || host.osName || '',
+      ip: ips.join(', '),
+      subType,
+      tags,
+      metadata,
+      services: mergeServices([], host.services),
+    });
+    const access = raiseAccess(getAccessLevel(node), host.access, operator);
+    if (access) {
+      node.data.access = access;
+      summary.accessRaised++;
+    }
+    resultNodes.push(node);
+    newNodes.push(node);
+    if (tags.risk?.length) summary.riskTagged++;
+    ips.forEach((ip) => ipIndex.set(normalizeIP(ip), resultNodes.length - 1));
+    indexNames(node, resultNodes.length - 1);
+    hostNodeIds.set(hostIndex, node.id);
+    summary.hostsAdded++;
+  }
+
+  // Ensure CIDR nodes for scanned networks and uncovered host subnets
+  const cidrNodes = () => resultNodes.filter((n) => n.type === NodeTypes.CIDR);
+  const knownCIDRs = new Set(
+    cidrNodes().map((n) => normalizeCIDR(getNodeCIDR(n))).filter(Boolean)
+  );
+  const addNetwork = (cidr) => {
+    if (!cidr || knownCIDRs.has(cidr)) return;
+    knownCIDRs.add(cidr);
+    const node = createNode(nextId(NodeTypes.CIDR), NodeTypes.CIDR, {
+      label: cidr,
+      ip: cidr,
+      description: `Discovered by ${source}`,
+    });
+    resultNodes.push(node);
+    newNodes.push(node);
+    summary.networksAdded++;
+  };
+
+  networks.forEach((cidr) => addNetwork(normalizeCIDR(cidr)));
+
+  for (const host of importedHosts) {
+    for (const ip of host.ips || []) {
+      const prefix = getIPVersion(ip) === 6 ? subnetPrefixV6 : subnetPrefix;
+      const best = findBestMatchingCIDR(ip, cidrNodes());
+      const bestPrefix = best ? parseCIDR(getNodeCIDR(best)).prefix : -1;
+      if (bestPrefix < prefix) addNetwork(toCIDR(ip, prefix));
+    }
+  }
+
+  const placed = new Map(
+    placeNewNodes(nodes, newNodes).map((node) => [node.id, node])
+  );
+  const finalNodes = annotateMultiHomed(
+    resultNodes.map((node) => placed.get(node.id) || node)
+  );
+
+  const resultFindings = [...findings];
+  const findingIndex = new Map(resultFindings.map((finding, index) => [findingKey(finding), index]));
+  const updatedFindings = new Set();
+  for (const [hostIndex, nodeId] of hostNodeIds) {
+    for (const hostFinding of hosts[hostIndex].findings || []) {
+      const { service = null, ...data } = hostFinding;
+      const entry = { nodeId, service };
+      const index = findingIndex.get(findingKey(data));
+      if (index === undefined) {
+        resultFindings.push(createFinding(nextId('finding'), { ...data, affected: [entry] }));
+        findingIndex.set(findingKey(data), resultFindings.length - 1);
+        summary.findingsAdded++;
+        continue;
+      }
+      const existing = resultFindings[index];
+      // One entry per node; a host reported on several ports keeps the first service
+      if (affectsNode(existing, nodeId)) continue;
+      resultFindings[index] = { ...existing, affected: [...existing.affected, entry] };
+      if (index < findings.length) updatedFindings.add(index);
+    }
+  }
+  summary.findingsUpdated = updatedFindings.size;
+
+  const resultEdges = [...edges];
+  for (const relation of relations) {
+    const sourceId = hostNodeIds.get(relation.source);
+    const targetId = hostNodeIds.get(relation.target);
+    if (!sourceId || !targetId || sourceId === targetId) continue;
+    const existingIndex = resultEdges.findIndex(
+      (edge) =>
+        edge.source === sourceId && edge.target === targetId && edge.data?.type === relation.type
+    );
+    if (existingIndex === -1) {
+      const edge = createEdge(sourceId, targetId, { type: relation.type, label: relation.label });
+      resultEdges.push({ ...edge, id: `${edge.id}-${relation.type}` });
+      summary.edgesAdded++;
+      continue;
+    }
+    const existing = resultEdges[existingIndex];
+    const labels = [existing.data.label, relation.label].flatMap((label) =>
+      label ? label.split(', ') : []
+    );
+    resultEdges[existingIndex] = {
+      ...existing,
+      data: { ...existing.data, label: [...new Set(labels)].join(', ') },
+    };
+  }
+
+  return {
+    nodes: finalNodes,
+    edges: generateAutoEdges(finalNodes, resultEdges),
+    findings: resultFindings,
+    summary,
+  };
+}
+
+/**
+ * Format an import summary for display
+ * @param {string} label - Importer label
+ * @param {object} summary - Summary returned by mergeHosts
+ * @returns {string}
+ */
+export function formatImportSummary(label, summary) {
+  const lines = [
+    `${label} import complete`,
+    `Hosts added: ${summary.hostsAdded}`,
+    `Hosts merged: ${summary.hostsUpdated}`,
+    `Networks added: ${summary.networksAdded}`,
+  ];
+  if (summary.findingsAdded) lines.push(`Findings added: ${summary.findingsAdded}`);
+  if (summary.findingsUpdated) lines.push(`Findings with new affected hosts: ${summary.findingsUpdated}`);
+  if (summary.riskTagged) lines.push(`Hosts given risk tags: ${summary.riskTagged}`);
+  if (summary.accessRaised) lines.push(`Access raised: ${summary.accessRaised}`);
+  if (summary.edgesAdded) lines.push(`Relations added: ${summary.edgesAdded}`);
+  if (summary.skipped) lines.push(`Skipped: ${summary.skipped}`);
+  if (summary.outOfScope) lines.push(`Out of scope (flagged): ${summary.outOfScope}`);
+  if (summary.outOfScopeSkipped) lines.push(`Out of scope (skipped): ${summary.outOfScopeSkipped}`);
+  return lines.join('\n');
+}
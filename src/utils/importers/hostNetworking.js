@@ -0,0 +1,351 @@
+/**
+ * Parse networking command output captured on a host
+ *
+ * Understands `ipconfig /all`, `ip addr`, `route print`, `ip route`,
+ * `arp -a` (Windows and Linux) and `ip neigh`, pasted alone or together.
+ * The host's own addresses are added to its node, attached and routed
+ * networks become CIDR nodes, and ARP neighbours and gateways become
+ * discovered hosts. A gateway is linked to the networks routed through it.
+ */
+import { AccessLevels, EdgeTypes, NodeTypes, createEdge } from '../../types/index';
+import {
+  ipToInt,
+  isCIDR,
+  isIPInCIDR,
+  isValidIP,
+  getNodeIPs,
+  getNodeCIDR,
+  normalizeCIDR,
+  normalizeIP,
+  toCIDR,
+} from '../networkUtils';
+import { mergeHosts } from './hostImport';
+
+// Addresses that never describe a reachable network
+const SPECIAL_NETWORKS = [
+  '0.0.0.0/8',
+  '127.0.0.0/8',
+  '169.254.0.0/16',
+  '224.0.0.0/4',
+  '255.255.255.255/32',
+  '::/128',
+  '::1/128',
+  'fe80::/10',
+  'ff00::/8',
+];
+
+const isSpecialIP = (ip) => SPECIAL_NETWORKS.some((cidr) => isIPInCIDR(ip, cidr));
+
+const BROADCAST_MACS = /^(ff[:-]){5}ff$|^01[:-]00[:-]5e/i;
+
+/**
+ * Prefix length of a dotted netmask, null if the mask isn't contiguous
+ * @param {string} mask - e.g. "255.255.255.0"
+ * @returns {number | null}
+ */
+export function netmaskToPrefix(mask) {
+  const value = ipToInt(mask);
+  if (value === null) return null;
+  const prefix = 32 - Math.log2((~value >>> 0) + 1);
+  return Number.isInteger(prefix) ? prefix : null;
+}
+
+// ipconfig values carry suffixes: "10.0.0.5(Preferred)", "fe80::1%12(Preferred)"
+const cleanAddress = (value) => value.replace(/\(.*\)$/, '').replace(/%.*$/, '').trim();
+
+function parseIpconfig(lines, result) {
+  let adapter = null;
+  let pendingIP = null;
+  let listKey = null;
+
+  for (const line of lines) {
+    const header = /^(\S.*adapter .+):\s*$/i.exec(line);
+    if (header) {
+      adapter = header[1];
+      pendingIP = null;
+      listKey = null;
+      continue;
+    }
+    const field = /^\s+(\S[^:]*?)[\s.]*:\s*(.*)$/.exec(line);
+    if (!field && listKey && /^\s+\S+\s*$/.test(line)) {
+      // Continuation line of a multi-value field (extra gateways or DNS servers)
+      const value = cleanAddress(line);
+      if (listKey === 'gateway' && isValidIP(value)) result.gateways.push(value);
+      continue;
+    }
+    if (!field) continue;
+
+    const key = field[1].toLowerCase();
+    const value = cleanAddress(field[2]);
+    listKey = null;
+    if (key === 'host name') {
+      result.hostname = value;
+    } else if (key === 'primary dns suffix' && value && result.hostname) {
+      result.hostname = `${result.hostname}.${value}`;
+    } else if (/^(ipv4 )?ip(v4)? address$|^autoconfiguration ipv4 address$/.test(key) && isValidIP(value)) {
+      pendingIP = value;
+    } else if (key === 'subnet mask' && pendingIP) {
+      result.interfaces.push({ name: adapter, ip: pendingIP, prefix: netmaskToPrefix(value) });
+      pendingIP = null;
+    } else if (/^(temporary )?ipv6 address$/.test(key) && isValidIP(value)) {
+      result.interfaces.push({ name: adapter, ip: value, prefix: null });
+    } else if (key === 'default gateway') {
+      listKey = 'gateway';
+      if (isValidIP(value)) result.gateways.push(value);
+    }
+  }
+  if (result.interfaces.length > 0 || result.hostname) result.formats.add('ipconfig');
+}
+
+function parseIpAddr(lines, result) {
+  let name = null;
+  for (const line of lines) {
+    const header = /^\d+:\s+([^:@\s]+)[^:]*:\s+</.exec(line);
+    if (header) {
+      name = header[1];
+      continue;
+    }
+    const address = /^\s+inet6?\s+(\S+)\/(\d{1,3})\b/.exec(line);
+    if (address && isValidIP(address[1])) {
+      result.interfaces.push({ name, ip: address[1], prefix: parseInt(address[2], 10) });
+      result.formats.add('ip addr');
+    }
+  }
+}
+
+function parseRoutePrint(lines, result) {
+  for (const line of lines) {
+    // IPv4: destination, netmask, gateway (or On-link), interface, metric
+    const v4 = /^\s*(\d+\.\d+\.\d+\.\d+)\s+(\d+\.\d+\.\d+\.\d+)\s+(\S+)\s+(\d+\.\d+\.\d+\.\d+)\s+\d+\s*$/.exec(line);
+    if (v4) {
+      const prefix = netmaskToPrefix(v4[2]);
+      const gateway = isValidIP(v4[3]) ? v4[3] : null;
+      if (prefix !== null) result.routes.push({ cidr: toCIDR(v4[1], prefix), gateway });
+      if (gateway) result.gateways.push(gateway);
+      result.formats.add('route print');
+      continue;
+    }
+    // IPv6: interface index, metric, destination/prefix, gateway (or On-link)
+    const v6 = /^\s*\d+\s+\d+\s+([0-9a-f:]+\/\d{1,3})\s+(\S+)\s*$/i.exec(line);
+    if (v6 && isCIDR(v6[1])) {
+      const gateway = isValidIP(v6[2]) ? v6[2] : null;
+      result.routes.push({ cidr: v6[1], gateway });
+      if (gateway) result.gateways.push(gateway);
+      result.formats.add('route print');
+    }
+  }
+}
+
+function parseIpRoute(lines, result) {
+  for (const line of lines) {
+    const route = /^(default|\S+\/\d{1,3}|\d+\.\d+\.\d+\.\d+)\s+(?:via\s+(\S+)\s+)?dev\s+\S+/.exec(line.trim());
+    if (!route) continue;
+    const gateway = route[2] && isValidIP(route[2]) ? route[2] : null;
+    if (isCIDR(route[1])) result.routes.push({ cidr: route[1], gateway });
+    if (gateway) result.gateways.push(gateway);
+    result.formats.add('ip route');
+  }
+}
+
+function parseNeighbours(lines, result) {
+  for (const line of lines) {
+    // Windows arp -a: "  10.0.0.1   00-50-56-c0-00-08   dynamic"
+    const windows = /^\s+(\d+\.\d+\.\d+\.\d+)\s+([0-9a-f]{2}(?:-[0-9a-f]{2}){5})\s+\w+\s*$/i.exec(line);
+    // Linux arp -a: "gw.corp.local (10.0.0.1) at 00:50:56:c0:00:08 [ether] on eth0"
+    const linux = /^(\S+)\s+\(([^)]+)\)\s+at\s+([0-9a-f]{2}(?::[0-9a-f]{2}){5})\b/i.exec(line.trim());
+    // ip neigh: "10.0.0.1 dev eth0 lladdr 00:50:56:c0:00:08 REACHABLE"
+    const neigh = /^(\S+)\s+dev\s+\S+\s+lladdr\s+(\S+)\s+(\w+)/.exec(line.trim());
+
+    if (windows) {
+      result.neighbours.push({ ip: windows[1], mac: windows[2], hostname: '' });
+      result.formats.add('arp -a');
+    } else if (linux && isValidIP(linux[2])) {
+      result.neighbours.push({ ip: linux[2], mac: linux[3], hostname: linux[1] === '?' ? '' : linux[1] });
+      result.formats.add('arp -a');
+    } else if (neigh && isValidIP(neigh[1]) && neigh[3] !== 'FAILED') {
+      result.neighbours.push({ ip: neigh[1], mac: neigh[2], hostname: '' });
+      result.formats.add('ip neigh');
+    }
+  }
+}
+
+const uniqueBy = (items, key) => [...new Map(items.map((item) => [key(item), item])).values()];
+
+/**
+ * Parse pasted networking command output
+ * Loopback, link-local, multicast and broadcast entries are dropped, as are
+ * default and single-host routes.
+ * @param {string} text
+ * @returns {{ hostname: string, interfaces: object[], routes: object[], gateways: string[],
+ *   neighbours: object[], formats: string[] }} - Interfaces are `{ name, ip, prefix }` (prefix
+ *   null when the output doesn't say), routes `{ cidr, gateway }` (gateway null when on-link),
+ *   neighbours `{ ip, mac, hostname }`
+ */
+export function parseHostNetworking(text) {
+  const lines = text.split(/\r?\n/);
+  const result = {
+    hostname: '',
+    interfaces: [],
+    routes: [],
+    gateways: [],
+    neighbours: [],
+    formats: new Set(),
+  };
+  [parseIpconfig, parseIpAddr, parseRoutePrint, parseIpRoute, parseNeighbours].forEach((parse) =>
+    parse(lines, result)
+  );
+
+  const routable = ({ cidr }) => {
+    const [network, prefix] = cidr.split('/');
+    const hostRoute = Number(prefix) === (network.includes(':') ? 128 : 32);
+    return Number(prefix) > 0 && !hostRoute && !isSpecialIP(network);
+  };
+
+  const ownIPs = new Set(result.interfaces.map((entry) => normalizeIP(entry.ip)));
+  return {
+    hostname: result.hostname,
+    interfaces: uniqueBy(
+      result.interfaces.filter((entry) => !isSpecialIP(entry.ip)),
+      (entry) => normalizeIP(entry.ip)
+    ),
+    // A route listed both on-link and via a gateway keeps the gateway
+    routes: uniqueBy(
+      result.routes
+        .map((route) => ({
+          cidr: normalizeCIDR(route.cidr),
+          gateway: route.gateway && normalizeIP(route.gateway),
+        }))
+        .filter((route) => route.cidr && routable(route))
+        .sort((a, b) => Boolean(a.gateway) - Boolean(b.gateway)),
+      (route) => route.cidr
+    ),
+    gateways: [...new Set(result.gateways.filter((ip) => !isSpecialIP(ip)).map(normalizeIP))],
+    neighbours: uniqueBy(
+      result.neighbours.filter(
+        (entry) =>
+          !isSpecialIP(entry.ip) &&
+          !BROADCAST_MACS.test(entry.mac) &&
+          !ownIPs.has(normalizeIP(entry.ip))
+      ),
+      (entry) => normalizeIP(entry.ip)
+    ),
+    formats: [...result.formats],
+  };
+}
+
+/**
+ * Apply parsed networking output to a node and the graph
+ * The node gains its interface addresses (and hostname, if it has none);
+ * interface networks and routes become CIDR nodes, with `subnetPrefix` /
+ * `subnetPrefixV6` standing in for prefixes the output didn't give; ARP
+ * neighbours and gateways merge in as hosts at the discovered access level,
+ * and each gateway `connects` to the networks routed through it.
+ * @param {object[]} nodes
+ * @param {object[]} edges
+ * @param {string} nodeId - Host the output was captured on
+ * @param {object} parsed - Result of parseHostNetworking
+ * @param {object} options - mergeHosts options (subnet prefixes, scope, operator, ...)
+ * @returns {{ nodes: object[], edges: object[], summary: object }}
+ */
+export function mergeHostNetworking(nodes, edges, nodeId, parsed, options = {}) {
+  const { subnetPrefix = 24, subnetPrefixV6 = 64 } = options;
+  const node = nodes.find((n) => n.id === nodeId);
+  if (!node || node.type === NodeTypes.CIDR) {
+    throw new Error('Select a host node to apply the output to');
+  }
+
+  const currentIPs = getNodeIPs(node);
+  const known = new Set(currentIPs.map(normalizeIP));
+  const newIPs = parsed.interfaces.map((entry) => entry.ip).filter((ip) => !known.has(normalizeIP(ip)));
+  newIPs.forEach((ip) => known.add(normalizeIP(ip)));
+  const updatedNode = {
+    ...node,
+    data: {
+      ...node.data,
+      ip: [...currentIPs, ...newIPs].join(', '),
+      metadata:
+        parsed.hostname && !node.data.metadata?.hostname
+          ? { ...node.data.metadata, hostname: parsed.hostname }
+          : node.data.metadata,
+    },
+  };
+
+  const interfaceNetworks = parsed.interfaces.map((entry) =>
+    toCIDR(entry.ip, entry.prefix ?? (entry.ip.includes(':') ? subnetPrefixV6 : subnetPrefix))
+  );
+  // One host record per neighbour; gateways are routers, and may be ARP neighbours too
+  const method = `seen from ${node.data.label || node.id}`;
+  const hosts = new Map();
+  const hostFor = (ip) => {
+    const key = normalizeIP(ip);
+    if (!hosts.has(key)) {
+      hosts.set(key, {
+        ips: [ip],
+        hostnames: [],
+        metadata: {},
+        access: { level: AccessLevels.DISCOVERED, method },
+      });
+    }
+    return hosts.get(key);
+  };
+  parsed.gateways.forEach((ip) => {
+    hostFor(ip).deviceType = 'router';
+  });
+  parsed.neighbours.forEach((entry) => {
+    const host = hostFor(entry.ip);
+    if (entry.hostname) host.hostnames.push(entry.hostname);
+    host.metadata.mac = entry.mac.toLowerCase().replace(/-/g, ':');
+  });
+
+  const result = mergeHosts(
+    nodes.map((n) => (n.id === nodeId ? updatedNode : n)),
+    edges,
+    [...hosts.values()].filter((host) => !known.has(normalizeIP(host.ips[0]))),
+    {
+      ...options,
+      networks: [...interfaceNetworks, ...parsed.routes.map((route) => route.cidr)],
+      source: 'host networking',
+    }
+  );
+
+  const nodeByIP = new Map();
+  const nodeByCIDR = new Map();
+  result.nodes.forEach((n) => {
+    if (n.type === NodeTypes.CIDR) nodeByCIDR.set(normalizeCIDR(getNodeCIDR(n)), n);
+    else getNodeIPs(n).forEach((ip) => nodeByIP.set(normalizeIP(ip), n));
+  });
+  const linked = new Set(result.edges.flatMap((e) => [`${e.source}|${e.target}`, `${e.target}|${e.source}`]));
+  const routeEdges = [];
+  parsed.routes.forEach(({ cidr, gateway }) => {
+    const gatewayNode = gateway && nodeByIP.get(gateway);
+    const networkNode = nodeByCIDR.get(cidr);
+    if (!gatewayNode || !networkNode || linked.has(`${gatewayNode.id}|${networkNode.id}`)) return;
+    linked.add(`${gatewayNode.id}|${networkNode.id}`);
+    routeEdges.push(
+      createEdge(gatewayNode.id, networkNode.id, { type: EdgeTypes.CONNECTS, notes: `Route ${method}` })
+    );
+  });
+
+  return {
+    ...result,
+    edges: [...result.edges, ...routeEdges],
+    summary: { ...result.summary, addressesAdded: newIPs.length, routesLinked: routeEdges.length },
+  };
+}
+
+/**
+ * Format the result of mergeHostNetworking for display
+ * @param {object} summary
+ * @returns {string}
+ */
+export function formatHostNetworkingSummary(summary) {
+  return [
+    `Addresses added to the host: ${summary.addressesAdded}`,
+    `Networks added: ${summary.networksAdded}`,
+    `Routes linked to their gateway: ${summary.routesLinked}`,
+    `Neighbours added: ${summary.hostsAdded}`,
+    `Neighbours merged: ${summary.hostsUpdated}`,
+    ...(summary.outOfScope ? [`Out of scope (flagged): ${summary.outOfScope}`] : []),
+    ...(summary.outOfScopeSkipped ? [`Out of scope (skipped): ${summary.outOfScopeSkipped}`] : []),
+  ].join('\n');
+}
@@ -0,0 +1,96 @@
+import { parseNmapXML } from './nmapImporter';
+import { parseSharpHound } from './sharphoundImporter';
+import { parseNessus } from './nessusImporter';
+import { parseOpenVAS } from './openvasImporter';
+import { parseFscan } from './fscanImporter';
+import { parseNetExec } from './netexecImporter';
+import { parseMasscan } from './masscanImporter';
+import { mergeHosts } from './hostImport';
+
+/**
+ * Scan importer options
+ */
+export const ImporterTypes = {
+  NMAP_XML: 'nmap-xml',
+  SHARPHOUND: 'sharphound',
+  NESSUS: 'nessus',
+  OPENVAS: 'openvas',
+  FSCAN: 'fscan',
+  NETEXEC: 'netexec',
+  MASSCAN: 'masscan',
+};
+
+export const ImporterLabels = {
+  [ImporterTypes.NMAP_XML]: 'Nmap XML',
+  [ImporterTypes.SHARPHOUND]: 'SharpHound JSON',
+  [ImporterTypes.NESSUS]: 'Nessus',
+  [ImporterTypes.OPENVAS]: 'OpenVAS XML',
+  [ImporterTypes.FSCAN]: 'fscan',
+  [ImporterTypes.NETEXEC]: 'NetExec',
+  [ImporterTypes.MASSCAN]: 'masscan',
+};
+
+/**
+ * File extensions accepted by each importer's file picker
+ */
+export const ImporterFileTypes = {
+  [ImporterTypes.NMAP_XML]: '.xml',
+  [ImporterTypes.SHARPHOUND]: '.json',
+  [ImporterTypes.NESSUS]: '.nessus,.xml',
+  [ImporterTypes.OPENVAS]: '.xml',
+  [ImporterTypes.FSCAN]: '.txt,.json',
+  [ImporterTypes.NETEXEC]: '.txt,.log',
+  [ImporterTypes.MASSCAN]: '.json,.txt,.lst',
+};
+
+// Parsers that read one file at a time; their results are concatenated
+const fileParsers = {
+  [ImporterTypes.NMAP_XML]: parseNmapXML,
+  [ImporterTypes.NESSUS]: parseNessus,
+  [ImporterTypes.OPENVAS]: parseOpenVAS,
+  [ImporterTypes.FSCAN]: parseFscan,
+  [ImporterTypes.NETEXEC]: parseNetExec,
+  [ImporterTypes.MASSCAN]: parseMasscan,
+};
+
+/**
+ * Parse scanner output into host records
+ * Several files may be imported at once; SharpHound needs its computers,
+ * users, groups and domains files together to resolve who is admin where.
+ * @param {string} importerType - Importer type
+ * @param {string[]} texts - Raw contents of each file
+ * @returns {{ hosts: object[], networks: string[], relations?: object[] }}
+ */
+export function parseScan(importerType, texts) {
+  if (importerType === ImporterTypes.SHARPHOUND) return parseSharpHound(texts);
+  if (!(importerType in fileParsers)) {
+    throw new Error(`Unknown importer: ${importerType}`);
+  }
+  const results = texts.map(fileParsers[importerType]);
+  return {
+    hosts: results.flatMap((result) => result.hosts),
+    networks: results.flatMap((result) => result.networks),
+  };
+}
+
+/**
+ * Parse scanner output and merge the hosts into the graph
+ * @param {Array} nodes - Current nodes
+ * @param {Array} edges - Current edges
+ * @param {string} importerType - Importer type
+ * @param {string[]} texts - Raw contents of each file
+ * @param {object} options - Extra mergeHosts options (e.g. subnet prefixes)
+ * @returns {{ nodes: Array, edges: Array, summary: object }}
+ */
+export function importScan(nodes, edges, importerType, texts, options = {}) {
+  const { hosts, networks, relations } = parseScan(importerType, texts);
+  if (hosts.length === 0) {
+    throw new Error('No live hosts found in file');
+  }
+  return mergeHosts(nodes, edges, hosts, {
+    ...options,
+    networks,
+    relations,
+    source: ImporterLabels[importerType],
+  });
+}
@@ -0,0 +1,70 @@
+/**
+ * masscan output parser
+ *
+ * Accepts JSON (-oJ) and list (-oL) output:
+ *   [ { "ip": "10.0.0.5", "ports": [ { "port": 445, "proto": "tcp", "status": "open" } ] } ]
+ *   open tcp 445 10.0.0.5 1700000000
+ *   banner tcp 80 10.0.0.5 1700000000 http Server: nginx
+ */
+import { isValidIP } from '../networkUtils';
+import { createHostCollector } from './hostImport';
+
+function parseJSON(text, collector) {
+  let records;
+  try {
+    // Older masscan versions leave a comma before the closing bracket
+    records = JSON.parse(text.replace(/,\s*\]\s*$/, ']'));
+  } catch {
+    throw new Error('Invalid JSON: could not parse masscan output');
+  }
+  if (!Array.isArray(records)) {
+    throw new Error('Not masscan JSON: expected a list of results');
+  }
+
+  records.forEach((record) => {
+    if (!isValidIP(record?.ip)) return;
+    const host = collector.host(record.ip);
+    (Array.isArray(record.ports) ? record.ports : []).forEach((entry) => {
+      const port = parseInt(entry.port, 10);
+      if (!port || (entry.status && entry.status !== 'open' && !entry.service)) return;
+      host.services.push({
+        port,
+        protocol: entry.proto || 'tcp',
+        state: 'open',
+        service: entry.service?.name || '',
+        banner: (entry.service?.banner || '').trim(),
+      });
+    });
+  });
+}
+
+function parseList(text, collector) {
+  for (const line of text.split(/\r?\n/)) {
+    const [kind, protocol, portText, ip, , service, ...banner] = line.trim().split(/\s+/);
+    const port = parseInt(portText, 10);
+    if ((kind !== 'open' && kind !== 'banner') || !port || !isValidIP(ip)) continue;
+    collector.host(ip).services.push({
+      port,
+      protocol,
+      state: 'open',
+      ...(kind === 'banner' ? { service: service || '', banner: banner.join(' ') } : {}),
+    });
+  }
+}
+
+/**
+ * Parse masscan output into host records
+ * @param {string} text - JSON or list output
+ * @returns {{ hosts: object[], networks: string[] }}
+ */
+export function parseMasscan(text) {
+  const collector = createHostCollector();
+  if (/^\s*\[/.test(text)) parseJSON(text, collector);
+  else parseList(text, collector);
+
+  const hosts = collector.hosts();
+  if (hosts.length === 0 && !/^\s*(\[|#\s*masscan)/.test(text)) {
+    throw new Error('Not masscan output: expected JSON (-oJ) or list (-oL) results');
+  }
+  return { hosts, networks: [] };
+}
@@ -0,0 +1,105 @@
+/**
+ * Nessus (.nessus v2 XML) parser
+ */
+import { Severities } from '../../types/index';
+import { isCIDR, isValidIP } from '../networkUtils';
+import { scannerFinding } from './hostImport';
+
+const attr = (element, name) => element?.getAttribute(name) || '';
+const text = (element, selector) => element.querySelector(selector)?.textContent.trim() || '';
+
+// ReportItem severity attribute, 0 (info) to 4
+const SEVERITY_LEVELS = [
+  Severities.NONE,
+  Severities.LOW,
+  Severities.MEDIUM,
+  Severities.HIGH,
+  Severities.CRITICAL,
+];
+
+function parseReportHost(hostEl) {
+  const props = {};
+  hostEl.querySelectorAll('HostProperties > tag').forEach((tagEl) => {
+    props[attr(tagEl, 'name')] = tagEl.textContent.trim();
+  });
+
+  // The ReportHost name is whatever was scanned: an IP or a hostname
+  const ips = [props['host-ip'], attr(hostEl, 'name')].filter(
+    (ip, index, list) => ip && isValidIP(ip) && list.indexOf(ip) === index
+  );
+  const hostnames = [props['host-fqdn'], props['netbios-name']].filter(Boolean);
+
+  const services = new Map();
+  const findings = [];
+  hostEl.querySelectorAll('ReportItem').forEach((itemEl) => {
+    const port = parseInt(attr(itemEl, 'port'), 10);
+    const protocol = attr(itemEl, 'protocol') || 'tcp';
+    const service = port > 0 ? `${port}/${protocol}` : null;
+    if (service && !services.has(service)) {
+      services.set(service, {
+        port,
+        protocol,
+        state: 'open',
+        // Nessus marks guessed service names with a trailing '?'
+        service: attr(itemEl, 'svc_name').replace(/\?$/, ''),
+        product: '',
+        version: '',
+        banner: '',
+      });
+    }
+
+    const severity = SEVERITY_LEVELS[parseInt(attr(itemEl, 'severity'), 10)];
+    // Informational plugins only describe the host (service detection etc.)
+    if (!severity || severity === Severities.NONE) return;
+
+    const score = parseFloat(text(itemEl, 'cvss3_base_score') || text(itemEl, 'cvss_base_score'));
+    findings.push(
+      scannerFinding({
+        title: attr(itemEl, 'pluginName') || `Nessus plugin ${attr(itemEl, 'pluginID')}`,
+        cves: [...itemEl.querySelectorAll('cve')].map((el) => el.textContent),
+        vector: text(itemEl, 'cvss3_vector'),
+        score,
+        severity,
+        service,
+        evidence: text(itemEl, 'plugin_output') || text(itemEl, 'synopsis'),
+      })
+    );
+  });
+
+  return {
+    ips,
+    hostnames,
+    osName: (props['operating-system'] || '').split('\n')[0],
+    deviceType: props['system-type'] || '',
+    services: [...services.values()],
+    metadata: props['mac-address'] ? { mac: props['mac-address'].split('\n')[0] } : {},
+    findings,
+  };
+}
+
+/**
+ * Parse a Nessus v2 report into host records with findings
+ * @param {string} xmlText - Contents of a `.nessus` file
+ * @returns {{ hosts: object[], networks: string[] }} - Hosts plus the CIDR targets of the scan
+ */
+export function parseNessus(xmlText) {
+  const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+  if (doc.querySelector('parsererror')) {
+    throw new Error('Invalid XML: could not parse file');
+  }
+
+  const root = doc.documentElement;
+  if (root.nodeName !== 'NessusClientData_v2') {
+    throw new Error('Not a Nessus file: missing <NessusClientData_v2> root element');
+  }
+
+  const hosts = [...root.querySelectorAll('Report > ReportHost')].map(parseReportHost);
+
+  // Scan targets given as CIDRs become network nodes
+  const targets = [...root.querySelectorAll('ServerPreferences > preference')].find(
+    (prefEl) => text(prefEl, 'name') === 'TARGET'
+  );
+  const networks = (targets ? text(targets, 'value') : '').split(/[\s,]+/).filter(isCIDR);
+
+  return { hosts, networks };
+}
@@ -0,0 +1,108 @@
+/**
+ * NetExec (CrackMapExec) output parser
+ *
+ * Reads console output or `--log` files, one result per line:
+ *   SMB  10.0.0.5  445  WS01  [*] Windows 10 Build 19041 x64 (name:WS01) (domain:corp.local) (signing:False) (SMBv1:False)
+ *   SMB  10.0.0.5  445  WS01  [+] corp.local\admin:Passw0rd (Pwn3d!)
+ *
+ * "Pwn3d!" means the account can run commands on the host: over SMB and WMI
+ * that takes local admin rights, over the other protocols it is a foothold as
+ * that user (root over SSH).
+ */
+import { AccessLevels } from '../../types/index';
+import { isValidIP } from '../networkUtils';
+import { accessRank } from '../accessUtils';
+import { createHostCollector } from './hostImport';
+
+const LINE_PATTERN =
+  /\b(SMB|WINRM|MSSQL|LDAP|SSH|RDP|WMI|FTP|VNC|NFS)\s+(\S+)\s+(\d{1,5})\s+(\S+)\s+\[([*+\-!])\]\s*(.*)$/;
+
+// Terminal colours survive when output is copied or tee'd
+const ANSI_PATTERN = new RegExp(`${String.fromCharCode(27)}\\[[0-9;]*m`, 'g');
+
+const ADMIN_PROTOCOLS = ['smb', 'wmi'];
+
+// "(name:WS01) (domain:corp.local)" -> { name: 'WS01', domain: 'corp.local' }
+function parseFields(message) {
+  const fields = {};
+  for (const [, key, value] of message.matchAll(/\((\w+):([^)]*)\)/g)) {
+    fields[key.toLowerCase()] = value.trim();
+  }
+  return fields;
+}
+
+const parseFlag = (value) => (value === undefined ? undefined : value.toLowerCase() === 'true');
+
+function applyInfo(host, protocol, port, message) {
+  const fields = parseFields(message);
+  const summary = message.split(' (')[0].trim();
+  // SSH reports its banner where the Windows protocols report the OS
+  if (protocol === 'ssh') {
+    host.services.push({ port, protocol: 'tcp', service: 'ssh', banner: summary });
+  } else if (summary && !host.osName) {
+    host.osName = summary;
+  }
+
+  const name = fields.name;
+  const domain = fields.domain;
+  if (name) {
+    const fqdn = domain?.includes('.') ? `${name}.${domain}` : name;
+    if (!host.hostnames.includes(fqdn)) host.hostnames.push(fqdn);
+  }
+  if (domain) {
+    // Standalone hosts report their own name as the domain
+    const workgroup = name && domain.toLowerCase() === name.toLowerCase();
+    if (!workgroup) host.metadata.domain = domain;
+    const status = protocol === 'ldap' ? 'domain_controller' : workgroup ? 'workgroup' : 'domain_member';
+    if (host.tags.domain?.[0] !== 'domain_controller') host.tags.domain = [status];
+  }
+  if (protocol === 'smb') {
+    const signing = parseFlag(fields.signing);
+    const smbv1 = parseFlag(fields.smbv1);
+    if (signing !== undefined) host.metadata.smbSigning = signing;
+    if (smbv1 !== undefined) host.metadata.smbv1 = smbv1;
+  }
+}
+
+function applyPwned(host, protocol, message) {
+  const account = message.split(' (Pwn3d!)')[0].split(':')[0].trim();
+  const rootShell = protocol === 'ssh' && /(^|\\)root$/i.test(account);
+  const level = ADMIN_PROTOCOLS.includes(protocol)
+    ? AccessLevels.LOCAL_ADMIN
+    : rootShell
+      ? AccessLevels.SYSTEM
+      : AccessLevels.USER;
+  if (!host.access || accessRank(level) > accessRank(host.access.level)) {
+    host.access = { level, method: `netexec ${protocol}${account ? ` (${account})` : ''}` };
+  }
+}
+
+/**
+ * Parse NetExec output into host records
+ * @param {string} text - Console output or log file
+ * @returns {{ hosts: object[], networks: string[] }}
+ */
+export function parseNetExec(text) {
+  const collector = createHostCollector();
+  let matched = 0;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const match = LINE_PATTERN.exec(rawLine.replace(ANSI_PATTERN, ''));
+    if (!match || !isValidIP(match[2])) continue;
+    matched++;
+
+    const [, proto, ip, portText, , marker, message] = match;
+    const protocol = proto.toLowerCase();
+    const port = parseInt(portText, 10);
+    const host = collector.host(ip);
+    host.services.push({ port, protocol: 'tcp', state: 'open', service: protocol });
+
+    if (marker === '*') applyInfo(host, protocol, port, message);
+    if (marker === '+' && message.includes('(Pwn3d!)')) applyPwned(host, protocol, message);
+  }
+
+  if (matched === 0) {
+    throw new Error('No NetExec result lines found (expected "SMB  10.0.0.5  445  HOST  [*] ...")');
+  }
+  return { hosts: collector.hosts(), networks: [] };
+}
@@ -0,0 +1,94 @@
+/**
+ * Nmap XML (-oX) parser
+ */
+import { isCIDR, isValidIP } from '../networkUtils';
+
+const attr = (element, name) => element?.getAttribute(name) || '';
+
+function parseHostElement(hostEl) {
+  const status = hostEl.querySelector('status');
+  if (status && attr(status, 'state') !== 'up') return null;
+
+  const ips = [];
+  const metadata = {};
+  hostEl.querySelectorAll(':scope > address').forEach((addressEl) => {
+    const addrType = attr(addressEl, 'addrtype');
+    const addr = attr(addressEl, 'addr');
+    if ((addrType === 'ipv4' || addrType === 'ipv6') && isValidIP(addr)) {
+      ips.push(addr);
+    } else if (addrType === 'mac') {
+      metadata.mac = addr;
+      if (attr(addressEl, 'vendor')) metadata.macVendor = attr(addressEl, 'vendor');
+    }
+  });
+
+  const hostnames = [
+    ...new Set(
+      [...hostEl.querySelectorAll('hostnames > hostname')]
+        .map((el) => attr(el, 'name'))
+        .filter(Boolean)
+    ),
+  ];
+
+  const services = [];
+  let serviceOS = '';
+  hostEl.querySelectorAll('ports > port').forEach((portEl) => {
+    const state = attr(portEl.querySelector('state'), 'state');
+    if (state !== 'open') return;
+    const serviceEl = portEl.querySelector('service');
+    if (!serviceOS && attr(serviceEl, 'ostype')) serviceOS = attr(serviceEl, 'ostype');
+    services.push({
+      port: parseInt(attr(portEl, 'portid'), 10),
+      protocol: attr(portEl, 'protocol') || 'tcp',
+      state,
+      service: attr(serviceEl, 'name'),
+      product: attr(serviceEl, 'product'),
+      version: [attr(serviceEl, 'version'), attr(serviceEl, 'extrainfo')]
+        .filter(Boolean)
+        .join(' '),
+      banner: attr(portEl.querySelector('script[id="banner"]'), 'output').trim(),
+    });
+  });
+
+  // Nmap lists OS matches best-first
+  const osMatch = hostEl.querySelector('os > osmatch');
+  const osClass = osMatch?.querySelector('osclass');
+  const osName = attr(osMatch, 'name') || serviceOS;
+  const osAccuracy = parseInt(attr(osMatch, 'accuracy'), 10);
+  if (osAccuracy) metadata.osAccuracy = osAccuracy;
+
+  return {
+    ips,
+    hostnames,
+    osName,
+    deviceType: attr(osClass, 'type'),
+    services,
+    metadata,
+  };
+}
+
+/**
+ * Parse Nmap XML output into host records
+ * @param {string} xmlText - Contents of an `nmap -oX` file
+ * @returns {{ hosts: object[], networks: string[] }} - Hosts plus the CIDR targets of the scan
+ */
+export function parseNmapXML(xmlText) {
+  const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+  if (doc.querySelector('parsererror')) {
+    throw new Error('Invalid XML: could not parse file');
+  }
+
+  const root = doc.documentElement;
+  if (root.nodeName !== 'nmaprun') {
+    throw new Error('Not an Nmap XML file: missing <nmaprun> root element');
+  }
+
+  const hosts = [...root.querySelectorAll(':scope > host')]
+    .map(parseHostElement)
+    .filter(Boolean);
+
+  // Scan targets given as CIDRs become network nodes
+  const networks = attr(root, 'args').split(/\s+/).filter(isCIDR);
+
+  return { hosts, networks };
+}
@@ -0,0 +1,126 @@
+/**
+ * OpenVAS / Greenbone (GVM) XML report parser
+ */
+import { Severities } from '../../types/index';
+import { isValidIP } from '../networkUtils';
+import { scannerFinding } from './hostImport';
+
+const text = (element, selector) => element?.querySelector(selector)?.textContent.trim() || '';
+
+// <threat> values; Log and Debug results are informational
+const THREAT_LEVELS = {
+  low: Severities.LOW,
+  medium: Severities.MEDIUM,
+  high: Severities.HIGH,
+  critical: Severities.CRITICAL,
+};
+
+// "445/tcp" -> { port: 445, protocol: 'tcp' }; "general/tcp" has no port
+function parsePort(value) {
+  const match = /^(\d+)\/(\w+)/.exec(value || '');
+  return match ? { port: parseInt(match[1], 10), protocol: match[2] } : null;
+}
+
+// Text directly inside an element, ignoring its children: <host>10.0.0.5<hostname>...</hostname></host>
+const ownText = (element) =>
+  [...(element?.childNodes || [])]
+    .filter((child) => child.nodeType === Node.TEXT_NODE)
+    .map((child) => child.textContent)
+    .join('')
+    .trim();
+
+function parseResult(resultEl) {
+  const severity = THREAT_LEVELS[text(resultEl, ':scope > threat').toLowerCase()];
+  if (!severity) return null;
+
+  const nvt = resultEl.querySelector(':scope > nvt');
+  const port = parsePort(text(resultEl, ':scope > port'));
+  const vector = [...(nvt?.querySelectorAll('severities > severity') || [])]
+    .map((el) => text(el, 'value'))
+    .find((value) => /^CVSS:3/i.test(value));
+  // Newer reports list <ref type="cve">, older ones a comma separated <cve>
+  const cves = [
+    ...[...(nvt?.querySelectorAll('refs > ref[type="cve"]') || [])].map((el) => el.getAttribute('id')),
+    ...text(nvt, ':scope > cve').split(/[\s,]+/).filter((id) => /^CVE-/i.test(id)),
+  ];
+
+  return scannerFinding({
+    title: text(resultEl, ':scope > name') || text(nvt, ':scope > name'),
+    cves,
+    vector,
+    score: parseFloat(text(resultEl, ':scope > severity')),
+    severity,
+    service: port ? `${port.port}/${port.protocol}` : null,
+    evidence: text(resultEl, ':scope > description'),
+  });
+}
+
+/**
+ * Parse an OpenVAS/GVM XML report into host records with findings
+ * @param {string} xmlText - A report exported in the XML format
+ * @returns {{ hosts: object[], networks: string[] }}
+ */
+export function parseOpenVAS(xmlText) {
+  const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+  if (doc.querySelector('parsererror')) {
+    throw new Error('Invalid XML: could not parse file');
+  }
+
+  // Exports wrap the report in <report> (and <get_reports_response> from the API)
+  const report = [...doc.querySelectorAll('report')].find((el) =>
+    el.querySelector(':scope > results')
+  );
+  if (!report) {
+    throw new Error('Not an OpenVAS report: missing <report> with <results>');
+  }
+
+  const hosts = new Map();
+  const hostFor = (ip) => {
+    if (!hosts.has(ip)) {
+      hosts.set(ip, { ips: [ip], hostnames: [], osName: '', services: new Map(), findings: [] });
+    }
+    return hosts.get(ip);
+  };
+
+  report.querySelectorAll(':scope > host').forEach((hostEl) => {
+    const ip = text(hostEl, ':scope > ip');
+    if (!isValidIP(ip)) return;
+    const host = hostFor(ip);
+    hostEl.querySelectorAll(':scope > detail').forEach((detailEl) => {
+      const name = text(detailEl, ':scope > name');
+      const value = text(detailEl, ':scope > value');
+      if (name === 'hostname' && value && !host.hostnames.includes(value)) host.hostnames.push(value);
+      if (name === 'best_os_txt') host.osName = value;
+    });
+  });
+
+  const addService = (host, port) => {
+    const key = `${port.port}/${port.protocol}`;
+    if (!host.services.has(key)) {
+      host.services.set(key, { ...port, state: 'open', service: '', product: '', version: '', banner: '' });
+    }
+  };
+
+  report.querySelectorAll(':scope > ports > port').forEach((portEl) => {
+    const ip = text(portEl, ':scope > host');
+    const port = parsePort(ownText(portEl));
+    if (isValidIP(ip) && port) addService(hostFor(ip), port);
+  });
+
+  report.querySelectorAll(':scope > results > result').forEach((resultEl) => {
+    const ip = ownText(resultEl.querySelector(':scope > host'));
+    if (!isValidIP(ip)) return;
+    const host = hostFor(ip);
+    const hostname = text(resultEl, ':scope > host > hostname');
+    if (hostname && !host.hostnames.includes(hostname)) host.hostnames.push(hostname);
+    const port = parsePort(text(resultEl, ':scope > port'));
+    if (port) addService(host, port);
+    const finding = parseResult(resultEl);
+    if (finding) host.findings.push(finding);
+  });
+
+  return {
+    hosts: [...hosts.values()].map((host) => ({ ...host, services: [...host.services.values()] })),
+    networks: [],
+  };
+}
@@ -0,0 +1,181 @@
+/**
+ * SharpHound / BloodHound JSON parser
+ *
+ * SharpHound writes one JSON file per object type (computers, users, groups,
+ * domains, ...), each shaped `{ data: [...], meta: { type } }` (older
+ * collectors use `{ computers: [...], meta }`). Only enabled computers become
+ * host records; users, groups and domains are used to name principals and
+ * expand nested group membership.
+ *
+ * The graph only holds hosts, so Active Directory rights are turned into
+ * relations between computers:
+ * - `admin_to` A -> B: A's machine account is a local admin on B
+ * - `has_session` A -> B: a user logged on to A is a local admin on B, so
+ *   compromising A exposes credentials that open B
+ */
+import { EdgeTypes } from '../../types/index';
+
+// Well-known RIDs of the Domain Controllers group and the local Administrators group
+const DC_GROUP_RID = '-516';
+const ADMINISTRATORS_RID = '-544';
+
+const toList = (value) => (Array.isArray(value) ? value : []);
+
+// Collected lists are `{ Results: [...] }` in v4+ and plain arrays before
+const results = (value) => (Array.isArray(value) ? value : toList(value?.Results));
+
+// Members and admins are `{ ObjectIdentifier, ObjectType }`, or `{ MemberId, MemberType }` in v3
+const principalId = (entry) => entry?.ObjectIdentifier || entry?.MemberId || '';
+
+function readFile(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error('Invalid JSON: could not parse file');
+  }
+  const type = String(json?.meta?.type || '').toLowerCase();
+  if (!type) {
+    throw new Error('Not a SharpHound file: missing meta.type');
+  }
+  return { type, objects: toList(json.data ?? json[type]) };
+}
+
+function localAdminPrincipals(computer) {
+  const direct = results(computer.LocalAdmins);
+  // SharpHound CE reports local groups instead of a LocalAdmins list
+  const fromGroups = toList(computer.LocalGroups)
+    .filter((group) => String(group.ObjectIdentifier || '').endsWith(ADMINISTRATORS_RID))
+    .flatMap((group) => results(group.Results));
+  return [...direct, ...fromGroups].map(principalId).filter(Boolean);
+}
+
+function sessionUsers(computer) {
+  return [computer.Sessions, computer.PrivilegedSessions, computer.RegistrySessions]
+    .flatMap(results)
+    .map((session) => session.UserSID || session.UserId)
+    .filter(Boolean);
+}
+
+const isDomainController = (computer) =>
+  computer.Properties?.isdc === true ||
+  computer.IsDC === true ||
+  String(computer.PrimaryGroupSID || '').endsWith(DC_GROUP_RID);
+
+/**
+ * Parse a set of SharpHound JSON files into host records and relations
+ * @param {string[]} texts - Contents of each JSON file (computers.json is required)
+ * @returns {{ hosts: object[], networks: string[], relations: object[] }} - Relations are
+ *   `{ source, target, type, label }` with source/target indexes into `hosts`
+ */
+export function parseSharpHound(texts) {
+  const objects = { computers: [], users: [], groups: [], domains: [] };
+  texts.map(readFile).forEach(({ type, objects: list }) => {
+    if (type in objects) objects[type].push(...list);
+  });
+
+  const computers = objects.computers.filter(
+    (computer) => computer.ObjectIdentifier && computer.Properties?.enabled !== false
+  );
+  if (computers.length === 0) {
+    throw new Error('No enabled computers found; include computers.json from the SharpHound output');
+  }
+
+  // SID -> display name for every principal we know about
+  const names = new Map();
+  [...objects.users, ...objects.groups, ...objects.computers, ...objects.domains].forEach((obj) => {
+    if (obj.ObjectIdentifier && obj.Properties?.name) {
+      names.set(obj.ObjectIdentifier, obj.Properties.name);
+    }
+  });
+  const nameOf = (sid) => names.get(sid) || sid;
+  const domainNames = new Map(
+    objects.domains.map((domain) => [domain.ObjectIdentifier, domain.Properties?.name])
+  );
+
+  const groupMembers = new Map(
+    objects.groups.map((group) => [
+      group.ObjectIdentifier,
+      toList(group.Members).map(principalId).filter(Boolean),
+    ])
+  );
+
+  /**
+   * Principals an admin entry grants rights to, with nested groups expanded
+   * @returns {Map<string, string>} - Principal SID -> group it was granted through ('' if direct)
+   */
+  const expand = (sid) => {
+    const granted = new Map([[sid, '']]);
+    const queue = [[sid, '']];
+    while (queue.length > 0) {
+      const [current, via] = queue.shift();
+      for (const member of groupMembers.get(current) || []) {
+        if (granted.has(member)) continue;
+        const memberVia = via || nameOf(sid);
+        granted.set(member, memberVia);
+        queue.push([member, memberVia]);
+      }
+    }
+    return granted;
+  };
+
+  const hostIndex = new Map(computers.map((computer, index) => [computer.ObjectIdentifier, index]));
+  const sessionsByUser = new Map();
+
+  const hosts = computers.map((computer, index) => {
+    const props = computer.Properties || {};
+    const domain = props.domain || domainNames.get(computer.DomainSID) || '';
+    const sessions = [...new Set(sessionUsers(computer))];
+    const admins = [...new Set(localAdminPrincipals(computer))];
+    sessions.forEach((sid) => {
+      if (!sessionsByUser.has(sid)) sessionsByUser.set(sid, new Set());
+      sessionsByUser.get(sid).add(index);
+    });
+
+    return {
+      ips: [],
+      hostnames: props.name ? [props.name] : [],
+      osName: props.operatingsystem || '',
+      deviceType: '',
+      services: [],
+      tags: { domain: [isDomainController(computer) ? 'domain_controller' : 'domain_member'] },
+      metadata: {
+        objectSid: computer.ObjectIdentifier,
+        ...(domain ? { domain } : {}),
+        ...(sessions.length ? { sessions: sessions.map(nameOf) } : {}),
+        ...(admins.length ? { localAdmins: admins.map(nameOf) } : {}),
+      },
+    };
+  });
+
+  // (source, target, type) -> reasons, so each pair gets one edge per type
+  const relationReasons = new Map();
+  const addRelation = (source, target, type, reason) => {
+    if (source === target) return;
+    const key = `${source}|${target}|${type}`;
+    if (!relationReasons.has(key)) relationReasons.set(key, { source, target, type, reasons: new Set() });
+    relationReasons.get(key).reasons.add(reason);
+  };
+
+  computers.forEach((computer, target) => {
+    for (const adminSid of localAdminPrincipals(computer)) {
+      for (const [sid, via] of expand(adminSid)) {
+        if (hostIndex.has(sid)) {
+          addRelation(hostIndex.get(sid), target, EdgeTypes.ADMIN_TO, via && `via ${via}`);
+        }
+        for (const source of sessionsByUser.get(sid) || []) {
+          addRelation(source, target, EdgeTypes.HAS_SESSION, nameOf(sid));
+        }
+      }
+    }
+  });
+
+  const relations = [...relationReasons.values()].map(({ source, target, type, reasons }) => ({
+    source,
+    target,
+    type,
+    label: [...reasons].filter(Boolean).join(', '),
+  }));
+
+  return { hosts, networks: [], relations };
+}
@@ -1,5 +1,10 @@
 import dagre from 'dagre';
-import { buildCIDRHierarchy, getNodeCIDR, parseCIDR } from './networkUtils';
+import {
+  buildCIDRHierarchy,
+  annotateMultiHomed,
+  getNodeCIDR,
+  compareCIDRs,
+} from './networkUtils';
 
 /**
  * Layout algorithm options
@@ -273,6 +278,9 @@ function radialLayout(nodes, edges) {
  *
  * Optimized for clean vertical alignment and straight connections
  *
+ * Multi-homed nodes are kept out of the subtrees and placed on a bridge row
+ * below them, centred between the networks they connect.
+ *
  * @param {Array} nodes - ReactFlow nodes
  * @param {Array} edges - ReactFlow edges (optional, will auto-generate if needed)
  * @returns {{ nodes: Array, edges: Array }} - Nodes with positions and hierarchy edges
@@ -281,7 +289,12 @@ function cidrTreeLayout(nodes, edges) {
   if (nodes.length === 0) return { nodes: [], edges: [] };
 
   // Build hierarchy
-  const { edges: hierarchyEdges, hierarchy } = buildCIDRHierarchy(nodes);
+  const { edges: hierarchyEdges, hierarchy, memberships } = buildCIDRHierarchy(nodes);
+  const bridgeIds = new Set(
+    [...memberships.entries()]
+      .filter(([, parentIds]) => parentIds.length > 1)
+      .map(([nodeId]) => nodeId)
+  );
 
   // Merge hierarchy edges with existing non-auto edges
   // Configure edges for straight vertical connections
@@ -294,10 +307,13 @@ function cidrTreeLayout(nodes, edges) {
     const reverseKey = `${edge.target}-${edge.source}`;
     if (!edgeSet.has(key) && !edgeSet.has(reverseKey)) {
       // Configure edge for straight vertical connection
+      // Bridge edges of multi-homed nodes are dashed so the pivot stands out
       mergedEdges.push({
         ...edge,
         type: 'straight',
-        style: { stroke: '#58a6ff', strokeWidth: 2 },
+        style: edge.data.bridge
+          ? { stroke: '#d2a8ff', strokeWidth: 2, strokeDasharray: '6 4' }
+          : { stroke: '#58a6ff', strokeWidth: 2 },
       });
       edgeSet.add(key);
     }
@@ -308,26 +324,23 @@ function cidrTreeLayout(nodes, edges) {
   const hasParent = new Set();
 
   for (const [childId, parentId] of hierarchy.entries()) {
+    if (bridgeIds.has(childId)) continue;
     if (!children.has(parentId)) children.set(parentId, []);
     children.get(parentId).push(childId);
     hasParent.add(childId);
   }
 
   // Find root nodes (no parent in hierarchy)
-  const roots = nodes.filter((n) => !hasParent.has(n.id));
+  const roots = nodes.filter((n) => !hasParent.has(n.id) && !bridgeIds.has(n.id));
 
-  // Sort roots: CIDR nodes first (by prefix size, smallest first for largest network)
+  // Sort roots: CIDR nodes first (IPv4 before IPv6, largest network first)
   roots.sort((a, b) => {
     const aIsCidr = a.type === 'cidr';
     const bIsCidr = b.type === 'cidr';
     if (aIsCidr && !bIsCidr) return -1;
     if (!aIsCidr && bIsCidr) return 1;
     if (aIsCidr && bIsCidr) {
-      const aCidr = getNodeCIDR(a);
-      const bCidr = getNodeCIDR(b);
-      const aPrefix = aCidr ? parseCIDR(aCidr)?.prefix ?? 32 : 32;
-      const bPrefix = bCidr ? parseCIDR(bCidr)?.prefix ?? 32 : 32;
-      return aPrefix - bPrefix;
+      return compareCIDRs(getNodeCIDR(a), getNodeCIDR(b));
     }
     return 0;
   });
@@ -371,13 +384,10 @@ function cidrTreeLayout(nodes, edges) {
       if (aIsCidr && !bIsCidr) return -1;
       if (!aIsCidr && bIsCidr) return 1;
 
-      // For CIDR nodes, sort by prefix (larger networks first)
+      // For CIDR nodes, sort by family then prefix (larger networks first)
       if (aIsCidr && bIsCidr) {
-        const aCidr = getNodeCIDR(a);
-        const bCidr = getNodeCIDR(b);
-        const aPrefix = aCidr ? parseCIDR(aCidr)?.prefix ?? 32 : 32;
-        const bPrefix = bCidr ? parseCIDR(bCidr)?.prefix ?? 32 : 32;
-        if (aPrefix !== bPrefix) return aPrefix - bPrefix;
+        const order = compareCIDRs(getNodeCIDR(a), getNodeCIDR(b));
+        if (order !== 0) return order;
       }
 
       return (a.data?.label || '').localeCompare(b.data?.label || '');
@@ -451,6 +461,36 @@ function cidrTreeLayout(nodes, edges) {
     currentX += rootTotalWidth + MIN_SUBTREE_GAP;
   }
 
+  // Place multi-homed nodes on a bridge row, centred between their networks
+  if (bridgeIds.size > 0) {
+    const maxY = Math.max(...Array.from(positions.values()).map((p) => p.y), 0);
+    const bridgeY = maxY + LEVEL_HEIGHT;
+    const taken = [];
+    const bridges = nodes
+      .filter((n) => bridgeIds.has(n.id))
+      .map((node) => {
+        const parentXs = memberships
+          .get(node.id)
+          .map((parentId) => positions.get(parentId)?.x)
+          .filter((x) => x !== undefined);
+        const x = parentXs.length
+          ? parentXs.reduce((sum, px) => sum + px, 0) / parentXs.length
+          : 100;
+        return { node, x };
+      })
+      .sort((a, b) => a.x - b.x);
+
+    for (const { node, x } of bridges) {
+      // Shift right until clear of bridges already placed on the row
+      let bridgeX = x;
+      while (taken.some((tx) => Math.abs(tx - bridgeX) < NODE_SPACING)) {
+        bridgeX += NODE_SPACING / 2;
+      }
+      taken.push(bridgeX);
+      positions.set(node.id, { x: bridgeX, y: bridgeY });
+    }
+  }
+
   // Handle orphan nodes (not connected to hierarchy at all)
   const orphans = nodes.filter((n) => !positions.has(n.id));
   if (orphans.length > 0) {
@@ -462,7 +502,7 @@ function cidrTreeLayout(nodes, edges) {
   }
 
   // Apply positions to nodes
-  const positionedNodes = nodes.map((node) => {
+  const positionedNodes = annotateMultiHomed(nodes, memberships).map((node) => {
     const pos = positions.get(node.id);
     return {
       ...node,
@@ -0,0 +1,407 @@
+/**
+ * Merge an exported document into the current graph
+ *
+ * Incoming nodes are matched to existing ones by id (same type), by CIDR
+ * equality for CIDR nodes or by any shared IP for hosts. Matched nodes keep
+ * their id and position while IPs, tags, metadata and services are unioned;
+ * label, sub type and access level are taken from whichever side each conflict
+ * is resolved to. Unmatched nodes are added below the existing graph, and
+ * edges, credentials and findings are remapped onto the merged node ids.
+ */
+import { getNodeIPs, getNodeCIDR, normalizeIP, normalizeCIDR, annotateMultiHomed } from './networkUtils';
+import { mergeTags, mergeMetadata } from './importers/hostImport';
+import { mergeServices } from './serviceUtils';
+import { getAccessLevel } from './accessUtils';
+import { findingKey } from './findingUtils';
+import { getEdgeType } from './edgeStyles';
+import { AccessLevelLabels, EdgeTypeLabels } from '../types/index';
+
+const NEW_NODES_GAP_Y = 240;
+
+export const ConflictFields = {
+  LABEL: 'label',
+  SUB_TYPE: 'subType',
+  ACCESS: 'access',
+};
+
+export const ConflictFieldLabels = {
+  [ConflictFields.LABEL]: 'Label',
+  [ConflictFields.SUB_TYPE]: 'Sub Type',
+  [ConflictFields.ACCESS]: 'Access Level',
+};
+
+const conflictKey = (nodeId, field) => `${nodeId}:${field}`;
+
+// Two nodes can be joined by several links as long as their types differ
+const edgeKey = (source, target, type) => `${source}-${target}-${type}`;
+const pairKey = (source, target) => `${source}-${target}`;
+
+function findConflicts(existing, incoming) {
+  const conflicts = [];
+  const add = (field, current, value) =>
+    conflicts.push({
+      key: conflictKey(existing.id, field),
+      nodeId: existing.id,
+      nodeLabel: existing.data.label || existing.id,
+      field,
+      current,
+      incoming: value,
+    });
+
+  if (incoming.data.label && existing.data.label && incoming.data.label !== existing.data.label) {
+    add(ConflictFields.LABEL, existing.data.label, incoming.data.label);
+  }
+  if (
+    incoming.data.subType &&
+    existing.data.subType &&
+    incoming.data.subType !== existing.data.subType
+  ) {
+    add(ConflictFields.SUB_TYPE, existing.data.subType, incoming.data.subType);
+  }
+  const currentAccess = getAccessLevel(existing);
+  const incomingAccess = getAccessLevel(incoming);
+  if (currentAccess !== incomingAccess) {
+    add(ConflictFields.ACCESS, AccessLevelLabels[currentAccess], AccessLevelLabels[incomingAccess]);
+  }
+  return conflicts;
+}
+
+/**
+ * Incoming edges between two matched nodes that are already linked by an edge
+ * of another type. They are added next to the current link, not dropped.
+ */
+function findParallelEdges(nodes, edges, document, matches) {
+  const matchByIncoming = new Map(matches.map((m) => [m.incomingId, m.existingId]));
+  const labels = new Map(nodes.map((node) => [node.id, node.data.label || node.id]));
+  const typesByPair = new Map();
+  edges.forEach((edge) => {
+    const key = pairKey(edge.source, edge.target);
+    typesByPair.set(key, [...(typesByPair.get(key) || []), getEdgeType(edge)]);
+  });
+
+  const seen = new Set();
+  return document.edges.flatMap((edge) => {
+    const source = matchByIncoming.get(edge.source);
+    const target = matchByIncoming.get(edge.target);
+    const currentTypes = source && target && typesByPair.get(pairKey(source, target));
+    const type = getEdgeType(edge);
+    const key = currentTypes && edgeKey(source, target, type);
+    if (!key || currentTypes.includes(type) || seen.has(key)) return [];
+    seen.add(key);
+    return [
+      {
+        key,
+        sourceLabel: labels.get(source),
+        targetLabel: labels.get(target),
+        current: currentTypes.map((t) => EdgeTypeLabels[t]).join(', '),
+        incoming: EdgeTypeLabels[type],
+      },
+    ];
+  });
+}
+
+/**
+ * Work out which incoming nodes match existing ones and where they disagree
+ * @param {object[]} nodes - Current nodes
+ * @param {{ nodes: object[], edges: object[] }} document - Validated incoming document
+ * @param {object[]} edges - Current edges, to report links that gain another type
+ * @returns {{ matches: Array<{ existingId: string, incomingId: string, reason: string }>, conflicts: object[], parallelEdges: object[], newNodeCount: number }}
+ */
+export function planMerge(nodes, document, edges = []) {
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const byCIDR = new Map();
+  const byIP = new Map();
+  nodes.forEach((node) => {
+    if (node.type === 'cidr') {
+      const cidr = normalizeCIDR(getNodeCIDR(node) || '');
+      if (cidr) byCIDR.set(cidr, node);
+    } else {
+      getNodeIPs(node).forEach((ip) => byIP.set(normalizeIP(ip), node));
+    }
+  });
+
+  const matchedIds = new Set();
+  const matches = [];
+  const conflicts = [];
+
+  document.nodes.forEach((incoming) => {
+    let existing = null;
+    let reason = null;
+
+    const sameId = byId.get(incoming.id);
+    if (sameId && sameId.type === incoming.type && !matchedIds.has(sameId.id)) {
+      existing = sameId;
+      reason = 'id';
+    } else if (incoming.type === 'cidr') {
+      const candidate = byCIDR.get(normalizeCIDR(getNodeCIDR(incoming) || ''));
+      if (candidate && !matchedIds.has(candidate.id)) {
+        existing = candidate;
+        reason = 'cidr';
+      }
+    } else {
+      existing =
+        getNodeIPs(incoming)
+          .map((ip) => byIP.get(normalizeIP(ip)))
+          .find((candidate) => candidate && !matchedIds.has(candidate.id)) || null;
+      reason = existing && 'ip';
+    }
+
+    if (!existing) return;
+    matchedIds.add(existing.id);
+    matches.push({ existingId: existing.id, incomingId: incoming.id, reason });
+    conflicts.push(...findConflicts(existing, incoming));
+  });
+
+  return {
+    matches,
+    conflicts,
+    parallelEdges: findParallelEdges(nodes, edges, document, matches),
+    newNodeCount: document.nodes.length - matches.length,
+  };
+}
+
+function resolveField(existing, incoming, field, resolutions) {
+  const choice = resolutions[conflictKey(existing.id, field)];
+  if (choice === 'incoming') return incoming.data[field];
+  // Fill gaps from the incoming side; otherwise the current value wins
+  return existing.data[field] || incoming.data[field] || existing.data[field];
+}
+
+function mergeNode(existing, incoming, resolutions) {
+  const data = {
+    ...existing.data,
+    label: resolveField(existing, incoming, ConflictFields.LABEL, resolutions),
+    subType: resolveField(existing, incoming, ConflictFields.SUB_TYPE, resolutions) ?? null,
+    description: existing.data.description || incoming.data.description || '',
+    tags: mergeTags(existing.data.tags, incoming.data.tags),
+    metadata: mergeMetadata(existing.data.metadata, incoming.data.metadata),
+  };
+  if (existing.data.services || incoming.data.services) {
+    data.services = mergeServices(existing.data.services, incoming.data.services);
+  }
+
+  if (existing.type !== 'cidr') {
+    data.ip = getNodeIPs({ data: { ips: [...getNodeIPs(existing), ...getNodeIPs(incoming)] } }).join(', ');
+  }
+
+  const access = resolutions[conflictKey(existing.id, ConflictFields.ACCESS)] === 'incoming'
+    ? incoming.data.access
+    : existing.data.access;
+  if (access) data.access = access;
+  else delete data.access;
+
+  return { ...existing, data };
+}
+
+const uniqueId = (id, taken) => {
+  if (!taken.has(id)) return id;
+  let index = 1;
+  while (taken.has(`${id}-${index}`)) index++;
+  return `${id}-${index}`;
+};
+
+/**
+ * Merge tag catalogues, adding unknown categories and options
+ * @param {Array} current
+ * @param {Array} incoming
+ * @returns {Array}
+ */
+export function mergeTagCatalogues(current, incoming = []) {
+  const merged = current.map((category) => ({ ...category, options: [...category.options] }));
+  incoming.forEach((category) => {
+    const target = merged.find((c) => c.key === category.key);
+    if (!target) {
+      merged.push({ ...category, options: [...category.options] });
+      return;
+    }
+    const known = new Set(target.options.map((o) => o.value));
+    target.options.push(...category.options.filter((o) => !known.has(o.value)));
+  });
+  return merged;
+}
+
+// Account names are case-insensitive, passwords and hashes are not
+const credentialKey = (credential) =>
+  [
+    credential.type,
+    credential.username.toLowerCase(),
+    credential.domain.toLowerCase(),
+    credential.secret,
+  ].join('\u0000');
+
+/**
+ * Add incoming credentials, remapped to merged node ids
+ * A credential already in the vault (same type, user, domain and secret)
+ * only gains the incoming `validOn` links.
+ */
+function mergeCredentials(current, incoming, idMap) {
+  const merged = current.map((credential) => ({ ...credential }));
+  const byKey = new Map(merged.map((credential) => [credentialKey(credential), credential]));
+  const takenIds = new Set(merged.map((credential) => credential.id));
+  let added = 0;
+
+  incoming.forEach((credential) => {
+    const sourceNodeId = idMap.get(credential.sourceNodeId) ?? null;
+    const validOn = credential.validOn.map((id) => idMap.get(id)).filter(Boolean);
+    const existing = !credential.redacted && byKey.get(credentialKey(credential));
+    if (existing) {
+      existing.validOn = [...new Set([...existing.validOn, ...validOn])];
+      existing.sourceNodeId = existing.sourceNodeId ?? sourceNodeId;
+      return;
+    }
+
+    const id = uniqueId(credential.id, takenIds);
+    takenIds.add(id);
+    merged.push({ ...credential, id, sourceNodeId, validOn });
+    added += 1;
+  });
+  return { credentials: merged, added };
+}
+
+/**
+ * Add incoming findings, remapped to merged node ids
+ * A finding with the same title and CVEs as an existing one only adds its
+ * affected nodes to it.
+ */
+function mergeFindings(current, incoming, idMap) {
+  const merged = current.map((finding) => ({ ...finding }));
+  const byKey = new Map(merged.map((finding) => [findingKey(finding), finding]));
+  const takenIds = new Set(merged.map((finding) => finding.id));
+  let added = 0;
+
+  incoming.forEach((finding) => {
+    const affected = finding.affected
+      .filter((entry) => idMap.has(entry.nodeId))
+      .map((entry) => ({ ...entry, nodeId: idMap.get(entry.nodeId) }));
+    const existing = byKey.get(findingKey(finding));
+    if (existing) {
+      const known = new Set(existing.affected.map((entry) => entry.nodeId));
+      existing.affected = [
+        ...existing.affected,
+        ...affected.filter((entry) => !known.has(entry.nodeId)),
+      ];
+      return;
+    }
+
+    const id = uniqueId(finding.id, takenIds);
+    takenIds.add(id);
+    merged.push({ ...finding, id, affected });
+    added += 1;
+  });
+  return { findings: merged, added };
+}
+
+/**
+ * Merge a validated document into the graph
+ * @param {object[]} nodes - Current nodes
+ * @param {object[]} edges - Current edges
+ * @param {{ nodes: object[], edges: object[], credentials?: object[], findings?: object[] }} document - Validated incoming document
+ * @param {Object<string, 'current' | 'incoming'>} resolutions - Conflict key -> side to keep
+ * @param {{ credentials?: object[], findings?: object[] }} records - Current credentials and findings
+ * @returns {{ nodes: object[], edges: object[], credentials: object[], findings: object[], summary: object }}
+ */
+export function applyMerge(nodes, edges, document, resolutions = {}, records = {}) {
+  const { credentials = [], findings = [] } = records;
+  const plan = planMerge(nodes, document, edges);
+  const matchByIncoming = new Map(plan.matches.map((m) => [m.incomingId, m.existingId]));
+  const incomingById = new Map(document.nodes.map((node) => [node.id, node]));
+  const matchedExisting = new Map(
+    plan.matches.map((m) => [m.existingId, incomingById.get(m.incomingId)])
+  );
+
+  const mergedNodes = nodes.map((node) =>
+    matchedExisting.has(node.id) ? mergeNode(node, matchedExisting.get(node.id), resolutions) : node
+  );
+
+  // Map incoming ids to their final ids; new nodes get fresh ids on collision
+  const takenIds = new Set(nodes.map((node) => node.id));
+  const idMap = new Map(matchByIncoming);
+  const newNodes = document.nodes
+    .filter((node) => !matchByIncoming.has(node.id))
+    .map((node) => {
+      const id = uniqueId(node.id, takenIds);
+      takenIds.add(id);
+      idMap.set(node.id, id);
+      return { ...node, id, selected: false };
+    });
+
+  // Shift the new nodes as a block below the current graph, keeping their layout
+  if (newNodes.length > 0 && nodes.length > 0) {
+    const maxY = Math.max(...nodes.map((n) => n.position.y));
+    const minX = Math.min(...nodes.map((n) => n.position.x));
+    const newMinY = Math.min(...newNodes.map((n) => n.position.y));
+    const newMinX = Math.min(...newNodes.map((n) => n.position.x));
+    newNodes.forEach((node) => {
+      node.position = {
+        x: node.position.x - newMinX + minX,
+        y: node.position.y - newMinY + maxY + NEW_NODES_GAP_Y,
+      };
+    });
+  }
+
+  const known = new Set(edges.map((e) => edgeKey(e.source, e.target, getEdgeType(e))));
+  const takenEdgeIds = new Set(edges.map((e) => e.id));
+  const newEdges = [];
+  document.edges.forEach((edge) => {
+    const source = idMap.get(edge.source);
+    const target = idMap.get(edge.target);
+    if (!source || !target || source === target) return;
+    const key = edgeKey(source, target, getEdgeType(edge));
+    if (known.has(key)) return;
+
+    const id = uniqueId(edge.id, takenEdgeIds);
+    takenEdgeIds.add(id);
+    known.add(key);
+    newEdges.push({ ...edge, id, source, target, selected: false });
+  });
+
+  const resolvedIncoming = plan.conflicts.filter((c) => resolutions[c.key] === 'incoming');
+  const mergedCredentials = mergeCredentials(credentials, document.credentials || [], idMap);
+  const mergedFindings = mergeFindings(findings, document.findings || [], idMap);
+
+  return {
+    nodes: annotateMultiHomed([...mergedNodes, ...newNodes]),
+    edges: [...edges, ...newEdges],
+    credentials: mergedCredentials.credentials,
+    findings: mergedFindings.findings,
+    summary: {
+      nodesAdded: newNodes.length,
+      nodesMerged: plan.matches.length,
+      edgesAdded: newEdges.length,
+      parallelEdges: plan.parallelEdges.length,
+      credentialsAdded: mergedCredentials.added,
+      findingsAdded: mergedFindings.added,
+      conflicts: plan.conflicts.length,
+      takenFromIncoming: resolvedIncoming.length,
+    },
+  };
+}
+
+/**
+ * Format a merge summary for display
+ * @param {object} summary - Summary returned by applyMerge
+ * @returns {string}
+ */
+export function formatMergeSummary(summary) {
+  const lines = [
+    'Merge complete',
+    `Nodes added: ${summary.nodesAdded}`,
+    `Nodes merged: ${summary.nodesMerged}`,
+    `Edges added: ${summary.edgesAdded}`,
+  ];
+  if (summary.parallelEdges) {
+    lines.push(`Edges added beside a link of another type: ${summary.parallelEdges}`);
+  }
+  if (summary.credentialsAdded) {
+    lines.push(`Credentials added: ${summary.credentialsAdded}`);
+  }
+  if (summary.findingsAdded) {
+    lines.push(`Findings added: ${summary.findingsAdded}`);
+  }
+  if (summary.conflicts) {
+    lines.push(
+      `Conflicts: ${summary.conflicts} (${summary.takenFromIncoming} taken from the imported file)`
+    );
+  }
+  return lines.join('\n');
+}
@@ -1,15 +1,23 @@
 /**
  * Network utility functions for IP/CIDR parsing, matching, and hierarchy building
+ *
+ * IPv4 and IPv6 are supported side by side. IPv4 values are 32-bit numbers,
+ * IPv6 values are 128-bit BigInts; parsed results carry a `version` field so
+ * callers never compare addresses across families.
  */
 
+const IPV6_BITS = 128n;
+const IPV6_MAX = (1n << IPV6_BITS) - 1n;
+
 /**
  * Parse an IP address string into a 32-bit integer
  * @param {string} ip - IP address (e.g., "192.168.1.1")
  * @returns {number} - 32-bit integer representation
  */
 export function ipToInt(ip) {
+  if (!/^\d{1,3}(\.\d{1,3}){3}$/.test(ip)) return null;
   const parts = ip.split('.').map(Number);
-  if (parts.length !== 4 || parts.some((p) => isNaN(p) || p < 0 || p > 255)) {
+  if (parts.some((p) => p > 255)) {
     return null;
   }
   return ((parts[0] << 24) | (parts[1] << 16) | (parts[2] << 8) | parts[3]) >>> 0;
@@ -29,27 +37,146 @@ export function intToIp(int) {
   ].join('.');
 }
 
+/**
+ * Parse an IPv6 address into a 128-bit BigInt
+ * Supports compressed "::" forms, embedded IPv4 tails (::ffff:10.0.0.1)
+ * and zone IDs (fe80::1%eth0, the zone is ignored)
+ * @param {string} ip - IPv6 address
+ * @returns {bigint | null}
+ */
+export function ipv6ToBigInt(ip) {
+  if (typeof ip !== 'string' || !ip.includes(':')) return null;
+  let addr = ip.split('%')[0];
+
+  // Rewrite an embedded IPv4 tail as two hex groups
+  const lastColon = addr.lastIndexOf(':');
+  const tail = addr.slice(lastColon + 1);
+  if (tail.includes('.')) {
+    const v4 = ipToInt(tail);
+    if (v4 === null) return null;
+    addr = `${addr.slice(0, lastColon + 1)}${(v4 >>> 16).toString(16)}:${(v4 & 0xffff).toString(16)}`;
+  }
+
+  const halves = addr.split('::');
+  if (halves.length > 2) return null;
+
+  const head = halves[0] ? halves[0].split(':') : [];
+  const rest = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  let groups = head;
+  if (halves.length === 2) {
+    const missing = 8 - head.length - rest.length;
+    if (missing < 1) return null;
+    groups = [...head, ...Array(missing).fill('0'), ...rest];
+  }
+  if (groups.length !== 8) return null;
+
+  let value = 0n;
+  for (const group of groups) {
+    if (!/^[0-9a-f]{1,4}$/i.test(group)) return null;
+    value = (value << 16n) | BigInt(parseInt(group, 16));
+  }
+  return value;
+}
+
+/**
+ * Convert a 128-bit BigInt back to a compressed IPv6 string (RFC 5952)
+ * @param {bigint} value
+ * @returns {string}
+ */
+export function bigIntToIpv6(value) {
+  const groups = [];
+  for (let i = 7; i >= 0; i--) {
+    groups.push(Number((value >> BigInt(i * 16)) & 0xffffn));
+  }
+
+  // Find the longest run of two or more zero groups
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let i = 0; i < 8; i++) {
+    if (groups[i] !== 0) continue;
+    let j = i;
+    while (j < 8 && groups[j] === 0) j++;
+    if (j - i > bestLength) {
+      bestStart = i;
+      bestLength = j - i;
+    }
+    i = j;
+  }
+
+  const hex = groups.map((g) => g.toString(16));
+  if (bestStart === -1) return hex.join(':');
+  const left = hex.slice(0, bestStart).join(':');
+  const right = hex.slice(bestStart + bestLength).join(':');
+  return `${left}::${right}`;
+}
+
+/**
+ * Parse an IPv4 or IPv6 address
+ * @param {string} ip
+ * @returns {{ version: 4, value: number } | { version: 6, value: bigint } | null}
+ */
+export function parseIP(ip) {
+  if (typeof ip !== 'string') return null;
+  const v4 = ipToInt(ip);
+  if (v4 !== null) return { version: 4, value: v4 };
+  const v6 = ipv6ToBigInt(ip);
+  if (v6 !== null) return { version: 6, value: v6 };
+  return null;
+}
+
+/**
+ * Get the address family of an IP
+ * @param {string} ip
+ * @returns {4 | 6 | null}
+ */
+export function getIPVersion(ip) {
+  return parseIP(ip)?.version ?? null;
+}
+
+/**
+ * Canonical form of an IP, used to compare addresses written differently
+ * (e.g. "2001:DB8:0::1" and "2001:db8::1")
+ * @param {string} ip
+ * @returns {string | null}
+ */
+export function normalizeIP(ip) {
+  const parsed = parseIP(ip);
+  if (!parsed) return null;
+  return parsed.version === 4 ? intToIp(parsed.value) : bigIntToIpv6(parsed.value);
+}
+
+function prefixMask(version, prefix) {
+  if (version === 4) {
+    return prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+  }
+  return IPV6_MAX ^ ((1n << BigInt(128 - prefix)) - 1n);
+}
+
+function applyMask(version, value, mask) {
+  return version === 4 ? (value & mask) >>> 0 : value & mask;
+}
+
 /**
  * Parse a CIDR string into network address and prefix length
- * @param {string} cidr - CIDR notation (e.g., "192.168.0.0/24")
- * @returns {{ network: number, prefix: number, mask: number } | null}
+ * @param {string} cidr - CIDR notation (e.g., "192.168.0.0/24" or "2001:db8::/32")
+ * @returns {{ version: number, network: number | bigint, prefix: number, mask: number | bigint } | null}
  */
 export function parseCIDR(cidr) {
-  const match = cidr.match(/^(\d+\.\d+\.\d+\.\d+)\/(\d+)$/);
+  if (typeof cidr !== 'string') return null;
+  const match = cidr.match(/^([^/\s]+)\/(\d{1,3})$/);
   if (!match) return null;
 
-  const ip = match[1];
-  const prefix = parseInt(match[2], 10);
-
-  if (prefix < 0 || prefix > 32) return null;
+  const ip = parseIP(match[1]);
+  if (!ip) return null;
 
-  const ipInt = ipToInt(ip);
-  if (ipInt === null) return null;
+  const prefix = parseInt(match[2], 10);
+  const maxPrefix = ip.version === 4 ? 32 : 128;
+  if (prefix < 0 || prefix > maxPrefix) return null;
 
-  const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
-  const network = (ipInt & mask) >>> 0;
+  const mask = prefixMask(ip.version, prefix);
+  const network = applyMask(ip.version, ip.value, mask);
 
-  return { network, prefix, mask };
+  return { version: ip.version, network, prefix, mask };
 }
 
 /**
@@ -59,12 +186,57 @@ export function parseCIDR(cidr) {
  * @returns {boolean}
  */
 export function isIPInCIDR(ip, cidr) {
-  const ipInt = ipToInt(ip);
+  const ipParsed = parseIP(ip);
   const cidrParsed = parseCIDR(cidr);
 
-  if (ipInt === null || cidrParsed === null) return false;
+  if (ipParsed === null || cidrParsed === null) return false;
+  if (ipParsed.version !== cidrParsed.version) return false;
+
+  return applyMask(ipParsed.version, ipParsed.value, cidrParsed.mask) === cidrParsed.network;
+}
+
+/**
+ * Build the network CIDR of the given prefix length that contains an IP
+ * @param {string} ip - IP address (e.g., "192.168.1.37")
+ * @param {number} prefix - Prefix length (e.g., 24)
+ * @returns {string | null} - Network CIDR (e.g., "192.168.1.0/24") or null
+ */
+export function toCIDR(ip, prefix) {
+  const parsed = parseIP(ip);
+  if (!parsed) return null;
+  const maxPrefix = parsed.version === 4 ? 32 : 128;
+  if (prefix < 0 || prefix > maxPrefix) return null;
+
+  const network = applyMask(parsed.version, parsed.value, prefixMask(parsed.version, prefix));
+  const address = parsed.version === 4 ? intToIp(network) : bigIntToIpv6(network);
+  return `${address}/${prefix}`;
+}
+
+/**
+ * Canonical form of a CIDR (host bits cleared, IPv6 compressed)
+ * @param {string} cidr
+ * @returns {string | null}
+ */
+export function normalizeCIDR(cidr) {
+  const parsed = parseCIDR(cidr);
+  if (!parsed) return null;
+  return toCIDR(cidr.split('/')[0], parsed.prefix);
+}
 
-  return ((ipInt & cidrParsed.mask) >>> 0) === cidrParsed.network;
+/**
+ * Order CIDRs for display: IPv4 before IPv6, then larger networks first
+ * @param {string | null} a
+ * @param {string | null} b
+ * @returns {number}
+ */
+export function compareCIDRs(a, b) {
+  const aParsed = a ? parseCIDR(a) : null;
+  const bParsed = b ? parseCIDR(b) : null;
+  if (!aParsed && !bParsed) return 0;
+  if (!aParsed) return 1;
+  if (!bParsed) return -1;
+  if (aParsed.version !== bParsed.version) return aParsed.version - bParsed.version;
+  return aParsed.prefix - bParsed.prefix;
 }
 
 /**
@@ -78,12 +250,13 @@ export function isCIDRContainedIn(child, parent) {
   const parentParsed = parseCIDR(parent);
 
   if (!childParsed || !parentParsed) return false;
+  if (childParsed.version !== parentParsed.version) return false;
 
   // Child must have a larger prefix (more specific)
   if (childParsed.prefix <= parentParsed.prefix) return false;
 
   // Child's network must be within parent's range
-  return ((childParsed.network & parentParsed.mask) >>> 0) === parentParsed.network;
+  return applyMask(childParsed.version, childParsed.network, parentParsed.mask) === parentParsed.network;
 }
 
 /**
@@ -94,12 +267,9 @@ export function isCIDRContainedIn(child, parent) {
 export function extractIP(value) {
   if (!value) return null;
   // If it's a CIDR, extract just the IP part
-  const cidrMatch = value.match(/^(\d+\.\d+\.\d+\.\d+)\/\d+$/);
-  if (cidrMatch) return cidrMatch[1];
+  if (isCIDR(value)) return value.split('/')[0];
   // Otherwise check if it's a valid IP
-  const ipMatch = value.match(/^(\d+\.\d+\.\d+\.\d+)$/);
-  if (ipMatch && ipToInt(ipMatch[1]) !== null) return ipMatch[1];
-  return null;
+  return isValidIP(value) ? value : null;
 }
 
 /**
@@ -112,12 +282,12 @@ export function isCIDR(value) {
 }
 
 /**
- * Check if a string is a valid IP address
+ * Check if a string is a valid IPv4 or IPv6 address
  * @param {string} value
  * @returns {boolean}
  */
 export function isValidIP(value) {
-  return ipToInt(value) !== null;
+  return parseIP(value) !== null;
 }
 
 /**
@@ -151,7 +321,14 @@ export function getNodeIPs(node) {
   if (node?.data?.ips && Array.isArray(node.data.ips)) {
     ips.push(...node.data.ips.filter(isValidIP));
   }
-  return [...new Set(ips)]; // Remove duplicates
+  // Remove duplicates, including the same address written differently
+  const seen = new Set();
+  return ips.filter((ip) => {
+    const key = normalizeIP(ip);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
 }
 
 /**
@@ -232,8 +409,13 @@ export function findParentCIDR(childCIDR, cidrNodes, excludeId) {
  *
  * Hierarchy: IP -> most specific CIDR -> larger CIDR -> ... -> Internet/root
  *
+ * Multi-homed nodes (IPs in several networks) get an edge to the most
+ * specific CIDR of every IP. `hierarchy` keeps a single parent per node (the
+ * network of its first IP) for tree layouts, `memberships` lists them all.
+ *
  * @param {object[]} nodes - All nodes
- * @returns {{ edges: object[], hierarchy: Map }} - Generated edges and hierarchy map
+ * @returns {{ edges: object[], hierarchy: Map, memberships: Map }} - Generated edges,
+ *   nodeId -> primary parentId, and nodeId -> [parentIds]
  */
 export function buildCIDRHierarchy(nodes) {
   const cidrNodes = nodes.filter((n) => n.type === 'cidr');
@@ -241,6 +423,7 @@ export function buildCIDRHierarchy(nodes) {
 
   const edges = [];
   const hierarchy = new Map(); // nodeId -> parentId
+  const memberships = new Map(); // nodeId -> [parentIds]
 
   // 1. Build CIDR-to-CIDR hierarchy (smaller to larger)
   for (const node of cidrNodes) {
@@ -250,6 +433,7 @@ export function buildCIDRHierarchy(nodes) {
     const parent = findParentCIDR(cidr, cidrNodes, node.id);
     if (parent) {
       hierarchy.set(node.id, parent.id);
+      memberships.set(node.id, [parent.id]);
       edges.push({
         id: `auto-cidr-${node.id}-${parent.id}`,
         source: parent.id,
@@ -268,27 +452,58 @@ export function buildCIDRHierarchy(nodes) {
     const ips = getNodeIPs(node);
     if (ips.length === 0) continue;
 
-    // Use the first IP to find the best CIDR match
-    // (In most cases, all IPs of a server should be in the same subnet)
-    const primaryIP = ips[0];
-    const bestCIDR = findBestMatchingCIDR(primaryIP, cidrNodes);
+    const parentIds = [];
+    for (const ip of ips) {
+      const bestCIDR = findBestMatchingCIDR(ip, cidrNodes);
+      if (bestCIDR && !parentIds.includes(bestCIDR.id)) {
+        parentIds.push(bestCIDR.id);
+      }
+    }
+    if (parentIds.length === 0) continue;
 
-    if (bestCIDR) {
-      hierarchy.set(node.id, bestCIDR.id);
+    hierarchy.set(node.id, parentIds[0]);
+    memberships.set(node.id, parentIds);
+    for (const parentId of parentIds) {
       edges.push({
-        id: `auto-ip-${node.id}-${bestCIDR.id}`,
-        source: bestCIDR.id,
+        id: `auto-ip-${node.id}-${parentId}`,
+        source: parentId,
         target: node.id,
         data: {
           label: 'contains',
           type: 'contains',
           auto: true,
+          ...(parentIds.length > 1 ? { bridge: true } : {}),
         },
       });
     }
   }
 
-  return { edges, hierarchy };
+  return { edges, hierarchy, memberships };
+}
+
+/**
+ * Flag nodes that live in more than one network
+ * Sets `data.homedNetworks` to the network count on multi-homed nodes and
+ * clears it on the rest; unchanged nodes are returned as-is.
+ *
+ * @param {object[]} nodes - All nodes
+ * @param {Map} memberships - nodeId -> [parentIds], from buildCIDRHierarchy
+ * @returns {object[]}
+ */
+export function annotateMultiHomed(nodes, memberships = buildCIDRHierarchy(nodes).memberships) {
+  return nodes.map((node) => {
+    if (node.type === 'cidr') return node;
+    const count = memberships.get(node.id)?.length || 0;
+    if (count > 1) {
+      return node.data?.homedNetworks === count
+        ? node
+        : { ...node, data: { ...node.data, homedNetworks: count } };
+    }
+    if (node.data?.homedNetworks === undefined) return node;
+    const data = { ...node.data };
+    delete data.homedNetworks;
+    return { ...node, data };
+  });
 }
 
 /**
@@ -359,13 +574,12 @@ export function getNetworkStats(nodes) {
 /**
  * Validate node IPs and return validation results
  * @param {object} node
- * @returns {{ valid: boolean, ips: string[], errors: string[] }}
+ * @returns {{ valid: boolean, ips: string[], errors: string[], ipv4Count: number, ipv6Count: number }}
  */
 export function validateNodeIPs(node) {
   const errors = [];
   const validIPs = [];
 
-  const ips = getNodeIPs(node);
   const ipInput = node?.data?.ip || '';
 
   // Check for invalid IPs in input
@@ -381,9 +595,13 @@ export function validateNodeIPs(node) {
     }
   }
 
+  const ipv6Count = validIPs.filter((ip) => getIPVersion(ip) === 6).length;
+
   return {
     valid: errors.length === 0,
     ips: validIPs,
     errors,
+    ipv4Count: validIPs.length - ipv6Count,
+    ipv6Count,
   };
 }
@@ -0,0 +1,292 @@
+/**
+ * Attack path analysis
+ *
+ * Finds routes from compromised nodes (user access or above) to a target
+ * over manual `connects`/`contains` edges and CIDR containment derived from
+ * the IP hierarchy (a host reaches the subnets its IPs live in; nesting
+ * between CIDRs only counts when drawn as an edge, since a supernet says
+ * nothing about routing). Links are traversed in both directions, except
+ * live pivots, which only carry traffic in their direction; dead pivots are
+ * ignored. Each hop costs the edge's `data.weight` (default 1) plus a penalty
+ * for entering nodes whose sub type the operator wants to avoid, e.g.
+ * IDS/IPS sensors.
+ */
+import { DeviceSubTypes, EdgeTypes } from '../types/index';
+import { buildCIDRHierarchy } from './networkUtils';
+import { isCompromised } from './accessUtils';
+import { isPivotEdge, isLivePivot, pivotFlows, getPivot, describePivot } from './pivotUtils';
+
+export const PathModes = {
+  SHORTEST: 'shortest',
+  ALL_SIMPLE: 'all',
+};
+
+export const PathModeLabels = {
+  [PathModes.SHORTEST]: 'Shortest',
+  [PathModes.ALL_SIMPLE]: 'All simple',
+};
+
+// Edge types that represent reachability ('default' covers untyped edges)
+export const TraversableEdgeTypes = ['connects', 'contains', 'default'];
+
+/**
+ * Extra cost for passing through nodes of a given sub type
+ */
+export const AvoidancePenalties = {
+  [DeviceSubTypes.IDS_IPS]: 10,
+  [DeviceSubTypes.FIREWALL]: 5,
+};
+
+const DEFAULT_MAX_DEPTH = 8;
+const DEFAULT_PATH_LIMIT = 100;
+
+const edgeWeight = (edge) => {
+  const weight = Number(edge.data?.weight);
+  return Number.isFinite(weight) && weight > 0 ? weight : 1;
+};
+
+/**
+ * Key of everything path finding reads from the graph: node ids, types,
+ * addresses, access and sub types, and edge endpoints, types, labels, weights
+ * and pivots. Positions and selection are left out, so dragging a node keeps
+ * the same key.
+ * @param {object[]} nodes
+ * @param {object[]} edges
+ * @returns {string}
+ */
+export function pathGraphKey(nodes, edges) {
+  return JSON.stringify([
+    nodes.map((node) => [
+      node.id,
+      node.type,
+      node.data?.ip,
+      node.data?.ips,
+      node.data?.label,
+      node.data?.access?.level,
+      node.data?.subType,
+    ]),
+    edges.map((edge) => [
+      edge.id,
+      edge.source,
+      edge.target,
+      edge.data?.type,
+      edge.data?.label,
+      edge.data?.weight,
+      edge.data?.pivot,
+    ]),
+  ]);
+}
+
+/**
+ * Build an undirected adjacency list of traversable links
+ * Containment links that have no edge on the canvas are marked `implicit`.
+ * @param {object[]} nodes
+ * @param {object[]} edges
+ * @returns {Map<string, Array<{ to: string, edgeId: string, via: string, label: string, weight: number, implicit: boolean }>>}
+ */
+export function buildPathGraph(nodes, edges) {
+  const graph = new Map(nodes.map((node) => [node.id, []]));
+  const linked = new Set();
+
+  const linkOneWay = (from, to, hop) => {
+    if (!graph.has(from) || !graph.has(to) || from === to) return;
+    graph.get(from).push({ ...hop, to });
+    linked.add(`${from}|${to}`);
+  };
+  const link = (a, b, hop) => {
+    linkOneWay(a, b, hop);
+    linkOneWay(b, a, hop);
+  };
+
+  edges.forEach((edge) => {
+    if (isPivotEdge(edge)) {
+      if (!isLivePivot(edge)) return;
+      pivotFlows(edge).forEach(([from, to]) =>
+        linkOneWay(from, to, {
+          edgeId: edge.id,
+          via: EdgeTypes.PIVOT,
+          label: describePivot(getPivot(edge)),
+          weight: edgeWeight(edge),
+          implicit: false,
+        })
+      );
+      return;
+    }
+
+    const type = edge.data?.type || 'default';
+    if (!TraversableEdgeTypes.includes(type)) return;
+    link(edge.source, edge.target, {
+      edgeId: edge.id,
+      via: type,
+      label: edge.data?.label || '',
+      weight: edgeWeight(edge),
+      implicit: false,
+    });
+  });
+
+  const cidrIds = new Set(nodes.filter((node) => node.type === 'cidr').map((node) => node.id));
+  const hierarchyEdges = buildCIDRHierarchy(nodes).edges.filter((edge) => !cidrIds.has(edge.target));
+  hierarchyEdges.forEach((edge) => {
+    if (linked.has(`${edge.source}|${edge.target}`)) return;
+    link(edge.source, edge.target, {
+      edgeId: edge.id,
+      via: 'contains',
+      label: 'contains',
+      weight: 1,
+      implicit: true,
+    });
+  });
+
+  return graph;
+}
+
+function nodePenalty(node, penalties) {
+  return (node && penalties[node.data?.subType]) || 0;
+}
+
+function toPath(sourceId, hops) {
+  return {
+    sourceId,
+    nodeIds: [sourceId, ...hops.map((hop) => hop.to)],
+    hops,
+    cost: hops.reduce((sum, hop) => sum + hop.weight + hop.penalty, 0),
+  };
+}
+
+/**
+ * Cheapest path between two nodes (Dijkstra)
+ */
+function shortestPath(graph, nodeById, sourceId, targetId, penalties) {
+  const cost = new Map([[sourceId, 0]]);
+  const previous = new Map();
+  const visited = new Set();
+
+  while (true) {
+    let current = null;
+    cost.forEach((value, id) => {
+      if (!visited.has(id) && (current === null || value < cost.get(current))) current = id;
+    });
+    if (current === null) return null;
+    if (current === targetId) break;
+    visited.add(current);
+
+    graph.get(current).forEach((hop) => {
+      if (visited.has(hop.to)) return;
+      const penalty = hop.to === targetId ? 0 : nodePenalty(nodeById.get(hop.to), penalties);
+      const next = cost.get(current) + hop.weight + penalty;
+      if (!cost.has(hop.to) || next < cost.get(hop.to)) {
+        cost.set(hop.to, next);
+        previous.set(hop.to, { ...hop, from: current, penalty });
+      }
+    });
+  }
+
+  const hops = [];
+  for (let id = targetId; id !== sourceId; id = previous.get(id).from) {
+    hops.unshift(previous.get(id));
+  }
+  return toPath(sourceId, hops);
+}
+
+/**
+ * Every path without repeated nodes, up to maxDepth hops
+ */
+function simplePaths(graph, nodeById, sourceId, targetId, penalties, maxDepth, limit) {
+  const paths = [];
+  const onPath = new Set([sourceId]);
+  const hops = [];
+
+  const visit = (current) => {
+    if (paths.length >= limit) return;
+    if (current === targetId) {
+      paths.push(toPath(sourceId, [...hops]));
+      return;
+    }
+    if (hops.length >= maxDepth) return;
+
+    // Try cheap links first so the limit keeps the better paths
+    graph
+      .get(current)
+      .filter((hop) => !onPath.has(hop.to))
+      .map((hop) => ({
+        ...hop,
+        from: current,
+        penalty: hop.to === targetId ? 0 : nodePenalty(nodeById.get(hop.to), penalties),
+      }))
+      .sort((a, b) => a.weight + a.penalty - (b.weight + b.penalty))
+      .forEach((hop) => {
+        onPath.add(hop.to);
+        hops.push(hop);
+        visit(hop.to);
+        hops.pop();
+        onPath.delete(hop.to);
+      });
+  };
+
+  visit(sourceId);
+  return paths;
+}
+
+/**
+ * Find attack paths from every compromised node to a target
+ * @param {object[]} nodes
+ * @param {object[]} edges
+ * @param {string} targetId
+ * @param {object} options
+ * @param {string} options.mode - One of PathModes
+ * @param {string[]} options.avoid - Sub types to penalize (keys of AvoidancePenalties)
+ * @param {number} options.maxDepth - Hop limit for all-simple-paths
+ * @param {number} options.limit - Maximum number of paths per foothold and in total
+ * @returns {Array<{ sourceId: string, nodeIds: string[], hops: object[], cost: number }>} - Cheapest first
+ */
+export function findAttackPaths(nodes, edges, targetId, options = {}) {
+  const {
+    mode = PathModes.SHORTEST,
+    avoid = [],
+    maxDepth = DEFAULT_MAX_DEPTH,
+    limit = DEFAULT_PATH_LIMIT,
+  } = options;
+
+  const nodeById = new Map(nodes.map((node) => [node.id, node]));
+  if (!nodeById.has(targetId)) return [];
+
+  const graph = buildPathGraph(nodes, edges);
+  const penalties = Object.fromEntries(avoid.map((subType) => [subType, AvoidancePenalties[subType] || 0]));
+  const sources = nodes.filter((node) => isCompromised(node) && node.id !== targetId);
+
+  const paths = sources.flatMap((source) => {
+    if (mode === PathModes.ALL_SIMPLE) {
+      return simplePaths(graph, nodeById, source.id, targetId, penalties, maxDepth, limit);
+    }
+    const path = shortestPath(graph, nodeById, source.id, targetId, penalties);
+    return path ? [path] : [];
+  });
+
+  return paths
+    .sort((a, b) => a.cost - b.cost || a.hops.length - b.hops.length)
+    .slice(0, limit);
+}
+
+/**
+ * Cheapest route from the operator's node to a target through what the
+ * operator can actually send traffic through: live pivots, plus ordinary links
+ * leaving the operator box, a compromised host (a foothold) or a network.
+ * A host without access can only be left through a live pivot running on it.
+ * @param {object[]} nodes
+ * @param {object[]} edges
+ * @param {string} originId - Node the operator works from
+ * @param {string} targetId
+ * @returns {{ sourceId: string, nodeIds: string[], hops: object[], cost: number } | null}
+ */
+export function findPivotRoute(nodes, edges, originId, targetId) {
+  const nodeById = new Map(nodes.map((node) => [node.id, node]));
+  if (!nodeById.has(originId) || !nodeById.has(targetId) || originId === targetId) return null;
+
+  const graph = buildPathGraph(nodes, edges);
+  graph.forEach((hops, id) => {
+    const node = nodeById.get(id);
+    if (id === originId || node.type === 'cidr' || isCompromised(node)) return;
+    graph.set(id, hops.filter((hop) => hop.via === EdgeTypes.PIVOT));
+  });
+  return shortestPath(graph, nodeById, originId, targetId, {});
+}
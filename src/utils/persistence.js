@@ -0,0 +1,227 @@
+/**
+ * Local persistence of workspaces in IndexedDB
+ *
+ * Each workspace has a metadata record and a session record holding its
+ * latest document (nodes, edges, tag catalogue, settings, credentials,
+ * findings), keyed by the workspace id. Rolling recovery points are kept per workspace,
+ * added at most every RECOVERY_INTERVAL_MS and pruned to the newest
+ * MAX_RECOVERY_POINTS.
+ */
+
+const DB_NAME = 'deepnetvisibility';
+const DB_VERSION = 2;
+const SESSION_STORE = 'sessions';
+const RECOVERY_STORE = 'recoveryPoints';
+const WORKSPACE_STORE = 'workspaces';
+
+// Version 1 kept a single session under this id
+const LEGACY_SESSION_ID = 'current';
+export const DEFAULT_WORKSPACE_ID = 'default';
+
+export const MAX_RECOVERY_POINTS = 5;
+export const RECOVERY_INTERVAL_MS = 5 * 60 * 1000;
+
+let dbPromise = null;
+
+/**
+ * Move the single v1 session into a "Default" workspace
+ */
+function migrateLegacySession(tx) {
+  const sessions = tx.objectStore(SESSION_STORE);
+  const legacy = sessions.get(LEGACY_SESSION_ID);
+  legacy.onsuccess = () => {
+    if (!legacy.result) return;
+    sessions.put({ ...legacy.result, id: DEFAULT_WORKSPACE_ID });
+    sessions.delete(LEGACY_SESSION_ID);
+    tx.objectStore(WORKSPACE_STORE).put({
+      id: DEFAULT_WORKSPACE_ID,
+      name: 'Default',
+      createdAt: legacy.result.savedAt,
+      archived: false,
+    });
+  };
+
+  const cursorRequest = tx.objectStore(RECOVERY_STORE).openCursor();
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (!cursor) return;
+    if (!cursor.value.workspaceId) {
+      cursor.update({ ...cursor.value, workspaceId: DEFAULT_WORKSPACE_ID });
+    }
+    cursor.continue();
+  };
+}
+
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      const tx = request.transaction;
+      if (!db.objectStoreNames.contains(SESSION_STORE)) {
+        db.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(RECOVERY_STORE)) {
+        db.createObjectStore(RECOVERY_STORE, { keyPath: 'id', autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains(WORKSPACE_STORE)) {
+        db.createObjectStore(WORKSPACE_STORE, { keyPath: 'id' });
+      }
+      const recoveryStore = tx.objectStore(RECOVERY_STORE);
+      if (!recoveryStore.indexNames.contains('workspaceId')) {
+        recoveryStore.createIndex('workspaceId', 'workspaceId');
+      }
+      if (event.oldVersion === 1) {
+        migrateLegacySession(tx);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a later retry if opening failed
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run a callback inside a transaction and resolve with its request result
+ * once the transaction completes
+ */
+async function withStore(storeName, mode, callback) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = callback(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function toRecord(workspaceId, document) {
+  return {
+    workspaceId,
+    savedAt: new Date().toISOString(),
+    nodes: document.nodes,
+    edges: document.edges,
+    tagCatalogue: document.tagCatalogue,
+    settings: document.settings,
+    credentials: document.credentials,
+    findings: document.findings,
+  };
+}
+
+/**
+ * List all workspace metadata records, oldest first
+ * @returns {Promise<Array<{ id: string, name: string, createdAt: string, archived: boolean }>>}
+ */
+export async function listWorkspaces() {
+  const records = await withStore(WORKSPACE_STORE, 'readonly', (store) => store.getAll());
+  return (records || []).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Create or update a workspace metadata record
+ * @param {{ id: string, name: string, createdAt: string, archived: boolean }} workspace
+ */
+export async function saveWorkspace(workspace) {
+  await withStore(WORKSPACE_STORE, 'readwrite', (store) => store.put(workspace));
+}
+
+/**
+ * Delete a workspace with its session and recovery points
+ * @param {string} workspaceId
+ */
+export async function deleteWorkspace(workspaceId) {
+  const points = await listRecoveryPoints(workspaceId);
+  await withStore(RECOVERY_STORE, 'readwrite', (store) => {
+    points.forEach((point) => store.delete(point.id));
+  });
+  await withStore(SESSION_STORE, 'readwrite', (store) => store.delete(workspaceId));
+  await withStore(WORKSPACE_STORE, 'readwrite', (store) => store.delete(workspaceId));
+}
+
+/**
+ * List a workspace's recovery points, newest first (without their payload)
+ * @param {string} workspaceId
+ * @returns {Promise<Array<{ id: number, savedAt: string, nodeCount: number, edgeCount: number }>>}
+ */
+export async function listRecoveryPoints(workspaceId) {
+  const records = await withStore(RECOVERY_STORE, 'readonly', (store) =>
+    store.index('workspaceId').getAll(workspaceId)
+  );
+  return (records || [])
+    .map(({ id, savedAt, nodes, edges }) => ({
+      id,
+      savedAt,
+      nodeCount: nodes.length,
+      edgeCount: edges.length,
+    }))
+    .sort((a, b) => b.id - a.id);
+}
+
+/**
+ * Store a recovery point and prune the oldest beyond MAX_RECOVERY_POINTS
+ * @param {string} workspaceId
+ * @param {{ nodes: Array, edges: Array, tagCatalogue: Array, settings: object, credentials: Array, findings: Array }} document
+ */
+export async function addRecoveryPoint(workspaceId, document) {
+  await withStore(RECOVERY_STORE, 'readwrite', (store) =>
+    store.add(toRecord(workspaceId, document))
+  );
+
+  const points = await listRecoveryPoints(workspaceId);
+  const stale = points.slice(MAX_RECOVERY_POINTS);
+  if (stale.length > 0) {
+    await withStore(RECOVERY_STORE, 'readwrite', (store) => {
+      stale.forEach((point) => store.delete(point.id));
+    });
+  }
+}
+
+/**
+ * Load a recovery point
+ * @param {number} id - Recovery point id
+ * @returns {Promise<object | null>}
+ */
+export async function loadRecoveryPoint(id) {
+  const record = await withStore(RECOVERY_STORE, 'readonly', (store) => store.get(id));
+  return record || null;
+}
+
+/**
+ * Save a workspace document, adding a recovery point when the last one is stale
+ * @param {string} workspaceId
+ * @param {{ nodes: Array, edges: Array, tagCatalogue: Array, settings: object, credentials: Array, findings: Array }} document
+ */
+export async function saveSession(workspaceId, document) {
+  await withStore(SESSION_STORE, 'readwrite', (store) =>
+    store.put({ id: workspaceId, ...toRecord(workspaceId, document) })
+  );
+
+  const [latest] = await listRecoveryPoints(workspaceId);
+  if (!latest || Date.now() - new Date(latest.savedAt).getTime() >= RECOVERY_INTERVAL_MS) {
+    await addRecoveryPoint(workspaceId, document);
+  }
+}
+
+/**
+ * Load the last autosaved document of a workspace
+ * @param {string} workspaceId
+ * @returns {Promise<object | null>}
+ */
+export async function loadSession(workspaceId) {
+  const record = await withStore(SESSION_STORE, 'readonly', (store) => store.get(workspaceId));
+  return record || null;
+}
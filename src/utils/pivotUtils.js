@@ -0,0 +1,46 @@
+/**
+ * Helpers for pivot (tunnel) edges
+ */
+import {
+  EdgeTypes,
+  PivotDirections,
+  PivotStatuses,
+  TunnelKindLabels,
+  createPivot,
+} from '../types/index';
+
+export const isPivotEdge = (edge) => edge.data?.type === EdgeTypes.PIVOT;
+
+/**
+ * Pivot details of an edge, with defaults for missing fields
+ * @param {object} edge
+ * @returns {{ kind: string, listenPort: number | null, direction: string, status: string }}
+ */
+export const getPivot = (edge) => createPivot(edge.data?.pivot);
+
+export const isLivePivot = (edge) =>
+  isPivotEdge(edge) && getPivot(edge).status === PivotStatuses.ACTIVE;
+
+/**
+ * Node pairs traffic can flow between through a pivot edge
+ * @param {object} edge
+ * @returns {Array<[string, string]>} - [from, to] pairs
+ */
+export function pivotFlows(edge) {
+  const { direction } = getPivot(edge);
+  const forward = [edge.source, edge.target];
+  const reverse = [edge.target, edge.source];
+  if (direction === PivotDirections.REVERSE) return [reverse];
+  if (direction === PivotDirections.BOTH) return [forward, reverse];
+  return [forward];
+}
+
+/**
+ * Short description of a pivot, e.g. "chisel :1080"
+ * @param {object} pivot
+ * @returns {string}
+ */
+export const describePivot = (pivot) =>
+  [TunnelKindLabels[pivot.kind] || pivot.kind, pivot.listenPort && `:${pivot.listenPort}`]
+    .filter(Boolean)
+    .join(' ');
@@ -0,0 +1,127 @@
+/**
+ * Engagement scope
+ *
+ * The scope is a list of in-scope entries plus exclusions. An entry is a
+ * CIDR, a single IP or an address range ("10.0.0.10-10.0.0.50", or
+ * "10.0.0.10-50" for the last IPv4 octet). An address is in scope when an
+ * entry covers it and no exclusion does. Until at least one in-scope entry
+ * exists the scope is undefined and nothing is flagged.
+ */
+import { NodeTypes } from '../types/index';
+import { getNodeIPs, isIPInCIDR, parseCIDR, parseIP, toCIDR } from './networkUtils';
+
+function parseRange(entry) {
+  const [startText, endText] = entry.split('-').map((part) => part.trim());
+  const start = parseIP(startText);
+  if (!start || !endText) return null;
+
+  // "10.0.0.10-50" repeats the first three octets
+  const end =
+    start.version === 4 && /^\d{1,3}$/.test(endText)
+      ? parseIP(startText.replace(/\d+$/, endText))
+      : parseIP(endText);
+  if (!end || end.version !== start.version || end.value < start.value) return null;
+
+  return { kind: 'range', version: start.version, start: start.value, end: end.value };
+}
+
+/**
+ * Parse one scope entry
+ * @param {string} entry - CIDR, IP or range
+ * @returns {{ kind: 'cidr', cidr: string } | { kind: 'range', version: number, start: number | bigint, end: number | bigint } | null}
+ */
+export function parseScopeEntry(entry) {
+  const value = String(entry ?? '').trim();
+  if (!value) return null;
+  if (parseCIDR(value)) return { kind: 'cidr', cidr: value };
+
+  const ip = parseIP(value);
+  if (ip) return { kind: 'cidr', cidr: toCIDR(value, ip.version === 4 ? 32 : 128) };
+
+  return value.includes('-') ? parseRange(value) : null;
+}
+
+/**
+ * Split scope text (one entry per line, or comma separated) into entries
+ * @param {string} text
+ * @returns {{ entries: string[], invalid: string[] }}
+ */
+export function parseScopeText(text) {
+  const values = String(text ?? '')
+    .split(/[\n,]+/)
+    .map((value) => value.trim())
+    .filter(Boolean);
+  return {
+    entries: values.filter((value) => parseScopeEntry(value)),
+    invalid: values.filter((value) => !parseScopeEntry(value)),
+  };
+}
+
+/**
+ * Compile the workspace scope settings for matching
+ * Invalid entries are ignored.
+ * @param {string[]} include - In-scope entries
+ * @param {string[]} exclude - Exclusions
+ * @returns {{ defined: boolean, include: object[], exclude: object[] }}
+ */
+export function buildScope(include = [], exclude = []) {
+  const compile = (entries) => entries.map(parseScopeEntry).filter(Boolean);
+  const compiled = { include: compile(include), exclude: compile(exclude) };
+  return { ...compiled, defined: compiled.include.length > 0 };
+}
+
+function entryCovers(entry, ip) {
+  if (entry.kind === 'cidr') return isIPInCIDR(ip, entry.cidr);
+  const parsed = parseIP(ip);
+  return (
+    parsed !== null &&
+    parsed.version === entry.version &&
+    parsed.value >= entry.start &&
+    parsed.value <= entry.end
+  );
+}
+
+/**
+ * Check an address against a compiled scope
+ * @param {string} ip
+ * @param {object} scope - From buildScope
+ * @returns {boolean} - Always true while the scope is undefined
+ */
+export function isIPInScope(ip, scope) {
+  if (!scope.defined) return true;
+  return (
+    scope.include.some((entry) => entryCovers(entry, ip)) &&
+    !scope.exclude.some((entry) => entryCovers(entry, ip))
+  );
+}
+
+/**
+ * Addresses of a host node that fall outside the scope
+ * CIDR nodes describe networks rather than hosts and are never flagged.
+ * @param {object} node
+ * @param {object} scope - From buildScope
+ * @returns {string[]}
+ */
+export function getOutOfScopeIPs(node, scope) {
+  if (!scope.defined || node.type === NodeTypes.CIDR) return [];
+  return getNodeIPs(node).filter((ip) => !isIPInScope(ip, scope));
+}
+
+/**
+ * Count host nodes by scope status
+ * Hosts without any IP can't be placed and are counted as unknown.
+ * @param {object[]} nodes
+ * @param {object} scope - From buildScope
+ * @returns {{ defined: boolean, inScope: number, outOfScope: number, unknown: number }}
+ */
+export function summarizeScope(nodes, scope) {
+  const summary = { defined: scope.defined, inScope: 0, outOfScope: 0, unknown: 0 };
+  nodes
+    .filter((node) => node.type !== NodeTypes.CIDR)
+    .forEach((node) => {
+      if (getNodeIPs(node).length === 0) summary.unknown++;
+      else if (getOutOfScopeIPs(node, scope).length > 0) summary.outOfScope++;
+      else summary.inScope++;
+    });
+  return summary;
+}
@@ -0,0 +1,260 @@
+/**
+ * Node search query language
+ *
+ *   dc01                    free text in label, IP or description
+ *   ip:10.1.0.0/16          IPs inside a CIDR (CIDR nodes match when nested)
+ *   ip:10.1.1.5  ip:10.1.   exact address, or address prefix
+ *   type:server  subtype:dc
+ *   tag:risk=unpatched      tag in a category, or `tag:unpatched` in any
+ *   pwned  pwned:false      user access or above
+ *   access:system  access:user+  access level, or that level and above
+ *   meta:os  meta:os=win    metadata key present / value contains
+ *   port:445  port:1-1024/udp  open port, or one in a range
+ *   service:smb             open service name, product, version or banner
+ *
+ * Terms are combined with AND (implicit), OR and NOT/`-`, and grouped with
+ * parentheses. Values with spaces can be quoted: label:"file server".
+ */
+import {
+  getNodeIPs,
+  getNodeCIDR,
+  isCIDR,
+  isCIDRContainedIn,
+  isIPInCIDR,
+  isValidIP,
+  normalizeCIDR,
+  normalizeIP,
+} from './networkUtils';
+import { isOpenService, parsePortFilter } from './serviceUtils';
+import { accessRank, getAccessLevel, isCompromised, parseAccessLevel } from './accessUtils';
+
+const includes = (haystack, needle) => String(haystack ?? '').toLowerCase().includes(needle);
+
+const splitPair = (value) => {
+  const index = value.indexOf('=');
+  return index === -1 ? [value, null] : [value.slice(0, index), value.slice(index + 1)];
+};
+
+function matchIP(node, value) {
+  const ips = getNodeIPs(node);
+  const nodeCIDR = getNodeCIDR(node);
+
+  if (isCIDR(value)) {
+    if (nodeCIDR) {
+      return normalizeCIDR(nodeCIDR) === normalizeCIDR(value) || isCIDRContainedIn(nodeCIDR, value);
+    }
+    return ips.some((ip) => isIPInCIDR(ip, value));
+  }
+  if (isValidIP(value)) {
+    if (nodeCIDR) return isIPInCIDR(value, nodeCIDR);
+    const wanted = normalizeIP(value);
+    return ips.some((ip) => normalizeIP(ip) === wanted);
+  }
+  return includes(node.data.ip, value);
+}
+
+function matchTag(node, value) {
+  const [category, tag] = splitPair(value);
+  const tags = node.data.tags || {};
+  if (tag === null) {
+    return Object.values(tags).some((values) => values.some((v) => v.toLowerCase() === category));
+  }
+  return (tags[category] || []).some((v) => v.toLowerCase() === tag);
+}
+
+function matchMetadata(node, value) {
+  const [key, wanted] = splitPair(value);
+  const entry = Object.entries(node.data.metadata || {}).find(([k]) => k.toLowerCase() === key);
+  if (!entry) return false;
+  return wanted === null || includes(typeof entry[1] === 'object' ? JSON.stringify(entry[1]) : entry[1], wanted);
+}
+
+const openServices = (node) => (node.data.services || []).filter(isOpenService);
+
+function matchPort(node, value) {
+  const filter = parsePortFilter(value);
+  if (!filter) return false;
+  return openServices(node).some(
+    (svc) =>
+      svc.port >= filter.from &&
+      svc.port <= filter.to &&
+      (!filter.protocol || svc.protocol === filter.protocol)
+  );
+}
+
+function matchService(node, value) {
+  return openServices(node).some((svc) =>
+    [svc.service, svc.product, svc.version, svc.banner].some((field) => includes(field, value))
+  );
+}
+
+function matchAccess(node, value) {
+  const orAbove = value.endsWith('+');
+  const level = parseAccessLevel(orAbove ? value.slice(0, -1) : value);
+  if (!level) return false;
+  const rank = accessRank(getAccessLevel(node));
+  return orAbove ? rank >= accessRank(level) : rank === accessRank(level);
+}
+
+/**
+ * Field matchers, keyed by the prefix before the colon
+ * Values are passed lower-cased.
+ */
+export const SearchFields = {
+  label: (node, value) => includes(node.data.label, value),
+  desc: (node, value) => includes(node.data.description, value),
+  ip: matchIP,
+  type: (node, value) => node.type === value,
+  subtype: (node, value) => String(node.data.subType || '').toLowerCase() === value,
+  tag: matchTag,
+  pwned: (node, value) => isCompromised(node) === !['false', 'no', '0'].includes(value),
+  access: matchAccess,
+  meta: matchMetadata,
+  port: matchPort,
+  service: matchService,
+};
+
+const matchText = (node, value) =>
+  includes(node.data.label, value) || includes(node.data.ip, value) || includes(node.data.description, value);
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      i += 1;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ kind: char });
+      i += 1;
+    } else {
+      let word = '';
+      let quoted = false;
+      while (i < text.length && !/[\s()]/.test(text[i])) {
+        if (text[i] === '"') {
+          const end = text.indexOf('"', i + 1);
+          if (end === -1) throw new Error('Unterminated quote');
+          word += text.slice(i + 1, end);
+          quoted = true;
+          i = end + 1;
+        } else {
+          word += text[i];
+          i += 1;
+        }
+      }
+      const operator = !quoted && { AND: 'and', '&&': 'and', OR: 'or', '||': 'or', NOT: 'not', '!': 'not' }[word];
+      tokens.push(operator ? { kind: operator } : { kind: 'term', value: word, quoted });
+    }
+  }
+  return tokens;
+}
+
+function termNode(token) {
+  let { value } = token;
+  let negate = false;
+  if (!token.quoted && value.length > 1 && value.startsWith('-')) {
+    negate = true;
+    value = value.slice(1);
+  }
+
+  const colon = value.indexOf(':');
+  const field = colon > 0 ? value.slice(0, colon).toLowerCase() : null;
+  let term;
+  if (field && SearchFields[field]) {
+    term = { kind: 'field', field, value: value.slice(colon + 1).toLowerCase() };
+  } else if (value.toLowerCase() === 'pwned') {
+    term = { kind: 'field', field: 'pwned', value: 'true' };
+  } else {
+    term = { kind: 'text', value: value.toLowerCase() };
+  }
+  return negate ? { kind: 'not', operand: term } : term;
+}
+
+/**
+ * Parse a query into an expression tree
+ * @param {string} text
+ * @returns {object | null} - null for an empty query
+ * @throws {Error} - On syntax errors
+ */
+export function parseSearchQuery(text) {
+  const tokens = tokenize(text);
+  let position = 0;
+  const peek = () => tokens[position];
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (peek()?.kind === 'or') {
+      position += 1;
+      left = { kind: 'or', left, right: parseAnd() };
+    }
+    return left;
+  };
+
+  const parseAnd = () => {
+    let left = parseNot();
+    while (peek() && peek().kind !== 'or' && peek().kind !== ')') {
+      if (peek().kind === 'and') position += 1;
+      left = { kind: 'and', left, right: parseNot() };
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (peek()?.kind === 'not') {
+      position += 1;
+      return { kind: 'not', operand: parseNot() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new Error('Unexpected end of query');
+    position += 1;
+    if (token.kind === '(') {
+      const inner = parseOr();
+      if (peek()?.kind !== ')') throw new Error('Missing closing parenthesis');
+      position += 1;
+      return inner;
+    }
+    if (token.kind === 'term') return termNode(token);
+    throw new Error(`Unexpected "${token.kind === ')' ? ')' : token.kind.toUpperCase()}"`);
+  };
+
+  if (tokens.length === 0) return null;
+  const tree = parseOr();
+  if (position < tokens.length) throw new Error('Unexpected ")"');
+  return tree;
+}
+
+function evaluate(tree, node) {
+  switch (tree.kind) {
+    case 'and':
+      return evaluate(tree.left, node) && evaluate(tree.right, node);
+    case 'or':
+      return evaluate(tree.left, node) || evaluate(tree.right, node);
+    case 'not':
+      return !evaluate(tree.operand, node);
+    case 'field':
+      return SearchFields[tree.field](node, tree.value);
+    default:
+      return matchText(node, tree.value);
+  }
+}
+
+/**
+ * Find the nodes matching a query
+ * @param {object[]} nodes
+ * @param {string} text - Query
+ * @returns {{ matches: object[], error: string | null }} - Nothing matches an empty query
+ */
+export function searchNodes(nodes, text) {
+  let tree;
+  try {
+    tree = parseSearchQuery(text);
+  } catch (error) {
+    return { matches: [], error: error.message };
+  }
+  if (!tree) return { matches: [], error: null };
+  return { matches: nodes.filter((node) => evaluate(tree, node)), error: null };
+}
@@ -0,0 +1,67 @@
+/**
+ * Helpers for the per-host service inventory (`data.services`)
+ */
+import { ServiceStates, createService } from '../types/index';
+
+/**
+ * Identity of a service on a host: "445/tcp"
+ * @param {{ port: number, protocol?: string }} svc
+ * @returns {string}
+ */
+export const serviceKey = (svc) => `${svc.port}/${svc.protocol || 'tcp'}`;
+
+/**
+ * One-line description of the detected software, e.g. "microsoft-ds Samba smbd 4.6.2"
+ * @param {object} svc
+ * @returns {string}
+ */
+export const describeService = (svc) =>
+  [svc.service, svc.product, svc.version].filter(Boolean).join(' ');
+
+/**
+ * Whether the port accepted (or may have accepted) connections
+ */
+export const isOpenService = (svc) =>
+  svc.state === ServiceStates.OPEN || svc.state === ServiceStates.OPEN_FILTERED;
+
+/**
+ * Sort services by port, then protocol
+ * @param {object[]} services
+ * @returns {object[]} - New array
+ */
+export const sortServices = (services) =>
+  [...services].sort((a, b) => a.port - b.port || (a.protocol || '').localeCompare(b.protocol || ''));
+
+/**
+ * Merge two service lists, keyed by port/protocol (incoming fields win)
+ * @param {object[]} existing
+ * @param {object[]} incoming
+ * @returns {object[]}
+ */
+export function mergeServices(existing = [], incoming = []) {
+  const byKey = new Map();
+  for (const svc of [...existing, ...incoming]) {
+    const key = serviceKey(svc);
+    const merged = { ...(byKey.get(key) || createService(svc)) };
+    // Don't let an empty field from a lighter scan erase a detected version
+    Object.entries(svc).forEach(([field, value]) => {
+      if (value !== '' && value !== undefined && value !== null) merged[field] = value;
+    });
+    byKey.set(key, merged);
+  }
+  return sortServices([...byKey.values()]);
+}
+
+/**
+ * Parse a port filter: "445", "445/tcp", "1-1024" or "1-1024/udp"
+ * @param {string} value
+ * @returns {{ from: number, to: number, protocol: string | null } | null} - null if not a port filter
+ */
+export function parsePortFilter(value) {
+  const match = /^(\d{1,5})(?:-(\d{1,5}))?(?:\/([a-z]+))?$/i.exec(value.trim());
+  if (!match) return null;
+  const from = parseInt(match[1], 10);
+  const to = match[2] ? parseInt(match[2], 10) : from;
+  if (to < from || to > 65535) return null;
+  return { from, to, protocol: match[3]?.toLowerCase() || null };
+}